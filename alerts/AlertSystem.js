@@ -1,17 +1,33 @@
 const AnomalyDetector = require('./AnomalyDetector');
 const AlertDispatcher = require('./AlertDispatcher');
 const TransactionMatcher = require('./TransactionMatcher');
+const TimeoutMonitor = require('./TimeoutMonitor');
+const SupplyMonitor = require('./SupplyMonitor');
+const UnbackedMintMonitor = require('./UnbackedMintMonitor');
+const MatchReview = require('./MatchReview');
 const WebSocketHandler = require('./WebSocketHandler');
 const NotificationService = require('./NotificationService');
+const FinalityMetrics = require('./FinalityMetrics');
+const WindowedAggregates = require('./WindowedAggregates');
+const BaselineModels = require('./BaselineModels');
+const CustomRules = require('./CustomRules');
 const { AlertOperations } = require('../db/operations');
 const logger = require('../utils/logger');
 
 class AlertSystem {
   constructor(socketIo) {
     this.socketIo = socketIo;
+    this.finalityMetrics = new FinalityMetrics();
+    this.windowedAggregates = new WindowedAggregates();
+    this.baselineModels = new BaselineModels(this);
     this.anomalyDetector = new AnomalyDetector(this);
+    this.customRules = new CustomRules(this);
     this.alertDispatcher = new AlertDispatcher();
     this.transactionMatcher = new TransactionMatcher(this);
+    this.timeoutMonitor = new TimeoutMonitor(this);
+    this.supplyMonitor = new SupplyMonitor(this);
+    this.unbackedMintMonitor = new UnbackedMintMonitor(this);
+    this.matchReview = new MatchReview(this);
     this.webSocketHandler = new WebSocketHandler(socketIo, this);
     this.notificationService = new NotificationService();
     this.alertQueue = [];
@@ -25,6 +41,18 @@ class AlertSystem {
     try {
       await this.alertDispatcher.initialize();
 
+      // Reload the windowed aggregates anomaly rules read
+      await this.windowedAggregates.start();
+
+      // Reload the statistical baselines and learn latencies from matches
+      await this.baselineModels.start();
+
+      // Load the enabled custom rules into the anomaly detector
+      await this.customRules.start();
+
+      // Check value mismatches of matched pairs
+      this.anomalyDetector.start();
+
       // Initialize WebSocket handler
       this.webSocketHandler.initialize();
 
@@ -32,7 +60,16 @@ class AlertSystem {
       this.notificationService.start();
 
       // Start transaction matcher
-      this.transactionMatcher.start();
+      await this.transactionMatcher.start();
+
+      // Start bridge timeout checks
+      this.timeoutMonitor.start();
+
+      // Start supply conservation checks
+      this.supplyMonitor.start();
+
+      // Start unbacked mint checks
+      this.unbackedMintMonitor.start();
 
       // Start alert processing loop
       this.startAlertProcessing();
@@ -50,6 +87,9 @@ class AlertSystem {
   // Check transaction for anomalies
   async checkForAnomalies(transaction) {
     try {
+      // Rules read windows that include this transaction
+      this.windowedAggregates.recordTransaction(transaction);
+
       await this.anomalyDetector.checkTransaction(transaction);
     } catch (error) {
       logger.error('Error checking for anomalies:', error);
@@ -269,6 +309,11 @@ class AlertSystem {
     logger.debug(`Deduplication cache cleaned up, size: ${this.deduplicationCache.size}`);
   }
 
+  // Record an observed L2 -> L1 finality time for a chain
+  recordFinalityTime(chainId, durationMs) {
+    this.finalityMetrics.record(chainId, durationMs);
+  }
+
   // Get system statistics
   async getStats() {
     try {
@@ -284,7 +329,15 @@ class AlertSystem {
           statusCounts: alertStats,
           deduplicationCacheSize: this.deduplicationCache.size
         },
-        anomalies: anomalyStats
+        anomalies: anomalyStats,
+        matching: this.transactionMatcher.getStats(),
+        timeouts: this.timeoutMonitor.getStats(),
+        supply: this.supplyMonitor.getStats(),
+        unbackedMints: this.unbackedMintMonitor.getStats(),
+        aggregates: this.windowedAggregates.getStats(),
+        baselines: this.baselineModels.getStats(),
+        customRules: this.customRules.getStats(),
+        timeToL1Finality: this.finalityMetrics.getStats()
       };
     } catch (error) {
       logger.error('Error getting alert system stats:', error);
@@ -356,6 +409,27 @@ class AlertSystem {
       // Stop transaction matcher
       this.transactionMatcher.stop();
 
+      // Stop bridge timeout checks
+      this.timeoutMonitor.stop();
+
+      // Stop supply conservation checks
+      this.supplyMonitor.stop();
+
+      // Stop unbacked mint checks
+      this.unbackedMintMonitor.stop();
+
+      // Stop refreshing custom rules
+      this.customRules.stop();
+
+      // Stop checking matched pairs
+      this.anomalyDetector.stop();
+
+      // Save the windowed aggregates
+      await this.windowedAggregates.stop();
+
+      // Save the statistical baselines
+      await this.baselineModels.stop();
+
       // Stop processing
       if (this.alertProcessingInterval) {
         clearInterval(this.alertProcessingInterval);
@@ -1,7 +1,23 @@
 const { TransactionOperations, AnomalyOperations } = require('../db/operations');
+const { isOutbound } = require('../bridges');
+const { compareLegs } = require('../bridges/feeSchedule');
+const ProofVerifier = require('./ProofVerifier');
+const WindowedAggregates = require('./WindowedAggregates');
+const CustomRules = require('./CustomRules');
 const config = require('../config/default');
+const eventBus = require('../utils/eventBus');
+const chainRegistry = require('../config/chainRegistry');
+const tokenRegistry = require('../services/tokenRegistry');
 const logger = require('../utils/logger');
 
+// Anomalies are graded low..critical, alerts info..critical
+const ALERT_SEVERITY = {
+  low: 'info',
+  medium: 'warning',
+  high: 'error',
+  critical: 'critical'
+};
+
 class AnomalyDetector {
   constructor(alertSystem) {
     this.alertSystem = alertSystem;
@@ -9,18 +25,37 @@ class AnomalyDetector {
     this.detectionHandlers = new Map();
     this.processingQueue = [];
     this.isProcessing = false;
+    this.proofVerifier = new ProofVerifier();
+    this.velocityTrips = new Map(); // "limit index|key" -> when the limit last tripped for the key
+
+    this.onTransactionMatched = (source, destination, transfer) => this.checkMatchedPair(source, destination, transfer).catch(error => {
+      logger.error(`Error checking matched pair ${source.txHash} -> ${destination.txHash}:`, error);
+    });
     
     // Initialize detection handlers
     this.initializeDetectionHandlers();
   }
 
+  // Check pairs as they're matched
+  start() {
+    eventBus.on('transaction:matched', this.onTransactionMatched);
+  }
+
+  // Stop checking matched pairs
+  stop() {
+    eventBus.off('transaction:matched', this.onTransactionMatched);
+  }
+
   // Initialize all anomaly detection handlers
+  // (bridge_timeout and unbacked_mint run on a schedule instead, see TimeoutMonitor and
+  // UnbackedMintMonitor, value_mismatch when a pair is matched, see checkMatchedPair, and
+  // bridge_latency then too, see BaselineModels).
+  // Enabled custom rules are added and removed at runtime by CustomRules.
   initializeDetectionHandlers() {
-    this.detectionHandlers.set('bridge_timeout', this.detectBridgeTimeout.bind(this));
-    this.detectionHandlers.set('value_mismatch', this.detectValueMismatch.bind(this));
     this.detectionHandlers.set('duplicate_transaction', this.detectDuplicateTransaction.bind(this));
     this.detectionHandlers.set('suspicious_contract', this.detectSuspiciousContract.bind(this));
     this.detectionHandlers.set('unusual_volume', this.detectUnusualVolume.bind(this));
+    this.detectionHandlers.set('velocity', this.detectVelocity.bind(this));
     this.detectionHandlers.set('failed_verification', this.detectFailedVerification.bind(this));
     this.detectionHandlers.set('replay_attack', this.detectReplayAttack.bind(this));
     this.detectionHandlers.set('gas_anomaly', this.detectGasAnomaly.bind(this));
@@ -80,6 +115,9 @@ class AnomalyDetector {
 
       // Wait for all detections to complete
       const results = await Promise.all(detectionPromises);
+
+      // Baselines learn the transaction only once it has been scored against them
+      this.alertSystem.baselineModels.observeTransaction(transaction);
       
       // Process results and create anomalies
       for (const result of results) {
@@ -92,9 +130,44 @@ class AnomalyDetector {
     }
   }
 
-  // Check if a detection rule is enabled
+  // Check if a detection rule is enabled; rules are configured under their camelCase name,
+  // custom rules are only registered while enabled
   isRuleEnabled(ruleName) {
-    return this.rules[ruleName] && this.rules[ruleName].enabled;
+    if (CustomRules.isCustomHandler(ruleName)) {
+      return true;
+    }
+    const key = ruleName.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+    return Boolean(this.rules[key] && this.rules[key].enabled);
+  }
+
+  // Alert severity for an anomaly severity
+  static toAlertSeverity(severity) {
+    return ALERT_SEVERITY[severity] || 'warning';
+  }
+
+  // Baseline score fields stored with an anomaly
+  static baselineData(score) {
+    return {
+      zScore: score.zScore,
+      baselineValue: score.expected,
+      modelSamples: score.samples,
+      modelConfidence: score.confidence,
+      seasonalBaseline: score.seasonal
+    };
+  }
+
+  // Four significant digits, for descriptions
+  static round(value) {
+    return Number(value.toPrecision(4));
+  }
+
+  // Anomaly priority (1-10) by USD value: one step per order of magnitude, $1 -> 1 up to $1B+ -> 10.
+  // Value that couldn't be priced gets the top priority.
+  static usdPriority(valueUsd) {
+    if (valueUsd === null || valueUsd === undefined) {
+      return 10;
+    }
+    return Math.min(10, Math.max(1, Math.floor(Math.log10(Math.max(valueUsd, 1))) + 1));
   }
 
   // Create an anomaly record and send alerts
@@ -112,7 +185,8 @@ class AnomalyDetector {
         description: detectionResult.description,
         anomalyData: detectionResult.data,
         detectionRule: detectionResult.rule,
-        confidence: detectionResult.confidence || 0.8
+        confidence: detectionResult.confidence || 0.8,
+        priority: detectionResult.priority
       };
 
       const anomaly = await AnomalyOperations.create(anomalyData);
@@ -123,13 +197,14 @@ class AnomalyDetector {
         // Send alert through alert system
         await this.alertSystem.sendAlert({
           type: 'anomaly_detected',
-          severity: anomaly.severity,
+          severity: AnomalyDetector.toAlertSeverity(anomaly.severity),
           title: anomaly.title,
           message: anomaly.description,
           anomalyId: anomaly._id,
           transactionId: transaction._id,
           chainId: transaction.chainId,
           networkName: transaction.networkName,
+          priority: anomaly.priority,
           details: {
             anomalyType: anomaly.type,
             transactionHash: transaction.txHash,
@@ -138,91 +213,213 @@ class AnomalyDetector {
           }
         });
       }
+      return anomaly;
     } catch (error) {
       logger.error('Error creating anomaly:', error);
+      return null;
     }
   }
 
-  // Detection Rule: Bridge Timeout
-  async detectBridgeTimeout(transaction) {
+  // SLA for the route a source leg is bridging over, falling back to the default
+  getTimeoutSla(transaction) {
+    const { timeoutMs, routes = {} } = this.rules.bridgeTimeout;
+    return routes[`${transaction.chainId}->${transaction.targetChainId}`] || timeoutMs;
+  }
+
+  // When a source leg becomes `multiplier` SLAs overdue, its clock started as in detectBridgeTimeout
+  getTimeoutDeadline(transaction, multiplier = 1) {
+    const clockStart = this.alertSystem.finalityMetrics.getTimeoutDeadline(transaction, 0).getTime();
+    return new Date(clockStart + multiplier * this.getTimeoutSla(transaction));
+  }
+
+  // Longest a destination leg's source may take to show up once the destination is final:
+  // the route's own maximum, else the default, else the route's bridge timeout SLA
+  getUnbackedMintLatency(transaction) {
+    const { routes = {}, maxLatencyMs } = this.rules.unbackedMint;
+    return routes[`${transaction.sourceChainId}->${transaction.chainId}`] || maxLatencyMs ||
+      this.getTimeoutSla({ chainId: transaction.sourceChainId, targetChainId: transaction.chainId });
+  }
+
+  // Detection Rule: Bridge Timeout. Returns the escalation tier an unmatched source
+  // leg has reached: each tier applies once it is `multiplier` SLAs overdue.
+  async detectBridgeTimeout(transaction, now = Date.now()) {
     try {
       if (!this.rules.bridgeTimeout.enabled) return null;
 
-      // Only check for Lock and Burn events (outgoing transactions)
-      if (!['Lock', 'Burn'].includes(transaction.eventType)) {
+      // Only check the source leg of a transfer (Lock/Burn style events)
+      if (!isOutbound(transaction)) {
         return null;
       }
 
-      // Check if transaction has been matched within timeout window
-      const timeoutMs = this.rules.bridgeTimeout.timeoutMs;
-      const cutoffTime = new Date(transaction.timestamp.getTime() + timeoutMs);
-      
-      if (new Date() < cutoffTime) {
-        // Still within timeout window
+      // Unconfirmed events may still be reorged away, so they cannot time out yet
+      if (!['confirmed', 'finalized'].includes(transaction.confirmationStatus)) {
         return null;
       }
 
-      // Check if transaction is still unmatched
-      if (!transaction.isMatched && transaction.status === 'pending') {
-        return {
-          isAnomaly: true,
-          type: 'bridge_timeout',
-          severity: 'high',
-          title: 'Bridge Transaction Timeout',
-          description: `Transaction has not been completed on target chain within ${timeoutMs / (60 * 1000)} minutes`,
-          rule: 'bridge_timeout',
-          confidence: 0.9,
-          data: {
-            timeoutDuration: Date.now() - transaction.timestamp.getTime(),
-            expectedCompletionTime: cutoffTime,
-            targetChainId: transaction.targetChainId,
-            bridgeId: transaction.bridgeId
-          }
-        };
+      if (transaction.isMatched || !['pending', 'timeout'].includes(transaction.status)) {
+        return null;
       }
 
-      return null;
+      // The SLA clock on L2s only starts once the source is final on L1 (plus any challenge period)
+      const slaMs = this.getTimeoutSla(transaction);
+      const clockStart = this.alertSystem.finalityMetrics.getTimeoutDeadline(transaction, 0).getTime();
+      const overdueFactor = (now - clockStart) / slaMs;
+
+      const tier = [...this.rules.bridgeTimeout.escalation]
+        .sort((a, b) => b.multiplier - a.multiplier)
+        .find(t => overdueFactor >= t.multiplier);
+      if (!tier) {
+        return null;
+      }
+
+      const elapsedMinutes = Math.round((now - transaction.timestamp.getTime()) / (60 * 1000));
+      const targetNetwork = transaction.targetChainId
+        ? chainRegistry.getNetworkName(transaction.targetChainId)
+        : 'the target chain';
+
+      return {
+        isAnomaly: true,
+        type: 'bridge_timeout',
+        severity: tier.severity,
+        title: tier.multiplier > 1
+          ? `Bridge Transaction Timeout (${tier.multiplier}x SLA)`
+          : 'Bridge Transaction Timeout',
+        description: `Transaction has not been completed on ${targetNetwork} after ${elapsedMinutes} minutes (SLA ${slaMs / (60 * 1000)} minutes)`,
+        rule: 'bridge_timeout',
+        confidence: 0.9,
+        data: {
+          timeoutDuration: now - transaction.timestamp.getTime(),
+          expectedCompletionTime: new Date(clockStart + slaMs),
+          slaMs,
+          escalationMultiplier: tier.multiplier,
+          targetChainId: transaction.targetChainId,
+          bridgeId: transaction.bridgeId
+        }
+      };
     } catch (error) {
       logger.error('Error in bridge timeout detection:', error);
       return null;
     }
   }
 
-  // Detection Rule: Value Mismatch
-  async detectValueMismatch(transaction) {
+  // Detection Rule: Unbacked Mint. A final destination leg (Mint/Unlock) whose source leg
+  // hasn't been seen within the route's maximum latency released funds nobody locked or burned.
+  // Severity follows the leg's USD value; the priority grows with its order of magnitude.
+  async detectUnbackedMint(transaction, now = Date.now()) {
     try {
-      if (!this.rules.valueMismatch.enabled) return null;
+      if (!this.rules.unbackedMint.enabled) return null;
 
-      // Only check matched transactions
-      if (!transaction.isMatched || !transaction.matchedTransactionId) {
+      if (isOutbound(transaction) || !['Mint', 'Unlock'].includes(transaction.eventType)) {
         return null;
       }
 
-      // Get the matched transaction
-      const matchedTransaction = await TransactionOperations.findById(transaction.matchedTransactionId);
-      if (!matchedTransaction) return null;
+      // Until the destination is final it may still be reorged away
+      if (transaction.confirmationStatus !== 'finalized' || !transaction.finalizedAt) {
+        return null;
+      }
 
-      // Compare amounts
-      const tolerance = this.rules.valueMismatch.tolerancePercent / 100;
-      const amountDiff = Math.abs(transaction.amountFormatted - matchedTransaction.amountFormatted);
-      const averageAmount = (transaction.amountFormatted + matchedTransaction.amountFormatted) / 2;
-      const discrepancyPercent = (amountDiff / averageAmount) * 100;
+      if (transaction.isMatched || ['failed', 'reorged'].includes(transaction.status)) {
+        return null;
+      }
+
+      const maxLatencyMs = this.getUnbackedMintLatency(transaction);
+      if (now - transaction.finalizedAt.getTime() < maxLatencyMs) {
+        return null;
+      }
+
+      // A stored source leg the matcher hasn't paired yet still backs the mint
+      if (transaction.bridgeId) {
+        const legs = await TransactionOperations.findByBridgeId(transaction.bridgeId);
+        if (legs.some(leg => isOutbound(leg) && leg.status !== 'reorged')) {
+          return null;
+        }
+      }
+
+      const valueUsd = transaction.amountUsd;
+      const sourceNetwork = transaction.sourceChainId
+        ? chainRegistry.getNetworkName(transaction.sourceChainId)
+        : 'any source chain';
+      const value = valueUsd === null || valueUsd === undefined ? 'unpriced' : `$${valueUsd.toFixed(2)}`;
+
+      return {
+        isAnomaly: true,
+        type: 'unbacked_mint',
+        severity: this.getUnbackedMintSeverity(valueUsd),
+        priority: AnomalyDetector.usdPriority(valueUsd),
+        title: `Unbacked ${transaction.eventType}`,
+        description: `${transaction.eventType} of ${transaction.amountFormatted} ${transaction.tokenSymbol} (${value}) has no source leg on ${sourceNetwork} ` +
+          `${Math.round((now - transaction.finalizedAt.getTime()) / 60000)} minutes after finality (max latency ${maxLatencyMs / 60000} minutes)`,
+        rule: 'unbacked_mint',
+        confidence: transaction.bridgeId ? 0.9 : 0.7, // Without a bridge ID the source may be stored unlinked
+        data: {
+          expectedSourceChainId: transaction.sourceChainId,
+          finalizedAt: transaction.finalizedAt,
+          maxLatencyMs,
+          valueUsd,
+          bridgeId: transaction.bridgeId,
+          transactionHash: transaction.txHash
+        }
+      };
+    } catch (error) {
+      logger.error('Error in unbacked mint detection:', error);
+      return null;
+    }
+  }
+
+  // Severity tier an unbacked mint of this USD value falls in; unpriced legs are critical
+  getUnbackedMintSeverity(valueUsd) {
+    if (valueUsd === null || valueUsd === undefined) {
+      return 'critical';
+    }
 
-      if (discrepancyPercent > (tolerance * 100)) {
+    const tier = [...this.rules.unbackedMint.severityUsd]
+      .sort((a, b) => b.minUsd - a.minUsd)
+      .find(t => valueUsd >= t.minUsd);
+    return tier ? tier.severity : 'high';
+  }
+
+  // Raise a value mismatch between a newly matched source and destination. A split payout
+  // (a transfer with several destination legs) is settled as a whole by the transfer tracker.
+  async checkMatchedPair(source, destination, transfer = null) {
+    if (transfer && transfer.destinations.length > 1) {
+      return;
+    }
+
+    const result = await this.detectValueMismatch(source, destination);
+    if (result) {
+      await this.createAnomaly(result, destination);
+    }
+  }
+
+  // Detection Rule: Value Mismatch. Runs when a pair is matched.
+  async detectValueMismatch(source, destination) {
+    try {
+      if (!this.rules.valueMismatch.enabled) return null;
+
+      // Compare exact amounts, allowing for the bridge's fee
+      const comparison = compareLegs(source, destination, this.rules.valueMismatch.toleranceBps);
+
+      if (!comparison.withinTolerance) {
         return {
           isAnomaly: true,
           type: 'value_mismatch',
-          severity: discrepancyPercent > 5 ? 'critical' : 'high',
+          severity: Math.abs(comparison.deviationBps) > 500 ? 'critical' : 'high',
           title: 'Cross-Chain Value Mismatch',
-          description: `Significant value discrepancy detected between cross-chain transactions: ${discrepancyPercent.toFixed(2)}%`,
+          description: `Significant value discrepancy detected between cross-chain transactions: ${(comparison.deviationBps / 100).toFixed(2)}% from the expected net amount`,
           rule: 'value_mismatch',
           confidence: 0.95,
           data: {
-            expectedValue: transaction.amount,
-            actualValue: matchedTransaction.amount,
-            discrepancyPercent: discrepancyPercent,
-            sourceTransaction: transaction.txHash,
-            targetTransaction: matchedTransaction.txHash
+            expectedValue: source.amount,
+            actualValue: destination.amount,
+            expectedValueUsd: source.amountUsd,
+            actualValueUsd: destination.amountUsd,
+            expectedAmount: comparison.expectedAmount,
+            feeAmount: comparison.feeAmount,
+            deviation: comparison.deviation,
+            deviationBps: comparison.deviationBps,
+            discrepancyPercent: comparison.deviationBps / 100,
+            sourceTransaction: source.txHash,
+            targetTransaction: destination.txHash
           }
         };
       }
@@ -239,26 +436,19 @@ class AnomalyDetector {
     try {
       if (!this.rules.duplicateTransaction.enabled) return null;
 
-      const windowMs = this.rules.duplicateTransaction.windowMs;
-      const cutoffTime = new Date(Date.now() - windowMs);
+      // Identical transfers share a transfer key in the windowed aggregates, which already
+      // hold this one; only a hit goes to the database, for the original's details
+      const window = this.rules.duplicateTransaction.window;
+      const aggregates = this.alertSystem.windowedAggregates;
+      const key = WindowedAggregates.keysFor(transaction).transfer;
+      if (!aggregates.covers(window, transaction.timestamp) || aggregates.get('transfer', key, window).count < 2) {
+        return null;
+      }
 
-      // Look for similar transactions within the time window
-      const similarTransactions = await TransactionOperations.getPaginated({
-        chainId: transaction.chainId,
-        from: transaction.from,
-        to: transaction.to,
-        tokenAddress: transaction.tokenAddress,
-        amount: transaction.amount,
-        startDate: cutoffTime,
-        limit: 10
-      });
-
-      // Check for exact duplicates (excluding current transaction)
-      const duplicates = similarTransactions.transactions.filter(tx => 
-        tx._id.toString() !== transaction._id.toString() &&
-        tx.bridgeId === transaction.bridgeId &&
-        tx.amount === transaction.amount
-      );
+      // Legs sharing the key's chain, bridge ID and amount around this one's own time (it may be
+      // a backfilled original), narrowed to the same key with addresses compared in any case
+      const candidates = await TransactionOperations.findSameTransfer(transaction, aggregates.windows[window].spanMs);
+      const duplicates = candidates.filter(tx => WindowedAggregates.keysFor(tx).transfer === key);
 
       if (duplicates.length > 0) {
         const originalTx = duplicates[0];
@@ -322,6 +512,24 @@ class AnomalyDetector {
         }
       }
 
+      // An unmapped token claiming a mapped asset's symbol is a likely counterfeit
+      if (tokenRegistry.isSymbolImpersonation(transaction.chainId, transaction.tokenAddress, transaction.tokenSymbol)) {
+        return {
+          isAnomaly: true,
+          type: 'suspicious_contract',
+          severity: 'high',
+          title: 'Token Symbol Impersonation',
+          description: `Unmapped token ${transaction.tokenAddress} uses the symbol ${transaction.tokenSymbol} of a registered asset`,
+          rule: 'suspicious_contract',
+          confidence: 0.8,
+          data: {
+            contractAddress: transaction.tokenAddress,
+            tokenSymbol: transaction.tokenSymbol,
+            riskScore: 0.8
+          }
+        };
+      }
+
       // Additional heuristics for suspicious behavior
       const suspiciousPatterns = await this.checkSuspiciousPatterns(transaction);
       if (suspiciousPatterns) {
@@ -338,24 +546,26 @@ class AnomalyDetector {
   // Check for suspicious patterns
   async checkSuspiciousPatterns(transaction) {
     try {
-      // Check for rapid successive transactions from same address
-      const recentTransactions = await TransactionOperations.getPaginated({
-        from: transaction.from,
-        startDate: new Date(Date.now() - 5 * 60 * 1000), // Last 5 minutes
-        limit: 10
-      });
-
-      if (recentTransactions.transactions.length > 5) {
+      // Check for rapid successive transfers by the same address, from the windowed aggregates
+      const { window, maxCount } = this.rules.suspiciousContract.rapidTransfers;
+      const aggregates = this.alertSystem.windowedAggregates;
+      const address = WindowedAggregates.keysFor(transaction).address;
+      if (!address || !aggregates.covers(window, transaction.timestamp)) {
+        return null;
+      }
+
+      const recent = aggregates.get('address', address, window);
+      if (recent.count > maxCount) {
         return {
           isAnomaly: true,
           type: 'suspicious_contract',
           severity: 'medium',
           title: 'Rapid Transaction Pattern',
-          description: `Address ${transaction.from} has made ${recentTransactions.transactions.length} transactions in the last 5 minutes`,
+          description: `Address ${address} has made ${recent.count} transactions in the last ${window}`,
           rule: 'suspicious_contract',
           confidence: 0.7,
           data: {
-            contractAddress: transaction.from,
+            contractAddress: address,
             riskScore: 0.7,
             blacklistReason: 'Rapid transaction pattern detected'
           }
@@ -369,88 +579,259 @@ class AnomalyDetector {
     }
   }
 
-  // Detection Rule: Unusual Volume
+  // Detection Rule: Unusual Volume. Scores the transfer's size, then its token's volume so
+  // far this hour, against the token's baselines (see BaselineModels). While the size
+  // baseline warms up, the transfer is compared with its token's window average instead.
   async detectUnusualVolume(transaction) {
     try {
-      // Get historical volume data for comparison
-      const endDate = new Date();
-      const startDate = new Date(endDate.getTime() - 24 * 60 * 60 * 1000); // Last 24 hours
-      
-      const volumeStats = await TransactionOperations.getVolumeStats(
-        startDate, 
-        endDate, 
-        transaction.chainId
-      );
+      const rule = this.rules.unusualVolume;
+      const baselines = this.alertSystem.baselineModels;
 
-      if (!volumeStats || volumeStats.length === 0) return null;
+      const size = baselines.scoreTransferSize(transaction);
+      if (size && size.warm) {
+        if (size.zScore > rule.zThreshold) {
+          return this.baselineVolumeAnomaly(transaction, size, 'transfer');
+        }
+      } else {
+        const multiple = this.detectVolumeMultiple(transaction);
+        if (multiple) {
+          return multiple;
+        }
+      }
 
-      // Find stats for this token
-      const chainStats = volumeStats.find(stat => stat._id === transaction.chainId);
-      if (!chainStats) return null;
+      const hourly = baselines.scoreHourlyVolume(transaction);
+      if (hourly && hourly.warm && !hourly.flagged && hourly.zScore > rule.zThreshold) {
+        baselines.flagHour(transaction);
+        return this.baselineVolumeAnomaly(transaction, hourly, '1h');
+      }
 
-      const tokenStats = chainStats.tokens.find(token => 
-        token.address.toLowerCase() === transaction.tokenAddress.toLowerCase()
-      );
+      return null;
+    } catch (error) {
+      logger.error('Error in unusual volume detection:', error);
+      return null;
+    }
+  }
+
+  // Unusual volume result for a transfer size or hourly volume scored against its baseline
+  baselineVolumeAnomaly(transaction, score, timeWindow) {
+    const rule = this.rules.unusualVolume;
+    const hourly = timeWindow === '1h';
+    const deviations = score.zScore.toFixed(1);
+    const typical = `${AnomalyDetector.round(score.expected)} ${transaction.tokenSymbol}`;
+
+    return {
+      isAnomaly: true,
+      type: 'unusual_volume',
+      severity: score.zScore > rule.criticalZ ? 'critical' : 'high',
+      title: hourly ? 'Unusual Hourly Volume' : 'Unusual Transaction Volume',
+      description: hourly
+        ? `${transaction.tokenSymbol} volume this hour (${AnomalyDetector.round(score.value)}) is ${deviations} deviations above its baseline of ${typical}`
+        : `Transaction of ${transaction.amountFormatted} ${transaction.tokenSymbol} is ${deviations} deviations above the token's typical ${typical}`,
+      rule: 'unusual_volume',
+      confidence: 0.9 * score.confidence,
+      data: {
+        volumeAmount: hourly ? String(score.value) : transaction.amount,
+        volumeUsd: hourly ? undefined : transaction.amountUsd,
+        averageVolume: String(score.expected),
+        volumeMultiplier: score.value / score.expected,
+        timeWindow,
+        ...AnomalyDetector.baselineData(score)
+      }
+    };
+  }
+
+  // A transfer many times the average of its token's other transfers in the window, read
+  // from the windowed aggregates (which already hold it); used until baselines warm up
+  detectVolumeMultiple(transaction) {
+    const rule = this.rules.unusualVolume;
+    const aggregates = this.alertSystem.windowedAggregates;
+    const key = WindowedAggregates.keysFor(transaction).token;
+    const amount = Number(transaction.amountFormatted);
+    if (!key || !Number.isFinite(amount) || !aggregates.covers(rule.window, transaction.timestamp)) {
+      return null;
+    }
+
+    const stats = aggregates.get('token', key, rule.window);
+    const earlier = stats.valued - 1;
+    if (earlier < rule.minSamples) return null;
+
+    const averageVolume = (stats.sum - amount) / earlier;
+    if (averageVolume <= 0) return null;
+
+    const volumeMultiplier = amount / averageVolume;
+    if (volumeMultiplier <= rule.multiplier) {
+      return null;
+    }
+
+    return {
+      isAnomaly: true,
+      type: 'unusual_volume',
+      severity: volumeMultiplier > rule.criticalMultiplier ? 'critical' : 'high',
+      title: 'Unusual Transaction Volume',
+      description: `Transaction volume is ${volumeMultiplier.toFixed(1)}x larger than average`,
+      rule: 'unusual_volume',
+      confidence: 0.6, // No baseline yet
+      data: {
+        volumeAmount: transaction.amount,
+        volumeUsd: transaction.amountUsd,
+        averageVolume: averageVolume.toString(),
+        volumeMultiplier: volumeMultiplier,
+        timeWindow: rule.window,
+        additionalData: { samples: earlier, p50: stats.p50, p95: stats.p95, p99: stats.p99 }
+      }
+    };
+  }
 
-      if (!tokenStats) return null;
+  // Detection Rule: Bridge Latency. Runs when a pair is matched (see BaselineModels): the
+  // time from source to destination scored against the route's baseline, either way.
+  async detectLatencyAnomaly(source, destination) {
+    try {
+      const rule = this.rules.bridgeLatency;
+      if (!rule.enabled) return null;
 
-      // Calculate if this transaction is unusually large
-      const averageVolume = tokenStats.volume / tokenStats.count;
-      const volumeMultiplier = transaction.amountFormatted / averageVolume;
+      const score = this.alertSystem.baselineModels.scoreLatency(source, destination);
+      if (!score || !score.warm || Math.abs(score.zScore) <= rule.zThreshold) {
+        return null;
+      }
+
+      // Faster than the bridge normally allows is the more suspicious direction
+      const slow = score.zScore > 0;
+      const minutes = ms => AnomalyDetector.round(ms / 60000);
+      const route = `${chainRegistry.getNetworkName(source.chainId)} to ${chainRegistry.getNetworkName(destination.chainId)}`;
+
+      return {
+        isAnomaly: true,
+        type: 'latency_anomaly',
+        severity: Math.abs(score.zScore) > rule.criticalZ ? 'critical' : (slow ? 'medium' : 'high'),
+        title: slow ? 'Unusually Slow Bridge Transfer' : 'Unusually Fast Bridge Transfer',
+        description: `Transfer from ${route} took ${minutes(score.value)} minutes, ${Math.abs(score.zScore).toFixed(1)} deviations ` +
+          `${slow ? 'above' : 'below'} the route's typical ${minutes(score.expected)} minutes`,
+        rule: 'bridge_latency',
+        confidence: 0.9 * score.confidence,
+        data: {
+          latencyMs: score.value,
+          routeKey: `${source.chainId}->${destination.chainId}`,
+          sourceTransactionHash: source.txHash,
+          transactionHash: destination.txHash,
+          ...AnomalyDetector.baselineData(score)
+        }
+      };
+    } catch (error) {
+      logger.error('Error in bridge latency detection:', error);
+      return null;
+    }
+  }
+
+  // Detection Rule: Velocity. Transfers per chain, token, address or route over a window,
+  // read from the windowed aggregates, against the configured count and value limits. A
+  // limit trips at most once per key and window so a burst raises one anomaly.
+  async detectVelocity(transaction) {
+    try {
+      const aggregates = this.alertSystem.windowedAggregates;
+      const keys = WindowedAggregates.keysFor(transaction);
+      const now = Date.now();
+
+      for (const [index, limit] of this.rules.velocity.limits.entries()) {
+        const key = keys[limit.dimension];
+        if (!key || !aggregates.covers(limit.window, transaction.timestamp, now)) {
+          continue;
+        }
+
+        const stats = aggregates.get(limit.dimension, key, limit.window, now);
+        // Token keys sum token units, the others USD
+        const maxSum = limit.dimension === 'token' ? limit.maxAmount : limit.maxUsd;
+        const overCount = limit.maxCount && stats.count > limit.maxCount;
+        const overSum = maxSum && stats.sum > maxSum;
+        if (!overCount && !overSum) {
+          continue;
+        }
+
+        const tripKey = `${index}|${key}`;
+        const windowMs = aggregates.windows[limit.window].spanMs;
+        if (now - (this.velocityTrips.get(tripKey) || 0) < windowMs) {
+          continue;
+        }
+        this.velocityTrips.set(tripKey, now);
+        this.pruneVelocityTrips(now);
+
+        const sum = limit.dimension === 'token'
+          ? `${stats.sum} ${transaction.tokenSymbol}`
+          : `$${stats.sum.toFixed(2)}`;
+        const limits = [
+          limit.maxCount ? `${limit.maxCount} transfers` : null,
+          maxSum ? (limit.dimension === 'token' ? `${maxSum} ${transaction.tokenSymbol}` : `$${maxSum}`) : null
+        ].filter(Boolean).join(' or ');
 
-      // Alert if transaction is 10x larger than average
-      if (volumeMultiplier > 10) {
         return {
           isAnomaly: true,
-          type: 'unusual_volume',
-          severity: volumeMultiplier > 50 ? 'critical' : 'high',
-          title: 'Unusual Transaction Volume',
-          description: `Transaction volume is ${volumeMultiplier.toFixed(1)}x larger than average`,
-          rule: 'unusual_volume',
-          confidence: 0.8,
+          type: 'velocity_limit',
+          severity: limit.severity || 'high',
+          title: 'Transfer Velocity Limit Exceeded',
+          description: `${stats.count} transfer${stats.count === 1 ? '' : 's'} worth ${sum} for ${limit.dimension} ${key} in the last ${limit.window} (limit ${limits})`,
+          rule: 'velocity',
+          confidence: 0.75,
           data: {
-            volumeAmount: transaction.amount,
-            averageVolume: averageVolume.toString(),
-            volumeMultiplier: volumeMultiplier,
-            timeWindow: '24 hours'
+            velocityDimension: limit.dimension,
+            velocityKey: key,
+            transferCount: stats.count,
+            volumeAmount: limit.dimension === 'token' ? String(stats.sum) : undefined,
+            volumeUsd: limit.dimension === 'token' ? undefined : stats.sum,
+            limitCount: limit.maxCount,
+            limitAmount: maxSum,
+            timeWindow: limit.window
           }
         };
       }
 
       return null;
     } catch (error) {
-      logger.error('Error in unusual volume detection:', error);
+      logger.error('Error in velocity detection:', error);
       return null;
     }
   }
 
-  // Detection Rule: Failed Verification
+  // Forget velocity trips whose longest window has passed, once the map grows large
+  pruneVelocityTrips(now) {
+    if (this.velocityTrips.size < 10000) {
+      return;
+    }
+
+    const longest = Math.max(...Object.values(this.alertSystem.windowedAggregates.windows).map(window => window.spanMs));
+    for (const [tripKey, trippedAt] of this.velocityTrips) {
+      if (now - trippedAt >= longest) {
+        this.velocityTrips.delete(tripKey);
+      }
+    }
+  }
+
+  // Detection Rule: Failed Verification. Destination legs are checked against the
+  // source chain (see ProofVerifier); source legs only for the fields matching needs.
   async detectFailedVerification(transaction) {
     try {
-      // This would implement cryptographic verification of bridge transactions
-      // For now, we'll implement basic checks
-      
-      // Check if required fields are present
-      const requiredFields = ['bridgeId', 'amount', 'tokenAddress'];
-      const missingFields = requiredFields.filter(field => !transaction[field]);
+      const result = await this.proofVerifier.verify(transaction);
+      if (!isOutbound(transaction)) {
+        await TransactionOperations.recordVerification(transaction._id, result);
+      }
 
-      if (missingFields.length > 0) {
-        return {
-          isAnomaly: true,
-          type: 'failed_verification',
-          severity: 'high',
-          title: 'Transaction Verification Failed',
-          description: `Transaction missing required fields: ${missingFields.join(', ')}`,
-          rule: 'failed_verification',
-          confidence: 0.9,
-          data: {
-            missingFields: missingFields,
-            transactionHash: transaction.txHash
-          }
-        };
+      if (result.status !== 'failed') {
+        return null;
       }
 
-      return null;
+      return {
+        isAnomaly: true,
+        type: 'failed_verification',
+        severity: ProofVerifier.severityOf(result.failures),
+        title: 'Transaction Verification Failed',
+        description: result.failures.map(failure => failure.detail).join('; '),
+        rule: 'failed_verification',
+        confidence: 0.95,
+        data: {
+          reasonCode: result.failures[0].code,
+          failedChecks: result.failures.map(failure => failure.code),
+          sourceTransactionHash: result.sourceTxHash,
+          transactionHash: transaction.txHash
+        }
+      };
     } catch (error) {
       logger.error('Error in failed verification detection:', error);
       return null;
@@ -505,14 +886,9 @@ class AnomalyDetector {
       const gasUsed = parseInt(transaction.gasUsed);
       const gasPrice = parseInt(transaction.gasPrice);
       
-      // Define normal ranges for different networks
-      const gasLimits = {
-        1: { maxGasUsed: 500000, maxGasPrice: 100e9 }, // Ethereum
-        137: { maxGasUsed: 1000000, maxGasPrice: 50e9 }, // Polygon
-        56: { maxGasUsed: 1000000, maxGasPrice: 20e9 } // BSC
-      };
-
-      const limits = gasLimits[transaction.chainId];
+      // Normal ranges come from each network's config
+      const chain = chainRegistry.getChainById(transaction.chainId);
+      const limits = chain && chain.config.gasLimits;
       if (!limits) return null;
 
       // Check for unusually high gas usage or price
@@ -0,0 +1,349 @@
+const { BaselineOperations } = require('../db/operations');
+const config = require('../config/default');
+const eventBus = require('../utils/eventBus');
+const logger = require('../utils/logger');
+
+const METRICS = ['transfer_size', 'hourly_volume', 'bridge_latency'];
+const HOUR_MS = 60 * 60 * 1000;
+
+// Statistical baselines anomaly rules score observations against: transfer size and
+// hourly volume per token, bridge latency per route. Each model keeps an EWMA mean and
+// variance of the observation's log10 (sizes and latencies are heavy-tailed), overall
+// and per UTC hour-of-week slot for seasonality. Observations are scored before they
+// are learned, outliers are learned clipped so one spike can't drag the baseline, and
+// a model only scores once warmed up. Models are persisted periodically.
+class BaselineModels {
+  constructor(alertSystem, options = config.baselines) {
+    this.alertSystem = alertSystem;
+    this.options = options;
+    this.models = new Map(); // "metric|key" -> model
+    this.persistInterval = null;
+    this.isPersisting = false;
+    this.lastPersistAt = null;
+
+    this.onTransactionMatched = (source, destination) => this.checkLatency(source, destination).catch(error => {
+      logger.error(`Error checking bridge latency of ${destination.txHash}:`, error);
+    });
+  }
+
+  // Reload persisted models, learn latencies from matches and schedule saving
+  async start() {
+    await this.load();
+
+    eventBus.on('transaction:matched', this.onTransactionMatched);
+
+    this.persistInterval = setInterval(async () => {
+      if (!this.isPersisting) {
+        await this.persist();
+      }
+    }, this.options.persistIntervalMs);
+
+    logger.info(`Baseline models started (${this.models.size} models)`);
+  }
+
+  // Stop learning and save what's pending
+  async stop() {
+    eventBus.off('transaction:matched', this.onTransactionMatched);
+
+    if (this.persistInterval) {
+      clearInterval(this.persistInterval);
+      this.persistInterval = null;
+    }
+    await this.persist();
+    logger.info('Baseline models stopped');
+  }
+
+  // Score a transfer's size against its token's baseline
+  scoreTransferSize(transaction) {
+    const key = BaselineModels.tokenKey(transaction);
+    return key ? this.score('transfer_size', key, Number(transaction.amountFormatted), transaction.timestamp) : null;
+  }
+
+  // Score the volume of a transfer's token so far this hour, this transfer included
+  scoreHourlyVolume(transaction) {
+    const key = BaselineModels.tokenKey(transaction);
+    const model = key && this.models.get(`hourly_volume|${key}`);
+    const amount = Number(transaction.amountFormatted);
+    const hourStart = BaselineModels.hourStart(transaction.timestamp);
+    if (!model || !model.hour || hourStart < model.hour.start || !(amount > 0)) {
+      return null;
+    }
+
+    const volume = (hourStart === model.hour.start ? model.hour.volume : 0) + amount;
+    const result = this.score('hourly_volume', key, volume, hourStart);
+    return result && { ...result, hourStart: new Date(hourStart), flagged: hourStart === model.hour.start && model.hour.flagged };
+  }
+
+  // Remember that a token's current hour was flagged, so it's raised once
+  flagHour(transaction) {
+    const model = this.models.get(`hourly_volume|${BaselineModels.tokenKey(transaction)}`);
+    if (model && model.hour && model.hour.start === BaselineModels.hourStart(transaction.timestamp)) {
+      model.hour.flagged = true;
+    }
+  }
+
+  // Score the time between a source leg and its destination against the route's baseline
+  scoreLatency(source, destination) {
+    const latencyMs = BaselineModels.latencyOf(source, destination);
+    return latencyMs ? this.score('bridge_latency', BaselineModels.routeKey(source, destination), latencyMs, destination.timestamp) : null;
+  }
+
+  // Learn a transfer's size, and roll its token's hourly volume
+  observeTransaction(transaction) {
+    const key = BaselineModels.tokenKey(transaction);
+    const amount = Number(transaction.amountFormatted);
+    if (!key || !(amount > 0)) {
+      return;
+    }
+
+    this.learn(this.getModel('transfer_size', key), amount, transaction.timestamp);
+
+    const model = this.getModel('hourly_volume', key);
+    const hourStart = BaselineModels.hourStart(transaction.timestamp);
+    if (!model.hour) {
+      model.hour = { start: hourStart, volume: 0, flagged: false };
+    }
+
+    // A new hour closes the previous one, which is learned as a whole
+    if (hourStart > model.hour.start) {
+      this.learn(model, model.hour.volume, model.hour.start);
+      model.hour = { start: hourStart, volume: 0, flagged: false };
+    }
+
+    // Transfers arriving late for a closed hour are left out
+    if (hourStart === model.hour.start) {
+      model.hour.volume += amount;
+      model.dirty = true;
+    }
+  }
+
+  // Score a matched pair's latency, raise it if it's off the baseline, then learn it
+  async checkLatency(source, destination) {
+    const latencyMs = BaselineModels.latencyOf(source, destination);
+    if (!latencyMs) {
+      return;
+    }
+
+    const detector = this.alertSystem.anomalyDetector;
+    const result = await detector.detectLatencyAnomaly(source, destination);
+    if (result) {
+      await detector.createAnomaly(result, destination);
+    }
+
+    this.learn(this.getModel('bridge_latency', BaselineModels.routeKey(source, destination)), latencyMs, destination.timestamp);
+  }
+
+  // Score a value against a model: { value, zScore, expected, stdDev, samples, confidence, warm, seasonal, slot }.
+  // zScore is in log10 units; null while the model has never seen a value.
+  score(metric, key, value, at) {
+    const model = this.models.get(`${metric}|${key}`);
+    if (!model || model.overall.count === 0 || !(value > 0)) {
+      return null;
+    }
+
+    const slot = BaselineModels.slotOf(at);
+    const baseline = this.baselineFor(model, slot);
+    return {
+      value,
+      zScore: (Math.log10(value) - baseline.mean) / baseline.stdDev,
+      expected: Math.pow(10, baseline.mean),
+      stdDev: baseline.stdDev,
+      samples: model.overall.count,
+      confidence: this.confidenceOf(model),
+      warm: model.overall.count >= this.options.warmupSamples,
+      seasonal: baseline.seasonal,
+      slot
+    };
+  }
+
+  // Mean and deviation to score against: the hour-of-week slot's mean once that slot has
+  // enough samples, else the overall mean. The deviation is the wider of the two, as a
+  // slot sees one hour a week and its own variance is noisy.
+  baselineFor(model, slot) {
+    const overallStdDev = Math.sqrt(model.overall.variance);
+    const seasonal = model.slots[slot];
+    const useSlot = seasonal && seasonal.count >= this.options.seasonalWarmupSamples;
+
+    return {
+      mean: useSlot ? seasonal.mean : model.overall.mean,
+      stdDev: Math.max(overallStdDev, useSlot ? Math.sqrt(seasonal.variance) : 0, this.options.minStdDev),
+      seasonal: Boolean(useSlot)
+    };
+  }
+
+  // How far a model's scores can be trusted: 0 while warming up, reaching 1 at four times the warm-up
+  confidenceOf(model) {
+    const { warmupSamples } = this.options;
+    if (model.overall.count < warmupSamples) {
+      return 0;
+    }
+    return Math.min(1, model.overall.count / (4 * warmupSamples));
+  }
+
+  // Update a model with an observation, clipped to `clipZ` deviations once warmed up
+  learn(model, value, at) {
+    if (!(value > 0)) {
+      return;
+    }
+
+    let x = Math.log10(value);
+    const slot = BaselineModels.slotOf(at);
+    if (model.overall.count >= this.options.warmupSamples) {
+      const baseline = this.baselineFor(model, slot);
+      const bound = this.options.clipZ * baseline.stdDev;
+      x = Math.min(baseline.mean + bound, Math.max(baseline.mean - bound, x));
+    }
+
+    BaselineModels.update(model.overall, x, this.options.alpha);
+    if (!model.slots[slot]) {
+      model.slots[slot] = BaselineModels.emptyStats();
+    }
+    BaselineModels.update(model.slots[slot], x, this.options.seasonalAlpha);
+
+    model.updatedAt = new Date();
+    model.dirty = true;
+  }
+
+  // Model for a metric and key, created on demand
+  getModel(metric, key) {
+    const id = `${metric}|${key}`;
+    if (!this.models.has(id)) {
+      this.models.set(id, { metric, key, overall: BaselineModels.emptyStats(), slots: {}, hour: null, updatedAt: null, dirty: false });
+    }
+    return this.models.get(id);
+  }
+
+  // Models for inspection, optionally of one metric or key
+  describe({ metric, key } = {}) {
+    const slot = BaselineModels.slotOf(Date.now());
+
+    return Array.from(this.models.values())
+      .filter(model => (!metric || model.metric === metric) && (!key || model.key === key))
+      .map(model => {
+        const current = this.baselineFor(model, slot);
+        return {
+          metric: model.metric,
+          key: model.key,
+          samples: model.overall.count,
+          warm: model.overall.count >= this.options.warmupSamples,
+          confidence: this.confidenceOf(model),
+          // Typical value overall and for the current hour of the week, in the metric's units
+          expected: model.overall.count > 0 ? Math.pow(10, model.overall.mean) : null,
+          currentSlot: {
+            slot,
+            seasonal: current.seasonal,
+            expected: model.overall.count > 0 ? Math.pow(10, current.mean) : null,
+            stdDev: current.stdDev
+          },
+          overall: model.overall,
+          seasonalSlots: Object.keys(model.slots).length,
+          hour: model.hour,
+          updatedAt: model.updatedAt
+        };
+      })
+      .sort((a, b) => a.metric.localeCompare(b.metric) || a.key.localeCompare(b.key));
+  }
+
+  // Load persisted models
+  async load() {
+    try {
+      const documents = await BaselineOperations.loadAll();
+      for (const document of documents) {
+        this.models.set(`${document.metric}|${document.key}`, {
+          metric: document.metric,
+          key: document.key,
+          overall: document.overall,
+          slots: document.slots || {},
+          hour: document.hour || null,
+          updatedAt: document.updatedAt,
+          dirty: false
+        });
+      }
+      logger.info(`Loaded ${documents.length} baseline models`);
+    } catch (error) {
+      logger.error('Error loading baseline models:', error);
+    }
+  }
+
+  // Save changed models
+  async persist() {
+    this.isPersisting = true;
+    const changed = Array.from(this.models.values()).filter(model => model.dirty);
+
+    try {
+      // Observations arriving while this save runs mark their model dirty again
+      changed.forEach(model => { model.dirty = false; });
+
+      await BaselineOperations.saveMany(changed.map(({ metric, key, overall, slots, hour }) => ({ metric, key, overall, slots, hour })));
+      this.lastPersistAt = new Date();
+    } catch (error) {
+      changed.forEach(model => { model.dirty = true; });
+      logger.error('Error persisting baseline models:', error);
+    } finally {
+      this.isPersisting = false;
+    }
+  }
+
+  // EWMA update of a mean and variance
+  static update(stats, x, alpha) {
+    if (stats.count === 0) {
+      stats.mean = x;
+      stats.variance = 0;
+    } else {
+      const diff = x - stats.mean;
+      const increment = alpha * diff;
+      stats.mean += increment;
+      stats.variance = (1 - alpha) * (stats.variance + diff * increment);
+    }
+    stats.count++;
+  }
+
+  static emptyStats() {
+    return { count: 0, mean: 0, variance: 0 };
+  }
+
+  // UTC hour of the week, 0 (Sunday 00:00) to 167
+  static slotOf(at) {
+    const date = new Date(at);
+    return date.getUTCDay() * 24 + date.getUTCHours();
+  }
+
+  static hourStart(at) {
+    const time = new Date(at).getTime();
+    return time - (time % HOUR_MS);
+  }
+
+  // Token models are per deployment, in token units
+  static tokenKey(transaction) {
+    return transaction.tokenAddress ? `${transaction.chainId}:${transaction.tokenAddress.toLowerCase()}` : null;
+  }
+
+  static routeKey(source, destination) {
+    return `${source.chainId}->${destination.chainId}`;
+  }
+
+  // Milliseconds from a source leg to its destination, null if not positive
+  static latencyOf(source, destination) {
+    const latencyMs = new Date(destination.timestamp).getTime() - new Date(source.timestamp).getTime();
+    return latencyMs > 0 ? latencyMs : null;
+  }
+
+  // Get baseline model statistics
+  getStats() {
+    const models = {};
+    for (const model of this.models.values()) {
+      models[model.metric] = (models[model.metric] || 0) + 1;
+    }
+
+    return {
+      models,
+      warmupSamples: this.options.warmupSamples,
+      persistIntervalMs: this.options.persistIntervalMs,
+      lastPersistAt: this.lastPersistAt
+    };
+  }
+}
+
+BaselineModels.METRICS = METRICS;
+
+module.exports = BaselineModels;
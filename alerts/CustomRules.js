@@ -0,0 +1,262 @@
+const { CustomRuleOperations, TransactionOperations } = require('../db/operations');
+const WindowedAggregates = require('./WindowedAggregates');
+const { compileCondition, render } = require('../utils/ruleDsl');
+const config = require('../config/default');
+const logger = require('../utils/logger');
+
+// Detection handlers of custom rules are registered under this prefix
+const HANDLER_PREFIX = 'custom:';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Operator-defined rules (see utils/ruleDsl.js) run alongside the built-in ones: every
+// enabled rule is compiled and registered in the detector's detectionHandlers, so it's
+// evaluated against each ingested transaction. Changes made through /api/rules are
+// loaded straight away; a periodic refresh picks up changes made elsewhere. A rule
+// with a dedupe key raises one anomaly per rendered key and window.
+class CustomRules {
+  constructor(alertSystem, options = config.customRules) {
+    this.alertSystem = alertSystem;
+    this.options = options;
+    this.rules = new Map(); // ruleId -> { definition, version, condition }
+    this.raised = new Map(); // "ruleId|dedupe key" -> when it last raised an anomaly
+    this.refreshInterval = null;
+    this.isRefreshing = false;
+    this.lastRefreshAt = null;
+  }
+
+  // Load the enabled rules and schedule refreshing them
+  async start() {
+    await this.refresh();
+
+    this.refreshInterval = setInterval(async () => {
+      if (!this.isRefreshing) {
+        await this.refresh();
+      }
+    }, this.options.refreshIntervalMs);
+
+    logger.info(`Custom rules started (${this.rules.size} enabled)`);
+  }
+
+  // Stop refreshing and unregister every rule
+  stop() {
+    if (this.refreshInterval) {
+      clearInterval(this.refreshInterval);
+      this.refreshInterval = null;
+    }
+    for (const ruleId of Array.from(this.rules.keys())) {
+      this.unload(ruleId);
+    }
+    logger.info('Custom rules stopped');
+  }
+
+  // Bring the loaded rules in line with the enabled rules in the database
+  async refresh() {
+    this.isRefreshing = true;
+
+    try {
+      const rules = await CustomRuleOperations.findEnabled();
+      const enabled = new Set(rules.map(rule => rule.ruleId));
+
+      for (const rule of rules) {
+        const loaded = this.rules.get(rule.ruleId);
+        if (!loaded || loaded.version !== rule.version) {
+          this.load(rule);
+        }
+      }
+      for (const ruleId of Array.from(this.rules.keys())) {
+        if (!enabled.has(ruleId)) {
+          this.unload(ruleId);
+        }
+      }
+
+      this.lastRefreshAt = new Date();
+    } catch (error) {
+      logger.error('Error refreshing custom rules:', error);
+    } finally {
+      this.isRefreshing = false;
+    }
+  }
+
+  // Compile a stored rule and register it with the detector, replacing an older version;
+  // a disabled rule is unregistered instead
+  load(rule) {
+    if (!rule.enabled) {
+      this.unload(rule.ruleId);
+      return;
+    }
+
+    try {
+      const definition = rule.toDefinition();
+      const entry = { definition, version: rule.version, condition: compileCondition(definition.when) };
+
+      this.rules.set(rule.ruleId, entry);
+      this.alertSystem.anomalyDetector.detectionHandlers.set(HANDLER_PREFIX + rule.ruleId, transaction => this.evaluate(entry, transaction));
+      logger.info(`Custom rule loaded: ${rule.ruleId} (version ${rule.version})`);
+    } catch (error) {
+      logger.error(`Error loading custom rule ${rule.ruleId}:`, error);
+    }
+  }
+
+  // Unregister a rule from the detector
+  unload(ruleId) {
+    if (this.rules.delete(ruleId)) {
+      this.alertSystem.anomalyDetector.detectionHandlers.delete(HANDLER_PREFIX + ruleId);
+      logger.info(`Custom rule unloaded: ${ruleId}`);
+    }
+  }
+
+  // Detection handler of a loaded rule
+  async evaluate(entry, transaction) {
+    const now = Date.now();
+    const context = {
+      transaction,
+      aggregates: this.alertSystem.windowedAggregates,
+      keys: WindowedAggregates.keysFor(transaction),
+      now
+    };
+    if (!entry.condition(context)) {
+      return null;
+    }
+
+    const result = this.raise(entry.definition, entry.version, this.raised, context);
+    if (result) {
+      this.pruneRaised(now);
+      await CustomRuleOperations.recordTrigger(entry.definition.id).catch(() => null);
+    }
+    return result;
+  }
+
+  // The anomaly a matching rule raises, null if the same dedupe key already raised one
+  // within the window (tracked in `raised`)
+  raise(definition, version, raised, context) {
+    const dedupeKey = definition.dedupe ? render(definition.dedupe.key, context) : null;
+    if (dedupeKey !== null) {
+      const raisedKey = `${definition.id}|${dedupeKey}`;
+      const windowMs = definition.dedupe.windowMs || this.options.dedupeWindowMs;
+      if (context.now - (raised.get(raisedKey) || -Infinity) < windowMs) {
+        return null;
+      }
+      raised.set(raisedKey, context.now);
+    }
+
+    return {
+      isAnomaly: true,
+      type: 'custom_rule',
+      severity: definition.severity,
+      title: render(definition.message.title, context),
+      description: render(definition.message.description, context),
+      rule: HANDLER_PREFIX + definition.id,
+      confidence: definition.confidence,
+      priority: definition.priority,
+      data: {
+        customRuleId: definition.id,
+        ruleVersion: version,
+        dedupeKey: dedupeKey === null ? undefined : dedupeKey
+      }
+    };
+  }
+
+  // Forget dedupe keys past the longest window, once the map grows large
+  pruneRaised(now) {
+    if (this.raised.size < 10000) {
+      return;
+    }
+
+    const longest = Math.max(this.options.dedupeWindowMs, ...Array.from(this.rules.values())
+      .map(entry => (entry.definition.dedupe && entry.definition.dedupe.windowMs) || 0));
+    for (const [raisedKey, raisedAt] of this.raised) {
+      if (now - raisedAt >= longest) {
+        this.raised.delete(raisedKey);
+      }
+    }
+  }
+
+  // Replay a validated rule over the last `days` of stored transactions, as if it had been
+  // enabled then: aggregates are rebuilt from the replayed transfers (starting a window
+  // early so they're full from the first one evaluated) and dedupe applies. Nothing is stored.
+  async dryRun(definition, days) {
+    const condition = compileCondition(definition.when);
+    const aggregates = new WindowedAggregates();
+    const longestWindowMs = Math.max(...Object.values(aggregates.windows).map(window => window.spanMs));
+    const to = new Date();
+    const from = new Date(to.getTime() - days * DAY_MS);
+
+    const transactions = await TransactionOperations.findForReplay(
+      new Date(from.getTime() - longestWindowMs),
+      to,
+      this.options.dryRunMaxTransactions
+    );
+
+    const raised = new Map();
+    const samples = [];
+    let evaluated = 0;
+    let matched = 0;
+    let anomalies = 0;
+
+    for (const transaction of transactions) {
+      const at = new Date(transaction.timestamp).getTime();
+      aggregates.recordTransaction(transaction, at);
+      if (at < from.getTime()) {
+        continue;
+      }
+      evaluated++;
+
+      const context = { transaction, aggregates, keys: WindowedAggregates.keysFor(transaction), now: at };
+      if (!condition(context)) {
+        continue;
+      }
+      matched++;
+
+      const result = this.raise(definition, null, raised, context);
+      if (!result) {
+        continue;
+      }
+      anomalies++;
+
+      if (samples.length < this.options.dryRunSamples) {
+        samples.push({
+          transactionId: transaction._id,
+          txHash: transaction.txHash,
+          chainId: transaction.chainId,
+          networkName: transaction.networkName,
+          timestamp: transaction.timestamp,
+          severity: result.severity,
+          title: result.title,
+          description: result.description,
+          dedupeKey: result.data.dedupeKey
+        });
+      }
+    }
+
+    return {
+      ruleId: definition.id,
+      from,
+      to,
+      evaluated,
+      matched,
+      anomalies,
+      deduplicated: matched - anomalies,
+      // The replay keeps the most recent transactions when there are more than it can take
+      truncated: transactions.length === this.options.dryRunMaxTransactions,
+      samples
+    };
+  }
+
+  // Check if a detection handler belongs to a custom rule
+  static isCustomHandler(ruleName) {
+    return ruleName.startsWith(HANDLER_PREFIX);
+  }
+
+  // Get custom rule statistics
+  getStats() {
+    return {
+      loadedRules: Array.from(this.rules.entries()).map(([ruleId, entry]) => ({ ruleId, version: entry.version })),
+      refreshIntervalMs: this.options.refreshIntervalMs,
+      lastRefreshAt: this.lastRefreshAt
+    };
+  }
+}
+
+CustomRules.HANDLER_PREFIX = HANDLER_PREFIX;
+
+module.exports = CustomRules;
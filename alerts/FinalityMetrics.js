@@ -0,0 +1,97 @@
+const chainRegistry = require('../config/chainRegistry');
+
+// Tracks how long L2 blocks take to become final on L1, per chain, and turns
+// that into the deadline the bridge-timeout checks should use for a transfer.
+class FinalityMetrics {
+  constructor(maxSamples = 100) {
+    this.maxSamples = maxSamples;
+    this.samples = new Map(); // chainId -> [{ durationMs, recordedAt }]
+  }
+
+  // Record the time it took an L2 block to reach L1 finality
+  record(chainId, durationMs) {
+    if (!Number.isFinite(durationMs) || durationMs < 0) {
+      return;
+    }
+
+    const samples = this.samples.get(chainId) || [];
+    samples.push({ durationMs, recordedAt: new Date() });
+    if (samples.length > this.maxSamples) {
+      samples.shift();
+    }
+    this.samples.set(chainId, samples);
+  }
+
+  // Get time-to-L1-finality statistics for a chain
+  getTimeToFinality(chainId) {
+    const samples = this.samples.get(chainId);
+    if (!samples || samples.length === 0) {
+      return null;
+    }
+
+    const durations = samples.map(sample => sample.durationMs).sort((a, b) => a - b);
+    const total = durations.reduce((sum, duration) => sum + duration, 0);
+
+    return {
+      chainId,
+      samples: durations.length,
+      averageMs: Math.round(total / durations.length),
+      p95Ms: durations[Math.min(durations.length - 1, Math.floor(durations.length * 0.95))],
+      lastMs: samples[samples.length - 1].durationMs,
+      updatedAt: samples[samples.length - 1].recordedAt
+    };
+  }
+
+  // Expected time to L1 finality, falling back to the configured estimate until we have data
+  getExpectedFinalityMs(chainId) {
+    const chain = chainRegistry.getChainById(chainId);
+    const l2 = chain && chain.config.l2;
+    if (!l2) {
+      return 0;
+    }
+
+    const stats = this.getTimeToFinality(chainId);
+    if (stats && stats.samples >= 5) {
+      return stats.p95Ms;
+    }
+    return l2.expectedFinalityMs || 0;
+  }
+
+  // Deadline after which an unmatched outbound transaction counts as timed out
+  getTimeoutDeadline(transaction, timeoutMs) {
+    const chain = chainRegistry.getChainById(transaction.chainId);
+    const l2 = chain && chain.config.l2;
+    let startTime = transaction.timestamp.getTime();
+
+    if (l2) {
+      // The destination leg can't happen before the source is final on L1
+      startTime = transaction.l1FinalizedAt
+        ? Math.max(startTime, new Date(transaction.l1FinalizedAt).getTime())
+        : startTime + this.getExpectedFinalityMs(transaction.chainId);
+
+      // Canonical withdrawals to the settlement chain also wait out the challenge period
+      if (transaction.targetChainId === l2.settlementChainId && this.isCanonicalBridge(chain, transaction.bridgeContract)) {
+        startTime += l2.challengePeriodMs || 0;
+      }
+    }
+
+    return new Date(startTime + timeoutMs);
+  }
+
+  // Check if a contract is flagged as the chain's canonical (challenge period) bridge
+  isCanonicalBridge(chain, bridgeContract) {
+    if (!bridgeContract) {
+      return false;
+    }
+    return (chain.config.contracts || []).some(contract =>
+      contract.canonical && contract.address.toLowerCase() === bridgeContract.toLowerCase()
+    );
+  }
+
+  // Get statistics for every chain with samples
+  getStats() {
+    return Array.from(this.samples.keys()).map(chainId => this.getTimeToFinality(chainId));
+  }
+}
+
+module.exports = FinalityMetrics;
@@ -0,0 +1,184 @@
+const { TransactionOperations, TransferOperations, MatchAuditOperations } = require('../db/operations');
+const { isOutbound } = require('../bridges');
+const config = require('../config/default');
+const transferTracker = require('../services/transferTracker');
+const eventBus = require('../utils/eventBus');
+
+// Operator side of matching: the queue of legs that need a human look (still
+// unmatched after `reviewAfterMs`, or matched with a low score) and the manual
+// match, rematch, unmatch and confirm actions. Actions run on the matcher's queue
+// so they never interleave with automatic matching, and each is written to the
+// audit trail with the operator's name and reason.
+class MatchReview {
+  constructor(alertSystem) {
+    this.alertSystem = alertSystem;
+    this.matcher = alertSystem.transactionMatcher;
+    this.config = config.matching;
+  }
+
+  // Get a page of the review queue ('unmatched' or 'low_confidence') and the size of each
+  async getQueue({ type = 'unmatched', page = 1, limit = 50 } = {}) {
+    const olderThan = new Date(Date.now() - this.config.reviewAfterMs);
+    const { reviewThreshold } = this.config;
+
+    const [queue, counts] = await Promise.all([
+      TransactionOperations.getReviewQueue({ type, olderThan, reviewThreshold, page, limit }),
+      TransactionOperations.getReviewCounts(olderThan, reviewThreshold)
+    ]);
+    return { ...queue, counts };
+  }
+
+  // Pair two legs by hand. Either leg already matched elsewhere is split from its old
+  // counterpart first, which makes this a rematch.
+  async match(transactionId, targetTransactionId, actor) {
+    return this.matcher.runExclusive(async () => {
+      const [transaction, target] = await Promise.all([
+        TransactionOperations.findById(transactionId),
+        TransactionOperations.findById(targetTransactionId)
+      ]);
+
+      const previous = [];
+      for (const leg of [transaction, target]) {
+        if (leg.isMatched) {
+          previous.push(...await this.split(leg, `Rematched by ${actor.performedBy}: ${actor.reason}`));
+        }
+      }
+
+      // An operator's link is certain; the features are kept to show what the evidence looked like
+      const scored = this.matcher.scorer.score(transaction, target);
+      const result = await TransactionOperations.matchTransactions(
+        transaction,
+        target,
+        this.matcher.getMatchDetails(transaction, target, { score: 1, features: scored.features })
+      );
+      this.matcher.unindexPending(transaction);
+      this.matcher.unindexPending(target);
+
+      const [source, destination] = isOutbound(transaction) ? [transaction, target] : [target, transaction];
+      result.transfer = await transferTracker.addDestination(source, destination, { method: 'manual', confidence: 1 });
+      eventBus.emit('transaction:matched', source, destination, result.transfer);
+
+      result.audit = await MatchAuditOperations.create({
+        action: previous.length ? 'rematch' : 'match',
+        transactionId: transaction._id,
+        txHash: transaction.txHash,
+        counterpartId: target._id,
+        counterpartTxHash: target.txHash,
+        previousCounterpartIds: previous.map(leg => leg._id),
+        transferId: result.transfer ? result.transfer._id : null,
+        confidence: scored.score,
+        ...actor
+      });
+
+      this.retry(previous);
+      this.emitUpdate(result.audit);
+      return result;
+    });
+  }
+
+  // Split a matched leg from its counterpart(s)
+  async unmatch(transactionId, actor) {
+    return this.matcher.runExclusive(async () => {
+      const transaction = await TransactionOperations.findById(transactionId);
+      const counterpartId = transaction.matchedTransactionId;
+      const confidence = transaction.matchDetails ? transaction.matchDetails.confidence : null;
+
+      const counterparts = await this.split(transaction, `Unmatched by ${actor.performedBy}: ${actor.reason}`);
+      const transfer = await TransferOperations.findByTransaction(transaction._id);
+
+      const audit = await MatchAuditOperations.create({
+        action: 'unmatch',
+        transactionId: transaction._id,
+        txHash: transaction.txHash,
+        counterpartId,
+        counterpartTxHash: counterparts.length ? counterparts[0].txHash : null,
+        previousCounterpartIds: counterparts.map(leg => leg._id),
+        transferId: transfer ? transfer._id : null,
+        confidence,
+        ...actor
+      });
+
+      this.retry([transaction, ...counterparts]);
+      this.emitUpdate(audit);
+      return { transaction, counterparts, transfer, audit };
+    });
+  }
+
+  // Accept a low-confidence match as correct, taking it off the review queue
+  async confirm(transactionId, actor) {
+    return this.matcher.runExclusive(async () => {
+      const transaction = await TransactionOperations.findById(transactionId);
+      const counterpart = await TransactionOperations.findById(transaction.matchedTransactionId);
+
+      await TransactionOperations.confirmMatch(transaction, actor.performedBy);
+      if (counterpart && counterpart.isMatched) {
+        await TransactionOperations.confirmMatch(counterpart, actor.performedBy);
+      }
+
+      const audit = await MatchAuditOperations.create({
+        action: 'confirm',
+        transactionId: transaction._id,
+        txHash: transaction.txHash,
+        counterpartId: counterpart ? counterpart._id : null,
+        counterpartTxHash: counterpart ? counterpart.txHash : null,
+        confidence: transaction.matchDetails ? transaction.matchDetails.confidence : null,
+        ...actor
+      });
+
+      this.emitUpdate(audit);
+      return { transaction, counterpart, audit };
+    });
+  }
+
+  // Split a leg from the legs it is matched to and remember the pairing was wrong.
+  // A source leg is split from every destination leg of its transfer; a destination
+  // leg only from its source, which stays matched if the remaining legs still cover it.
+  async split(leg, note) {
+    if (isOutbound(leg)) {
+      const transfer = await TransferOperations.findBySourceTransaction(leg._id);
+      const ids = transfer && transfer.destinations.length
+        ? transfer.destinations.map(destination => destination.transactionId)
+        : [leg.matchedTransactionId];
+      const destinations = await TransactionOperations.findByIds(ids);
+
+      for (const destination of destinations) {
+        await TransactionOperations.rejectMatch(destination, [leg._id]);
+      }
+      await TransactionOperations.rejectMatch(leg, ids);
+      await transferTracker.removeDestinations(leg, ids, note);
+      return destinations;
+    }
+
+    const source = await TransactionOperations.findById(leg.matchedTransactionId);
+    await TransactionOperations.rejectMatch(leg, source ? [source._id] : []);
+    if (!source) {
+      return [];
+    }
+
+    const transfer = await transferTracker.removeDestinations(source, [leg._id], note);
+    if (source.isMatched) {
+      if (!transfer || transfer.status !== 'completed') {
+        // Only this leg is split off; the source's other legs stay tied to it
+        await TransactionOperations.rejectMatch(source, [leg._id]);
+      } else if (source.matchedTransactionId.toString() === leg._id.toString()) {
+        // Point the source at a leg that is still part of its transfer
+        await TransactionOperations.markMatched(source, transfer.destinations[0].transactionId, source.toObject().matchDetails);
+      }
+    }
+    return [source];
+  }
+
+  // Give legs freed by an operator a chance to find their real counterparts
+  retry(legs) {
+    for (const leg of legs) {
+      this.matcher.enqueue(() => this.matcher.handleTransaction(leg));
+    }
+  }
+
+  // Tell connected dashboards the queue changed
+  emitUpdate(audit) {
+    this.alertSystem.emitRealTimeUpdate('match_review', audit);
+  }
+}
+
+module.exports = MatchReview;
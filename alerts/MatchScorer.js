@@ -0,0 +1,145 @@
+const { TransferOperations } = require('../db/operations');
+const { isOutbound } = require('../bridges');
+const { compareLegs } = require('../bridges/feeSchedule');
+const config = require('../config/default');
+const tokenRegistry = require('../services/tokenRegistry');
+const logger = require('../utils/logger');
+
+// Block timestamps on different chains can disagree by this much
+const CLOCK_SKEW_MS = 60 * 1000;
+
+const round = value => Math.round(value * 1000) / 1000;
+
+// Scores how likely two events are the source and destination legs of one transfer.
+// Each feature yields a value between 0 and 1; the score is their weighted average
+// over the features that apply (recipient and nonce only count when both legs carry
+// one), returned with the per-feature breakdown so every match can be explained.
+class MatchScorer {
+  constructor(finalityMetrics) {
+    this.finalityMetrics = finalityMetrics;
+    this.weights = config.matching.scoreWeights;
+    this.toleranceBps = config.matching.amountToleranceBps;
+    this.timeouts = config.anomalyRules.bridgeTimeout;
+    this.minRouteSamples = 5;
+    this.routeNorms = new Map(); // "<sourceChainId>-><targetChainId>" -> { averageMs, samples }
+  }
+
+  // Learn each route's typical latency from recently completed transfers
+  async refreshRouteNorms(lookbackMs) {
+    try {
+      const routes = await TransferOperations.getRouteLatencies(lookbackMs);
+      this.routeNorms = new Map(routes.map(route => [`${route.sourceChainId}->${route.targetChainId}`, route]));
+    } catch (error) {
+      logger.error('Error refreshing route latency norms:', error);
+    }
+  }
+
+  // How long after its source a destination leg normally lands on a route
+  getRouteNorm(source, destinationChainId) {
+    const key = `${source.chainId}->${destinationChainId}`;
+    const learned = this.routeNorms.get(key);
+    if (learned && learned.samples >= this.minRouteSamples) {
+      return learned.averageMs;
+    }
+
+    // Without enough history, anything within the route's SLA (after L1 finality on L2s) is normal
+    const slaMs = this.timeouts.routes[key] || this.timeouts.timeoutMs;
+    return this.finalityMetrics.getTimeoutDeadline(source, slaMs).getTime() - new Date(source.timestamp).getTime();
+  }
+
+  // Score a candidate pair. With `partial`, the destination carries only part of the
+  // transfer, so its amount says nothing on its own and is left out.
+  score(tx1, tx2, { partial = false } = {}) {
+    const [source, destination] = isOutbound(tx1) ? [tx1, tx2] : [tx2, tx1];
+
+    const features = [
+      this.scoreBridgeId(source, destination),
+      this.scoreCanonicalToken(source, destination),
+      partial ? null : this.scoreAmount(source, destination),
+      this.scoreTimeDelta(source, destination),
+      this.scoreRecipient(source, destination),
+      this.scoreNonce(source, destination)
+    ].filter(Boolean);
+
+    const totalWeight = features.reduce((sum, feature) => sum + feature.weight, 0);
+    const weighted = features.reduce((sum, feature) => sum + feature.weight * feature.value, 0);
+
+    return {
+      score: totalWeight > 0 ? round(weighted / totalWeight) : 0,
+      features
+    };
+  }
+
+  // One entry of the breakdown
+  feature(name, value, detail) {
+    return { feature: name, weight: this.weights[name], value: round(value), detail };
+  }
+
+  // Feature: both legs carry the same bridge ID
+  scoreBridgeId(source, destination) {
+    if (source.bridgeId && source.bridgeId === destination.bridgeId) {
+      return this.feature('bridgeId', 1, 'Shared bridge ID');
+    }
+    if (source.bridgeId && destination.bridgeId) {
+      return this.feature('bridgeId', 0, 'Bridge IDs differ');
+    }
+    return this.feature('bridgeId', 0, 'No shared bridge ID');
+  }
+
+  // Feature: both legs move the same canonical asset
+  scoreCanonicalToken(source, destination) {
+    const sourceAsset = tokenRegistry.getTransactionAsset(source);
+    const destinationAsset = tokenRegistry.getTransactionAsset(destination);
+    if (tokenRegistry.areEquivalent(source, destination)) {
+      return this.feature('canonicalToken', 1, `Same asset (${sourceAsset})`);
+    }
+    return this.feature('canonicalToken', 0, `${sourceAsset || 'unmapped'} vs ${destinationAsset || 'unmapped'}`);
+  }
+
+  // Feature: destination amount against what the source should deliver after fees;
+  // full marks for an exact amount, half at the tolerance, none at twice the tolerance
+  scoreAmount(source, destination) {
+    const { expectedAmount, deviation, deviationBps } = compareLegs(source, destination, this.toleranceBps);
+    const value = this.toleranceBps > 0
+      ? Math.max(0, 1 - deviationBps / (2 * this.toleranceBps))
+      : (deviationBps === 0 ? 1 : 0);
+    return this.feature('amount', value, `Off the expected ${expectedAmount} by ${deviation} (${deviationBps} bps)`);
+  }
+
+  // Feature: how long after the source the destination landed, against the route's norm;
+  // full marks up to the norm, fading to none at four times it
+  scoreTimeDelta(source, destination) {
+    const deltaMs = new Date(destination.timestamp).getTime() - new Date(source.timestamp).getTime();
+    if (deltaMs < -CLOCK_SKEW_MS) {
+      return this.feature('timeDelta', 0, `Destination landed ${Math.round(-deltaMs / 60000)} min before the source`);
+    }
+
+    const normMs = this.getRouteNorm(source, destination.chainId);
+    const value = deltaMs <= normMs ? 1 : Math.max(0, 1 - (deltaMs - normMs) / (3 * normMs));
+    return this.feature('timeDelta', value, `${Math.round(deltaMs / 60000)} min after the source (route norm ${Math.round(normMs / 60000)} min)`);
+  }
+
+  // Feature: the destination paid the recipient the source named
+  scoreRecipient(source, destination) {
+    const intended = source.recipient;
+    const paid = destination.recipient || destination.to;
+    if (!intended || !paid) {
+      return null;
+    }
+    return intended.toLowerCase() === paid.toLowerCase()
+      ? this.feature('recipient', 1, 'Same recipient')
+      : this.feature('recipient', 0, `Source names ${intended}, destination paid ${paid}`);
+  }
+
+  // Feature: both legs carry the same bridge nonce
+  scoreNonce(source, destination) {
+    if (!source.nonce || !destination.nonce) {
+      return null;
+    }
+    return source.nonce === destination.nonce
+      ? this.feature('nonce', 1, 'Same nonce')
+      : this.feature('nonce', 0, `Nonce ${source.nonce} vs ${destination.nonce}`);
+  }
+}
+
+module.exports = MatchScorer;
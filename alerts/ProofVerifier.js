@@ -0,0 +1,290 @@
+const { eth } = require('web3');
+const { TransactionOperations } = require('../db/operations');
+const { createAdapter, isOutbound } = require('../bridges');
+const chainRegistry = require('../config/chainRegistry');
+const tokenRegistry = require('../services/tokenRegistry');
+const logger = require('../utils/logger');
+
+// Reason codes a leg can fail verification with, and the anomaly severity of each
+const REASON_SEVERITY = {
+  missing_fields: 'high', // The leg lacks bridgeId, amount or token
+  source_chain_mismatch: 'critical', // The source leg is on another chain than the destination claims
+  source_receipt_missing: 'critical', // The source chain has no such transaction
+  source_reverted: 'critical',
+  source_block_mismatch: 'high', // The source receipt is in another block, e.g. after a reorg
+  source_log_missing: 'critical', // No source event at the recorded log index, or none with this bridge ID
+  source_log_mismatch: 'critical', // The log there isn't an outbound event of the recorded contract
+  bridge_id_mismatch: 'critical', // The bridge ID recomputed from the source log differs
+  target_mismatch: 'critical', // The source log names another target chain or recipient
+  attestation_missing: 'high', // Validators are configured but the destination carries no attestation
+  signature_threshold: 'critical' // Too few valid validator signatures
+};
+
+const SEVERITY_RANK = ['low', 'medium', 'high', 'critical'];
+
+// Verifies destination legs against the chain they claim to come from: re-fetches
+// the source transaction's receipt, checks the source log is still at the recorded
+// block hash and log index, decodes it with the adapter's ABI to recompute the
+// bridge ID, target chain and recipient, and checks validator signatures when the
+// adapter exposes an attestation. Each failed check carries a reason code.
+class ProofVerifier {
+  constructor() {
+    this.adapters = new Map(); // adapter id -> instance, for decoding logs
+  }
+
+  // Verify a stored leg, returns { status, failures: [{ code, detail }], sourceTxHash, signers }.
+  // Status is 'verified', 'failed', or 'unverifiable' when the source can't be checked (yet).
+  async verify(transaction) {
+    const result = { status: 'verified', failures: [], sourceTxHash: null, signers: null, detail: null };
+    const fail = (code, detail) => result.failures.push({ code, detail });
+
+    const missingFields = ['bridgeId', 'amount', 'tokenAddress'].filter(field => !transaction[field]);
+    if (missingFields.length > 0) {
+      fail('missing_fields', `Transaction missing required fields: ${missingFields.join(', ')}`);
+      return ProofVerifier.finish(result);
+    }
+
+    // Source legs make no claim about another chain
+    if (isOutbound(transaction)) {
+      return result;
+    }
+
+    const sourceChain = transaction.sourceChainId ? chainRegistry.getChainById(transaction.sourceChainId) : null;
+    const adapter = this.getAdapter(transaction.bridgeAdapter);
+    if (!sourceChain || !adapter) {
+      return ProofVerifier.unverifiable(result, sourceChain ? `Unknown bridge adapter ${transaction.bridgeAdapter}` : `Source chain ${transaction.sourceChainId || 'unknown'} is not monitored`);
+    }
+
+    const source = await this.findSourceLeg(transaction);
+    result.sourceTxHash = source ? source.txHash : adapter.getSourceTxHash(transaction);
+    if (!result.sourceTxHash) {
+      return ProofVerifier.unverifiable(result, 'Source leg not seen yet');
+    }
+
+    if (source && source.chainId !== sourceChain.chainId) {
+      fail('source_chain_mismatch', `Source leg ${source.txHash} is on chain ${source.chainId}, destination claims chain ${sourceChain.chainId}`);
+      return ProofVerifier.finish(result);
+    }
+
+    let receipt;
+    try {
+      receipt = await this.rpc(sourceChain.chainId, 'eth_getTransactionReceipt', [result.sourceTxHash]);
+    } catch (error) {
+      return ProofVerifier.unverifiable(result, `Could not fetch source receipt: ${error.message}`);
+    }
+
+    if (!receipt) {
+      fail('source_receipt_missing', `No receipt for source transaction ${result.sourceTxHash} on chain ${sourceChain.chainId}`);
+      return ProofVerifier.finish(result);
+    }
+    if (Number(receipt.status) !== 1) {
+      fail('source_reverted', `Source transaction ${result.sourceTxHash} reverted`);
+    }
+    if (source && receipt.blockHash.toLowerCase() !== source.blockHash.toLowerCase()) {
+      fail('source_block_mismatch', `Source receipt is in block ${receipt.blockHash}, recorded ${source.blockHash}`);
+    }
+
+    const sourceEvent = this.findSourceEvent(receipt, source, adapter, transaction, fail);
+    if (sourceEvent) {
+      this.checkSourceEvent(sourceEvent, source, transaction, fail);
+    }
+
+    const validators = ProofVerifier.getValidators(transaction);
+    if (validators) {
+      try {
+        result.signers = await this.checkAttestation(transaction, adapter, validators, fail);
+      } catch (error) {
+        logger.warn(`Could not check the attestation of ${transaction.txHash}: ${error.message}`);
+      }
+    }
+
+    return ProofVerifier.finish(result);
+  }
+
+  // Find the stored source leg a destination leg answers
+  async findSourceLeg(destination) {
+    if (destination.matchedTransactionId) {
+      const matched = await TransactionOperations.findById(destination.matchedTransactionId);
+      if (matched && isOutbound(matched)) {
+        return matched;
+      }
+    }
+
+    const legs = await TransactionOperations.findByBridgeId(destination.bridgeId);
+    return legs.find(leg => isOutbound(leg) && leg.status !== 'reorged') || null;
+  }
+
+  // The decoded source event: the log at the stored leg's index, or for a leg that
+  // hasn't been stored, the outbound log in the receipt carrying the destination's bridge ID
+  findSourceEvent(receipt, source, adapter, destination, fail) {
+    if (!source) {
+      const event = receipt.logs
+        .map(log => ProofVerifier.decodeLog(adapter, log))
+        .find(decoded => decoded && this.normalize(adapter, decoded, destination).bridgeId === ProofVerifier.normalizeId(destination.bridgeId));
+      if (!event) {
+        fail('source_log_missing', `No ${adapter.name} source event with bridge ID ${destination.bridgeId} in ${receipt.transactionHash}`);
+      }
+      return event ? { adapter, event } : null;
+    }
+
+    const log = receipt.logs.find(entry => Number(entry.logIndex) === Number(source.logIndex));
+    if (!log) {
+      fail('source_log_missing', `No log at index ${source.logIndex} in ${source.txHash}`);
+      return null;
+    }
+
+    // The stored source may come from another adapter than the destination
+    const sourceAdapter = this.getAdapter(source.bridgeAdapter) || adapter;
+    const event = ProofVerifier.decodeLog(sourceAdapter, log);
+    if (!event || log.address.toLowerCase() !== source.bridgeContract.toLowerCase()) {
+      fail('source_log_mismatch', `Log ${source.logIndex} in ${source.txHash} is not a ${sourceAdapter.name} event of ${source.bridgeContract}`);
+      return null;
+    }
+    return { adapter: sourceAdapter, event };
+  }
+
+  // Recompute the source leg's fields from its log and compare them with both legs
+  checkSourceEvent({ adapter, event }, source, destination, fail) {
+    const fields = this.normalize(adapter, event, destination);
+    if (fields.direction !== 'outbound') {
+      fail('source_log_mismatch', `${event.event} in ${event.transactionHash} is not a source event`);
+      return;
+    }
+
+    const bridgeId = ProofVerifier.normalizeId(destination.bridgeId);
+    if (fields.bridgeId !== bridgeId) {
+      fail('bridge_id_mismatch', `Source log derives bridge ID ${fields.bridgeId}, destination carries ${bridgeId}`);
+    } else if (source && source.bridgeId && ProofVerifier.normalizeId(source.bridgeId) !== bridgeId) {
+      fail('bridge_id_mismatch', `Stored source leg carries bridge ID ${source.bridgeId}, its log derives ${fields.bridgeId}`);
+    }
+
+    if (fields.targetChainId && fields.targetChainId !== destination.chainId) {
+      fail('target_mismatch', `Source log targets chain ${fields.targetChainId}, destination is on chain ${destination.chainId}`);
+    }
+    const paid = destination.recipient || destination.to;
+    if (fields.recipient && paid && fields.recipient.toLowerCase() !== paid.toLowerCase()) {
+      fail('target_mismatch', `Source log names recipient ${fields.recipient}, destination paid ${paid}`);
+    }
+  }
+
+  // Check the destination's validator signatures against the contract's validator set,
+  // returns the validators that signed
+  async checkAttestation(destination, adapter, validators, fail) {
+    const transaction = await this.rpc(destination.chainId, 'eth_getTransactionByHash', [destination.txHash]);
+    const attestation = transaction ? adapter.getAttestation(destination.rawEventData, transaction) : null;
+    if (!attestation) {
+      fail('attestation_missing', `${adapter.name} exposes no validator attestation for ${destination.txHash}`);
+      return [];
+    }
+
+    const allowed = new Set(validators.signers.map(signer => signer.toLowerCase()));
+    const signers = new Set();
+    let unknown = 0;
+    for (const signature of attestation.signatures) {
+      let signer = null;
+      try {
+        signer = eth.accounts.recover(attestation.digest, signature, true).toLowerCase();
+      } catch (error) {
+        // Malformed signatures count as unknown
+      }
+
+      if (signer && allowed.has(signer)) {
+        signers.add(signer);
+      } else {
+        unknown++;
+      }
+    }
+
+    const threshold = validators.threshold || allowed.size;
+    if (signers.size < threshold) {
+      fail('signature_threshold', `${signers.size} of ${threshold} required validator signatures` +
+        (unknown > 0 ? `, ${unknown} from unknown or invalid signers` : ''));
+    }
+    return Array.from(signers);
+  }
+
+  // Normalize a decoded source event with its adapter; the source chain is the one the destination names
+  normalize(adapter, event, destination) {
+    const fields = adapter.normalizeEvent(event, destination.sourceChainId);
+    return { ...fields, bridgeId: ProofVerifier.normalizeId(fields.bridgeId) };
+  }
+
+  // Adapter instance by id, null if none is registered
+  getAdapter(id) {
+    const adapterId = id || 'generic';
+    if (!this.adapters.has(adapterId)) {
+      try {
+        this.adapters.set(adapterId, createAdapter(adapterId));
+      } catch (error) {
+        return null;
+      }
+    }
+    return this.adapters.get(adapterId);
+  }
+
+  // Raw JSON-RPC call on a chain, so missing transactions come back as null
+  rpc(chainId, method, params) {
+    return tokenRegistry.getWeb3(chainId).requestManager.send({ method, params });
+  }
+
+  // Decode a raw log with an adapter's ABI, null if it isn't one of the adapter's bridge events
+  static decodeLog(adapter, log) {
+    const topic = log.topics && log.topics[0] ? log.topics[0].toLowerCase() : null;
+    const definition = adapter.abi.find(entry =>
+      entry.type === 'event' && adapter.handles(entry.name) && eth.abi.encodeEventSignature(entry) === topic);
+    if (!definition) {
+      return null;
+    }
+
+    try {
+      return {
+        event: definition.name,
+        returnValues: eth.abi.decodeLog(definition.inputs, log.data, log.topics.slice(1)),
+        address: log.address,
+        transactionHash: log.transactionHash,
+        blockHash: log.blockHash,
+        logIndex: Number(log.logIndex)
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Validator set configured for the contract a destination leg was released by
+  static getValidators(destination) {
+    const chain = chainRegistry.getChainById(destination.chainId);
+    const contract = chain && (chain.config.contracts || []).find(entry =>
+      entry.address && entry.address.toLowerCase() === destination.bridgeContract.toLowerCase());
+    return contract && contract.validators && (contract.validators.signers || []).length > 0 ? contract.validators : null;
+  }
+
+  // Bridge IDs compare case-insensitively (bytes32 hex from events, lowercased hashes from adapters)
+  static normalizeId(bridgeId) {
+    return bridgeId ? bridgeId.toString().toLowerCase() : null;
+  }
+
+  // Highest severity among a result's failures
+  static severityOf(failures) {
+    return failures
+      .map(failure => REASON_SEVERITY[failure.code] || 'high')
+      .reduce((highest, severity) => (SEVERITY_RANK.indexOf(severity) > SEVERITY_RANK.indexOf(highest) ? severity : highest), 'low');
+  }
+
+  // Settle a result's status from its failures
+  static finish(result) {
+    result.status = result.failures.length > 0 ? 'failed' : 'verified';
+    return result;
+  }
+
+  // Mark a result as not checkable against the source chain
+  static unverifiable(result, detail) {
+    logger.debug(`Proof verification skipped: ${detail}`);
+    result.status = 'unverifiable';
+    result.detail = detail;
+    return result;
+  }
+}
+
+ProofVerifier.REASON_SEVERITY = REASON_SEVERITY;
+
+module.exports = ProofVerifier;
@@ -0,0 +1,318 @@
+const { TransactionOperations, SupplyOperations, AnomalyOperations, AlertOperations } = require('../db/operations');
+const AnomalyDetector = require('./AnomalyDetector');
+const config = require('../config/default');
+const chainRegistry = require('../config/chainRegistry');
+const tokenRegistry = require('../services/tokenRegistry');
+const { normalize, parseUnits, formatUnits, abs, toBps, applyBps } = require('../utils/amounts');
+const logger = require('../utils/logger');
+
+const ERC20_SUPPLY_ABI = [
+  {
+    constant: true,
+    inputs: [],
+    name: 'totalSupply',
+    outputs: [{ name: '', type: 'uint256' }],
+    type: 'function'
+  },
+  {
+    constant: true,
+    inputs: [{ name: 'account', type: 'address' }],
+    name: 'balanceOf',
+    outputs: [{ name: '', type: 'uint256' }],
+    type: 'function'
+  }
+];
+
+// Snapshot field each event type adds to
+const EVENT_FIELDS = { Lock: 'locked', Unlock: 'unlocked', Mint: 'minted', Burn: 'burned' };
+
+// Periodically checks the bridge's core invariant for every canonical asset: collateral
+// locked on origin chains must cover the supply minted on wrapped chains. Totals come
+// from stored events, optionally cross-checked against escrow balances and wrapped
+// token supplies read on-chain. Each check is recorded as a snapshot; a shortfall
+// beyond the tolerance raises a critical supply_deficit anomaly, which resolves itself
+// once the backing covers the minted supply again.
+class SupplyMonitor {
+  constructor(alertSystem) {
+    this.alertSystem = alertSystem;
+    this.config = config.anomalyRules.supplyConservation;
+    this.checkInterval = null;
+    this.isChecking = false;
+    this.lastCheckAt = null;
+  }
+
+  // Schedule the checks
+  start() {
+    if (!this.config.enabled) {
+      logger.info('Supply conservation monitor disabled');
+      return;
+    }
+
+    this.checkInterval = setInterval(async () => {
+      if (!this.isChecking) {
+        await this.checkSupply();
+      }
+    }, this.config.checkIntervalMs);
+
+    logger.info(`Supply conservation monitor started (check every ${this.config.checkIntervalMs / 1000}s, tolerance ${this.config.toleranceBps} bps)`);
+  }
+
+  // Stop the checks
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+    logger.info('Supply conservation monitor stopped');
+  }
+
+  // Check every asset with bridge events, and every asset with an on-chain check configured
+  async checkSupply() {
+    this.isChecking = true;
+
+    try {
+      const totals = SupplyMonitor.groupTotals(await TransactionOperations.getSupplyTotals());
+      const assetIds = new Set([...totals.keys(), ...Object.keys(this.config.onChain || {})]);
+
+      for (const assetId of assetIds) {
+        await this.evaluate(assetId, totals.get(assetId));
+      }
+
+      await SupplyOperations.deleteOlderThan(this.config.retentionDays);
+      this.lastCheckAt = new Date();
+    } catch (error) {
+      logger.error('Error checking supply conservation:', error);
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  // Check one asset, record the snapshot and raise or resolve its deficit
+  async evaluate(assetId, chains = new Map()) {
+    try {
+      const chainTotals = Array.from(chains.values());
+      const sum = field => chainTotals.reduce((total, chain) => total + chain[field], 0n);
+      const events = { backing: sum('locked') - sum('unlocked'), mintedSupply: sum('minted') - sum('burned') };
+
+      const check = (this.config.onChain || {})[assetId];
+      const onChain = check ? await this.readOnChain(assetId, check) : null;
+
+      let deficitSource = null;
+      if (this.isShort(events)) {
+        deficitSource = 'events';
+      } else if (onChain && !onChain.error && this.isShort(onChain)) {
+        deficitSource = 'onchain';
+      }
+
+      const snapshot = await SupplyOperations.recordSnapshot({
+        assetId,
+        locked: formatUnits(sum('locked')),
+        unlocked: formatUnits(sum('unlocked')),
+        minted: formatUnits(sum('minted')),
+        burned: formatUnits(sum('burned')),
+        ...SupplyMonitor.format(events),
+        chains: chainTotals.map(chain => ({
+          chainId: chain.chainId,
+          locked: formatUnits(chain.locked),
+          unlocked: formatUnits(chain.unlocked),
+          minted: formatUnits(chain.minted),
+          burned: formatUnits(chain.burned)
+        })),
+        onChain: onChain && {
+          ...(onChain.error ? {} : SupplyMonitor.format(onChain)),
+          error: onChain.error,
+          checkedAt: onChain.checkedAt
+        },
+        status: deficitSource ? 'deficit' : 'ok',
+        deficitSource
+      });
+
+      if (deficitSource) {
+        await this.raiseDeficit(assetId, deficitSource === 'events' ? events : onChain, deficitSource, chainTotals);
+      } else {
+        await this.resolveDeficit(assetId, events);
+      }
+
+      return snapshot;
+    } catch (error) {
+      logger.error(`Error checking supply of ${assetId}:`, error);
+      return null;
+    }
+  }
+
+  // Check if minted supply exceeds its backing by more than the tolerance
+  isShort({ backing, mintedSupply }) {
+    return mintedSupply - backing > applyBps(abs(mintedSupply), this.config.toleranceBps);
+  }
+
+  // Read escrow balances and wrapped token supplies from the chains
+  async readOnChain(assetId, check) {
+    try {
+      const [collateral, minted] = await Promise.all([
+        Promise.all((check.collateral || []).map(entry => this.readBalance(entry))),
+        Promise.all((check.minted || []).map(entry => this.readTotalSupply(entry)))
+      ]);
+
+      return {
+        backing: collateral.reduce((total, amount) => total + amount, 0n),
+        mintedSupply: minted.reduce((total, amount) => total + amount, 0n),
+        error: null,
+        checkedAt: new Date()
+      };
+    } catch (error) {
+      logger.warn(`Could not read ${assetId} supply on-chain: ${error.message}`);
+      return { error: error.message, checkedAt: new Date() };
+    }
+  }
+
+  // Normalized collateral an escrow holds; without a token, the chain's native asset
+  async readBalance({ chainId, token, holder }) {
+    const web3 = tokenRegistry.getWeb3(chainId);
+    if (!token) {
+      const balance = await web3.eth.getBalance(holder);
+      return normalize(balance, tokenRegistry.getNativeToken(chainId).decimals);
+    }
+
+    const { decimals } = await tokenRegistry.getToken(chainId, token);
+    const contract = new web3.eth.Contract(ERC20_SUPPLY_ABI, token);
+    return normalize(await contract.methods.balanceOf(holder).call(), decimals);
+  }
+
+  // Normalized total supply of a wrapped token
+  async readTotalSupply({ chainId, token }) {
+    const web3 = tokenRegistry.getWeb3(chainId);
+    const { decimals } = await tokenRegistry.getToken(chainId, token);
+    const contract = new web3.eth.Contract(ERC20_SUPPLY_ABI, token);
+    return normalize(await contract.methods.totalSupply().call(), decimals);
+  }
+
+  // Raise a supply_deficit anomaly for an asset, unless one is already open
+  async raiseDeficit(assetId, supply, source, chainTotals) {
+    const existing = await AnomalyOperations.findOpenForAsset(assetId, 'supply_deficit');
+    if (existing) {
+      return existing;
+    }
+
+    const deficit = supply.mintedSupply - supply.backing;
+    const chainId = this.getOriginChain(assetId, chainTotals);
+    const networkName = chainRegistry.getNetworkName(chainId);
+    const data = {
+      assetId,
+      ...SupplyMonitor.format(supply),
+      deficit: formatUnits(deficit),
+      deficitBps: toBps(deficit, supply.mintedSupply),
+      supplySource: source
+    };
+
+    const title = `${assetId.toUpperCase()} minted supply exceeds its backing`;
+    const description = `${data.mintedSupply} ${assetId.toUpperCase()} minted on wrapped chains is backed by only ${data.backing} locked ` +
+      `(short ${data.deficit}, ${data.deficitBps} bps) according to ${source === 'onchain' ? 'on-chain balances' : 'recorded bridge events'}`;
+
+    const anomaly = await AnomalyOperations.create({
+      type: 'supply_deficit',
+      severity: 'critical',
+      status: 'active',
+      chainId,
+      networkName,
+      title,
+      description,
+      anomalyData: data,
+      detectionRule: 'supply_conservation',
+      confidence: source === 'onchain' ? 0.95 : 0.9
+    });
+
+    logger.warn(`Supply deficit for ${assetId}: ${description}`);
+
+    await this.alertSystem.sendAlert({
+      type: 'anomaly_detected',
+      severity: AnomalyDetector.toAlertSeverity(anomaly.severity),
+      title,
+      message: description,
+      anomalyId: anomaly._id,
+      chainId,
+      networkName,
+      details: {
+        anomalyType: anomaly.type,
+        ...data
+      }
+    });
+
+    return anomaly;
+  }
+
+  // Close an asset's open supply_deficit anomaly and its alerts once it is covered again
+  async resolveDeficit(assetId, supply) {
+    const anomaly = await AnomalyOperations.findOpenForAsset(assetId, 'supply_deficit');
+    if (!anomaly) {
+      return;
+    }
+
+    const notes = `Backing (${formatUnits(supply.backing)}) covers minted supply (${formatUnits(supply.mintedSupply)}) again`;
+    await AnomalyOperations.resolve(anomaly._id, 'system', notes);
+    const alerts = await AlertOperations.resolveForAnomaly(anomaly._id, 'system', notes);
+
+    logger.info(`Supply deficit resolved for ${assetId}: ${notes}`);
+
+    this.alertSystem.emitRealTimeUpdate('supply_restored', {
+      anomalyId: anomaly._id,
+      assetId,
+      resolvedAlerts: alerts.length,
+      resolvedAt: new Date()
+    });
+  }
+
+  // Chain the asset's collateral lives on: the first configured escrow, else the chain with the most locked,
+  // else (for an on-chain check of minted supply alone) the first wrapped chain
+  getOriginChain(assetId, chainTotals) {
+    const check = (this.config.onChain || {})[assetId];
+    if (check && check.collateral && check.collateral.length > 0) {
+      return check.collateral[0].chainId;
+    }
+
+    const [origin] = [...chainTotals].sort((a, b) => (b.locked > a.locked ? 1 : b.locked < a.locked ? -1 : 0));
+    return origin ? origin.chainId : check.minted[0].chainId;
+  }
+
+  // Group per-chain event totals by asset: assetId -> chainId -> normalized totals
+  static groupTotals(rows) {
+    const assets = new Map();
+
+    for (const row of rows) {
+      if (!assets.has(row.canonicalAssetId)) {
+        assets.set(row.canonicalAssetId, new Map());
+      }
+
+      const chains = assets.get(row.canonicalAssetId);
+      if (!chains.has(row.chainId)) {
+        chains.set(row.chainId, { chainId: row.chainId, locked: 0n, unlocked: 0n, minted: 0n, burned: 0n });
+      }
+      chains.get(row.chainId)[EVENT_FIELDS[row.eventType]] += parseUnits(row.total);
+    }
+
+    return assets;
+  }
+
+  // Supply figures as token-unit strings for storage
+  static format({ backing, mintedSupply }) {
+    return {
+      backing: formatUnits(backing),
+      mintedSupply: formatUnits(mintedSupply),
+      surplus: formatUnits(backing - mintedSupply),
+      // Four decimal places; null while nothing is minted
+      coverageRatio: mintedSupply > 0n ? Number((backing * 10000n) / mintedSupply) / 10000 : null
+    };
+  }
+
+  // Get supply monitor statistics
+  getStats() {
+    return {
+      isChecking: this.isChecking,
+      checkIntervalMs: this.config.checkIntervalMs,
+      toleranceBps: this.config.toleranceBps,
+      onChainAssets: Object.keys(this.config.onChain || {}),
+      lastCheckAt: this.lastCheckAt
+    };
+  }
+}
+
+module.exports = SupplyMonitor;
@@ -0,0 +1,204 @@
+const { TransactionOperations, AnomalyOperations, AlertOperations } = require('../db/operations');
+const AnomalyDetector = require('./AnomalyDetector');
+const { isOutbound } = require('../bridges');
+const config = require('../config/default');
+const transferTracker = require('../services/transferTracker');
+const eventBus = require('../utils/eventBus');
+const logger = require('../utils/logger');
+
+const SEVERITY_RANK = ['low', 'medium', 'high', 'critical'];
+
+// Periodically checks unmatched source legs against their route's SLA. The first
+// breach marks the transfer timed out and raises a bridge_timeout anomaly; staying
+// overdue escalates it through the configured tiers. If the destination leg turns
+// up late, the anomaly and its alerts are resolved. Each leg carries the deadline of
+// its next check (set when it's stored, moved on after every check), so only legs
+// that are due are loaded.
+class TimeoutMonitor {
+  constructor(alertSystem) {
+    this.alertSystem = alertSystem;
+    this.config = config.anomalyRules.bridgeTimeout;
+    this.checkInterval = null;
+    this.isChecking = false;
+    this.lastCheckAt = null;
+
+    this.onTransactionStored = transaction => this.schedule(transaction).catch(error => {
+      logger.error(`Error scheduling timeout check for ${transaction.txHash}:`, error);
+    });
+    this.onTransactionMatched = source => this.resolveTimeout(source).catch(error => {
+      logger.error(`Error resolving timeout for ${source.txHash}:`, error);
+    });
+  }
+
+  // Subscribe to stored legs and matches and schedule the checks
+  start() {
+    if (!this.config.enabled) {
+      logger.info('Bridge timeout monitor disabled');
+      return;
+    }
+
+    eventBus.on('transaction:stored', this.onTransactionStored);
+    eventBus.on('transaction:matched', this.onTransactionMatched);
+
+    this.checkInterval = setInterval(async () => {
+      if (!this.isChecking) {
+        await this.checkForTimeouts();
+      }
+    }, this.config.checkIntervalMs);
+
+    logger.info(`Bridge timeout monitor started (check every ${this.config.checkIntervalMs / 1000}s, default SLA ${this.config.timeoutMs / 60000} minutes)`);
+  }
+
+  // Stop the checks
+  stop() {
+    eventBus.off('transaction:stored', this.onTransactionStored);
+    eventBus.off('transaction:matched', this.onTransactionMatched);
+
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+    logger.info('Bridge timeout monitor stopped');
+  }
+
+  // Evaluate every source leg whose deadline has come
+  async checkForTimeouts() {
+    this.isChecking = true;
+
+    try {
+      const candidates = await TransactionOperations.findTimeoutCandidates(
+        new Date(),
+        this.getFinalSeverity(),
+        this.config.batchSize
+      );
+
+      for (const transaction of candidates) {
+        await this.evaluate(transaction);
+      }
+
+      this.lastCheckAt = new Date();
+    } catch (error) {
+      logger.error('Error checking for timeouts:', error);
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  // Give a newly stored source leg the deadline of its first check
+  async schedule(transaction) {
+    if (!isOutbound(transaction)) {
+      return;
+    }
+    await TransactionOperations.setTimeoutDeadline(transaction._id, this.getNextDeadline(transaction));
+  }
+
+  // Check one source leg, then move its deadline on to the next escalation tier
+  async evaluate(transaction, now = Date.now()) {
+    try {
+      const result = await this.alertSystem.anomalyDetector.detectBridgeTimeout(transaction, now);
+      if (result && TimeoutMonitor.rank(result.severity) > TimeoutMonitor.rank(transaction.timeoutSeverity)) {
+        await this.escalate(transaction, result);
+      }
+
+      await TransactionOperations.setTimeoutDeadline(transaction._id, this.getNextDeadline(transaction, now));
+    } catch (error) {
+      logger.error(`Error evaluating timeout for ${transaction.txHash}:`, error);
+    }
+  }
+
+  // Raise or escalate the timeout of one source leg
+  async escalate(transaction, result) {
+    const firstBreach = !transaction.timeoutSeverity;
+    await TransactionOperations.markAsTimeout(transaction._id, result.severity);
+
+    if (firstBreach) {
+      await transferTracker.markTimeout(transaction, `No destination leg within the ${result.data.slaMs / 60000} minute SLA`);
+      await this.alertSystem.anomalyDetector.createAnomaly(result, transaction);
+      return;
+    }
+
+    const anomaly = await AnomalyOperations.findOpenForTransaction(transaction._id, 'bridge_timeout');
+    if (anomaly) {
+      await AnomalyOperations.updateSeverity(anomaly._id, result.severity);
+    }
+
+    await this.alertSystem.sendAlert({
+      type: 'bridge_timeout',
+      severity: AnomalyDetector.toAlertSeverity(result.severity),
+      title: result.title,
+      message: `Transaction ${transaction.txHash}: ${result.description}`,
+      anomalyId: anomaly ? anomaly._id : null,
+      transactionId: transaction._id,
+      chainId: transaction.chainId,
+      networkName: transaction.networkName,
+      details: {
+        transactionHash: transaction.txHash,
+        amount: transaction.amountFormatted,
+        token: transaction.tokenSymbol,
+        targetChain: transaction.targetChainId,
+        ...result.data
+      }
+    });
+  }
+
+  // Close the timeout anomaly and its alerts once a late destination leg is matched
+  async resolveTimeout(source) {
+    if (!source.timeoutSeverity) {
+      return;
+    }
+
+    const anomaly = await AnomalyOperations.findOpenForTransaction(source._id, 'bridge_timeout');
+    if (!anomaly) {
+      return;
+    }
+
+    const lateByMinutes = Math.round((Date.now() - anomaly.detectedAt.getTime()) / 60000);
+    const notes = `Destination leg matched ${lateByMinutes} minutes after the timeout was raised`;
+    await AnomalyOperations.resolve(anomaly._id, 'system', notes);
+    const alerts = await AlertOperations.resolveForAnomaly(anomaly._id, 'system', notes);
+
+    logger.info(`Bridge timeout resolved for ${source.txHash}: ${notes}`);
+
+    this.alertSystem.emitRealTimeUpdate('timeout_resolved', {
+      anomalyId: anomaly._id,
+      transactionId: source._id,
+      transactionHash: source.txHash,
+      severity: source.timeoutSeverity,
+      resolvedAlerts: alerts.length,
+      resolvedAt: new Date()
+    });
+  }
+
+  // When a source leg is next due a check: the deadline of the first escalation tier
+  // still ahead of it, null if it's past them all
+  getNextDeadline(transaction, now = Date.now()) {
+    const deadlines = this.config.escalation
+      .map(tier => this.alertSystem.anomalyDetector.getTimeoutDeadline(transaction, tier.multiplier).getTime())
+      .filter(deadline => deadline > now);
+    return deadlines.length > 0 ? new Date(Math.min(...deadlines)) : null;
+  }
+
+  // Highest configured tier; legs that reached it have nothing left to escalate
+  getFinalSeverity() {
+    const tiers = [...this.config.escalation].sort((a, b) => b.multiplier - a.multiplier);
+    return tiers.length > 0 ? tiers[0].severity : null;
+  }
+
+  // Order of an anomaly severity, -1 for none
+  static rank(severity) {
+    return SEVERITY_RANK.indexOf(severity);
+  }
+
+  // Get timeout monitor statistics
+  getStats() {
+    return {
+      isChecking: this.isChecking,
+      checkIntervalMs: this.config.checkIntervalMs,
+      defaultSlaMs: this.config.timeoutMs,
+      routeSlas: this.config.routes,
+      lastCheckAt: this.lastCheckAt
+    };
+  }
+}
+
+module.exports = TimeoutMonitor;
@@ -1,50 +1,182 @@
 const { TransactionOperations } = require('../db/operations');
+const { isOutbound } = require('../bridges');
+const { compareLegs } = require('../bridges/feeSchedule');
+const { transactionAmount, applyBps } = require('../utils/amounts');
+const config = require('../config/default');
+const chainRegistry = require('../config/chainRegistry');
+const tokenRegistry = require('../services/tokenRegistry');
+const transferTracker = require('../services/transferTracker');
+const eventBus = require('../utils/eventBus');
 const logger = require('../utils/logger');
+const MatchScorer = require('./MatchScorer');
 
+// Matches source and destination legs of cross-chain transfers. Every stored or
+// newly confirmed event is matched as it arrives (via the event bus); unmatched legs
+// with a bridgeId are kept in an in-memory index so their counterpart is found
+// without scanning. A slow sweep over older unmatched events is the safety net.
+// Among valid counterparts the highest-scoring one wins (see MatchScorer).
 class TransactionMatcher {
   constructor(alertSystem) {
     this.alertSystem = alertSystem;
-    this.matchingInterval = null;
+    this.config = config.matching;
+    this.sweepInterval = null;
     this.isMatching = false;
-    this.matchingIntervalMs = 30000; // 30 seconds
+    this.amountToleranceBps = this.config.amountToleranceBps;
+    this.scorer = new MatchScorer(alertSystem.finalityMetrics);
+    this.pendingByBridgeId = new Map(); // bridgeId -> Map(transactionId -> timestamp) of unmatched legs
+    this.queue = Promise.resolve(); // Match attempts run one at a time so no leg is matched twice
+    this.lastSweepAt = null;
+
+    this.onTransactionReady = transaction => this.enqueue(() => this.handleTransaction(transaction));
+    this.onTransactionReorged = (transaction, counterpart) => this.enqueue(() => this.handleReorged(transaction, counterpart));
   }
 
-  // Start the transaction matching process
-  start() {
-    this.matchingInterval = setInterval(async () => {
+  // Subscribe to new events, index pending legs and schedule the sweep
+  async start() {
+    eventBus.on('transaction:stored', this.onTransactionReady);
+    eventBus.on('transaction:confirmed', this.onTransactionReady);
+    eventBus.on('transaction:reorged', this.onTransactionReorged);
+
+    await this.loadPending();
+    await this.scorer.refreshRouteNorms(this.config.sweepLookbackMs);
+
+    this.sweepInterval = setInterval(async () => {
       if (!this.isMatching) {
         await this.performMatching();
       }
-    }, this.matchingIntervalMs);
+    }, this.config.sweepIntervalMs);
 
-    logger.info('Transaction matcher started');
+    logger.info(`Transaction matcher started (sweep every ${this.config.sweepIntervalMs / 60000} minutes over ${this.config.sweepLookbackMs / 3600000} hours)`);
   }
 
   // Stop the transaction matching process
   stop() {
-    if (this.matchingInterval) {
-      clearInterval(this.matchingInterval);
-      this.matchingInterval = null;
+    eventBus.off('transaction:stored', this.onTransactionReady);
+    eventBus.off('transaction:confirmed', this.onTransactionReady);
+    eventBus.off('transaction:reorged', this.onTransactionReorged);
+
+    if (this.sweepInterval) {
+      clearInterval(this.sweepInterval);
+      this.sweepInterval = null;
     }
     logger.info('Transaction matcher stopped');
   }
 
-  // Perform transaction matching
+  // Run a task on the match queue, behind the attempts already running, and hand its
+  // result (or error) back to the caller
+  runExclusive(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  // Queue a match attempt behind the ones already running
+  enqueue(task) {
+    return this.runExclusive(task).catch(error => {
+      logger.error('Error in queued match attempt:', error);
+    });
+  }
+
+  // Index unmatched legs with a bridgeId from within the sweep lookback
+  async loadPending() {
+    try {
+      const pending = await TransactionOperations.findPendingBridgeLegs(new Date(Date.now() - this.config.sweepLookbackMs));
+      pending.forEach(transaction => this.indexPending(transaction));
+      logger.info(`Indexed ${pending.length} unmatched bridge legs across ${this.pendingByBridgeId.size} bridge IDs`);
+    } catch (error) {
+      logger.error('Error loading pending bridge legs:', error);
+    }
+  }
+
+  // Track an unmatched leg under its bridgeId
+  indexPending(transaction) {
+    if (!transaction.bridgeId) {
+      return;
+    }
+    if (!this.pendingByBridgeId.has(transaction.bridgeId)) {
+      this.pendingByBridgeId.set(transaction.bridgeId, new Map());
+    }
+    this.pendingByBridgeId.get(transaction.bridgeId).set(transaction._id.toString(), new Date(transaction.timestamp).getTime());
+  }
+
+  // Stop tracking a leg that was matched or rolled back
+  unindexPending(transaction) {
+    const legs = transaction.bridgeId && this.pendingByBridgeId.get(transaction.bridgeId);
+    if (!legs) {
+      return;
+    }
+    legs.delete(transaction._id.toString());
+    if (legs.size === 0) {
+      this.pendingByBridgeId.delete(transaction.bridgeId);
+    }
+  }
+
+  // Forget indexed legs older than the lookback; the sweep no longer reaches them either
+  prunePending() {
+    const cutoff = Date.now() - this.config.sweepLookbackMs;
+    for (const [bridgeId, legs] of this.pendingByBridgeId) {
+      for (const [transactionId, timestamp] of legs) {
+        if (timestamp < cutoff) {
+          legs.delete(transactionId);
+        }
+      }
+      if (legs.size === 0) {
+        this.pendingByBridgeId.delete(bridgeId);
+      }
+    }
+  }
+
+  // Unmatched legs sharing a transaction's bridgeId
+  async getPendingCounterparts(transaction) {
+    const legs = this.pendingByBridgeId.get(transaction.bridgeId);
+    if (!legs) {
+      return [];
+    }
+
+    const ids = Array.from(legs.keys()).filter(id => id !== transaction._id.toString());
+    return ids.length ? TransactionOperations.findByIds(ids) : [];
+  }
+
+  // Try to match a stored or newly confirmed event right away
+  async handleTransaction(transaction) {
+    // The queued copy may be stale by the time its turn comes
+    const current = await TransactionOperations.findById(transaction._id);
+    if (!current || current.isMatched || current.status === 'reorged') {
+      if (current) {
+        this.unindexPending(current);
+      }
+      return;
+    }
+
+    this.indexPending(current);
+    if (this.isConfirmed(current)) {
+      await this.findMatchForTransaction(current);
+    }
+  }
+
+  // Drop a rolled-back leg and give its former counterpart another chance to match
+  async handleReorged(transaction, counterpart) {
+    this.unindexPending(transaction);
+    if (counterpart) {
+      await this.handleTransaction(counterpart);
+    }
+  }
+
+  // Sweep unmatched events within the lookback, catching anything the event path missed
   async performMatching() {
     this.isMatching = true;
 
     try {
-      logger.debug('Starting transaction matching cycle');
-
-      // Get unmatched transactions from all chains
-      const networks = [1, 137, 56]; // Ethereum, Polygon, BSC
-      const maxAge = 60 * 60 * 1000; // 1 hour
+      logger.debug('Starting transaction matching sweep');
+      this.prunePending();
+      await this.scorer.refreshRouteNorms(this.config.sweepLookbackMs);
 
-      for (const chainId of networks) {
-        await this.matchTransactionsForChain(chainId, maxAge);
+      for (const chainId of chainRegistry.getChainIds()) {
+        await this.matchTransactionsForChain(chainId, this.config.sweepLookbackMs);
       }
 
-      logger.debug('Transaction matching cycle completed');
+      this.lastSweepAt = new Date();
+      logger.debug('Transaction matching sweep completed');
     } catch (error) {
       logger.error('Error in transaction matching:', error);
     } finally {
@@ -60,7 +192,7 @@ class TransactionMatcher {
       logger.debug(`Found ${unmatchedTransactions.length} unmatched transactions for chain ${chainId}`);
 
       for (const transaction of unmatchedTransactions) {
-        await this.findMatchForTransaction(transaction);
+        await this.enqueue(() => this.handleTransaction(transaction));
       }
     } catch (error) {
       logger.error(`Error matching transactions for chain ${chainId}:`, error);
@@ -83,13 +215,17 @@ class TransactionMatcher {
 
       // Look for matching transaction by bridgeId
       if (transaction.bridgeId) {
-        const potentialMatches = await TransactionOperations.findByBridgeId(transaction.bridgeId);
+        const potentialMatches = await this.getPendingCounterparts(transaction);
         
-        for (const potentialMatch of potentialMatches) {
-          if (await this.isValidMatch(transaction, potentialMatch)) {
-            await this.matchTransactions(transaction, potentialMatch);
-            return;
-          }
+        const best = await this.findBestMatch(transaction, potentialMatches);
+        if (best) {
+          await this.matchTransactions(transaction, best.transaction, best, 'bridgeId');
+          return;
+        }
+
+        // The destination may be paid out over several legs
+        if (await this.matchPartialLegs(transaction, potentialMatches)) {
+          return;
         }
       }
 
@@ -100,6 +236,57 @@ class TransactionMatcher {
     }
   }
 
+  // Highest-scoring valid counterpart among candidates, if it scores high enough to match automatically
+  async findBestMatch(transaction, candidates) {
+    let best = null;
+    for (const candidate of candidates) {
+      if (candidate.isMatched || !await this.isValidMatch(transaction, candidate)) {
+        continue;
+      }
+      const scored = this.scorer.score(transaction, candidate);
+      if (!best || scored.score > best.score) {
+        best = { transaction: candidate, ...scored };
+      }
+    }
+
+    if (best && best.score < this.config.minScore) {
+      logger.debug(`Best candidate for ${transaction.txHash} scored ${best.score}, below the ${this.config.minScore} needed to match`);
+      return null;
+    }
+    return best;
+  }
+
+  // Rank the possible counterparts of a transaction by score, for operator review
+  async getMatchCandidates(transaction, limit = 20) {
+    const eventTypes = this.getMatchingEventTypes(transaction.eventType);
+    if (!eventTypes.length) {
+      return [];
+    }
+
+    const candidates = await TransactionOperations.findMatchCandidates(transaction, eventTypes, this.config.fuzzyWindowMs, 100);
+    const matchedId = transaction.matchedTransactionId ? transaction.matchedTransactionId.toString() : null;
+    if (matchedId && !candidates.some(candidate => candidate._id.toString() === matchedId)) {
+      const counterpart = await TransactionOperations.findById(matchedId);
+      if (counterpart) {
+        candidates.push(counterpart);
+      }
+    }
+
+    const ranked = [];
+    for (const candidate of candidates) {
+      const isCurrentMatch = candidate._id.toString() === matchedId;
+      ranked.push({
+        transaction: candidate,
+        ...this.scorer.score(transaction, candidate),
+        isCurrentMatch,
+        // Whether the pair passes the matcher's hard checks (a current match always did)
+        valid: isCurrentMatch || await this.isValidMatch(transaction, candidate)
+      });
+    }
+
+    return ranked.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+
   // Get matching event types
   getMatchingEventTypes(eventType) {
     const matchingMap = {
@@ -111,8 +298,9 @@ class TransactionMatcher {
     return matchingMap[eventType] || [];
   }
 
-  // Check if two transactions are a valid match
-  async isValidMatch(tx1, tx2) {
+  // Check if two transactions are a valid match. With `partial`, tx2 may carry only
+  // part of the transfer's amount (checked against the whole transfer by the caller).
+  async isValidMatch(tx1, tx2, { partial = false } = {}) {
     try {
       // Can't match with itself
       if (tx1._id.toString() === tx2._id.toString()) {
@@ -124,6 +312,21 @@ class TransactionMatcher {
         return false;
       }
 
+      // Events from orphaned blocks can never be part of a match
+      if (tx1.status === 'reorged' || tx2.status === 'reorged') {
+        return false;
+      }
+
+      // Only confirmed events take part in matching
+      if (!this.isConfirmed(tx1) || !this.isConfirmed(tx2)) {
+        return false;
+      }
+
+      // An operator split these legs apart before
+      if (tx1.rejects(tx2._id) || tx2.rejects(tx1._id)) {
+        return false;
+      }
+
       // Must be different chains
       if (tx1.chainId === tx2.chainId) {
         return false;
@@ -146,13 +349,13 @@ class TransactionMatcher {
       }
 
       // Amount should be similar (within tolerance)
-      if (!this.areAmountsSimilar(tx1.amountFormatted, tx2.amountFormatted)) {
+      if (!partial && !this.areAmountsSimilar(tx1, tx2)) {
         return false;
       }
 
-      // Time difference should be reasonable (within 1 hour)
-      const timeDiff = Math.abs(tx1.timestamp - tx2.timestamp);
-      if (timeDiff > 60 * 60 * 1000) {
+      // Legs without a shared bridgeId must be close in time; a shared bridgeId ties them however late
+      const sharesBridgeId = tx1.bridgeId && tx1.bridgeId === tx2.bridgeId;
+      if (!sharesBridgeId && Math.abs(tx1.timestamp - tx2.timestamp) > this.config.fuzzyWindowMs) {
         return false;
       }
 
@@ -168,31 +371,31 @@ class TransactionMatcher {
     }
   }
 
-  // Check if tokens are equivalent across chains
-  areTokensEquivalent(tx1, tx2) {
-    // Simple symbol comparison - in production, this would use a token mapping database
-    return tx1.tokenSymbol === tx2.tokenSymbol;
+  // Check if a transaction has reached the network's confirmation depth
+  isConfirmed(transaction) {
+    return ['confirmed', 'finalized'].includes(transaction.confirmationStatus);
   }
 
-  // Check if amounts are similar (within 1% tolerance)
-  areAmountsSimilar(amount1, amount2, tolerance = 0.01) {
-    if (amount1 === 0 && amount2 === 0) return true;
-    if (amount1 === 0 || amount2 === 0) return false;
-
-    const diff = Math.abs(amount1 - amount2);
-    const average = (amount1 + amount2) / 2;
-    const percentDiff = diff / average;
+  // Check if tokens are deployments of the same canonical asset (symbols alone can be spoofed)
+  areTokensEquivalent(tx1, tx2) {
+    return tokenRegistry.areEquivalent(tx1, tx2);
+  }
 
-    return percentDiff <= tolerance;
+  // Check if the legs' exact amounts agree once the bridge's fee is taken into account
+  areAmountsSimilar(tx1, tx2) {
+    return compareLegs(tx1, tx2, this.amountToleranceBps).withinTolerance;
   }
 
   // Check if it's a valid cross-chain pair
   isValidCrossChainPair(tx1, tx2) {
-    // Check if target chain matches source chain
-    if (tx1.targetChainId && tx1.targetChainId !== tx2.chainId) {
+    const [outbound, inbound] = isOutbound(tx1) ? [tx1, tx2] : [tx2, tx1];
+
+    // The source leg must be headed to the chain the destination leg landed on
+    if (outbound.targetChainId && outbound.targetChainId !== inbound.chainId) {
       return false;
     }
-    if (tx2.targetChainId && tx2.targetChainId !== tx1.chainId) {
+    // and the destination leg must name the chain the source leg left from
+    if (inbound.sourceChainId && inbound.sourceChainId !== outbound.chainId) {
       return false;
     }
 
@@ -205,45 +408,114 @@ class TransactionMatcher {
       const matchingEventTypes = this.getMatchingEventTypes(transaction.eventType);
       if (!matchingEventTypes.length) return;
 
-      // Search for potential matches in other chains
-      const searchCriteria = {
-        tokenSymbol: transaction.tokenSymbol,
-        amountFormatted: transaction.amountFormatted,
-        startDate: new Date(transaction.timestamp.getTime() - 30 * 60 * 1000), // 30 minutes before
-        endDate: new Date(transaction.timestamp.getTime() + 30 * 60 * 1000), // 30 minutes after
-        limit: 20
-      };
-
-      // Search in other chains
-      const otherChains = [1, 137, 56].filter(chainId => chainId !== transaction.chainId);
-      
-      for (const chainId of otherChains) {
-        const potentialMatches = await TransactionOperations.getPaginated({
-          ...searchCriteria,
-          chainId
-        });
+      // Same-asset legs of the opposite kind on other chains, close in time
+      const candidates = await TransactionOperations.findMatchCandidates(
+        transaction,
+        matchingEventTypes,
+        this.config.fuzzyWindowMs
+      );
 
-        for (const potentialMatch of potentialMatches.transactions) {
-          if (matchingEventTypes.includes(potentialMatch.eventType) && 
-              await this.isValidMatch(transaction, potentialMatch)) {
-            
-            // Lower confidence for fuzzy matches
-            await this.matchTransactions(transaction, potentialMatch, 0.7);
-            return;
-          }
-        }
+      const best = await this.findBestMatch(transaction, candidates);
+      if (best) {
+        await this.matchTransactions(transaction, best.transaction, best, 'fuzzy');
       }
     } catch (error) {
       logger.error('Error in fuzzy matching:', error);
     }
   }
 
-  // Match two transactions
-  async matchTransactions(tx1, tx2, confidence = 0.9) {
+  // Fee-adjusted amount comparison stored on both legs of a match
+  getMatchDetails(tx1, tx2, { score, features }) {
+    const { expectedAmount, feeAmount, deviation, deviationBps } = compareLegs(tx1, tx2, this.amountToleranceBps);
+    return { expectedAmount, feeAmount, deviation, deviationBps, confidence: score, scoreBreakdown: features };
+  }
+
+  // Link destination legs that each pay out part of a transfer. Only legs sharing the
+  // source's bridgeId qualify, and together they may not deliver more than the
+  // transfer still owes. The source is matched once the legs add up.
+  async matchPartialLegs(transaction, candidates) {
+    try {
+      const source = isOutbound(transaction)
+        ? transaction
+        : candidates.find(candidate => isOutbound(candidate) && candidate.status !== 'reorged');
+      if (!source || source.isMatched) {
+        return false;
+      }
+
+      const legs = [];
+      for (const candidate of candidates) {
+        if (!isOutbound(candidate) && !candidate.isMatched &&
+            await this.isValidMatch(source, candidate, { partial: true })) {
+          legs.push(candidate);
+        }
+      }
+      if (!legs.length) {
+        return false;
+      }
+
+      const transfer = await transferTracker.open(source);
+      const delivered = legs.reduce((sum, leg) => sum + transactionAmount(leg), 0n);
+      const allowance = applyBps(transactionAmount(source), this.amountToleranceBps);
+      if (delivered > transferTracker.getOutstanding(transfer) + allowance) {
+        return false;
+      }
+
+      // Split payouts are tied by bridgeId alone, so each leg is scored without its amount
+      let updated = transfer;
+      for (const leg of legs) {
+        const { score, features } = this.scorer.score(source, leg, { partial: true });
+        updated = await transferTracker.addDestination(source, leg, { method: 'bridgeId', confidence: score });
+        if (!updated) {
+          return false;
+        }
+        await TransactionOperations.markMatched(leg, source._id, this.getTransferDetails(updated, score, features));
+        this.unindexPending(leg);
+      }
+
+      if (updated.status === 'completed') {
+        await TransactionOperations.markMatched(source, legs[0]._id, this.getTransferDetails(updated, updated.matchConfidence));
+        this.unindexPending(source);
+        eventBus.emit('transaction:matched', source, legs[0], updated);
+      }
+
+      logger.info(`Transfer ${source.txHash} (${source.networkName}) ${updated.status}: ${updated.receivedAmount} of ${updated.expectedAmount} ${source.tokenSymbol} over ${updated.destinations.length} legs`);
+
+      if (this.alertSystem) {
+        this.alertSystem.emitRealTimeUpdate('transfer_updated', updated);
+      }
+      return true;
+    } catch (error) {
+      logger.error(`Error matching partial legs for transaction ${transaction.txHash}:`, error);
+      return false;
+    }
+  }
+
+  // Transfer-level amounts stored on each leg of a split payout
+  getTransferDetails(transfer, confidence, scoreBreakdown = null) {
+    return {
+      expectedAmount: transfer.expectedAmount,
+      feeAmount: transfer.feeAmount,
+      deviation: transfer.deviation,
+      deviationBps: transfer.deviationBps,
+      confidence,
+      scoreBreakdown
+    };
+  }
+
+  // Match two transactions, given their score ({ score, features }) from the scorer
+  async matchTransactions(tx1, tx2, scored, method = 'bridgeId') {
     try {
-      await TransactionOperations.matchTransactions(tx1, tx2);
+      const confidence = scored.score;
+      const matchDetails = this.getMatchDetails(tx1, tx2, scored);
+      await TransactionOperations.matchTransactions(tx1, tx2, matchDetails);
+      this.unindexPending(tx1);
+      this.unindexPending(tx2);
+
+      const [source, destination] = isOutbound(tx1) ? [tx1, tx2] : [tx2, tx1];
+      const transfer = await transferTracker.addDestination(source, destination, { method, confidence });
+      eventBus.emit('transaction:matched', source, destination, transfer);
       
-      logger.info(`Transactions matched: ${tx1.txHash} (${tx1.networkName}) <-> ${tx2.txHash} (${tx2.networkName})`);
+      logger.info(`Transactions matched: ${tx1.txHash} (${tx1.networkName}) <-> ${tx2.txHash} (${tx2.networkName}), score ${confidence}`);
 
       // Emit real-time update
       if (this.alertSystem) {
@@ -261,24 +533,31 @@ class TransactionMatcher {
             token: tx2.tokenSymbol
           },
           confidence: confidence,
+          needsReview: confidence < this.config.reviewThreshold,
+          matchMethod: method,
+          transferId: transfer ? transfer._id : null,
+          expectedAmount: matchDetails.expectedAmount,
+          feeAmount: matchDetails.feeAmount,
+          deviation: matchDetails.deviation,
           matchedAt: new Date()
         });
       }
 
-      // Send success alert for high-value matches
-      if (tx1.amountFormatted > 10000 || tx2.amountFormatted > 10000) {
+      // Send success alert for high-value matches, valued in USD at the source's event time
+      if (this.isHighValueTransaction(source.amountUsd)) {
         await this.alertSystem.sendAlert({
           type: 'bridge_success',
           severity: 'info',
           title: 'High-Value Bridge Transaction Completed',
-          message: `Cross-chain transaction successfully matched: ${tx1.amountFormatted} ${tx1.tokenSymbol}`,
+          message: `Cross-chain transaction successfully matched: ${source.amountFormatted} ${source.tokenSymbol} ($${source.amountUsd.toLocaleString()})`,
           details: {
-            sourceHash: tx1.txHash,
-            targetHash: tx2.txHash,
-            sourceNetwork: tx1.networkName,
-            targetNetwork: tx2.networkName,
-            amount: tx1.amountFormatted,
-            token: tx1.tokenSymbol,
+            sourceHash: source.txHash,
+            targetHash: destination.txHash,
+            sourceNetwork: source.networkName,
+            targetNetwork: destination.networkName,
+            amount: source.amountFormatted,
+            amountUsd: source.amountUsd,
+            token: source.tokenSymbol,
             confidence: confidence
           }
         });
@@ -288,59 +567,19 @@ class TransactionMatcher {
     }
   }
 
-  // Check for timeout transactions and mark them
-  async checkForTimeouts() {
-    try {
-      const timeoutMs = 30 * 60 * 1000; // 30 minutes
-      const cutoffTime = new Date(Date.now() - timeoutMs);
-
-      // Find old unmatched transactions
-      const networks = [1, 137, 56];
-      
-      for (const chainId of networks) {
-        const oldTransactions = await TransactionOperations.getPaginated({
-          chainId,
-          status: 'pending',
-          isMatched: false,
-          endDate: cutoffTime,
-          limit: 100
-        });
-
-        for (const transaction of oldTransactions.transactions) {
-          // Only timeout outgoing transactions (Lock/Burn)
-          if (['Lock', 'Burn'].includes(transaction.eventType)) {
-            await TransactionOperations.markAsTimeout(transaction._id);
-            
-            // Send timeout alert
-            await this.alertSystem.sendAlert({
-              type: 'bridge_timeout',
-              severity: 'high',
-              title: 'Bridge Transaction Timeout',
-              message: `Transaction ${transaction.txHash} has timed out after ${timeoutMs / (60 * 1000)} minutes`,
-              transactionId: transaction._id,
-              chainId: transaction.chainId,
-              networkName: transaction.networkName,
-              details: {
-                transactionHash: transaction.txHash,
-                amount: transaction.amountFormatted,
-                token: transaction.tokenSymbol,
-                targetChain: transaction.targetChainId,
-                timeoutDuration: Date.now() - transaction.timestamp.getTime()
-              }
-            });
-          }
-        }
-      }
-    } catch (error) {
-      logger.error('Error checking for timeouts:', error);
-    }
+  // Check if a transfer is high value; unpriced transfers aren't
+  isHighValueTransaction(amountUsd) {
+    return amountUsd !== null && amountUsd !== undefined && amountUsd >= this.config.highValueUsd;
   }
 
   // Get matching statistics
   getStats() {
     return {
       isMatching: this.isMatching,
-      matchingInterval: this.matchingIntervalMs
+      sweepIntervalMs: this.config.sweepIntervalMs,
+      sweepLookbackMs: this.config.sweepLookbackMs,
+      lastSweepAt: this.lastSweepAt,
+      pendingBridgeIds: this.pendingByBridgeId.size
     };
   }
 }
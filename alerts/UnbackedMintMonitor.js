@@ -0,0 +1,210 @@
+const { TransactionOperations, AnomalyOperations, AlertOperations, IncidentOperations } = require('../db/operations');
+const AnomalyDetector = require('./AnomalyDetector');
+const config = require('../config/default');
+const chainRegistry = require('../config/chainRegistry');
+const eventBus = require('../utils/eventBus');
+const logger = require('../utils/logger');
+
+// Periodically checks final destination legs (Mint/Unlock) for a source leg. One that
+// has none once the route's maximum latency has passed since finality is raised as an
+// unbacked_mint anomaly, weighted by its USD value, and filed under the open incident
+// of its bridge contract (opening one if needed). A source leg that turns up late
+// resolves the anomaly, and the incident once none of its anomalies are open. A leg that
+// isn't raised is put off until it's next due a check, so it doesn't hold up newer ones.
+class UnbackedMintMonitor {
+  constructor(alertSystem) {
+    this.alertSystem = alertSystem;
+    this.config = config.anomalyRules.unbackedMint;
+    this.checkInterval = null;
+    this.isChecking = false;
+    this.lastCheckAt = null;
+
+    this.onTransactionMatched = (source, destination) => this.resolveUnbacked(source, destination).catch(error => {
+      logger.error(`Error resolving unbacked mint ${destination.txHash}:`, error);
+    });
+  }
+
+  // Subscribe to matches and schedule the checks
+  start() {
+    if (!this.config.enabled) {
+      logger.info('Unbacked mint monitor disabled');
+      return;
+    }
+
+    eventBus.on('transaction:matched', this.onTransactionMatched);
+
+    this.checkInterval = setInterval(async () => {
+      if (!this.isChecking) {
+        await this.checkForUnbacked();
+      }
+    }, this.config.checkIntervalMs);
+
+    logger.info(`Unbacked mint monitor started (check every ${this.config.checkIntervalMs / 1000}s)`);
+  }
+
+  // Stop the checks
+  stop() {
+    eventBus.off('transaction:matched', this.onTransactionMatched);
+
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+    logger.info('Unbacked mint monitor stopped');
+  }
+
+  // Evaluate every destination leg that has been final for longer than the shortest latency
+  async checkForUnbacked() {
+    this.isChecking = true;
+
+    try {
+      const candidates = await TransactionOperations.findUnbackedCandidates(
+        new Date(Date.now() - this.getShortestLatency()),
+        this.config.batchSize
+      );
+
+      for (const transaction of candidates) {
+        await this.evaluate(transaction);
+      }
+
+      this.lastCheckAt = new Date();
+    } catch (error) {
+      logger.error('Error checking for unbacked mints:', error);
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  // Raise one destination leg as unbacked and file it under an incident, or put it off
+  async evaluate(transaction, now = Date.now()) {
+    try {
+      const detector = this.alertSystem.anomalyDetector;
+      const result = await detector.detectUnbackedMint(transaction, now);
+      if (!result) {
+        // Due once its max latency has passed; past that, a stored source leg is still to be matched
+        const dueAt = transaction.finalizedAt.getTime() + detector.getUnbackedMintLatency(transaction);
+        await TransactionOperations.deferUnbackedCheck(transaction._id, new Date(dueAt > now ? dueAt : now + this.config.recheckMs));
+        return;
+      }
+
+      await TransactionOperations.markAsUnbacked(transaction._id);
+      const anomaly = await this.alertSystem.anomalyDetector.createAnomaly(result, transaction);
+      if (anomaly) {
+        await this.fileIncident(anomaly, transaction, result.data.valueUsd);
+      }
+    } catch (error) {
+      logger.error(`Error evaluating unbacked mint ${transaction.txHash}:`, error);
+    }
+  }
+
+  // Add an unbacked mint to its bridge contract's open incident, or open one
+  async fileIncident(anomaly, transaction, valueUsd) {
+    const existing = await IncidentOperations.findOpen('unbacked_mint', transaction.chainId, transaction.bridgeContract);
+    if (existing) {
+      const incident = await IncidentOperations.addLeg(existing._id, anomaly, transaction, valueUsd);
+      this.alertSystem.emitRealTimeUpdate('incident_updated', incident);
+      return incident;
+    }
+
+    const priced = valueUsd !== null && valueUsd !== undefined;
+    const networkName = chainRegistry.getNetworkName(transaction.chainId);
+    const title = `Unbacked mints from ${transaction.bridgeContract} on ${networkName}`;
+    const incident = await IncidentOperations.create({
+      type: 'unbacked_mint',
+      severity: anomaly.severity,
+      title,
+      description: `Destination legs released by this contract have no source leg: ${anomaly.description}`,
+      chainId: transaction.chainId,
+      networkName,
+      contractAddress: transaction.bridgeContract,
+      anomalyIds: [anomaly._id],
+      transactionIds: [transaction._id],
+      exposureUsd: priced ? valueUsd : 0,
+      unpricedLegs: priced ? 0 : 1
+    });
+
+    logger.warn(`Incident opened for unbacked mints on ${networkName}: ${incident.incidentId}`);
+
+    await this.alertSystem.sendAlert({
+      type: 'incident_opened',
+      severity: AnomalyDetector.toAlertSeverity(incident.severity),
+      priority: anomaly.priority,
+      title,
+      message: `Incident ${incident.incidentId} opened: ${anomaly.description}`,
+      anomalyId: anomaly._id,
+      transactionId: transaction._id,
+      chainId: transaction.chainId,
+      networkName,
+      contractAddress: transaction.bridgeContract,
+      details: {
+        incidentId: incident.incidentId,
+        exposureUsd: incident.exposureUsd,
+        unpricedLegs: incident.unpricedLegs,
+        transactionHash: transaction.txHash
+      }
+    });
+
+    this.alertSystem.emitRealTimeUpdate('incident_opened', incident);
+    return incident;
+  }
+
+  // Close the unbacked_mint anomaly once a late source leg is matched to the destination,
+  // and its incident once none of the incident's anomalies are open
+  async resolveUnbacked(source, destination) {
+    if (!destination.unbackedAt) {
+      return;
+    }
+
+    const anomaly = await AnomalyOperations.findOpenForTransaction(destination._id, 'unbacked_mint');
+    if (!anomaly) {
+      return;
+    }
+
+    const notes = `Source leg ${source.txHash} on chain ${source.chainId} matched after the mint was raised as unbacked`;
+    await AnomalyOperations.resolve(anomaly._id, 'system', notes);
+    const alerts = await AlertOperations.resolveForAnomaly(anomaly._id, 'system', notes);
+
+    logger.info(`Unbacked mint resolved for ${destination.txHash}: ${notes}`);
+
+    const incident = await IncidentOperations.findByAnomaly(anomaly._id);
+    let incidentResolved = false;
+    if (incident) {
+      const { openAnomalies } = await IncidentOperations.resolveLeg(incident._id, anomaly._id, 'system', notes);
+      if (openAnomalies === 0 && incident.status !== 'resolved') {
+        await IncidentOperations.updateStatus(incident._id, 'resolved', 'system', 'Every unbacked mint in the incident found its source leg');
+        incidentResolved = true;
+      }
+    }
+
+    this.alertSystem.emitRealTimeUpdate('unbacked_mint_resolved', {
+      anomalyId: anomaly._id,
+      transactionId: destination._id,
+      transactionHash: destination.txHash,
+      incidentId: incident ? incident.incidentId : null,
+      incidentResolved,
+      resolvedAlerts: alerts.length,
+      resolvedAt: new Date()
+    });
+  }
+
+  // Shortest latency any route may get, so no candidate is missed
+  getShortestLatency() {
+    const timeout = config.anomalyRules.bridgeTimeout;
+    const fallback = this.config.maxLatencyMs || Math.min(timeout.timeoutMs, ...Object.values(timeout.routes || {}));
+    return Math.min(fallback, ...Object.values(this.config.routes || {}));
+  }
+
+  // Get unbacked mint monitor statistics
+  getStats() {
+    return {
+      isChecking: this.isChecking,
+      checkIntervalMs: this.config.checkIntervalMs,
+      defaultMaxLatencyMs: this.config.maxLatencyMs,
+      routeMaxLatencies: this.config.routes,
+      severityUsd: this.config.severityUsd,
+      lastCheckAt: this.lastCheckAt
+    };
+  }
+}
+
+module.exports = UnbackedMintMonitor;
@@ -0,0 +1,389 @@
+const { AggregateOperations } = require('../db/operations');
+const { isOutbound } = require('../bridges');
+const config = require('../config/default');
+const eventBus = require('../utils/eventBus');
+const logger = require('../utils/logger');
+
+// Histogram resolution for percentiles: bins are 10^(1/BINS_PER_DECADE) wide (about 12%)
+const BINS_PER_DECADE = 20;
+const ZERO_BIN = 'zero'; // Values <= 0 can't go on the log scale
+
+const DIMENSIONS = ['chain', 'token', 'address', 'route', 'transfer'];
+
+// Sliding-window aggregates of ingested transfers, kept in memory so anomaly rules
+// read them in O(1) per event instead of querying Mongo. Every key (a chain, token,
+// address, route or distinct transfer) holds, per configured window, a ring of time
+// buckets plus running totals: count, sum and a log-scale histogram for percentiles.
+// Expired buckets are subtracted as the window slides, and rolled-back transfers as they
+// are reorged. Keys are persisted periodically and reloaded on start.
+class WindowedAggregates {
+  constructor(options = config.aggregates) {
+    this.windows = options.windows;
+    this.dimensionWindows = options.dimensionWindows || {}; // Dimension -> window names it keeps
+    this.persistIntervalMs = options.persistIntervalMs;
+    this.entries = new Map(); // "dimension|key" -> { dimension, key, windows, dirty }
+    this.removed = new Set(); // Persisted entries that have emptied out since the last save
+    this.persistInterval = null;
+    this.isPersisting = false;
+    this.lastPersistAt = null;
+
+    this.onTransactionReorged = transaction => this.removeTransaction(transaction);
+  }
+
+  // Reload persisted aggregates, drop reorged transfers and schedule saving
+  async start() {
+    await this.load();
+
+    eventBus.on('transaction:reorged', this.onTransactionReorged);
+
+    this.persistInterval = setInterval(async () => {
+      if (!this.isPersisting) {
+        await this.persist();
+      }
+    }, this.persistIntervalMs);
+
+    logger.info(`Windowed aggregates started (${this.entries.size} keys, windows ${Object.keys(this.windows).join(', ')})`);
+  }
+
+  // Stop the schedule and save what's pending
+  async stop() {
+    eventBus.off('transaction:reorged', this.onTransactionReorged);
+
+    if (this.persistInterval) {
+      clearInterval(this.persistInterval);
+      this.persistInterval = null;
+    }
+    await this.persist();
+    logger.info('Windowed aggregates stopped');
+  }
+
+  // Record a stored transfer under its chain, token, address, route and transfer; USD values are
+  // aggregated except for the token key, which sums token units so unpriced tokens count too.
+  // `now` is the time windows slide to, for replaying history.
+  recordTransaction(transaction, now = Date.now()) {
+    const at = new Date(transaction.timestamp).getTime();
+    const keys = WindowedAggregates.keysFor(transaction);
+
+    for (const dimension of DIMENSIONS) {
+      if (keys[dimension]) {
+        this.record(dimension, keys[dimension], WindowedAggregates.valueOf(transaction, dimension), at, now);
+      }
+    }
+  }
+
+  // Take a rolled-back transfer out of the windows it was recorded in, so it stops counting
+  // and isn't counted twice if the event is re-ingested
+  removeTransaction(transaction, now = Date.now()) {
+    const at = new Date(transaction.timestamp).getTime();
+    const keys = WindowedAggregates.keysFor(transaction);
+
+    for (const dimension of DIMENSIONS) {
+      if (keys[dimension]) {
+        this.remove(dimension, keys[dimension], WindowedAggregates.valueOf(transaction, dimension), at, now);
+      }
+    }
+  }
+
+  // Add one observation to a key's windows; a null value only counts
+  record(dimension, key, value, at = Date.now(), now = Date.now()) {
+    const entry = this.getEntry(dimension, key, true);
+
+    for (const [name, window] of this.windowsOf(dimension)) {
+      const state = entry.windows[name];
+      this.slide(state, window, now);
+
+      // Too old for this window (e.g. a backfilled event)
+      if (at <= now - window.spanMs) {
+        continue;
+      }
+
+      const start = at - (at % window.bucketMs);
+      let index = state.buckets.length - 1;
+      while (index >= 0 && state.buckets[index].start > start) {
+        index--;
+      }
+      if (index < 0 || state.buckets[index].start !== start) {
+        state.buckets.splice(index + 1, 0, WindowedAggregates.emptyTotals(start));
+        index++;
+      }
+
+      WindowedAggregates.add(state.buckets[index], value, 1);
+      WindowedAggregates.add(state, value, 1);
+    }
+
+    entry.dirty = true;
+  }
+
+  // Subtract an observation added by record(); windows it has already slid out of are left as they are
+  remove(dimension, key, value, at, now = Date.now()) {
+    const entry = this.getEntry(dimension, key, false);
+    if (!entry) {
+      return;
+    }
+
+    for (const [name, window] of this.windowsOf(dimension)) {
+      const state = entry.windows[name];
+      this.slide(state, window, now);
+
+      const start = at - (at % window.bucketMs);
+      const bucket = state.buckets.find(candidate => candidate.start === start);
+      if (!bucket || bucket.count === 0) {
+        continue;
+      }
+
+      WindowedAggregates.add(bucket, value, -1);
+      WindowedAggregates.add(state, value, -1);
+    }
+
+    entry.dirty = true;
+  }
+
+  // Aggregates of a key over a window: { count, valued, sum, mean, p50, p95, p99 }.
+  // `valued` counts observations that had a value; percentiles are approximate.
+  get(dimension, key, windowName, now = Date.now()) {
+    const window = this.windows[windowName];
+    if (!window) {
+      throw new Error(`Unknown aggregate window: ${windowName}`);
+    }
+
+    const entry = this.getEntry(dimension, key, false);
+    if (!entry || !entry.windows[windowName]) {
+      return WindowedAggregates.summarize(WindowedAggregates.emptyTotals());
+    }
+
+    const state = entry.windows[windowName];
+    this.slide(state, window, now);
+    return WindowedAggregates.summarize(state);
+  }
+
+  // Check if a time still falls inside a window, i.e. an event at it was recorded there
+  covers(windowName, at, now = Date.now()) {
+    const window = this.windows[windowName];
+    return Boolean(window) && new Date(at).getTime() > now - window.spanMs;
+  }
+
+  // Windows a dimension is kept over, as [name, window] pairs
+  windowsOf(dimension) {
+    const names = this.dimensionWindows[dimension];
+    return Object.entries(this.windows).filter(([name]) => !names || names.includes(name));
+  }
+
+  // Drop a window's expired buckets from its running totals
+  slide(state, window, now) {
+    const cutoff = now - window.spanMs;
+    while (state.buckets.length > 0 && state.buckets[0].start + window.bucketMs <= cutoff) {
+      const bucket = state.buckets.shift();
+      WindowedAggregates.add(state, bucket, -1);
+    }
+  }
+
+  // Entry for a key, created on demand
+  getEntry(dimension, key, create) {
+    const id = `${dimension}|${key}`;
+    if (!this.entries.has(id) && create) {
+      const windows = {};
+      for (const [name] of this.windowsOf(dimension)) {
+        windows[name] = { ...WindowedAggregates.emptyTotals(), buckets: [] };
+      }
+      this.entries.set(id, { dimension, key, windows, dirty: false });
+      this.removed.delete(id);
+    }
+    return this.entries.get(id) || null;
+  }
+
+  // Load persisted buckets and rebuild the running totals
+  async load() {
+    try {
+      const documents = await AggregateOperations.loadAll();
+      const now = Date.now();
+
+      for (const document of documents) {
+        const entry = this.getEntry(document.dimension, document.key, true);
+        for (const [name, window] of this.windowsOf(document.dimension)) {
+          const state = entry.windows[name];
+          for (const bucket of (document.windows || {})[name] || []) {
+            const restored = { ...bucket, bins: { ...bucket.bins } };
+            state.buckets.push(restored);
+            WindowedAggregates.add(state, restored, 1);
+          }
+          this.slide(state, window, now);
+        }
+      }
+
+      logger.info(`Loaded windowed aggregates for ${documents.length} keys`);
+    } catch (error) {
+      logger.error('Error loading windowed aggregates:', error);
+    }
+  }
+
+  // Save changed keys, and forget keys whose windows have all emptied out
+  async persist() {
+    this.isPersisting = true;
+    const changed = [];
+
+    try {
+      const now = Date.now();
+
+      for (const [id, entry] of this.entries) {
+        for (const [name, window] of this.windowsOf(entry.dimension)) {
+          this.slide(entry.windows[name], window, now);
+        }
+
+        if (Object.values(entry.windows).every(state => state.buckets.length === 0)) {
+          this.entries.delete(id);
+          this.removed.add(id);
+        } else if (entry.dirty) {
+          changed.push(entry);
+        }
+      }
+
+      // Records arriving while this save runs mark their key dirty again
+      changed.forEach(entry => { entry.dirty = false; });
+
+      await AggregateOperations.saveMany(changed.map(entry => ({
+        dimension: entry.dimension,
+        key: entry.key,
+        windows: Object.fromEntries(Object.entries(entry.windows).map(([name, state]) => [name, state.buckets]))
+      })));
+      await AggregateOperations.deleteMany(Array.from(this.removed).map(id => {
+        const [dimension, ...key] = id.split('|');
+        return { dimension, key: key.join('|') };
+      }));
+
+      this.removed.clear();
+      this.lastPersistAt = new Date();
+    } catch (error) {
+      changed.forEach(entry => { entry.dirty = true; });
+      logger.error('Error persisting windowed aggregates:', error);
+    } finally {
+      this.isPersisting = false;
+    }
+  }
+
+  // Keys a transfer is aggregated under. The address is the user's side: the sender
+  // of a source leg, the recipient of a destination leg. The transfer key is what a
+  // replayed or duplicated event shares with the original.
+  static keysFor(transaction) {
+    const outbound = isOutbound(transaction);
+    const address = outbound ? transaction.from : (transaction.recipient || transaction.to);
+    const source = outbound ? transaction.chainId : transaction.sourceChainId;
+    const target = outbound ? transaction.targetChainId : transaction.chainId;
+
+    return {
+      chain: String(transaction.chainId),
+      token: transaction.tokenAddress ? `${transaction.chainId}:${transaction.tokenAddress.toLowerCase()}` : null,
+      address: address ? address.toLowerCase() : null,
+      route: source && target ? `${source}->${target}` : null,
+      transfer: [
+        transaction.chainId,
+        (transaction.from || '').toLowerCase(),
+        (transaction.to || '').toLowerCase(),
+        (transaction.tokenAddress || '').toLowerCase(),
+        transaction.amount,
+        transaction.bridgeId || ''
+      ].join(':')
+    };
+  }
+
+  // Add (sign 1) or subtract (sign -1) a value or a bucket's totals
+  static add(totals, valueOrTotals, sign) {
+    if (valueOrTotals !== null && typeof valueOrTotals === 'object') {
+      totals.count += sign * valueOrTotals.count;
+      totals.valued += sign * valueOrTotals.valued;
+      totals.sum += sign * valueOrTotals.sum;
+      for (const [bin, count] of Object.entries(valueOrTotals.bins)) {
+        WindowedAggregates.addToBin(totals.bins, bin, sign * count);
+      }
+    } else {
+      totals.count += sign;
+      if (Number.isFinite(valueOrTotals)) {
+        totals.valued += sign;
+        totals.sum += sign * valueOrTotals;
+        WindowedAggregates.addToBin(totals.bins, WindowedAggregates.binOf(valueOrTotals), sign);
+      }
+    }
+
+    if (totals.valued === 0) {
+      totals.sum = 0; // Don't let float error from subtracting linger in an empty window
+    }
+  }
+
+  // Value a transfer adds under a dimension: token units for token keys, USD for the rest
+  static valueOf(transaction, dimension) {
+    return dimension === 'token' ? Number(transaction.amountFormatted) : transaction.amountUsd;
+  }
+
+  // Adjust a histogram bin, dropping it once empty
+  static addToBin(bins, bin, count) {
+    const next = (bins[bin] || 0) + count;
+    if (next > 0) {
+      bins[bin] = next;
+    } else {
+      delete bins[bin];
+    }
+  }
+
+  // Histogram bin of a value
+  static binOf(value) {
+    return value > 0 ? String(Math.floor(Math.log10(value) * BINS_PER_DECADE)) : ZERO_BIN;
+  }
+
+  // Approximate value at a quantile (0-1) of a histogram: the geometric middle of its bin
+  static quantile(bins, total, q) {
+    if (total <= 0) {
+      return null;
+    }
+
+    const ordered = Object.keys(bins).sort((a, b) => (a === ZERO_BIN ? -1 : b === ZERO_BIN ? 1 : Number(a) - Number(b)));
+    const rank = Math.max(1, Math.ceil(q * total));
+    let seen = 0;
+    for (const bin of ordered) {
+      seen += bins[bin];
+      if (seen >= rank) {
+        return bin === ZERO_BIN ? 0 : Math.pow(10, (Number(bin) + 0.5) / BINS_PER_DECADE);
+      }
+    }
+    return null;
+  }
+
+  // Empty running totals or bucket
+  static emptyTotals(start = null) {
+    const totals = { count: 0, valued: 0, sum: 0, bins: {} };
+    if (start !== null) {
+      totals.start = start;
+    }
+    return totals;
+  }
+
+  // Public view of running totals
+  static summarize(totals) {
+    return {
+      count: totals.count,
+      valued: totals.valued,
+      sum: totals.sum,
+      mean: totals.valued > 0 ? totals.sum / totals.valued : null,
+      p50: WindowedAggregates.quantile(totals.bins, totals.valued, 0.5),
+      p95: WindowedAggregates.quantile(totals.bins, totals.valued, 0.95),
+      p99: WindowedAggregates.quantile(totals.bins, totals.valued, 0.99)
+    };
+  }
+
+  // Get aggregate store statistics
+  getStats() {
+    const keys = {};
+    for (const entry of this.entries.values()) {
+      keys[entry.dimension] = (keys[entry.dimension] || 0) + 1;
+    }
+
+    return {
+      keys,
+      windows: Object.keys(this.windows),
+      persistIntervalMs: this.persistIntervalMs,
+      lastPersistAt: this.lastPersistAt
+    };
+  }
+}
+
+WindowedAggregates.DIMENSIONS = DIMENSIONS;
+
+module.exports = WindowedAggregates;
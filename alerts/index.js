@@ -2,6 +2,13 @@ const AnomalyDetector = require('./AnomalyDetector');
 const AlertSystem = require('./AlertSystem');
 const AlertDispatcher = require('./AlertDispatcher');
 const TransactionMatcher = require('./TransactionMatcher');
+const TimeoutMonitor = require('./TimeoutMonitor');
+const SupplyMonitor = require('./SupplyMonitor');
+const UnbackedMintMonitor = require('./UnbackedMintMonitor');
+const WindowedAggregates = require('./WindowedAggregates');
+const BaselineModels = require('./BaselineModels');
+const CustomRules = require('./CustomRules');
+const MatchReview = require('./MatchReview');
 const WebSocketHandler = require('./WebSocketHandler');
 const NotificationService = require('./NotificationService');
 
@@ -10,6 +17,13 @@ module.exports = {
   AlertSystem,
   AlertDispatcher,
   TransactionMatcher,
+  TimeoutMonitor,
+  SupplyMonitor,
+  UnbackedMintMonitor,
+  WindowedAggregates,
+  BaselineModels,
+  CustomRules,
+  MatchReview,
   WebSocketHandler,
   NotificationService
 };
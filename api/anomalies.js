@@ -1,5 +1,6 @@
 const express = require('express');
 const { AnomalyOperations } = require('../db/operations');
+const BaselineModels = require('../alerts/BaselineModels');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -64,6 +65,44 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET /api/anomalies/models - Inspect the statistical baselines detection scores against
+router.get('/models', async (req, res) => {
+  try {
+    const { metric, key } = req.query;
+    const alertSystem = req.app.get('alertSystem');
+
+    if (!alertSystem) {
+      return res.status(503).json({
+        success: false,
+        error: 'Alert system is not running'
+      });
+    }
+
+    if (metric && !BaselineModels.METRICS.includes(metric)) {
+      return res.status(400).json({
+        success: false,
+        error: `metric must be one of: ${BaselineModels.METRICS.join(', ')}`
+      });
+    }
+
+    const models = alertSystem.baselineModels.describe({ metric, key });
+
+    res.json({
+      success: true,
+      data: models,
+      count: models.length,
+      status: alertSystem.baselineModels.getStats()
+    });
+  } catch (error) {
+    logger.error('Error fetching baseline models:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch baseline models',
+      message: error.message
+    });
+  }
+});
+
 // GET /api/anomalies/:id - Get anomaly by ID
 router.get('/:id', async (req, res) => {
   try {
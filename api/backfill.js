@@ -0,0 +1,134 @@
+const express = require('express');
+const { BackfillOperations } = require('../db/operations');
+const { authenticateApiKey } = require('./middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Serialize a job with its live queue position, without who requested it
+function formatJob(job, backfillManager) {
+  const { requestedBy, ...fields } = job.toJSON();
+  return {
+    ...fields,
+    queuePosition: backfillManager ? backfillManager.getQueuePosition(job._id.toString()) : null
+  };
+}
+
+// GET /api/backfill - Get recent backfill jobs
+router.get('/', async (req, res) => {
+  try {
+    const {
+      chainId,
+      status,
+      limit = 20
+    } = req.query;
+
+    const jobs = await BackfillOperations.getRecent({
+      chainId: chainId ? parseInt(chainId) : null,
+      status,
+      limit: Math.min(100, Math.max(1, parseInt(limit)))
+    });
+
+    const eventListenerManager = req.app.get('eventListenerManager');
+    const backfillManager = eventListenerManager ? eventListenerManager.backfillManager : null;
+
+    res.json({
+      success: true,
+      data: jobs.map(job => formatJob(job, backfillManager)),
+      count: jobs.length
+    });
+  } catch (error) {
+    logger.error('Error fetching backfill jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch backfill jobs',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/backfill - Queue a job to re-index a block range
+router.post('/', authenticateApiKey, async (req, res) => {
+  try {
+    const { chainId, fromBlock, toBlock, bridgeContract } = req.body;
+
+    if (chainId === undefined || fromBlock === undefined || toBlock === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'chainId, fromBlock and toBlock are required'
+      });
+    }
+
+    const eventListenerManager = req.app.get('eventListenerManager');
+    if (!eventListenerManager) {
+      return res.status(503).json({
+        success: false,
+        error: 'Event listeners are not running'
+      });
+    }
+
+    const request = {
+      chainId: parseInt(chainId),
+      fromBlock: Number(fromBlock),
+      toBlock: Number(toBlock),
+      bridgeContract: bridgeContract || null,
+      requestedBy: req.apiKeyId
+    };
+
+    const { backfillManager } = eventListenerManager;
+    const { error } = await backfillManager.resolveRequest(request);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const job = await backfillManager.createJob(request);
+
+    res.status(202).json({
+      success: true,
+      data: formatJob(job, backfillManager),
+      message: `Backfill of blocks ${job.fromBlock}-${job.toBlock} on ${job.networkName} queued`
+    });
+  } catch (error) {
+    logger.error('Error creating backfill job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create backfill job',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/backfill/:id - Get backfill job progress
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const job = await BackfillOperations.findById(id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Backfill job not found'
+      });
+    }
+
+    const eventListenerManager = req.app.get('eventListenerManager');
+
+    res.json({
+      success: true,
+      data: formatJob(job, eventListenerManager ? eventListenerManager.backfillManager : null)
+    });
+  } catch (error) {
+    logger.error('Error fetching backfill job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch backfill job',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,163 @@
+const express = require('express');
+const { IncidentOperations } = require('../db/operations');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const STATUSES = ['open', 'investigating', 'mitigated', 'resolved'];
+
+// GET /api/incidents - Get paginated incidents
+router.get('/', async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 50,
+      type,
+      severity,
+      status,
+      chainId,
+      sortBy = 'createdAt',
+      sortOrder = 'desc'
+    } = req.query;
+
+    // Validate pagination parameters
+    const pageNum = Math.max(1, parseInt(page));
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+
+    const options = {
+      page: pageNum,
+      limit: limitNum,
+      sortBy,
+      sortOrder
+    };
+
+    // Add filters
+    if (type) options.type = type;
+    if (severity) options.severity = severity;
+    if (status) options.status = status;
+    if (chainId) options.chainId = parseInt(chainId);
+
+    const result = await IncidentOperations.getPaginated(options);
+
+    res.json({
+      success: true,
+      data: result.incidents,
+      pagination: result.pagination,
+      filters: {
+        type: options.type,
+        severity: options.severity,
+        status: options.status,
+        chainId: options.chainId
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching incidents:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch incidents',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/incidents/:id - Get incident by ID with its anomalies and legs
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const incident = await IncidentOperations.findById(id);
+
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        error: 'Incident not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: incident
+    });
+  } catch (error) {
+    logger.error('Error fetching incident:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch incident',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/incidents/:id/status - Move an incident to another status
+router.put('/:id/status', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, updatedBy, notes } = req.body;
+
+    if (!status || !updatedBy) {
+      return res.status(400).json({
+        success: false,
+        error: 'status and updatedBy are required'
+      });
+    }
+
+    if (!STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${STATUSES.join(', ')}`
+      });
+    }
+
+    const incident = await IncidentOperations.updateStatus(id, status, updatedBy, notes);
+
+    const alertSystem = req.app.get('alertSystem');
+    if (alertSystem) {
+      alertSystem.emitRealTimeUpdate('incident_updated', incident);
+    }
+
+    res.json({
+      success: true,
+      data: incident,
+      message: `Incident marked as ${status}`
+    });
+  } catch (error) {
+    logger.error('Error updating incident status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update incident status',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/incidents/:id/note - Add a note to an incident's timeline
+router.post('/:id/note', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { author, content } = req.body;
+
+    if (!author || !content) {
+      return res.status(400).json({
+        success: false,
+        error: 'author and content are required'
+      });
+    }
+
+    const incident = await IncidentOperations.addNote(id, author, content);
+
+    res.json({
+      success: true,
+      data: incident,
+      message: 'Note added to incident'
+    });
+  } catch (error) {
+    logger.error('Error adding note to incident:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add note to incident',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
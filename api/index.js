@@ -1,12 +1,20 @@
 const express = require('express');
+const chainRegistry = require('../config/chainRegistry');
 const { optionalAuth } = require('./middleware/auth');
 const { publicLimit, authenticatedLimit } = require('./middleware/rateLimit');
 
 // Import route handlers
 const transactionRoutes = require('./transactions');
+const transferRoutes = require('./transfers');
 const anomalyRoutes = require('./anomalies');
 const alertRoutes = require('./alerts');
 const volumeRoutes = require('./volume');
+const backfillRoutes = require('./backfill');
+const tokenRoutes = require('./tokens');
+const priceRoutes = require('./prices');
+const supplyRoutes = require('./supply');
+const incidentRoutes = require('./incidents');
+const ruleRoutes = require('./rules');
 
 const router = express.Router();
 
@@ -24,9 +32,28 @@ router.use((req, res, next) => {
 
 // API routes
 router.use('/transactions', transactionRoutes);
+router.use('/transfers', transferRoutes);
 router.use('/anomalies', anomalyRoutes);
 router.use('/alerts', alertRoutes);
 router.use('/volume', volumeRoutes);
+router.use('/backfill', backfillRoutes);
+router.use('/tokens', tokenRoutes);
+router.use('/prices', priceRoutes);
+router.use('/supply', supplyRoutes);
+router.use('/incidents', incidentRoutes);
+router.use('/rules', ruleRoutes);
+
+// GET /api/networks - List the chains in the chain registry
+router.get('/networks', (req, res) => {
+  res.json({
+    success: true,
+    data: chainRegistry.getChains().map(chain => ({
+      networkName: chain.networkName,
+      chainId: chain.chainId,
+      name: chain.name
+    }))
+  });
+});
 
 // API info endpoint
 router.get('/', (req, res) => {
@@ -36,9 +63,17 @@ router.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: {
       transactions: '/api/transactions',
+      transfers: '/api/transfers',
       anomalies: '/api/anomalies',
       alerts: '/api/alerts',
-      volume: '/api/volume'
+      volume: '/api/volume',
+      backfill: '/api/backfill',
+      tokens: '/api/tokens',
+      prices: '/api/prices',
+      supply: '/api/supply',
+      incidents: '/api/incidents',
+      rules: '/api/rules',
+      networks: '/api/networks'
     },
     documentation: '/api/docs',
     authenticated: req.isAuthenticated || false
@@ -57,12 +92,26 @@ router.get('/docs', (req, res) => {
         'GET /api/transactions/bridge/:bridgeId': 'Get transactions by bridge ID',
         'GET /api/transactions/unmatched/:chainId': 'Get unmatched transactions',
         'GET /api/transactions/stats/status': 'Get transaction status counts',
+        'GET /api/transactions/stats/bridges': 'Get transaction counts grouped by bridge label',
         'PUT /api/transactions/:id/status': 'Update transaction status',
-        'POST /api/transactions/:id/match': 'Manually match transactions',
+        'GET /api/transactions/review/queue': 'Operator review queue (type=unmatched|low_confidence) with the size of each',
+        'GET /api/transactions/review/audit': 'Manual match actions with operator and reason, newest first (API key required)',
+        'POST /api/transactions/:id/match': 'Manually match transactions, rematching legs matched elsewhere (API key, operator and reason required)',
+        'DELETE /api/transactions/:id/match': 'Split a matched pair; the matcher will not pair the legs again (API key, operator and reason required)',
+        'POST /api/transactions/:id/match/confirm': 'Confirm a low-confidence match (API key, operator and reason required)',
+        'GET /api/transactions/:id/audit': 'Manual match actions that touched a transaction (API key required)',
+        'GET /api/transactions/:id/match-candidates': 'Possible counterparts ranked by match score, with per-feature breakdown',
         'GET /api/transactions/search': 'Search transactions'
       },
+      transfers: {
+        'GET /api/transfers': 'Get paginated bridge transfers (status, sourceChainId, targetChainId, bridgeLabel, canonicalAssetId, matchMethod filters)',
+        'GET /api/transfers/search': 'Search transfers by leg transaction hash, bridge ID or address (q)',
+        'GET /api/transfers/stats/status': 'Get transfer counts and average latency by status',
+        'GET /api/transfers/:id': 'Get a transfer with its status timeline and leg transactions'
+      },
       anomalies: {
         'GET /api/anomalies': 'Get paginated anomalies with filters',
+        'GET /api/anomalies/models': 'Inspect the statistical baselines (transfer_size, hourly_volume, bridge_latency) with their samples, confidence and seasonal slot (metric, key filters)',
         'GET /api/anomalies/:id': 'Get anomaly by ID',
         'GET /api/anomalies/active/:chainId?': 'Get active anomalies',
         'GET /api/anomalies/severity/:severity': 'Get anomalies by severity',
@@ -93,11 +142,51 @@ router.get('/docs', (req, res) => {
         'POST /api/alerts/auto-resolve': 'Auto-resolve expired alerts'
       },
       volume: {
-        'GET /api/volume': 'Get volume statistics with grouping options',
+        'GET /api/volume': 'Get volume statistics with grouping options (chain, token, asset, bridge, time)',
         'GET /api/volume/summary': 'Get volume summary for different periods',
         'GET /api/volume/trends': 'Get volume trends over time',
         'GET /api/volume/top-tokens': 'Get top tokens by volume',
         'GET /api/volume/dashboard': 'Get dashboard statistics'
+      },
+      backfill: {
+        'GET /api/backfill': 'Get recent backfill jobs (chainId, status filters)',
+        'POST /api/backfill': 'Queue a re-index of a block range (chainId, fromBlock, toBlock, optional bridgeContract; API key required)',
+        'GET /api/backfill/:id': 'Get backfill job progress'
+      },
+      tokens: {
+        'GET /api/tokens': 'Get registered token deployments (chainId, canonicalAssetId, verificationStatus, source filters)',
+        'GET /api/tokens/assets': 'Get canonical assets with their deployments per chain',
+        'GET /api/tokens/:chainId/:address': 'Get a token deployment',
+        'POST /api/tokens': 'Map a token deployment to a canonical asset (API key required)',
+        'POST /api/tokens/:chainId/:address/verify': 'Re-check a token against its contract (API key required)',
+        'DELETE /api/tokens/:chainId/:address': 'Remove a token deployment from the registry (API key required)'
+      },
+      prices: {
+        'GET /api/prices': 'Get the latest USD price of every asset',
+        'GET /api/prices/sources': 'List available and active price sources',
+        'GET /api/prices/:assetId': 'Get price snapshots for an asset (startDate, endDate), or its price at a time (at)'
+      },
+      supply: {
+        'GET /api/supply': 'Get the latest supply conservation check (locked backing vs minted supply) of every asset',
+        'GET /api/supply/:assetId': 'Get supply snapshots for an asset (startDate, endDate)'
+      },
+      incidents: {
+        'GET /api/incidents': 'Get paginated incidents (type, severity, status, chainId filters)',
+        'GET /api/incidents/:id': 'Get an incident with its anomalies, legs and timeline',
+        'PUT /api/incidents/:id/status': 'Move an incident to open, investigating, mitigated or resolved (status, updatedBy, notes)',
+        'POST /api/incidents/:id/note': 'Add a note to an incident\'s timeline (author, content)'
+      },
+      rules: {
+        'GET /api/rules': 'Get custom anomaly rules (enabled, severity filters) and which are loaded',
+        'GET /api/rules/:id': 'Get a custom rule',
+        'POST /api/rules': 'Create a custom rule from a YAML body, source text (format yaml|json) or a rule object (API key required)',
+        'PUT /api/rules/:id': 'Replace a custom rule, bumping its version; takes effect immediately (API key required)',
+        'DELETE /api/rules/:id': 'Delete a custom rule (API key required)',
+        'POST /api/rules/dry-run': 'Evaluate an unsaved rule against the last N days of stored transactions (days, default 7; API key required)',
+        'POST /api/rules/:id/dry-run': 'Evaluate a stored rule against the last N days of stored transactions (days, default 7; API key required)'
+      },
+      networks: {
+        'GET /api/networks': 'List the networks in the chain registry'
       }
     },
     parameters: {
@@ -106,7 +195,8 @@ router.get('/docs', (req, res) => {
         limit: 'Items per page (default: 50, max: 100)',
         startDate: 'Start date filter (ISO string)',
         endDate: 'End date filter (ISO string)',
-        chainId: 'Chain ID filter (1=Ethereum, 137=Polygon, 56=BSC)',
+        chainId: `Chain ID filter (${chainRegistry.getChains().map(chain => `${chain.chainId}=${chain.name}`).join(', ')})`,
+        bridgeLabel: 'Bridge contract label filter (transactions and volume)',
         sortBy: 'Field to sort by',
         sortOrder: 'Sort order (asc/desc, default: desc)'
       },
@@ -1,5 +1,9 @@
+const crypto = require('crypto');
 const logger = require('../../utils/logger');
 
+// Non-secret identity of an API key, safe to store and return: a prefix of its SHA-256
+const apiKeyId = (apiKey) => `key_${crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 12)}`;
+
 // Simple API key authentication middleware
 const authenticateApiKey = (req, res, next) => {
   const apiKey = req.headers['x-api-key'] || req.query.apiKey;
@@ -23,8 +27,9 @@ const authenticateApiKey = (req, res, next) => {
     });
   }
   
-  // Add API key info to request for logging
+  // Add API key info to request for logging; store apiKeyId, never the key itself
   req.apiKey = apiKey;
+  req.apiKeyId = apiKeyId(apiKey);
   next();
 };
 
@@ -37,6 +42,7 @@ const optionalAuth = (req, res, next) => {
     
     if (validApiKeys.includes(apiKey)) {
       req.apiKey = apiKey;
+      req.apiKeyId = apiKeyId(apiKey);
       req.isAuthenticated = true;
     } else {
       req.isAuthenticated = false;
@@ -50,5 +56,6 @@ const optionalAuth = (req, res, next) => {
 
 module.exports = {
   authenticateApiKey,
-  optionalAuth
+  optionalAuth,
+  apiKeyId
 };
@@ -0,0 +1,97 @@
+const express = require('express');
+const { PriceOperations } = require('../db/operations');
+const priceService = require('../services/priceService');
+const { listPriceSources } = require('../services/pricing');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// GET /api/prices - Get the latest USD price of every asset
+router.get('/', async (req, res) => {
+  try {
+    const prices = await PriceOperations.getLatest();
+
+    res.json({
+      success: true,
+      data: prices.map(price => ({
+        assetId: price._id,
+        priceUsd: price.priceUsd,
+        source: price.source,
+        timestamp: price.minute
+      })),
+      status: priceService.getStatus()
+    });
+  } catch (error) {
+    logger.error('Error fetching prices:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch prices',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/prices/sources - List available price sources
+router.get('/sources', (req, res) => {
+  res.json({
+    success: true,
+    data: listPriceSources(),
+    active: priceService.getStatus().sources
+  });
+});
+
+// GET /api/prices/:assetId - Get an asset's price snapshots, or its price at a time
+router.get('/:assetId', async (req, res) => {
+  try {
+    const { assetId } = req.params;
+    const { at, startDate, endDate } = req.query;
+
+    if (at) {
+      const timestamp = new Date(at);
+      if (isNaN(timestamp.getTime())) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid timestamp: ${at}`
+        });
+      }
+
+      const priceUsd = await priceService.getPriceAt(assetId.toLowerCase(), timestamp);
+      if (priceUsd === null) {
+        return res.status(404).json({
+          success: false,
+          error: `No price for ${assetId} at ${timestamp.toISOString()}`
+        });
+      }
+
+      return res.json({
+        success: true,
+        data: { assetId: assetId.toLowerCase(), priceUsd, timestamp: timestamp.toISOString() }
+      });
+    }
+
+    // Default to the last 24 hours
+    const end = endDate ? new Date(endDate) : new Date();
+    const start = startDate ? new Date(startDate) : new Date(end.getTime() - 24 * 60 * 60 * 1000);
+
+    const snapshots = await PriceOperations.getHistory(assetId, start, end);
+
+    res.json({
+      success: true,
+      data: snapshots,
+      count: snapshots.length,
+      dateRange: {
+        startDate: start.toISOString(),
+        endDate: end.toISOString()
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching price history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch price history',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,337 @@
+const express = require('express');
+const { CustomRuleOperations } = require('../db/operations');
+const ruleDsl = require('../utils/ruleDsl');
+const config = require('../config/default');
+const { authenticateApiKey } = require('./middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Rules may also be sent as a raw YAML body
+router.use(express.text({ type: ['application/yaml', 'application/x-yaml', 'text/yaml'] }));
+
+// Rule from a request: a YAML body, `source` text in `format` (yaml, the default, or json),
+// or a `rule` object. Returns { definition, source, format } or { errors }.
+function readRule(req, ruleId = null) {
+  let definition;
+  let source = null;
+  let format = 'json';
+
+  try {
+    if (typeof req.body === 'string') {
+      source = req.body;
+      format = 'yaml';
+      definition = ruleDsl.parse(source, format);
+    } else if (req.body && typeof req.body.source === 'string') {
+      source = req.body.source;
+      format = req.body.format || 'yaml';
+      if (!['json', 'yaml'].includes(format)) {
+        return { errors: ['format must be json or yaml'] };
+      }
+      definition = ruleDsl.parse(source, format);
+    } else if (req.body && req.body.rule) {
+      definition = req.body.rule;
+    } else {
+      return { errors: ['Send the rule as a YAML body, as source text or as a rule object'] };
+    }
+  } catch (error) {
+    return { errors: [`Could not parse rule: ${error.message}`] };
+  }
+
+  // An update may leave the ID out, but can't change it
+  if (ruleId && definition && typeof definition === 'object') {
+    if (definition.id === undefined) {
+      definition = { ...definition, id: ruleId };
+    } else if (definition.id !== ruleId) {
+      return { errors: [`Rule ID ${definition.id} does not match ${ruleId}`] };
+    }
+  }
+
+  const errors = ruleDsl.validate(definition);
+  return errors.length > 0 ? { errors } : { definition, source, format };
+}
+
+// Who made a change: `operator` from the body or query string, else the API
+function getOperator(req) {
+  return (req.body && typeof req.body === 'object' && req.body.operator) || req.query.operator || 'api';
+}
+
+// Days of history to dry-run over, null if out of range
+function getDryRunDays(req) {
+  const days = Number((req.body && typeof req.body === 'object' && req.body.days) || req.query.days || 7);
+  return days > 0 && days <= config.customRules.dryRunMaxDays ? days : null;
+}
+
+// GET /api/rules - Get custom rules
+router.get('/', async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 50,
+      enabled,
+      severity
+    } = req.query;
+
+    const result = await CustomRuleOperations.getPaginated({
+      page: Math.max(1, parseInt(page)),
+      limit: Math.min(100, Math.max(1, parseInt(limit))),
+      enabled: enabled === undefined ? undefined : enabled === 'true',
+      severity
+    });
+
+    const alertSystem = req.app.get('alertSystem');
+
+    res.json({
+      success: true,
+      data: result.rules,
+      pagination: result.pagination,
+      status: alertSystem ? alertSystem.customRules.getStats() : null
+    });
+  } catch (error) {
+    logger.error('Error fetching custom rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch custom rules',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/rules/dry-run - Evaluate an unsaved rule against recent transactions
+router.post('/dry-run', authenticateApiKey, async (req, res) => {
+  try {
+    const alertSystem = req.app.get('alertSystem');
+    if (!alertSystem) {
+      return res.status(503).json({
+        success: false,
+        error: 'Alert system is not running'
+      });
+    }
+
+    const { definition, errors } = readRule(req);
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid rule',
+        details: errors
+      });
+    }
+
+    const days = getDryRunDays(req);
+    if (!days) {
+      return res.status(400).json({
+        success: false,
+        error: `days must be greater than 0 and at most ${config.customRules.dryRunMaxDays}`
+      });
+    }
+
+    const result = await alertSystem.customRules.dryRun(definition, days);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error dry-running custom rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to dry-run custom rule',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/rules/:id - Get a custom rule
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const rule = await CustomRuleOperations.findByRuleId(id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Custom rule not found'
+      });
+    }
+
+    const alertSystem = req.app.get('alertSystem');
+
+    res.json({
+      success: true,
+      data: rule,
+      loaded: Boolean(alertSystem && alertSystem.customRules.rules.has(id))
+    });
+  } catch (error) {
+    logger.error('Error fetching custom rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch custom rule',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/rules - Create a custom rule
+router.post('/', authenticateApiKey, async (req, res) => {
+  try {
+    const { definition, source, format, errors } = readRule(req);
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid rule',
+        details: errors
+      });
+    }
+
+    if (await CustomRuleOperations.findByRuleId(definition.id)) {
+      return res.status(409).json({
+        success: false,
+        error: `Rule ${definition.id} already exists`
+      });
+    }
+
+    const rule = await CustomRuleOperations.create(definition, getOperator(req), source, format);
+
+    const alertSystem = req.app.get('alertSystem');
+    if (alertSystem) {
+      alertSystem.customRules.load(rule);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: rule,
+      message: rule.enabled ? 'Rule created and enabled' : 'Rule created, disabled'
+    });
+  } catch (error) {
+    logger.error('Error creating custom rule:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: 'Failed to create custom rule',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/rules/:id - Replace a custom rule's definition
+router.put('/:id', authenticateApiKey, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!(await CustomRuleOperations.findByRuleId(id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Custom rule not found'
+      });
+    }
+
+    const { definition, source, format, errors } = readRule(req, id);
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid rule',
+        details: errors
+      });
+    }
+
+    const rule = await CustomRuleOperations.update(id, definition, getOperator(req), source, format);
+
+    const alertSystem = req.app.get('alertSystem');
+    if (alertSystem) {
+      alertSystem.customRules.load(rule);
+    }
+
+    res.json({
+      success: true,
+      data: rule,
+      message: `Rule updated to version ${rule.version}${rule.enabled ? '' : ', disabled'}`
+    });
+  } catch (error) {
+    logger.error('Error updating custom rule:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: 'Failed to update custom rule',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/rules/:id - Delete a custom rule
+router.delete('/:id', authenticateApiKey, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!(await CustomRuleOperations.findByRuleId(id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Custom rule not found'
+      });
+    }
+
+    await CustomRuleOperations.delete(id);
+
+    const alertSystem = req.app.get('alertSystem');
+    if (alertSystem) {
+      alertSystem.customRules.unload(id);
+    }
+
+    res.json({
+      success: true,
+      message: `Rule ${id} deleted`
+    });
+  } catch (error) {
+    logger.error('Error deleting custom rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete custom rule',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/rules/:id/dry-run - Evaluate a stored rule against recent transactions
+router.post('/:id/dry-run', authenticateApiKey, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const alertSystem = req.app.get('alertSystem');
+
+    if (!alertSystem) {
+      return res.status(503).json({
+        success: false,
+        error: 'Alert system is not running'
+      });
+    }
+
+    const rule = await CustomRuleOperations.findByRuleId(id);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Custom rule not found'
+      });
+    }
+
+    const days = getDryRunDays(req);
+    if (!days) {
+      return res.status(400).json({
+        success: false,
+        error: `days must be greater than 0 and at most ${config.customRules.dryRunMaxDays}`
+      });
+    }
+
+    const result = await alertSystem.customRules.dryRun(rule.toDefinition(), days);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error dry-running custom rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to dry-run custom rule',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,60 @@
+const express = require('express');
+const { SupplyOperations } = require('../db/operations');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// GET /api/supply - Get the latest supply conservation check of every asset
+router.get('/', async (req, res) => {
+  try {
+    const snapshots = await SupplyOperations.getLatest();
+    const alertSystem = req.app.get('alertSystem');
+
+    res.json({
+      success: true,
+      data: snapshots,
+      deficits: snapshots.filter(snapshot => snapshot.status === 'deficit').map(snapshot => snapshot.assetId),
+      status: alertSystem ? alertSystem.supplyMonitor.getStats() : null
+    });
+  } catch (error) {
+    logger.error('Error fetching supply snapshots:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch supply snapshots',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/supply/:assetId - Get an asset's backing and minted supply over time
+router.get('/:assetId', async (req, res) => {
+  try {
+    const { assetId } = req.params;
+    const { startDate, endDate } = req.query;
+
+    // Default to the last 24 hours
+    const end = endDate ? new Date(endDate) : new Date();
+    const start = startDate ? new Date(startDate) : new Date(end.getTime() - 24 * 60 * 60 * 1000);
+
+    const snapshots = await SupplyOperations.getHistory(assetId, start, end);
+
+    res.json({
+      success: true,
+      data: snapshots,
+      count: snapshots.length,
+      dateRange: {
+        startDate: start.toISOString(),
+        endDate: end.toISOString()
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching supply history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch supply history',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
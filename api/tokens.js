@@ -0,0 +1,218 @@
+const express = require('express');
+const { Web3 } = require('web3');
+const { TokenOperations } = require('../db/operations');
+const chainRegistry = require('../config/chainRegistry');
+const tokenRegistry = require('../services/tokenRegistry');
+const { authenticateApiKey } = require('./middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// GET /api/tokens - Get registered token deployments
+router.get('/', async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 50,
+      chainId,
+      canonicalAssetId,
+      verificationStatus,
+      source
+    } = req.query;
+
+    const result = await TokenOperations.getPaginated({
+      page: parseInt(page),
+      limit: Math.min(100, Math.max(1, parseInt(limit))),
+      chainId: chainId ? parseInt(chainId) : null,
+      canonicalAssetId,
+      verificationStatus,
+      source
+    });
+
+    res.json({
+      success: true,
+      data: result.tokens,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    logger.error('Error fetching tokens:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch tokens',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/tokens/assets - Get canonical assets with their deployments per chain
+router.get('/assets', async (req, res) => {
+  try {
+    const assets = await TokenOperations.getCanonicalAssets();
+
+    res.json({
+      success: true,
+      data: assets.map(asset => ({
+        canonicalAssetId: asset._id,
+        deployments: asset.deployments
+      })),
+      count: assets.length
+    });
+  } catch (error) {
+    logger.error('Error fetching canonical assets:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch canonical assets',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/tokens/:chainId/:address - Get a token deployment
+router.get('/:chainId/:address', async (req, res) => {
+  try {
+    const { chainId, address } = req.params;
+
+    const token = await TokenOperations.findByAddress(parseInt(chainId), address);
+
+    if (!token) {
+      return res.status(404).json({
+        success: false,
+        error: 'Token not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: token
+    });
+  } catch (error) {
+    logger.error('Error fetching token:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch token',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/tokens - Map a token deployment to a canonical asset
+router.post('/', authenticateApiKey, async (req, res) => {
+  try {
+    const { chainId, address, canonicalAssetId, symbol, decimals, name } = req.body;
+
+    if (chainId === undefined || !address) {
+      return res.status(400).json({
+        success: false,
+        error: 'chainId and address are required'
+      });
+    }
+
+    if (!chainRegistry.getChainById(chainId)) {
+      return res.status(400).json({
+        success: false,
+        error: `Chain ${chainId} is not registered`
+      });
+    }
+
+    if (!Web3.utils.isAddress(address)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid token address: ${address}`
+      });
+    }
+
+    // Reject mappings whose declared metadata disagrees with the token contract
+    const check = await tokenRegistry.checkOnChain(parseInt(chainId), address, { symbol, decimals });
+    if (check.status === 'mismatch') {
+      return res.status(400).json({
+        success: false,
+        error: 'Token metadata does not match the contract',
+        message: check.error
+      });
+    }
+
+    const token = await tokenRegistry.register({
+      chainId: parseInt(chainId),
+      address,
+      canonicalAssetId,
+      symbol,
+      decimals,
+      name,
+      registeredBy: req.apiKeyId
+    }, check);
+
+    res.status(201).json({
+      success: true,
+      data: token,
+      message: check.status === 'verified'
+        ? 'Token registered and verified on-chain'
+        : `Token registered without on-chain verification: ${check.error}`
+    });
+  } catch (error) {
+    logger.error('Error registering token:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to register token',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/tokens/:chainId/:address/verify - Re-check a token against its contract
+router.post('/:chainId/:address/verify', authenticateApiKey, async (req, res) => {
+  try {
+    const { chainId, address } = req.params;
+
+    const token = await tokenRegistry.verify(parseInt(chainId), address);
+
+    if (!token) {
+      return res.status(404).json({
+        success: false,
+        error: 'Token not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: token
+    });
+  } catch (error) {
+    logger.error('Error verifying token:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify token',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/tokens/:chainId/:address - Remove a token deployment from the registry
+router.delete('/:chainId/:address', authenticateApiKey, async (req, res) => {
+  try {
+    const { chainId, address } = req.params;
+
+    const token = await tokenRegistry.remove(parseInt(chainId), address);
+
+    if (!token) {
+      return res.status(404).json({
+        success: false,
+        error: 'Token not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: token,
+      message: 'Token removed from registry'
+    });
+  } catch (error) {
+    logger.error('Error removing token:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove token',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,5 +1,7 @@
 const express = require('express');
-const { TransactionOperations } = require('../db/operations');
+const { TransactionOperations, MatchAuditOperations } = require('../db/operations');
+const chainRegistry = require('../config/chainRegistry');
+const { authenticateApiKey } = require('./middleware/auth');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -20,7 +22,11 @@ router.get('/', async (req, res) => {
       sortBy = 'timestamp',
       sortOrder = 'desc',
       eventType,
-      isMatched
+      bridgeLabel,
+      bridgeContract,
+      isMatched,
+      confirmationStatus,
+      minConfirmations
     } = req.query;
 
     // Validate pagination parameters
@@ -43,7 +49,11 @@ router.get('/', async (req, res) => {
     if (startDate) options.startDate = startDate;
     if (endDate) options.endDate = endDate;
     if (eventType) options.eventType = eventType;
+    if (bridgeLabel) options.bridgeLabel = bridgeLabel;
+    if (bridgeContract) options.bridgeContract = bridgeContract;
     if (isMatched !== undefined) options.isMatched = isMatched === 'true';
+    if (confirmationStatus) options.confirmationStatus = confirmationStatus;
+    if (minConfirmations) options.minConfirmations = parseInt(minConfirmations);
 
     const result = await TransactionOperations.getPaginated(options);
 
@@ -60,7 +70,11 @@ router.get('/', async (req, res) => {
         startDate: options.startDate,
         endDate: options.endDate,
         eventType: options.eventType,
-        isMatched: options.isMatched
+        bridgeLabel: options.bridgeLabel,
+        bridgeContract: options.bridgeContract,
+        isMatched: options.isMatched,
+        confirmationStatus: options.confirmationStatus,
+        minConfirmations: options.minConfirmations
       }
     });
   } catch (error) {
@@ -73,6 +87,76 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET /api/transactions/review/queue - Legs waiting for an operator (unmatched or low-confidence)
+router.get('/review/queue', async (req, res) => {
+  try {
+    const { type = 'unmatched', page = 1, limit = 50 } = req.query;
+
+    if (!['unmatched', 'low_confidence'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: 'type must be unmatched or low_confidence'
+      });
+    }
+
+    const result = await req.app.get('alertSystem').matchReview.getQueue({
+      type,
+      page: parseInt(page),
+      limit: Math.min(100, Math.max(1, parseInt(limit)))
+    });
+
+    res.json({
+      success: true,
+      data: result.transactions,
+      pagination: result.pagination,
+      counts: result.counts
+    });
+  } catch (error) {
+    logger.error('Error fetching review queue:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch review queue',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/transactions/review/audit - Manual match actions, newest first
+router.get('/review/audit', authenticateApiKey, async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 50,
+      action,
+      performedBy,
+      startDate,
+      endDate
+    } = req.query;
+
+    const result = await MatchAuditOperations.getPaginated({
+      page: parseInt(page),
+      limit: Math.min(100, Math.max(1, parseInt(limit))),
+      action,
+      performedBy,
+      startDate,
+      endDate
+    });
+
+    res.json({
+      success: true,
+      data: result.entries,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    logger.error('Error fetching match audit entries:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch match audit entries',
+      message: error.message
+    });
+  }
+});
+
 // GET /api/transactions/:id - Get transaction by ID
 router.get('/:id', async (req, res) => {
   try {
@@ -213,6 +297,32 @@ router.get('/stats/status', async (req, res) => {
   }
 });
 
+// GET /api/transactions/stats/bridges - Get transaction counts grouped by bridge label
+router.get('/stats/bridges', async (req, res) => {
+  try {
+    const { chainId, timeRange } = req.query;
+
+    const bridgeCounts = await TransactionOperations.getBridgeCounts(
+      chainId ? parseInt(chainId) : null,
+      timeRange ? parseInt(timeRange) : null
+    );
+
+    res.json({
+      success: true,
+      data: bridgeCounts,
+      chainId: chainId ? parseInt(chainId) : null,
+      timeRange: timeRange ? parseInt(timeRange) : null
+    });
+  } catch (error) {
+    logger.error('Error fetching transaction bridge counts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch transaction bridge counts',
+      message: error.message
+    });
+  }
+});
+
 // PUT /api/transactions/:id/status - Update transaction status
 router.put('/:id/status', async (req, res) => {
   try {
@@ -251,16 +361,26 @@ router.put('/:id/status', async (req, res) => {
   }
 });
 
-// POST /api/transactions/:id/match - Manually match transactions
-router.post('/:id/match', async (req, res) => {
+// Operator name and reason, required for every manual match action
+function getActor(req) {
+  const { operator, reason } = req.body || {};
+  if (!operator || !reason) {
+    return null;
+  }
+  return { performedBy: operator, reason, apiKeyId: req.apiKeyId };
+}
+
+// POST /api/transactions/:id/match - Manually match (or rematch) transactions
+router.post('/:id/match', authenticateApiKey, async (req, res) => {
   try {
     const { id } = req.params;
     const { targetTransactionId } = req.body;
+    const actor = getActor(req);
     
-    if (!targetTransactionId) {
+    if (!targetTransactionId || !actor) {
       return res.status(400).json({
         success: false,
-        error: 'targetTransactionId is required'
+        error: 'targetTransactionId, operator and reason are required'
       });
     }
 
@@ -274,15 +394,30 @@ router.post('/:id/match', async (req, res) => {
       });
     }
 
-    const result = await TransactionOperations.matchTransactions(
-      sourceTransaction, 
-      targetTransaction
-    );
+    if (sourceTransaction._id.equals(targetTransaction._id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A transaction cannot be matched with itself'
+      });
+    }
+
+    const linked = [[sourceTransaction, targetTransaction], [targetTransaction, sourceTransaction]]
+      .some(([leg, other]) => leg.matchedTransactionId && leg.matchedTransactionId.equals(other._id));
+    if (linked) {
+      return res.status(409).json({
+        success: false,
+        error: 'Transactions are already matched to each other'
+      });
+    }
+
+    const result = await req.app.get('alertSystem').matchReview.match(id, targetTransactionId, actor);
     
     res.json({
       success: true,
       data: result,
-      message: 'Transactions matched successfully'
+      message: result.audit.action === 'rematch'
+        ? 'Transactions rematched successfully'
+        : 'Transactions matched successfully'
     });
   } catch (error) {
     logger.error('Error matching transactions:', error);
@@ -294,6 +429,161 @@ router.post('/:id/match', async (req, res) => {
   }
 });
 
+// DELETE /api/transactions/:id/match - Split a matched pair
+router.delete('/:id/match', authenticateApiKey, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const actor = getActor(req);
+
+    if (!actor) {
+      return res.status(400).json({
+        success: false,
+        error: 'operator and reason are required'
+      });
+    }
+
+    const transaction = await TransactionOperations.findById(id);
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transaction not found'
+      });
+    }
+
+    if (!transaction.isMatched) {
+      return res.status(409).json({
+        success: false,
+        error: 'Transaction is not matched'
+      });
+    }
+
+    const result = await req.app.get('alertSystem').matchReview.unmatch(id, actor);
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'Transactions unmatched successfully'
+    });
+  } catch (error) {
+    logger.error('Error unmatching transactions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to unmatch transactions',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/transactions/:id/match/confirm - Confirm a low-confidence match
+router.post('/:id/match/confirm', authenticateApiKey, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const actor = getActor(req);
+
+    if (!actor) {
+      return res.status(400).json({
+        success: false,
+        error: 'operator and reason are required'
+      });
+    }
+
+    const transaction = await TransactionOperations.findById(id);
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transaction not found'
+      });
+    }
+
+    if (!transaction.isMatched) {
+      return res.status(409).json({
+        success: false,
+        error: 'Transaction is not matched'
+      });
+    }
+
+    const result = await req.app.get('alertSystem').matchReview.confirm(id, actor);
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'Match confirmed'
+    });
+  } catch (error) {
+    logger.error('Error confirming match:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to confirm match',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/transactions/:id/audit - Manual match actions that touched a transaction
+router.get('/:id/audit', authenticateApiKey, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const entries = await MatchAuditOperations.findForTransaction(id);
+
+    res.json({
+      success: true,
+      data: entries,
+      count: entries.length
+    });
+  } catch (error) {
+    logger.error('Error fetching match audit trail:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch match audit trail',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/transactions/:id/match-candidates - Possible counterparts ranked by match score
+router.get('/:id/match-candidates', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { limit = 20 } = req.query;
+
+    const transaction = await TransactionOperations.findById(id);
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transaction not found'
+      });
+    }
+
+    const matcher = req.app.get('alertSystem').transactionMatcher;
+    const candidates = await matcher.getMatchCandidates(transaction, Math.min(100, Math.max(1, parseInt(limit))));
+    const confidence = transaction.matchDetails ? transaction.matchDetails.confidence : null;
+
+    res.json({
+      success: true,
+      data: {
+        transaction,
+        confidence,
+        reviewThreshold: matcher.config.reviewThreshold,
+        needsReview: transaction.isMatched && confidence !== null && confidence !== undefined &&
+          confidence < matcher.config.reviewThreshold,
+        candidates
+      },
+      count: candidates.length
+    });
+  } catch (error) {
+    logger.error('Error fetching match candidates:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch match candidates',
+      message: error.message
+    });
+  }
+});
+
 // GET /api/transactions/search - Search transactions
 router.get('/search', async (req, res) => {
   try {
@@ -322,7 +612,7 @@ router.get('/search', async (req, res) => {
           if (transaction) results = [transaction];
         } else {
           // Search across all chains
-          const chains = [1, 137, 56];
+          const chains = chainRegistry.getChainIds();
           for (const chain of chains) {
             const transaction = await TransactionOperations.findByHash(q, chain);
             if (transaction) {
@@ -0,0 +1,144 @@
+const express = require('express');
+const { TransferOperations, TransactionOperations } = require('../db/operations');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// GET /api/transfers - Get paginated bridge transfers
+router.get('/', async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 50,
+      status,
+      sourceChainId,
+      targetChainId,
+      bridgeLabel,
+      canonicalAssetId,
+      matchMethod,
+      startDate,
+      endDate,
+      sortBy = 'initiatedAt',
+      sortOrder = 'desc'
+    } = req.query;
+
+    const result = await TransferOperations.getPaginated({
+      page: parseInt(page),
+      limit: Math.min(100, Math.max(1, parseInt(limit))),
+      status,
+      sourceChainId: sourceChainId ? parseInt(sourceChainId) : null,
+      targetChainId: targetChainId ? parseInt(targetChainId) : null,
+      bridgeLabel,
+      canonicalAssetId,
+      matchMethod,
+      startDate,
+      endDate,
+      sortBy,
+      sortOrder
+    });
+
+    res.json({
+      success: true,
+      data: result.transfers,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    logger.error('Error fetching transfers:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch transfers',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/transfers/search - Search transfers by leg transaction hash, bridge ID or address
+router.get('/search', async (req, res) => {
+  try {
+    const { q, limit = 20 } = req.query;
+
+    if (!q) {
+      return res.status(400).json({
+        success: false,
+        error: 'Search query (q) is required'
+      });
+    }
+
+    const transfers = await TransferOperations.search(q, Math.min(100, Math.max(1, parseInt(limit))));
+
+    res.json({
+      success: true,
+      data: transfers,
+      count: transfers.length
+    });
+  } catch (error) {
+    logger.error('Error searching transfers:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to search transfers',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/transfers/stats/status - Get transfer counts and average latency by status
+router.get('/stats/status', async (req, res) => {
+  try {
+    const { timeRange } = req.query;
+
+    const counts = await TransferOperations.getStatusCounts(timeRange ? parseInt(timeRange) : null);
+
+    res.json({
+      success: true,
+      data: counts
+    });
+  } catch (error) {
+    logger.error('Error fetching transfer status counts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch transfer status counts',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/transfers/:id - Get a transfer with the full transactions of its legs
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const transfer = await TransferOperations.findById(id);
+
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transfer not found'
+      });
+    }
+
+    const [source, ...destinations] = await Promise.all([
+      TransactionOperations.findById(transfer.source.transactionId),
+      ...transfer.destinations.map(leg => TransactionOperations.findById(leg.transactionId))
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...transfer.toJSON(),
+        transactions: {
+          source,
+          destinations: destinations.filter(Boolean)
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching transfer:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch transfer',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,5 +1,6 @@
 const express = require('express');
-const { TransactionOperations, AnomalyOperations, AlertOperations } = require('../db/operations');
+const { TransactionOperations, AnomalyOperations, AlertOperations, TransferOperations } = require('../db/operations');
+const chainRegistry = require('../config/chainRegistry');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -11,6 +12,7 @@ router.get('/', async (req, res) => {
       startDate,
       endDate,
       chainId,
+      bridgeLabel,
       groupBy = 'chain'
     } = req.query;
 
@@ -21,18 +23,35 @@ router.get('/', async (req, res) => {
     const volumeStats = await TransactionOperations.getVolumeStats(
       start,
       end,
-      chainId ? parseInt(chainId) : null
+      chainId ? parseInt(chainId) : null,
+      bridgeLabel || null
     );
 
     // Process and format the data based on groupBy parameter
     let formattedData;
     switch (groupBy) {
+      case 'bridge':
+        formattedData = formatByBridge(await TransactionOperations.getBridgeVolumeStats(
+          start,
+          end,
+          chainId ? parseInt(chainId) : null,
+          bridgeLabel || null
+        ));
+        break;
       case 'chain':
         formattedData = formatByChain(volumeStats);
         break;
       case 'token':
         formattedData = formatByToken(volumeStats);
         break;
+      case 'asset':
+        formattedData = formatByAsset(await TransactionOperations.getAssetVolumeStats(
+          start,
+          end,
+          chainId ? parseInt(chainId) : null,
+          bridgeLabel || null
+        ));
+        break;
       case 'time':
         formattedData = await formatByTime(start, end, chainId);
         break;
@@ -48,6 +67,7 @@ router.get('/', async (req, res) => {
         endDate: end.toISOString()
       },
       chainId: chainId ? parseInt(chainId) : null,
+      bridgeLabel: bridgeLabel || null,
       groupBy
     });
   } catch (error) {
@@ -87,6 +107,7 @@ router.get('/summary', async (req, res) => {
     
     // Calculate totals
     let totalVolume = 0;
+    let totalVolumeUsd = 0;
     let totalTransactions = 0;
     const chainSummary = {};
 
@@ -101,11 +122,13 @@ router.get('/summary', async (req, res) => {
       chainSummary[chainName] = {
         chainId: chainData._id,
         volume: chainVolume,
+        volumeUsd: chainData.totalVolumeUsd,
         transactions: chainData.totalTransactions,
         tokens: chainData.tokens.length
       };
       
       totalVolume += chainVolume;
+      totalVolumeUsd += chainData.totalVolumeUsd;
       totalTransactions += chainData.totalTransactions;
     });
 
@@ -114,6 +137,7 @@ router.get('/summary', async (req, res) => {
       data: {
         summary: {
           totalVolume,
+          totalVolumeUsd,
           totalTransactions,
           period,
           chains: Object.keys(chainSummary).length
@@ -237,9 +261,9 @@ router.get('/top-tokens', async (req, res) => {
       });
     });
 
-    // Sort by volume and take top N
+    // Sort by USD volume and take top N
     const topTokens = allTokens
-      .sort((a, b) => b.volume - a.volume)
+      .sort((a, b) => b.volumeUsd - a.volumeUsd)
       .slice(0, Math.min(50, Math.max(1, parseInt(limit))));
 
     res.json({
@@ -277,14 +301,18 @@ router.get('/dashboard', async (req, res) => {
       transactionCounts,
       anomalyCounts,
       alertCounts,
-      recentTransactions
+      recentTransactions,
+      transferCounts,
+      recentTransfers
     ] = await Promise.all([
       TransactionOperations.getVolumeStats(last24h, now),
       TransactionOperations.getVolumeStats(last7d, now),
       TransactionOperations.getStatusCounts(null, 24 * 60 * 60 * 1000),
       AnomalyOperations.getStatusCounts(null, 24 * 60 * 60 * 1000),
       AlertOperations.getStatusCounts(null, 24 * 60 * 60 * 1000),
-      TransactionOperations.getPaginated({ limit: 10, sortBy: 'timestamp', sortOrder: 'desc' })
+      TransactionOperations.getPaginated({ limit: 10, sortBy: 'timestamp', sortOrder: 'desc' }),
+      TransferOperations.getStatusCounts(24 * 60 * 60 * 1000),
+      TransferOperations.getPaginated({ limit: 10 })
     ]);
 
     // Calculate totals
@@ -295,23 +323,26 @@ router.get('/dashboard', async (req, res) => {
       volume: {
         last24h: total24h,
         last7d: total7d,
-        change24h: total24h.volume > 0 ? ((total24h.volume - (total7d.volume / 7)) / (total7d.volume / 7)) * 100 : 0
+        change24h: total7d.volumeUsd > 0 ? ((total24h.volumeUsd - (total7d.volumeUsd / 7)) / (total7d.volumeUsd / 7)) * 100 : 0
       },
       transactions: {
         counts: transactionCounts,
         recent: recentTransactions.transactions
       },
+      transfers: {
+        counts: transferCounts,
+        recent: recentTransfers.transfers
+      },
       anomalies: {
         counts: anomalyCounts
       },
       alerts: {
         counts: alertCounts
       },
-      networks: {
-        ethereum: { status: 'active', volume: 0, transactions: 0 },
-        polygon: { status: 'active', volume: 0, transactions: 0 },
-        bsc: { status: 'active', volume: 0, transactions: 0 }
-      }
+      networks: chainRegistry.getNetworkNames().reduce((networks, networkName) => {
+        networks[networkName] = { status: 'active', volume: 0, volumeUsd: 0, transactions: 0 };
+        return networks;
+      }, {})
     };
 
     // Populate network data
@@ -319,6 +350,7 @@ router.get('/dashboard', async (req, res) => {
       const chainName = getChainName(chainData._id);
       if (dashboardData.networks[chainName]) {
         dashboardData.networks[chainName].volume = chainData.tokens.reduce((sum, token) => sum + token.volume, 0);
+        dashboardData.networks[chainName].volumeUsd = chainData.totalVolumeUsd;
         dashboardData.networks[chainName].transactions = chainData.totalTransactions;
       }
     });
@@ -344,6 +376,7 @@ function formatByChain(volumeStats) {
     chainId: chainData._id,
     chainName: getChainName(chainData._id),
     totalVolume: chainData.tokens.reduce((sum, token) => sum + token.volume, 0),
+    totalVolumeUsd: chainData.totalVolumeUsd,
     totalTransactions: chainData.totalTransactions,
     tokens: chainData.tokens
   }));
@@ -360,7 +393,34 @@ function formatByToken(volumeStats) {
       });
     });
   });
-  return allTokens.sort((a, b) => b.volume - a.volume);
+  return allTokens.sort((a, b) => b.volumeUsd - a.volumeUsd);
+}
+
+function formatByAsset(assetStats) {
+  return assetStats.map(assetData => ({
+    canonicalAssetId: assetData._id || 'unmapped',
+    totalVolume: assetData.totalVolume,
+    totalVolumeExact: assetData.totalVolumeExact,
+    totalVolumeUsd: assetData.totalVolumeUsd,
+    totalTransactions: assetData.totalTransactions,
+    chains: assetData.chains.map(chain => ({
+      ...chain,
+      chainName: getChainName(chain.chainId)
+    }))
+  }));
+}
+
+function formatByBridge(bridgeStats) {
+  return bridgeStats.map(bridgeData => ({
+    bridgeLabel: bridgeData._id || 'default',
+    totalVolume: bridgeData.totalVolume,
+    totalVolumeUsd: bridgeData.totalVolumeUsd,
+    totalTransactions: bridgeData.totalTransactions,
+    chains: bridgeData.chains.map(chain => ({
+      ...chain,
+      chainName: getChainName(chain.chainId)
+    }))
+  }));
 }
 
 async function formatByTime(startDate, endDate, chainId) {
@@ -375,26 +435,23 @@ async function formatByTime(startDate, endDate, chainId) {
 }
 
 function getChainName(chainId) {
-  const chainNames = {
-    1: 'ethereum',
-    137: 'polygon',
-    56: 'bsc'
-  };
-  return chainNames[chainId] || `chain-${chainId}`;
+  return chainRegistry.getNetworkName(chainId) || `chain-${chainId}`;
 }
 
 function calculateTotalVolume(volumeStats) {
   let totalVolume = 0;
+  let totalVolumeUsd = 0;
   let totalTransactions = 0;
 
   volumeStats.forEach(chainData => {
     chainData.tokens.forEach(token => {
       totalVolume += token.volume;
     });
+    totalVolumeUsd += chainData.totalVolumeUsd;
     totalTransactions += chainData.totalTransactions;
   });
 
-  return { volume: totalVolume, transactions: totalTransactions };
+  return { volume: totalVolume, volumeUsd: totalVolumeUsd, transactions: totalTransactions };
 }
 
 module.exports = router;
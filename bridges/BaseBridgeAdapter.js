@@ -0,0 +1,113 @@
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// Base class for bridge protocol adapters. An adapter describes one bridge
+// contract family: its ABI, which of its events are bridge transfers, and
+// how those events map onto the uniform fields stored on a Transaction.
+class BaseBridgeAdapter {
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  // Adapter identifier used in network config
+  get id() {
+    return this.constructor.id;
+  }
+
+  // Human readable adapter name
+  get name() {
+    return this.constructor.displayName || this.constructor.id;
+  }
+
+  // Contract ABI, must contain every event listed in `events`
+  get abi() {
+    throw new Error(`${this.constructor.name} must define an abi`);
+  }
+
+  // Contract event name -> { eventType, direction }
+  // eventType is one of the Transaction event types (Lock, Unlock, Mint, Burn, ...)
+  // direction is 'outbound' for the source leg and 'inbound' for the destination leg
+  get events() {
+    throw new Error(`${this.constructor.name} must define its bridge events`);
+  }
+
+  // Map a decoded event to { tokenAddress, amount, from, to, recipient, sourceChainId, targetChainId, nonce }
+  mapEvent(event) {
+    throw new Error(`${this.constructor.name} must implement mapEvent`);
+  }
+
+  // Derive the identifier shared by both legs of a transfer
+  deriveBridgeId(event, fields) {
+    const { bridgeId } = event.returnValues || {};
+    return bridgeId ? bridgeId.toString() : null;
+  }
+
+  // Hash of the source transaction a stored destination leg answers, when the protocol
+  // carries it, so the source can be checked before (or without) its leg being stored
+  getSourceTxHash(transaction) {
+    return null;
+  }
+
+  // Validator or relayer attestation a destination leg was released with, as
+  // { digest, signatures } where each signature is over the 32-byte digest, or null
+  // if the protocol doesn't expose one. `event` is the decoded destination event and
+  // `transaction` the raw destination transaction, input data included.
+  getAttestation(event, transaction) {
+    return null;
+  }
+
+  // Names of the contract events to subscribe to
+  getEventNames() {
+    return Object.keys(this.events);
+  }
+
+  // Check if a contract event is a bridge transfer for this adapter
+  handles(eventName) {
+    return Object.prototype.hasOwnProperty.call(this.events, eventName);
+  }
+
+  // Normalize a decoded event for a contract deployed on chainId, returns null for unrelated events
+  normalizeEvent(event, chainId) {
+    const definition = this.events[event.event];
+    if (!definition) {
+      return null;
+    }
+
+    const fields = this.mapEvent(event);
+    const { eventType, direction } = definition;
+
+    // The chain we observe the event on is the source of an outbound leg and the target of an inbound one
+    const sourceChainId = direction === 'outbound' ? chainId : fields.sourceChainId || null;
+    const targetChainId = direction === 'inbound' ? chainId : fields.targetChainId || null;
+
+    return {
+      eventType,
+      direction,
+      tokenAddress: fields.tokenAddress || ZERO_ADDRESS,
+      amount: fields.amount || '0',
+      from: fields.from || null,
+      to: fields.to || null,
+      recipient: fields.recipient || fields.to || null,
+      sourceChainId,
+      targetChainId,
+      nonce: fields.nonce || null,
+      bridgeId: this.deriveBridgeId(event, fields)
+    };
+  }
+
+  // Helpers for converting web3 return values (BigInt in web3 v4)
+  static toAmount(value) {
+    return value === undefined || value === null ? '0' : value.toString();
+  }
+
+  static toChainId(value) {
+    return value === undefined || value === null ? null : Number(value);
+  }
+}
+
+BaseBridgeAdapter.ZERO_ADDRESS = ZERO_ADDRESS;
+
+// Fee the bridge takes between legs, in the bridges/feeSchedule.js format.
+// Subclasses set this when the protocol has a known fee; config overrides it.
+BaseBridgeAdapter.feeSchedule = null;
+
+module.exports = BaseBridgeAdapter;
@@ -0,0 +1,88 @@
+const BaseBridgeAdapter = require('./BaseBridgeAdapter');
+
+// Generic lock/mint bridge emitting Lock, Unlock, Mint and Burn events
+// that carry an explicit bridgeId shared by both legs
+class GenericBridgeAdapter extends BaseBridgeAdapter {
+  get abi() {
+    return [
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": true, "name": "from", "type": "address"},
+          {"indexed": true, "name": "to", "type": "address"},
+          {"indexed": false, "name": "amount", "type": "uint256"},
+          {"indexed": false, "name": "token", "type": "address"},
+          {"indexed": false, "name": "targetChain", "type": "uint256"},
+          {"indexed": false, "name": "bridgeId", "type": "bytes32"}
+        ],
+        "name": "Lock",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": true, "name": "to", "type": "address"},
+          {"indexed": false, "name": "amount", "type": "uint256"},
+          {"indexed": false, "name": "token", "type": "address"},
+          {"indexed": false, "name": "sourceChain", "type": "uint256"},
+          {"indexed": false, "name": "bridgeId", "type": "bytes32"}
+        ],
+        "name": "Unlock",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": true, "name": "to", "type": "address"},
+          {"indexed": false, "name": "amount", "type": "uint256"},
+          {"indexed": false, "name": "token", "type": "address"},
+          {"indexed": false, "name": "sourceChain", "type": "uint256"},
+          {"indexed": false, "name": "bridgeId", "type": "bytes32"}
+        ],
+        "name": "Mint",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": true, "name": "from", "type": "address"},
+          {"indexed": false, "name": "amount", "type": "uint256"},
+          {"indexed": false, "name": "token", "type": "address"},
+          {"indexed": false, "name": "targetChain", "type": "uint256"},
+          {"indexed": false, "name": "bridgeId", "type": "bytes32"}
+        ],
+        "name": "Burn",
+        "type": "event"
+      }
+    ];
+  }
+
+  get events() {
+    return {
+      Lock: { eventType: 'Lock', direction: 'outbound' },
+      Burn: { eventType: 'Burn', direction: 'outbound' },
+      Unlock: { eventType: 'Unlock', direction: 'inbound' },
+      Mint: { eventType: 'Mint', direction: 'inbound' }
+    };
+  }
+
+  mapEvent(event) {
+    const { returnValues } = event;
+
+    return {
+      tokenAddress: returnValues.token,
+      amount: BaseBridgeAdapter.toAmount(returnValues.amount),
+      from: returnValues.from,
+      to: returnValues.to,
+      recipient: returnValues.to,
+      sourceChainId: BaseBridgeAdapter.toChainId(returnValues.sourceChain),
+      targetChainId: BaseBridgeAdapter.toChainId(returnValues.targetChain),
+      nonce: returnValues.nonce !== undefined ? returnValues.nonce.toString() : null
+    };
+  }
+}
+
+GenericBridgeAdapter.id = 'generic';
+GenericBridgeAdapter.displayName = 'Generic Lock/Mint Bridge';
+
+module.exports = GenericBridgeAdapter;
@@ -0,0 +1,81 @@
+const BaseBridgeAdapter = require('./BaseBridgeAdapter');
+
+// Multichain (AnySwap) router. The source leg emits LogAnySwapOut and the
+// destination leg emits LogAnySwapIn carrying the source transaction hash,
+// which is what ties the two legs together.
+class MultichainRouterAdapter extends BaseBridgeAdapter {
+  get abi() {
+    return [
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": true, "name": "token", "type": "address"},
+          {"indexed": true, "name": "from", "type": "address"},
+          {"indexed": true, "name": "to", "type": "address"},
+          {"indexed": false, "name": "amount", "type": "uint256"},
+          {"indexed": false, "name": "fromChainID", "type": "uint256"},
+          {"indexed": false, "name": "toChainID", "type": "uint256"}
+        ],
+        "name": "LogAnySwapOut",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": true, "name": "txhash", "type": "bytes32"},
+          {"indexed": true, "name": "token", "type": "address"},
+          {"indexed": true, "name": "to", "type": "address"},
+          {"indexed": false, "name": "amount", "type": "uint256"},
+          {"indexed": false, "name": "fromChainID", "type": "uint256"},
+          {"indexed": false, "name": "toChainID", "type": "uint256"}
+        ],
+        "name": "LogAnySwapIn",
+        "type": "event"
+      }
+    ];
+  }
+
+  get events() {
+    // anyTokens are burned on the source chain and minted on the destination
+    return {
+      LogAnySwapOut: { eventType: 'Burn', direction: 'outbound' },
+      LogAnySwapIn: { eventType: 'Mint', direction: 'inbound' }
+    };
+  }
+
+  mapEvent(event) {
+    const { returnValues } = event;
+
+    return {
+      tokenAddress: returnValues.token,
+      amount: BaseBridgeAdapter.toAmount(returnValues.amount),
+      from: returnValues.from,
+      to: returnValues.to,
+      recipient: returnValues.to,
+      sourceChainId: BaseBridgeAdapter.toChainId(returnValues.fromChainID),
+      targetChainId: BaseBridgeAdapter.toChainId(returnValues.toChainID),
+      nonce: null
+    };
+  }
+
+  // Both legs are keyed by the source transaction hash
+  deriveBridgeId(event) {
+    if (event.event === 'LogAnySwapIn') {
+      return event.returnValues.txhash ? event.returnValues.txhash.toString().toLowerCase() : null;
+    }
+    return event.transactionHash ? event.transactionHash.toLowerCase() : null;
+  }
+
+  // A destination leg's bridge ID is the source transaction hash
+  getSourceTxHash(transaction) {
+    return transaction.direction === 'inbound' ? transaction.bridgeId : null;
+  }
+}
+
+MultichainRouterAdapter.id = 'multichain';
+MultichainRouterAdapter.displayName = 'Multichain Router';
+
+// 0.1% router fee; per-token minimums and caps vary and belong in config
+MultichainRouterAdapter.feeSchedule = { '*': { bps: 10 } };
+
+module.exports = MultichainRouterAdapter;
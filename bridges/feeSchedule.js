@@ -0,0 +1,110 @@
+const config = require('../config/default');
+const chainRegistry = require('../config/chainRegistry');
+const tokenRegistry = require('../services/tokenRegistry');
+const { NORMALIZED_DECIMALS, parseUnits, transactionAmount, toBps, applyBps, formatUnits } = require('../utils/amounts');
+const { getAdapterClass, isOutbound } = require('./index');
+
+// Fee a bridge takes between the source and destination legs of a transfer.
+// A schedule maps canonical assets ('*' for any asset) to rules, and may carry
+// per-route overrides keyed "<sourceChainId>-><targetChainId>":
+//   { "*": { bps: 5 }, usdc: { bps: 10, min: "0.9", max: "1000" },
+//     routes: { "1->137": { usdc: { flat: "0.5" } } } }
+// fee = clamp(source * bps, min, max) + flat, with min/max/flat in token units.
+//
+// The schedule for a source leg is the first of: its contract entry's feeSchedule,
+// config.bridgeFees[bridgeLabel], its adapter's static feeSchedule, and
+// config.bridgeFees.default.
+
+// Fee schedule that applies to the source leg of a transfer, null if none is declared
+function getFeeSchedule(source) {
+  const chain = chainRegistry.getChainById(source.chainId);
+  const contract = chain && (chain.config.contracts || []).find(entry =>
+    entry.address && source.bridgeContract && entry.address.toLowerCase() === source.bridgeContract.toLowerCase());
+  if (contract && contract.feeSchedule) {
+    return contract.feeSchedule;
+  }
+
+  const schedules = config.bridgeFees || {};
+  if (schedules[source.bridgeLabel]) {
+    return schedules[source.bridgeLabel];
+  }
+
+  const AdapterClass = source.bridgeAdapter ? getAdapterClass(source.bridgeAdapter) : null;
+  return (AdapterClass && AdapterClass.feeSchedule) || schedules.default || null;
+}
+
+// Fee rule for the source leg of a transfer, null if the bridge charges nothing
+function getFeeRule(source) {
+  const schedule = getFeeSchedule(source);
+  if (!schedule) {
+    return null;
+  }
+
+  const assetId = tokenRegistry.getTransactionAsset(source);
+  const route = schedule.routes && schedule.routes[`${source.chainId}->${source.targetChainId}`];
+  for (const scope of [route, schedule]) {
+    if (scope && (scope[assetId] || scope['*'])) {
+      return scope[assetId] || scope['*'];
+    }
+  }
+  return null;
+}
+
+// Expected fee on a normalized source amount
+function expectedFee(sourceAmount, rule) {
+  if (!rule) {
+    return 0n;
+  }
+
+  let fee = applyBps(sourceAmount, rule.bps || 0);
+  if (rule.min !== undefined && fee < parseUnits(rule.min)) {
+    fee = parseUnits(rule.min);
+  }
+  if (rule.max !== undefined && fee > parseUnits(rule.max)) {
+    fee = parseUnits(rule.max);
+  }
+  if (rule.flat !== undefined) {
+    fee += parseUnits(rule.flat);
+  }
+  return fee;
+}
+
+// Normalized source amount, bridge fee and what the destination should receive after it
+function expectedNet(source) {
+  const sourceAmount = transactionAmount(source);
+  const fee = expectedFee(sourceAmount, getFeeRule(source));
+  return { sourceAmount, fee, expectedAmount: sourceAmount > fee ? sourceAmount - fee : 0n };
+}
+
+// Compare the two legs of a transfer exactly. The destination may fall short of the
+// source by the bridge fee plus toleranceBps of the source, and may not exceed the
+// source by more than toleranceBps. Amounts are returned in token units.
+function compareLegs(tx1, tx2, toleranceBps) {
+  const [source, destination] = isOutbound(tx1) ? [tx1, tx2] : [tx2, tx1];
+  const { sourceAmount, fee, expectedAmount } = expectedNet(source);
+  const destinationAmount = transactionAmount(destination);
+  const tolerance = applyBps(sourceAmount, toleranceBps);
+
+  // How far the destination is from what the source should have delivered after fees
+  const shortfall = sourceAmount - destinationAmount;
+  const deviation = destinationAmount - expectedAmount;
+  const withinTolerance = shortfall <= fee + tolerance && -shortfall <= tolerance;
+
+  return {
+    withinTolerance,
+    sourceAmount: formatUnits(sourceAmount, NORMALIZED_DECIMALS),
+    destinationAmount: formatUnits(destinationAmount, NORMALIZED_DECIMALS),
+    expectedAmount: formatUnits(expectedAmount, NORMALIZED_DECIMALS),
+    feeAmount: formatUnits(fee, NORMALIZED_DECIMALS),
+    deviation: formatUnits(deviation, NORMALIZED_DECIMALS),
+    deviationBps: toBps(deviation, sourceAmount)
+  };
+}
+
+module.exports = {
+  getFeeSchedule,
+  getFeeRule,
+  expectedFee,
+  expectedNet,
+  compareLegs
+};
@@ -0,0 +1,60 @@
+const fs = require('fs');
+const path = require('path');
+const BaseBridgeAdapter = require('./BaseBridgeAdapter');
+
+// Adapter classes are discovered from *Adapter.js files in this directory,
+// so supporting a new bridge only takes dropping a file in here
+const adapters = new Map();
+
+function registerAdapter(AdapterClass) {
+  if (!AdapterClass.id) {
+    throw new Error(`Bridge adapter ${AdapterClass.name} has no id`);
+  }
+  adapters.set(AdapterClass.id, AdapterClass);
+}
+
+for (const file of fs.readdirSync(__dirname)) {
+  if (file.endsWith('Adapter.js') && file !== 'BaseBridgeAdapter.js') {
+    registerAdapter(require(path.join(__dirname, file)));
+  }
+}
+
+// Create an adapter instance by id
+function createAdapter(id = 'generic', options = {}) {
+  const AdapterClass = adapters.get(id);
+  if (!AdapterClass) {
+    throw new Error(`Unknown bridge adapter: ${id}`);
+  }
+  return new AdapterClass(options);
+}
+
+// Adapter class by id, null if none is registered
+function getAdapterClass(id) {
+  return adapters.get(id) || null;
+}
+
+// List registered adapters
+function listAdapters() {
+  return Array.from(adapters.values()).map(AdapterClass => ({
+    id: AdapterClass.id,
+    name: AdapterClass.displayName || AdapterClass.id
+  }));
+}
+
+// Check if a stored transaction is the source leg of a transfer
+function isOutbound(transaction) {
+  if (transaction.direction) {
+    return transaction.direction === 'outbound';
+  }
+  // Transactions stored before adapters recorded a direction
+  return ['Lock', 'Burn'].includes(transaction.eventType);
+}
+
+module.exports = {
+  BaseBridgeAdapter,
+  registerAdapter,
+  createAdapter,
+  getAdapterClass,
+  listAdapters,
+  isOutbound
+};
@@ -0,0 +1,89 @@
+const config = require('./default');
+
+// Registry of the chains this deployment monitors, built from config.networks.
+// Everything that needs a chain list or a chainId <-> networkName lookup reads
+// from here, so adding a chain is a config entry (plus a listener class).
+const chains = new Map(); // networkName -> chain
+
+// Register a network; networkName is the config key and the name stored on documents
+function registerChain(networkName, networkConfig) {
+  const key = networkName.toLowerCase();
+  const chainId = Number(networkConfig.chainId);
+
+  if (!Number.isInteger(chainId) || chainId <= 0) {
+    throw new Error(`Network ${networkName} has an invalid chainId: ${networkConfig.chainId}`);
+  }
+
+  const existing = getChainById(chainId);
+  if (existing && existing.networkName !== key) {
+    throw new Error(`Chain ID ${chainId} is already registered as ${existing.networkName}`);
+  }
+
+  const chain = {
+    networkName: key,
+    chainId,
+    name: networkConfig.name || networkName,
+    config: networkConfig
+  };
+  chains.set(key, chain);
+  return chain;
+}
+
+// Get all registered chains
+function getChains() {
+  return Array.from(chains.values());
+}
+
+// Get all registered chain IDs
+function getChainIds() {
+  return getChains().map(chain => chain.chainId);
+}
+
+// Get all registered network names
+function getNetworkNames() {
+  return Array.from(chains.keys());
+}
+
+// Get a chain by network name
+function getChain(networkName) {
+  return networkName ? chains.get(networkName.toLowerCase()) || null : null;
+}
+
+// Get a chain by chain ID
+function getChainById(chainId) {
+  const id = Number(chainId);
+  return getChains().find(chain => chain.chainId === id) || null;
+}
+
+// Get the network name for a chain ID, null if the chain isn't registered
+function getNetworkName(chainId) {
+  const chain = getChainById(chainId);
+  return chain ? chain.networkName : null;
+}
+
+// Check if a network name is registered
+function isKnownNetwork(networkName) {
+  return chains.has(networkName);
+}
+
+// Mongoose validator for networkName fields, checked against the registry at save time
+const networkNameValidator = {
+  validator: (value) => value === null || value === undefined || isKnownNetwork(value),
+  message: (props) => `${props.value} is not a registered network`
+};
+
+for (const [networkName, networkConfig] of Object.entries(config.networks)) {
+  registerChain(networkName, networkConfig);
+}
+
+module.exports = {
+  registerChain,
+  getChains,
+  getChainIds,
+  getNetworkNames,
+  getChain,
+  getChainById,
+  getNetworkName,
+  isKnownNetwork,
+  networkNameValidator
+};
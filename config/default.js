@@ -1,3 +1,35 @@
+// Bridge contracts watched on a network. <PREFIX>_BRIDGE_CONTRACTS takes a JSON list of
+// { address, label, adapter, startBlock, canonical, feeSchedule, validators } entries; the single-contract
+// variables still work. `validators` ({ signers: [addresses], threshold }) is the set whose signatures
+// release destination legs on the contract, checked when its adapter exposes attestations.
+function bridgeContracts(prefix) {
+  const contracts = [];
+
+  const address = process.env[`${prefix}_BRIDGE_CONTRACT`];
+  if (address && address !== '0x...') {
+    contracts.push({
+      address,
+      label: process.env[`${prefix}_BRIDGE_LABEL`] || 'default',
+      adapter: process.env[`${prefix}_BRIDGE_ADAPTER`] || 'generic',
+      canonical: process.env[`${prefix}_BRIDGE_CANONICAL`] === 'true' // Rollup's native bridge, withdrawals wait out the challenge period
+    });
+  }
+
+  if (process.env[`${prefix}_BRIDGE_CONTRACTS`]) {
+    contracts.push(...JSON.parse(process.env[`${prefix}_BRIDGE_CONTRACTS`]));
+  }
+
+  return contracts;
+}
+
+// Extra RPC/WS endpoints for a network from a comma-separated <PREFIX>_<KIND>_URLS variable
+function endpointList(prefix, kind) {
+  return (process.env[`${prefix}_${kind}_URLS`] || '')
+    .split(',')
+    .map(url => url.trim())
+    .filter(Boolean);
+}
+
 module.exports = {
   // Server Configuration
   server: {
@@ -21,29 +53,227 @@ module.exports = {
     ethereum: {
       name: 'Ethereum',
       chainId: 1,
+      nativeAsset: { symbol: 'ETH', decimals: 18, canonicalAssetId: 'eth' }, // Transfers with the zero token address
       rpcUrl: process.env.ETHEREUM_RPC_URL || 'https://mainnet.infura.io/v3/YOUR_PROJECT_ID',
       wsUrl: process.env.ETHEREUM_WS_URL || 'wss://mainnet.infura.io/ws/v3/YOUR_PROJECT_ID',
-      bridgeContract: process.env.ETHEREUM_BRIDGE_CONTRACT || '0x...',
-      startBlock: process.env.ETHEREUM_START_BLOCK || 'latest'
+      rpcUrls: endpointList('ETHEREUM', 'RPC'), // Fallback endpoints, ranked by health alongside rpcUrl
+      wsUrls: endpointList('ETHEREUM', 'WS'),
+      listener: 'EthereumListener',
+      contracts: bridgeContracts('ETHEREUM'), // Adapters are loaded from bridges/
+      startBlock: process.env.ETHEREUM_START_BLOCK || 'latest', // Default for contracts without their own startBlock
+      reorgWindowSize: 64, // Recent block hashes kept for reorg detection
+      confirmations: parseInt(process.env.ETHEREUM_CONFIRMATIONS) || 12, // Blocks before an event counts as confirmed
+      finalityConfirmations: parseInt(process.env.ETHEREUM_FINALITY_CONFIRMATIONS) || 64, // Blocks before an event is final
+      gasLimits: { maxGasUsed: 500000, maxGasPrice: 100e9 } // Normal gas ranges for anomaly detection
     },
     polygon: {
       name: 'Polygon',
       chainId: 137,
+      nativeAsset: { symbol: 'POL', decimals: 18, canonicalAssetId: 'pol' },
       rpcUrl: process.env.POLYGON_RPC_URL || 'https://polygon-mainnet.infura.io/v3/YOUR_PROJECT_ID',
       wsUrl: process.env.POLYGON_WS_URL || 'wss://polygon-mainnet.infura.io/ws/v3/YOUR_PROJECT_ID',
-      bridgeContract: process.env.POLYGON_BRIDGE_CONTRACT || '0x...',
-      startBlock: process.env.POLYGON_START_BLOCK || 'latest'
+      rpcUrls: endpointList('POLYGON', 'RPC'), // Fallback endpoints, ranked by health alongside rpcUrl
+      wsUrls: endpointList('POLYGON', 'WS'),
+      listener: 'PolygonListener',
+      contracts: bridgeContracts('POLYGON'), // Adapters are loaded from bridges/
+      startBlock: process.env.POLYGON_START_BLOCK || 'latest', // Default for contracts without their own startBlock
+      reorgWindowSize: 256, // Recent block hashes kept for reorg detection
+      confirmations: parseInt(process.env.POLYGON_CONFIRMATIONS) || 128, // Blocks before an event counts as confirmed
+      finalityConfirmations: parseInt(process.env.POLYGON_FINALITY_CONFIRMATIONS) || 256, // Blocks before an event is final
+      gasLimits: { maxGasUsed: 1000000, maxGasPrice: 50e9 } // Normal gas ranges for anomaly detection
     },
     bsc: {
       name: 'BSC',
       chainId: 56,
+      nativeAsset: { symbol: 'BNB', decimals: 18, canonicalAssetId: 'bnb' },
       rpcUrl: process.env.BSC_RPC_URL || 'https://bsc-dataseed.binance.org/',
       wsUrl: process.env.BSC_WS_URL || 'wss://bsc-ws-node.nariox.org:443',
-      bridgeContract: process.env.BSC_BRIDGE_CONTRACT || '0x...',
-      startBlock: process.env.BSC_START_BLOCK || 'latest'
+      rpcUrls: endpointList('BSC', 'RPC'), // Fallback endpoints, ranked by health alongside rpcUrl
+      wsUrls: endpointList('BSC', 'WS'),
+      listener: 'BSCListener',
+      contracts: bridgeContracts('BSC'), // Adapters are loaded from bridges/
+      startBlock: process.env.BSC_START_BLOCK || 'latest', // Default for contracts without their own startBlock
+      reorgWindowSize: 64, // Recent block hashes kept for reorg detection
+      confirmations: parseInt(process.env.BSC_CONFIRMATIONS) || 15, // Blocks before an event counts as confirmed
+      finalityConfirmations: parseInt(process.env.BSC_FINALITY_CONFIRMATIONS) || 45, // Blocks before an event is final
+      gasLimits: { maxGasUsed: 1000000, maxGasPrice: 20e9 } // Normal gas ranges for anomaly detection
+    },
+    arbitrum: {
+      name: 'Arbitrum',
+      chainId: 42161,
+      nativeAsset: { symbol: 'ETH', decimals: 18, canonicalAssetId: 'eth' },
+      rpcUrl: process.env.ARBITRUM_RPC_URL || 'https://arbitrum-mainnet.infura.io/v3/YOUR_PROJECT_ID',
+      wsUrl: process.env.ARBITRUM_WS_URL || 'wss://arbitrum-mainnet.infura.io/ws/v3/YOUR_PROJECT_ID',
+      rpcUrls: endpointList('ARBITRUM', 'RPC'), // Fallback endpoints, ranked by health alongside rpcUrl
+      wsUrls: endpointList('ARBITRUM', 'WS'),
+      listener: 'L2Listener',
+      contracts: bridgeContracts('ARBITRUM'), // Adapters are loaded from bridges/
+      startBlock: process.env.ARBITRUM_START_BLOCK || 'latest', // Default for contracts without their own startBlock
+      reorgWindowSize: 256, // Recent block hashes kept for reorg detection
+      confirmations: parseInt(process.env.ARBITRUM_CONFIRMATIONS) || 20, // Blocks before an event counts as confirmed
+      l2: {
+        settlementChainId: 1, // L1 the rollup posts batches to; finality comes from there, not block depth
+        statusIntervalMs: 60000, // How often the safe/finalized heads are polled
+        expectedFinalityMs: 30 * 60 * 1000, // Time to L1 finality assumed until enough samples are observed
+        challengePeriodMs: parseInt(process.env.ARBITRUM_CHALLENGE_PERIOD_MS) || 7 * 24 * 60 * 60 * 1000 // Applies to withdrawals through canonical contracts
+      },
+      gasLimits: { maxGasUsed: 5000000, maxGasPrice: 10e9 } // Normal gas ranges for anomaly detection
+    },
+    optimism: {
+      name: 'Optimism',
+      chainId: 10,
+      nativeAsset: { symbol: 'ETH', decimals: 18, canonicalAssetId: 'eth' },
+      rpcUrl: process.env.OPTIMISM_RPC_URL || 'https://optimism-mainnet.infura.io/v3/YOUR_PROJECT_ID',
+      wsUrl: process.env.OPTIMISM_WS_URL || 'wss://optimism-mainnet.infura.io/ws/v3/YOUR_PROJECT_ID',
+      rpcUrls: endpointList('OPTIMISM', 'RPC'), // Fallback endpoints, ranked by health alongside rpcUrl
+      wsUrls: endpointList('OPTIMISM', 'WS'),
+      listener: 'L2Listener',
+      contracts: bridgeContracts('OPTIMISM'), // Adapters are loaded from bridges/
+      startBlock: process.env.OPTIMISM_START_BLOCK || 'latest', // Default for contracts without their own startBlock
+      reorgWindowSize: 128, // Recent block hashes kept for reorg detection
+      confirmations: parseInt(process.env.OPTIMISM_CONFIRMATIONS) || 10, // Blocks before an event counts as confirmed
+      l2: {
+        settlementChainId: 1, // L1 the rollup posts batches to; finality comes from there, not block depth
+        statusIntervalMs: 60000, // How often the safe/finalized heads are polled
+        expectedFinalityMs: 20 * 60 * 1000, // Time to L1 finality assumed until enough samples are observed
+        challengePeriodMs: parseInt(process.env.OPTIMISM_CHALLENGE_PERIOD_MS) || 7 * 24 * 60 * 60 * 1000 // Applies to withdrawals through canonical contracts
+      },
+      gasLimits: { maxGasUsed: 1000000, maxGasPrice: 5e9 } // Normal gas ranges for anomaly detection
+    },
+    avalanche: {
+      name: 'Avalanche',
+      chainId: 43114,
+      nativeAsset: { symbol: 'AVAX', decimals: 18, canonicalAssetId: 'avax' },
+      rpcUrl: process.env.AVALANCHE_RPC_URL || 'https://api.avax.network/ext/bc/C/rpc',
+      wsUrl: process.env.AVALANCHE_WS_URL || 'wss://api.avax.network/ext/bc/C/ws',
+      rpcUrls: endpointList('AVALANCHE', 'RPC'), // Fallback endpoints, ranked by health alongside rpcUrl
+      wsUrls: endpointList('AVALANCHE', 'WS'),
+      listener: 'BaseEventListener',
+      contracts: bridgeContracts('AVALANCHE'), // Adapters are loaded from bridges/
+      startBlock: process.env.AVALANCHE_START_BLOCK || 'latest', // Default for contracts without their own startBlock
+      reorgWindowSize: 32, // Recent block hashes kept for reorg detection
+      confirmations: parseInt(process.env.AVALANCHE_CONFIRMATIONS) || 1, // Blocks before an event counts as confirmed
+      finalityConfirmations: parseInt(process.env.AVALANCHE_FINALITY_CONFIRMATIONS) || 1, // Blocks before an event is final
+      gasLimits: { maxGasUsed: 1000000, maxGasPrice: 200e9 } // Normal gas ranges for anomaly detection
+    },
+    base: {
+      name: 'Base',
+      chainId: 8453,
+      nativeAsset: { symbol: 'ETH', decimals: 18, canonicalAssetId: 'eth' },
+      rpcUrl: process.env.BASE_RPC_URL || 'https://mainnet.base.org',
+      wsUrl: process.env.BASE_WS_URL || 'wss://base-mainnet.infura.io/ws/v3/YOUR_PROJECT_ID',
+      rpcUrls: endpointList('BASE', 'RPC'), // Fallback endpoints, ranked by health alongside rpcUrl
+      wsUrls: endpointList('BASE', 'WS'),
+      listener: 'L2Listener',
+      contracts: bridgeContracts('BASE'), // Adapters are loaded from bridges/
+      startBlock: process.env.BASE_START_BLOCK || 'latest', // Default for contracts without their own startBlock
+      reorgWindowSize: 128, // Recent block hashes kept for reorg detection
+      confirmations: parseInt(process.env.BASE_CONFIRMATIONS) || 10, // Blocks before an event counts as confirmed
+      l2: {
+        settlementChainId: 1, // L1 the rollup posts batches to; finality comes from there, not block depth
+        statusIntervalMs: 60000, // How often the safe/finalized heads are polled
+        expectedFinalityMs: 20 * 60 * 1000, // Time to L1 finality assumed until enough samples are observed
+        challengePeriodMs: parseInt(process.env.BASE_CHALLENGE_PERIOD_MS) || 7 * 24 * 60 * 60 * 1000 // Applies to withdrawals through canonical contracts
+      },
+      gasLimits: { maxGasUsed: 1000000, maxGasPrice: 5e9 } // Normal gas ranges for anomaly detection
     }
   },
 
+  // Token registry seed: known deployments and the canonical asset each belongs to. Seeds are
+  // added on first start and checked on-chain; further mappings are managed through /api/tokens.
+  tokens: [
+    { chainId: 1, address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', canonicalAssetId: 'usdc', symbol: 'USDC', decimals: 6, name: 'USD Coin' },
+    { chainId: 1, address: '0xdAC17F958D2ee523a2206206994597C13D831ec7', canonicalAssetId: 'usdt', symbol: 'USDT', decimals: 6, name: 'Tether USD' },
+    { chainId: 1, address: '0x6B175474E89094C44Da98b954EedeAC495271d0F', canonicalAssetId: 'dai', symbol: 'DAI', decimals: 18, name: 'Dai Stablecoin' },
+    { chainId: 1, address: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2', canonicalAssetId: 'eth', symbol: 'WETH', decimals: 18, name: 'Wrapped Ether' },
+    { chainId: 137, address: '0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174', canonicalAssetId: 'usdc', symbol: 'USDC', decimals: 6, name: 'USD Coin (PoS)' },
+    { chainId: 137, address: '0xc2132D05D31c914a87C6611C10748AEb04B58e8F', canonicalAssetId: 'usdt', symbol: 'USDT', decimals: 6, name: 'Tether USD (PoS)' },
+    { chainId: 137, address: '0x8f3Cf7ad23Cd3CaDbD9735AFf958023239c6A063', canonicalAssetId: 'dai', symbol: 'DAI', decimals: 18, name: 'Dai Stablecoin (PoS)' },
+    { chainId: 137, address: '0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619', canonicalAssetId: 'eth', symbol: 'WETH', decimals: 18, name: 'Wrapped Ether' },
+    { chainId: 56, address: '0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d', canonicalAssetId: 'usdc', symbol: 'USDC', decimals: 18, name: 'USD Coin' },
+    { chainId: 56, address: '0x55d398326f99059fF775485246999027B3197955', canonicalAssetId: 'usdt', symbol: 'USDT', decimals: 18, name: 'Tether USD' },
+    { chainId: 56, address: '0x1AF3F329e8BE154074D8769D1FFa4eE058B1DBc3', canonicalAssetId: 'dai', symbol: 'DAI', decimals: 18, name: 'Dai Token' },
+    { chainId: 56, address: '0x2170Ed0880ac9A755fd29B2688956BD959F933F8', canonicalAssetId: 'eth', symbol: 'ETH', decimals: 18, name: 'Ethereum Token' },
+    { chainId: 56, address: '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c', canonicalAssetId: 'bnb', symbol: 'WBNB', decimals: 18, name: 'Wrapped BNB' }
+  ],
+
+  // Fees bridges take between the source and destination legs, so they aren't flagged as
+  // value mismatches. Keyed by bridge label, then canonical asset ('*' for any asset):
+  // { bps, min, max, flat } with min/max/flat in token units, plus optional per-route
+  // overrides, e.g. { "multichain": { "usdc": { "bps": 10, "min": "0.9", "max": "1000" },
+  // "routes": { "1->137": { "usdc": { "flat": "0.5" } } } } }. A contract entry's own
+  // feeSchedule takes precedence, and adapters may declare a default (see bridges/feeSchedule.js).
+  bridgeFees: process.env.BRIDGE_FEE_SCHEDULE ? JSON.parse(process.env.BRIDGE_FEE_SCHEDULE) : {},
+
+  // RPC endpoint pool; a network can override `quorum` with its own block
+  providerPool: {
+    requestTimeoutMs: parseInt(process.env.RPC_REQUEST_TIMEOUT_MS) || 10000,
+    errorCooldownMs: 60000, // How long an endpoint is deprioritized after repeated errors
+    quorum: {
+      size: parseInt(process.env.RPC_QUORUM) || 1, // Endpoints that must agree on receipt and block hash (1 disables)
+      minAmountUsd: parseFloat(process.env.RPC_QUORUM_MIN_USD) || 100000 // Only events worth at least this much, or unpriced, are cross-checked
+    }
+  },
+
+  // USD pricing; sources are tried in order for each asset
+  pricing: {
+    sources: (process.env.PRICE_SOURCES || 'coingecko,static').split(',').map(source => source.trim()).filter(Boolean),
+    snapshotIntervalMs: 60000,
+    maxPriceAgeMs: parseInt(process.env.PRICE_MAX_AGE_MS) || 15 * 60 * 1000, // Furthest a snapshot can be from an event and still price it
+    retentionDays: parseInt(process.env.PRICE_RETENTION_DAYS) || 30, // How long snapshots are kept; events before the earliest are priced from the sources' history
+    historyCacheSize: 10000, // Historical prices kept in memory, one per asset and maxPriceAgeMs bucket
+    historyMissTtlMs: 5 * 60 * 1000, // How long an asset and bucket no source has history for is left alone
+    requestTimeoutMs: 10000,
+    coingecko: {
+      apiUrl: process.env.COINGECKO_API_URL || 'https://api.coingecko.com/api/v3',
+      apiKey: process.env.COINGECKO_API_KEY || null,
+      ids: { usdc: 'usd-coin', usdt: 'tether', dai: 'dai', eth: 'ethereum', bnb: 'binancecoin', pol: 'polygon-ecosystem-token', avax: 'avalanche-2' }
+    },
+    static: {
+      csvPath: process.env.PRICE_CSV_PATH || null, // assetId,priceUsd[,timestamp] rows
+      prices: { usdc: 1, usdt: 1, dai: 1 }
+    }
+  },
+
+  // HTTP polling fallback used while a network's WebSocket endpoint is down
+  // (a network can override any of these with its own `polling` block)
+  polling: {
+    intervalMs: parseInt(process.env.POLL_INTERVAL_MS) || 15000, // eth_getLogs poll interval over rpcUrl
+    promotionCheckMs: parseInt(process.env.WS_PROMOTION_CHECK_MS) || 60000, // How often to probe the WebSocket while polling
+    probeTimeoutMs: 10000
+  },
+
+  // Historical backfill (checkpoint catch-up and /api/backfill jobs)
+  backfill: {
+    batchSize: parseInt(process.env.BACKFILL_BATCH_SIZE) || 1000, // Initial eth_getLogs range, adapted as the RPC allows
+    minBatchSize: 1,
+    maxBatchSize: parseInt(process.env.BACKFILL_MAX_BATCH_SIZE) || 5000,
+    maxRetries: 3, // Attempts per range before it is recorded as failed
+    retryDelayMs: 2000,
+    failedRangeRounds: 3 // Passes over a job's failed ranges before the job is marked failed
+  },
+
+  // Cross-chain matching of source and destination legs
+  matching: {
+    amountToleranceBps: parseInt(process.env.MATCH_AMOUNT_TOLERANCE_BPS) || 100, // Allowed on top of the bridge's fee, per transfer
+    sweepIntervalMs: parseInt(process.env.MATCH_SWEEP_INTERVAL_MS) || 10 * 60 * 1000, // Safety-net pass; new events are matched as they are stored
+    sweepLookbackMs: parseInt(process.env.MATCH_SWEEP_LOOKBACK_MS) || 7 * 24 * 60 * 60 * 1000, // How far back the sweep and the pending-leg index reach
+    fuzzyWindowMs: 60 * 60 * 1000, // Legs without a shared bridgeId must be this close in time
+    // Relative weight of each feature in a match's confidence score (see alerts/MatchScorer.js)
+    scoreWeights: {
+      bridgeId: 0.35,
+      canonicalToken: 0.15,
+      amount: 0.2,
+      timeDelta: 0.15,
+      recipient: 0.1,
+      nonce: 0.05
+    },
+    minScore: parseFloat(process.env.MATCH_MIN_SCORE) || 0.5, // Candidates scoring lower are never matched automatically
+    reviewThreshold: parseFloat(process.env.MATCH_REVIEW_THRESHOLD) || 0.8, // Matches scoring lower are flagged for operator review
+    reviewAfterMs: parseInt(process.env.MATCH_REVIEW_AFTER_MS) || 60 * 60 * 1000, // Unmatched legs join the review queue after this long
+    highValueUsd: parseInt(process.env.MATCH_HIGH_VALUE_USD) || 100000 // Matched transfers worth this much at the source's event time raise an info alert
+  },
+
   // Alert Configuration
   alerts: {
     timeoutWindow: 30 * 60 * 1000, // 30 minutes in milliseconds
@@ -73,23 +303,158 @@ module.exports = {
     file: process.env.LOG_FILE || 'logs/bridge-monitor.log'
   },
 
+  // In-process sliding-window aggregates that anomaly rules read instead of querying Mongo
+  // (see alerts/WindowedAggregates.js): per chain, token, address and route, the count, sum
+  // and percentiles of transfers over each window, kept in buckets of `bucketMs` and saved
+  // every `persistIntervalMs` so a restart keeps its history
+  aggregates: {
+    windows: {
+      '1m': { spanMs: 60 * 1000, bucketMs: 5 * 1000 },
+      '1h': { spanMs: 60 * 60 * 1000, bucketMs: 60 * 1000 },
+      '24h': { spanMs: 24 * 60 * 60 * 1000, bucketMs: 15 * 60 * 1000 }
+    },
+    // Windows kept per dimension, all of them unless listed. There's a transfer key per
+    // distinct transfer, so only the window duplicates are looked for in is kept for those.
+    dimensionWindows: {
+      transfer: ['24h']
+    },
+    persistIntervalMs: parseInt(process.env.AGGREGATES_PERSIST_INTERVAL_MS) || 60000
+  },
+
+  // Statistical baselines of transfer size and hourly volume per token and bridge latency per
+  // route (see alerts/BaselineModels.js): EWMA mean and variance of log10 values, overall and
+  // per UTC hour of the week, which rules score observations against as z-scores
+  baselines: {
+    alpha: 0.02, // Weight of each new observation, a memory of about 50 observations
+    seasonalAlpha: 0.2, // An hour-of-week slot sees one hour a week, so it adapts faster
+    warmupSamples: parseInt(process.env.BASELINE_WARMUP_SAMPLES) || 30, // Observations before a model scores
+    seasonalWarmupSamples: 3, // Observations before a slot's mean replaces the overall one
+    clipZ: 6, // Outliers are learned as if this many deviations out
+    minStdDev: 0.05, // Deviation floor in log10 units (about 12%), for near-constant series
+    persistIntervalMs: parseInt(process.env.BASELINE_PERSIST_INTERVAL_MS) || 5 * 60 * 1000
+  },
+
+  // Operator-defined rules managed through /api/rules (see utils/ruleDsl.js): enabled rules are
+  // loaded into the detector when changed through the API and re-read every `refreshIntervalMs`
+  // to pick up changes made elsewhere. Dry runs replay at most `dryRunMaxTransactions` of the
+  // last `dryRunMaxDays` and return up to `dryRunSamples` of the anomalies they would raise.
+  customRules: {
+    refreshIntervalMs: parseInt(process.env.CUSTOM_RULES_REFRESH_INTERVAL_MS) || 60000,
+    dedupeWindowMs: 60 * 60 * 1000, // For rules with a dedupe key but no windowMs
+    dryRunMaxDays: 30,
+    dryRunMaxTransactions: parseInt(process.env.RULE_DRY_RUN_MAX_TRANSACTIONS) || 20000,
+    dryRunSamples: 50
+  },
+
   // Anomaly Detection Rules
   anomalyRules: {
     bridgeTimeout: {
       enabled: true,
-      timeoutMs: 30 * 60 * 1000 // 30 minutes
+      timeoutMs: parseInt(process.env.BRIDGE_TIMEOUT_MS) || 30 * 60 * 1000, // Default SLA: 30 minutes
+      // Per-route SLAs keyed "<sourceChainId>-><targetChainId>", in ms. Routes out of a chain
+      // that waits on a checkpoint or challenge period need far longer than the default.
+      routes: process.env.BRIDGE_TIMEOUT_ROUTES ? JSON.parse(process.env.BRIDGE_TIMEOUT_ROUTES) : {
+        '1->137': 30 * 60 * 1000, // Ethereum -> Polygon: state sync
+        '137->1': 3 * 60 * 60 * 1000 // Polygon -> Ethereum: checkpoint delay
+      },
+      // Anomaly severity once a transfer is this many SLAs overdue (alerts: warning, error, critical)
+      escalation: [
+        { multiplier: 1, severity: 'medium' },
+        { multiplier: 2, severity: 'high' },
+        { multiplier: 4, severity: 'critical' }
+      ],
+      checkIntervalMs: parseInt(process.env.BRIDGE_TIMEOUT_CHECK_INTERVAL_MS) || 60000,
+      batchSize: 500 // Overdue source legs evaluated per check
+    },
+    // Supply conservation: per canonical asset, collateral locked on origin chains (Lock - Unlock)
+    // must cover supply minted on wrapped chains (Mint - Burn). Event totals are flows since
+    // events were first recorded, so the check asserts every unit minted since then is backed.
+    supplyConservation: {
+      enabled: true,
+      checkIntervalMs: parseInt(process.env.SUPPLY_CHECK_INTERVAL_MS) || 5 * 60 * 1000,
+      toleranceBps: parseInt(process.env.SUPPLY_TOLERANCE_BPS) || 10, // Minted supply may exceed backing by this share of it
+      retentionDays: 30, // How long snapshots are kept
+      // Optional on-chain cross-check per asset: token balances holding the collateral and
+      // wrapped tokens whose totalSupply is the minted supply, e.g. { "usdc": { "collateral":
+      // [{ "chainId": 1, "token": "0xA0b8...", "holder": "0x<escrow>" }], "minted": [{ "chainId": 137,
+      // "token": "0x2791..." }] } }. A collateral entry without a token holds the native asset.
+      onChain: process.env.SUPPLY_ONCHAIN_CHECKS ? JSON.parse(process.env.SUPPLY_ONCHAIN_CHECKS) : {}
+    },
+    // Unbacked mints: a finalized destination leg (Mint/Unlock) with no source leg once the
+    // route's maximum latency has passed since finality. Raised as an unbacked_mint anomaly
+    // and grouped per bridge contract into an incident (see alerts/UnbackedMintMonitor.js).
+    unbackedMint: {
+      enabled: true,
+      // Maximum latency per route keyed "<sourceChainId>-><targetChainId>", in ms. Routes without
+      // one use maxLatencyMs, or else the route's bridge timeout SLA.
+      routes: process.env.UNBACKED_MINT_ROUTES ? JSON.parse(process.env.UNBACKED_MINT_ROUTES) : {},
+      maxLatencyMs: parseInt(process.env.UNBACKED_MINT_MAX_LATENCY_MS) || null,
+      // Anomaly severity by the leg's USD value; legs without a price are critical
+      severityUsd: [
+        { minUsd: 0, severity: 'high' },
+        { minUsd: 10000, severity: 'critical' }
+      ],
+      checkIntervalMs: parseInt(process.env.UNBACKED_MINT_CHECK_INTERVAL_MS) || 60000,
+      // A leg past its max latency with a stored, not yet matched source leg is checked again after this
+      recheckMs: parseInt(process.env.UNBACKED_MINT_RECHECK_MS) || 15 * 60 * 1000,
+      batchSize: 500 // Final destination legs evaluated per check
+    },
+    failedVerification: {
+      enabled: true // Re-checks each destination leg's source log on the source chain (see alerts/ProofVerifier.js)
     },
     valueMismatch: {
       enabled: true,
-      tolerancePercent: 0.1 // 0.1% tolerance
+      toleranceBps: 10 // 0.1% tolerance on top of the bridge's fee (see bridgeFees)
+    },
+    // A transfer, or its token's volume so far this hour, this many deviations above the
+    // token's baseline (see baselines). Until the token's transfer-size baseline has warmed
+    // up, a transfer this many times its token's average over the window (token units).
+    unusualVolume: {
+      enabled: true,
+      zThreshold: parseFloat(process.env.VOLUME_Z_THRESHOLD) || 4,
+      criticalZ: 8,
+      window: '24h',
+      multiplier: 10,
+      criticalMultiplier: 50,
+      minSamples: 10 // Earlier transfers of the token in the window needed for an average
+    },
+    // A matched transfer whose latency is this many deviations off its route's baseline,
+    // either way: unusually slow, or faster than the bridge normally allows
+    bridgeLatency: {
+      enabled: true,
+      zThreshold: parseFloat(process.env.LATENCY_Z_THRESHOLD) || 4,
+      criticalZ: 8
+    },
+    // Limits on the transfers per key over a window, each tripping on maxCount and/or maxUsd
+    // (maxAmount in token units for token limits). Dimensions: chain, token ("<chainId>:<address>"),
+    // address (sender of source legs, recipient of destination legs) and route
+    // ("<sourceChainId>-><targetChainId>"); a limit may set its own severity.
+    velocity: {
+      enabled: true,
+      limits: process.env.VELOCITY_LIMITS ? JSON.parse(process.env.VELOCITY_LIMITS) : [
+        { dimension: 'address', window: '1m', maxCount: 10 },
+        { dimension: 'address', window: '1h', maxUsd: 1000000 },
+        { dimension: 'route', window: '1m', maxCount: 200 },
+        { dimension: 'route', window: '1h', maxUsd: 25000000, severity: 'critical' }
+      ]
     },
     duplicateTransaction: {
       enabled: true,
-      windowMs: 24 * 60 * 60 * 1000 // 24 hours
+      window: '24h' // Aggregate window of earlier identical transfers
     },
     suspiciousContract: {
       enabled: true,
-      blacklist: [] // Add known scam contract addresses
+      blacklist: [], // Add known scam contract addresses
+      rapidTransfers: { window: '1m', maxCount: 5 } // More transfers by one address is suspicious
+    },
+    // Gas used or gas price above the network's gasLimits
+    gasAnomaly: {
+      enabled: true
+    },
+    // A bridge ID seen on more than one chain besides the transaction's own. Every completed
+    // transfer shares its bridge ID between its source and destination chains, so this is off
+    replayAttack: {
+      enabled: false
     }
   }
 };
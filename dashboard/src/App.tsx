@@ -4,6 +4,8 @@ import Sidebar from './components/Layout/Sidebar';
 import Header from './components/Layout/Header';
 import Dashboard from './pages/Dashboard';
 import Transactions from './pages/Transactions';
+import Transfers from './pages/Transfers';
+import Review from './pages/Review';
 import Anomalies from './pages/Anomalies';
 import Alerts from './pages/Alerts';
 import Settings from './pages/Settings';
@@ -33,7 +35,9 @@ function App() {
                   <Routes>
                     <Route path="/" element={<Dashboard />} />
                     <Route path="/dashboard" element={<Dashboard />} />
+                    <Route path="/transfers" element={<Transfers />} />
                     <Route path="/transactions" element={<Transactions />} />
+                    <Route path="/review" element={<Review />} />
                     <Route path="/anomalies" element={<Anomalies />} />
                     <Route path="/alerts" element={<Alerts />} />
                     <Route path="/settings" element={<Settings />} />
@@ -4,6 +4,7 @@ import { useSocket } from '../../contexts/SocketContext';
 interface Network {
   status: string;
   volume: number;
+  volumeUsd: number;
   transactions: number;
 }
 
@@ -121,7 +122,7 @@ const NetworkStatus: React.FC<NetworkStatusProps> = ({ networks }) => {
 
               <div className="text-right">
                 <div className="text-sm font-medium text-gray-900">
-                  ${network.volume.toLocaleString()}
+                  ${network.volumeUsd.toLocaleString()}
                 </div>
                 <div className="text-xs text-gray-500">
                   {network.transactions} txns
@@ -131,6 +132,12 @@ const NetworkStatus: React.FC<NetworkStatusProps> = ({ networks }) => {
                     Block: {listenerInfo.lastProcessedBlock.toLocaleString()}
                   </div>
                 )}
+                {listenerInfo?.checkpoint && (
+                  <div className={`text-xs mt-1 ${listenerInfo.checkpoint.lag > 100 ? 'text-red-500' : 'text-gray-400'}`}>
+                    Checkpoint: {listenerInfo.checkpoint.blockNumber.toLocaleString()}
+                    {listenerInfo.checkpoint.lag !== null && ` (${listenerInfo.checkpoint.lag} behind)`}
+                  </div>
+                )}
               </div>
             </div>
           );
@@ -1,187 +0,0 @@
-import React from 'react';
-import { Link } from 'react-router-dom';
-
-interface Transaction {
-  _id: string;
-  txHash: string;
-  chainId: number;
-  networkName: string;
-  eventType: string;
-  tokenSymbol: string;
-  amountFormatted: number;
-  status: string;
-  timestamp: string;
-  isMatched: boolean;
-}
-
-interface RecentTransactionsProps {
-  transactions: Transaction[];
-}
-
-const RecentTransactions: React.FC<RecentTransactionsProps> = ({ transactions }) => {
-  const getStatusColor = (status: string) => {
-    switch (status.toLowerCase()) {
-      case 'completed':
-        return 'text-green-600 bg-green-100';
-      case 'pending':
-        return 'text-yellow-600 bg-yellow-100';
-      case 'failed':
-        return 'text-red-600 bg-red-100';
-      case 'timeout':
-        return 'text-orange-600 bg-orange-100';
-      default:
-        return 'text-gray-600 bg-gray-100';
-    }
-  };
-
-  const getNetworkColor = (networkName: string) => {
-    switch (networkName.toLowerCase()) {
-      case 'ethereum':
-        return 'text-gray-700 bg-gray-100';
-      case 'polygon':
-        return 'text-purple-700 bg-purple-100';
-      case 'bsc':
-        return 'text-yellow-700 bg-yellow-100';
-      default:
-        return 'text-gray-600 bg-gray-100';
-    }
-  };
-
-  const getEventTypeIcon = (eventType: string) => {
-    switch (eventType) {
-      case 'Lock':
-        return (
-          <svg className="w-4 h-4 text-blue-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
-          </svg>
-        );
-      case 'Unlock':
-        return (
-          <svg className="w-4 h-4 text-green-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 11V7a4 4 0 118 0m-4 8v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2z" />
-          </svg>
-        );
-      case 'Mint':
-        return (
-          <svg className="w-4 h-4 text-green-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
-          </svg>
-        );
-      case 'Burn':
-        return (
-          <svg className="w-4 h-4 text-red-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-          </svg>
-        );
-      default:
-        return (
-          <svg className="w-4 h-4 text-gray-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7h12m0 0l-4-4m4 4l-4 4m0 6H4m0 0l4 4m-4-4l4-4" />
-          </svg>
-        );
-    }
-  };
-
-  const formatTime = (timestamp: string) => {
-    const date = new Date(timestamp);
-    const now = new Date();
-    const diff = now.getTime() - date.getTime();
-    const minutes = Math.floor(diff / 60000);
-    const hours = Math.floor(minutes / 60);
-
-    if (hours > 0) {
-      return `${hours}h ago`;
-    } else if (minutes > 0) {
-      return `${minutes}m ago`;
-    } else {
-      return 'Just now';
-    }
-  };
-
-  const truncateHash = (hash: string) => {
-    return `${hash.slice(0, 6)}...${hash.slice(-4)}`;
-  };
-
-  return (
-    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
-      <div className="flex items-center justify-between mb-6">
-        <h3 className="text-lg font-medium text-gray-900">Recent Transactions</h3>
-        <Link
-          to="/transactions"
-          className="text-sm text-primary-600 hover:text-primary-700 font-medium"
-        >
-          View all →
-        </Link>
-      </div>
-
-      <div className="space-y-4">
-        {transactions.length === 0 ? (
-          <div className="text-center py-8">
-            <svg className="w-12 h-12 text-gray-300 mx-auto mb-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7h12m0 0l-4-4m4 4l-4 4m0 6H4m0 0l4 4m-4-4l4-4" />
-            </svg>
-            <p className="text-gray-500">No recent transactions</p>
-          </div>
-        ) : (
-          transactions.slice(0, 5).map((transaction) => (
-            <div key={transaction._id} className="flex items-center justify-between p-4 bg-gray-50 rounded-lg hover:bg-gray-100 transition-colors duration-200">
-              <div className="flex items-center space-x-3">
-                <div className="flex-shrink-0">
-                  {getEventTypeIcon(transaction.eventType)}
-                </div>
-                
-                <div className="min-w-0 flex-1">
-                  <div className="flex items-center space-x-2 mb-1">
-                    <span className="text-sm font-medium text-gray-900">
-                      {transaction.eventType}
-                    </span>
-                    <span className={`px-2 py-1 text-xs font-medium rounded-full ${getNetworkColor(transaction.networkName)}`}>
-                      {transaction.networkName.toUpperCase()}
-                    </span>
-                    {transaction.isMatched && (
-                      <span className="px-2 py-1 text-xs font-medium rounded-full text-green-700 bg-green-100">
-                        Matched
-                      </span>
-                    )}
-                  </div>
-                  
-                  <div className="flex items-center space-x-2 text-sm text-gray-600">
-                    <span className="font-mono">
-                      {truncateHash(transaction.txHash)}
-                    </span>
-                    <span>•</span>
-                    <span>
-                      {transaction.amountFormatted.toLocaleString()} {transaction.tokenSymbol}
-                    </span>
-                  </div>
-                </div>
-              </div>
-
-              <div className="flex items-center space-x-3">
-                <span className={`px-2 py-1 text-xs font-medium rounded-full ${getStatusColor(transaction.status)}`}>
-                  {transaction.status}
-                </span>
-                <span className="text-xs text-gray-500 whitespace-nowrap">
-                  {formatTime(transaction.timestamp)}
-                </span>
-              </div>
-            </div>
-          ))
-        )}
-      </div>
-
-      {transactions.length > 5 && (
-        <div className="mt-4 pt-4 border-t border-gray-200 text-center">
-          <Link
-            to="/transactions"
-            className="text-sm text-primary-600 hover:text-primary-700 font-medium"
-          >
-            View {transactions.length - 5} more transactions
-          </Link>
-        </div>
-      )}
-    </div>
-  );
-};
-
-export default RecentTransactions;
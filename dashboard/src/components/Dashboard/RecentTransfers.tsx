@@ -0,0 +1,151 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+
+interface Transfer {
+  _id: string;
+  tokenSymbol?: string;
+  route: {
+    sourceChainId: number;
+    sourceNetwork?: string;
+    targetChainId?: number | null;
+    targetNetwork?: string;
+  };
+  source: {
+    txHash: string;
+  };
+  destinations: any[];
+  sourceAmount: string;
+  status: string;
+  initiatedAt: string;
+  latencyMs?: number | null;
+}
+
+interface RecentTransfersProps {
+  transfers: Transfer[];
+}
+
+const RecentTransfers: React.FC<RecentTransfersProps> = ({ transfers }) => {
+  const getStatusColor = (status: string) => {
+    switch (status.toLowerCase()) {
+      case 'completed':
+        return 'text-green-600 bg-green-100';
+      case 'pending':
+        return 'text-yellow-600 bg-yellow-100';
+      case 'partial':
+        return 'text-blue-600 bg-blue-100';
+      case 'timeout':
+        return 'text-orange-600 bg-orange-100';
+      default:
+        return 'text-gray-600 bg-gray-100';
+    }
+  };
+
+  const getNetworkColor = (networkName?: string) => {
+    switch ((networkName || '').toLowerCase()) {
+      case 'ethereum':
+        return 'text-gray-700 bg-gray-100';
+      case 'polygon':
+        return 'text-purple-700 bg-purple-100';
+      case 'bsc':
+        return 'text-yellow-700 bg-yellow-100';
+      default:
+        return 'text-gray-600 bg-gray-100';
+    }
+  };
+
+  const formatTime = (timestamp: string) => {
+    const date = new Date(timestamp);
+    const now = new Date();
+    const diff = now.getTime() - date.getTime();
+    const minutes = Math.floor(diff / 60000);
+    const hours = Math.floor(minutes / 60);
+
+    if (hours > 0) {
+      return `${hours}h ago`;
+    } else if (minutes > 0) {
+      return `${minutes}m ago`;
+    } else {
+      return 'Just now';
+    }
+  };
+
+  const truncateHash = (hash: string) => {
+    return `${hash.slice(0, 6)}...${hash.slice(-4)}`;
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+      <div className="flex items-center justify-between mb-6">
+        <h3 className="text-lg font-medium text-gray-900">Recent Transfers</h3>
+        <Link
+          to="/transfers"
+          className="text-sm text-primary-600 hover:text-primary-700 font-medium"
+        >
+          View all →
+        </Link>
+      </div>
+
+      <div className="space-y-4">
+        {transfers.length === 0 ? (
+          <div className="text-center py-8">
+            <svg className="w-12 h-12 text-gray-300 mx-auto mb-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7h12m0 0l-4-4m4 4l-4 4m0 6H4m0 0l4 4m-4-4l4-4" />
+            </svg>
+            <p className="text-gray-500">No recent transfers</p>
+          </div>
+        ) : (
+          transfers.slice(0, 5).map((transfer) => (
+            <div key={transfer._id} className="flex items-center justify-between p-4 bg-gray-50 rounded-lg hover:bg-gray-100 transition-colors duration-200">
+              <div className="min-w-0 flex-1">
+                <div className="flex items-center space-x-2 mb-1">
+                  <span className={`px-2 py-1 text-xs font-medium rounded-full ${getNetworkColor(transfer.route.sourceNetwork)}`}>
+                    {(transfer.route.sourceNetwork || `${transfer.route.sourceChainId}`).toUpperCase()}
+                  </span>
+                  <span className="text-gray-400">→</span>
+                  <span className={`px-2 py-1 text-xs font-medium rounded-full ${getNetworkColor(transfer.route.targetNetwork)}`}>
+                    {(transfer.route.targetNetwork || (transfer.route.targetChainId ? `${transfer.route.targetChainId}` : 'unknown')).toUpperCase()}
+                  </span>
+                  {transfer.destinations.length > 1 && (
+                    <span className="text-xs text-gray-500">{transfer.destinations.length} legs</span>
+                  )}
+                </div>
+
+                <div className="flex items-center space-x-2 text-sm text-gray-600">
+                  <span className="font-mono">
+                    {truncateHash(transfer.source.txHash)}
+                  </span>
+                  <span>•</span>
+                  <span>
+                    {Number(transfer.sourceAmount).toLocaleString()} {transfer.tokenSymbol}
+                  </span>
+                </div>
+              </div>
+
+              <div className="flex items-center space-x-3">
+                <span className={`px-2 py-1 text-xs font-medium rounded-full ${getStatusColor(transfer.status)}`}>
+                  {transfer.status}
+                </span>
+                <span className="text-xs text-gray-500 whitespace-nowrap">
+                  {formatTime(transfer.initiatedAt)}
+                </span>
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+
+      {transfers.length > 5 && (
+        <div className="mt-4 pt-4 border-t border-gray-200 text-center">
+          <Link
+            to="/transfers"
+            className="text-sm text-primary-600 hover:text-primary-700 font-medium"
+          >
+            View {transfers.length - 5} more transfers
+          </Link>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecentTransfers;
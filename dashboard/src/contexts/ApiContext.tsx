@@ -6,7 +6,7 @@ interface ApiContextType {
   get: <T = any>(url: string, params?: any) => Promise<AxiosResponse<T>>;
   post: <T = any>(url: string, data?: any) => Promise<AxiosResponse<T>>;
   put: <T = any>(url: string, data?: any) => Promise<AxiosResponse<T>>;
-  delete: <T = any>(url: string) => Promise<AxiosResponse<T>>;
+  delete: <T = any>(url: string, data?: any) => Promise<AxiosResponse<T>>;
 }
 
 const ApiContext = createContext<ApiContextType | undefined>(undefined);
@@ -77,8 +77,8 @@ export const ApiProvider: React.FC<ApiProviderProps> = ({ children }) => {
     return api.put(url, data);
   };
 
-  const deleteRequest = <T = any>(url: string): Promise<AxiosResponse<T>> => {
-    return api.delete(url);
+  const deleteRequest = <T = any>(url: string, data?: any): Promise<AxiosResponse<T>> => {
+    return api.delete(url, { data });
   };
 
   const value: ApiContextType = {
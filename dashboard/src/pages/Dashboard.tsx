@@ -4,20 +4,24 @@ import { useSocket } from '../contexts/SocketContext';
 import StatsCard from '../components/Dashboard/StatsCard';
 import VolumeChart from '../components/Dashboard/VolumeChart';
 import NetworkStatus from '../components/Dashboard/NetworkStatus';
-import RecentTransactions from '../components/Dashboard/RecentTransactions';
+import RecentTransfers from '../components/Dashboard/RecentTransfers';
 import RecentAlerts from '../components/Dashboard/RecentAlerts';
 import SystemHealth from '../components/Dashboard/SystemHealth';
 
 interface DashboardData {
   volume: {
-    last24h: { volume: number; transactions: number };
-    last7d: { volume: number; transactions: number };
+    last24h: { volume: number; volumeUsd: number; transactions: number };
+    last7d: { volume: number; volumeUsd: number; transactions: number };
     change24h: number;
   };
   transactions: {
     counts: { [key: string]: number };
     recent: any[];
   };
+  transfers: {
+    counts: { [key: string]: { count: number; avgLatencyMs: number | null } };
+    recent: any[];
+  };
   anomalies: {
     counts: any[];
   };
@@ -28,6 +32,7 @@ interface DashboardData {
     [key: string]: {
       status: string;
       volume: number;
+      volumeUsd: number;
       transactions: number;
     };
   };
@@ -80,7 +85,7 @@ const Dashboard: React.FC = () => {
       // Listen for real-time updates
       socket.on('realtime_update', (update) => {
         // Update dashboard data based on real-time events
-        if (update.type === 'transaction' || update.type === 'anomaly' || update.type === 'alert') {
+        if (update.type === 'transaction' || update.type === 'transfer_updated' || update.type === 'anomaly' || update.type === 'alert') {
           // Refresh dashboard data
           fetchDashboardData();
         }
@@ -166,7 +171,7 @@ const Dashboard: React.FC = () => {
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
           <StatsCard
             title="24h Volume"
-            value={`$${dashboardData.volume.last24h.volume.toLocaleString()}`}
+            value={`$${dashboardData.volume.last24h.volumeUsd.toLocaleString()}`}
             change={dashboardData.volume.change24h}
             icon="chart"
           />
@@ -206,7 +211,7 @@ const Dashboard: React.FC = () => {
 
       {/* Recent activity */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-        <RecentTransactions transactions={dashboardData?.transactions.recent || []} />
+        <RecentTransfers transfers={dashboardData?.transfers?.recent || []} />
         <RecentAlerts />
       </div>
     </div>
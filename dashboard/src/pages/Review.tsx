@@ -0,0 +1,430 @@
+import React, { useState, useEffect } from 'react';
+import { useApi } from '../contexts/ApiContext';
+import { useNotifications } from '../contexts/NotificationContext';
+
+interface MatchFeature {
+  feature: string;
+  weight: number;
+  value: number;
+  detail: string;
+}
+
+interface Transaction {
+  _id: string;
+  txHash: string;
+  chainId: number;
+  networkName: string;
+  eventType: string;
+  tokenSymbol?: string;
+  amountFormatted: number;
+  status: string;
+  timestamp: string;
+  isMatched: boolean;
+  matchedTransactionId?: string | null;
+  matchDetails?: {
+    confidence?: number;
+    scoreBreakdown?: MatchFeature[];
+  } | null;
+}
+
+interface Candidate {
+  transaction: Transaction;
+  score: number;
+  features: MatchFeature[];
+  isCurrentMatch: boolean;
+  valid: boolean;
+}
+
+interface AuditEntry {
+  _id: string;
+  action: string;
+  txHash: string;
+  counterpartTxHash?: string | null;
+  confidence?: number | null;
+  performedBy: string;
+  reason: string;
+  createdAt: string;
+}
+
+type QueueType = 'unmatched' | 'low_confidence';
+
+const Review: React.FC = () => {
+  const [queueType, setQueueType] = useState<QueueType>('unmatched');
+  const [queue, setQueue] = useState<Transaction[]>([]);
+  const [counts, setCounts] = useState<Record<QueueType, number>>({ unmatched: 0, low_confidence: 0 });
+  const [loading, setLoading] = useState(true);
+  const [expanded, setExpanded] = useState<string | null>(null);
+  const [candidates, setCandidates] = useState<Candidate[]>([]);
+  const [candidatesLoading, setCandidatesLoading] = useState(false);
+  const [audit, setAudit] = useState<AuditEntry[]>([]);
+  const [operator, setOperator] = useState(localStorage.getItem('reviewOperator') || '');
+  const [pagination, setPagination] = useState({
+    page: 1,
+    limit: 20,
+    total: 0,
+    pages: 0
+  });
+  const api = useApi();
+  const { addNotification } = useNotifications();
+
+  const fetchQueue = async () => {
+    try {
+      setLoading(true);
+      const response = await api.get('/transactions/review/queue', {
+        type: queueType,
+        page: pagination.page,
+        limit: pagination.limit
+      });
+      setQueue(response.data.data);
+      setCounts(response.data.counts);
+      setPagination(prev => ({
+        ...prev,
+        ...response.data.pagination
+      }));
+    } catch (error) {
+      console.error('Error fetching review queue:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchAudit = async () => {
+    try {
+      const response = await api.get('/transactions/review/audit', { limit: 20 });
+      setAudit(response.data.data);
+    } catch (error) {
+      console.error('Error fetching match audit trail:', error);
+    }
+  };
+
+  const fetchCandidates = async (transactionId: string) => {
+    try {
+      setCandidatesLoading(true);
+      const response = await api.get(`/transactions/${transactionId}/match-candidates`);
+      setCandidates(response.data.data.candidates);
+    } catch (error) {
+      console.error('Error fetching match candidates:', error);
+      setCandidates([]);
+    } finally {
+      setCandidatesLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchQueue();
+  }, [queueType, pagination.page]);
+
+  useEffect(() => {
+    fetchAudit();
+  }, []);
+
+  useEffect(() => {
+    localStorage.setItem('reviewOperator', operator);
+  }, [operator]);
+
+  const toggle = (transactionId: string) => {
+    if (expanded === transactionId) {
+      setExpanded(null);
+      return;
+    }
+    setExpanded(transactionId);
+    setCandidates([]);
+    fetchCandidates(transactionId);
+  };
+
+  // Every action needs the operator's name and a reason for the audit trail
+  const runAction = async (label: string, action: (actor: { operator: string; reason: string }) => Promise<any>) => {
+    if (!operator.trim()) {
+      addNotification({ type: 'warning', title: 'Operator required', message: 'Enter your name before reviewing matches' });
+      return;
+    }
+    const reason = window.prompt(`Reason for ${label.toLowerCase()}:`);
+    if (!reason || !reason.trim()) {
+      return;
+    }
+
+    try {
+      const response = await action({ operator: operator.trim(), reason: reason.trim() });
+      addNotification({ type: 'success', title: label, message: response.data.message });
+      setExpanded(null);
+      fetchQueue();
+      fetchAudit();
+    } catch (error: any) {
+      addNotification({
+        type: 'error',
+        title: `${label} failed`,
+        message: error.response?.data?.error || error.message
+      });
+    }
+  };
+
+  const matchWith = (transaction: Transaction, candidate: Transaction) =>
+    runAction(transaction.isMatched || candidate.isMatched ? 'Rematch' : 'Match', actor =>
+      api.post(`/transactions/${transaction._id}/match`, { targetTransactionId: candidate._id, ...actor }));
+
+  const unmatch = (transaction: Transaction) =>
+    runAction('Unmatch', actor => api.delete(`/transactions/${transaction._id}/match`, actor));
+
+  const confirm = (transaction: Transaction) =>
+    runAction('Confirm match', actor => api.post(`/transactions/${transaction._id}/match/confirm`, actor));
+
+  const getScoreColor = (score: number) => {
+    if (score >= 0.8) return 'text-green-600 bg-green-100';
+    if (score >= 0.5) return 'text-yellow-600 bg-yellow-100';
+    return 'text-red-600 bg-red-100';
+  };
+
+  const getActionColor = (action: string) => {
+    switch (action) {
+      case 'match':
+      case 'confirm':
+        return 'text-green-600 bg-green-100';
+      case 'rematch':
+        return 'text-blue-600 bg-blue-100';
+      case 'unmatch':
+        return 'text-red-600 bg-red-100';
+      default:
+        return 'text-gray-600 bg-gray-100';
+    }
+  };
+
+  const truncateHash = (hash?: string | null) => {
+    return hash ? `${hash.slice(0, 8)}...${hash.slice(-6)}` : '—';
+  };
+
+  const formatTime = (timestamp: string) => {
+    return new Date(timestamp).toLocaleString();
+  };
+
+  const formatScore = (score?: number | null) => {
+    return score == null ? '—' : `${Math.round(score * 100)}%`;
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Page header */}
+      <div className="flex items-center justify-between">
+        <h1 className="text-3xl font-bold text-gray-900">Match Review</h1>
+        <div className="flex items-center space-x-3">
+          <input
+            type="text"
+            value={operator}
+            onChange={(e) => setOperator(e.target.value)}
+            placeholder="Your name"
+            className="px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+          />
+          <button
+            onClick={() => { fetchQueue(); fetchAudit(); }}
+            disabled={loading}
+            className="inline-flex items-center px-4 py-2 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50"
+          >
+            <svg className={`-ml-1 mr-2 h-4 w-4 ${loading ? 'animate-spin' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+            </svg>
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {/* Queue */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-200 flex space-x-4">
+          {([['unmatched', 'Unmatched'], ['low_confidence', 'Low Confidence']] as [QueueType, string][]).map(([type, label]) => (
+            <button
+              key={type}
+              onClick={() => {
+                setQueueType(type);
+                setExpanded(null);
+                setPagination(prev => ({ ...prev, page: 1 }));
+              }}
+              className={`px-3 py-2 text-sm font-medium rounded-md ${queueType === type ? 'bg-primary-100 text-primary-700' : 'text-gray-600 hover:bg-gray-100'}`}
+            >
+              {label} ({counts[type].toLocaleString()})
+            </button>
+          ))}
+        </div>
+
+        {loading ? (
+          <div className="flex items-center justify-center h-64">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+          </div>
+        ) : queue.length === 0 ? (
+          <div className="text-center py-12 text-gray-500">Nothing to review</div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Transaction
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Amount
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Status
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Confidence
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Time
+                  </th>
+                  <th className="px-6 py-3"></th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {queue.map((transaction) => (
+                  <React.Fragment key={transaction._id}>
+                    <tr className="hover:bg-gray-50 cursor-pointer" onClick={() => toggle(transaction._id)}>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-sm text-gray-900">{transaction.eventType} on {transaction.networkName}</div>
+                        <div className="text-sm text-gray-500 font-mono">{truncateHash(transaction.txHash)}</div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {transaction.amountFormatted.toLocaleString()} {transaction.tokenSymbol}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {transaction.status}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        {transaction.matchDetails?.confidence != null ? (
+                          <span className={`px-2 py-1 text-xs font-medium rounded-full ${getScoreColor(transaction.matchDetails.confidence)}`}>
+                            {formatScore(transaction.matchDetails.confidence)}
+                          </span>
+                        ) : (
+                          <span className="text-gray-400">—</span>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {formatTime(transaction.timestamp)}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm space-x-2" onClick={(e) => e.stopPropagation()}>
+                        {transaction.isMatched && (
+                          <>
+                            <button onClick={() => confirm(transaction)} className="text-green-600 hover:text-green-700 font-medium">
+                              Confirm
+                            </button>
+                            <button onClick={() => unmatch(transaction)} className="text-red-600 hover:text-red-700 font-medium">
+                              Unmatch
+                            </button>
+                          </>
+                        )}
+                      </td>
+                    </tr>
+
+                    {expanded === transaction._id && (
+                      <tr className="bg-gray-50">
+                        <td colSpan={6} className="px-6 py-4">
+                          <h4 className="text-sm font-medium text-gray-900 mb-2">Candidates by score</h4>
+                          {candidatesLoading ? (
+                            <div className="text-sm text-gray-500">Loading candidates...</div>
+                          ) : candidates.length === 0 ? (
+                            <div className="text-sm text-gray-500">No candidates on other chains</div>
+                          ) : (
+                            <ul className="space-y-3">
+                              {candidates.map((candidate) => (
+                                <li key={candidate.transaction._id} className="bg-white border border-gray-200 rounded-md p-3">
+                                  <div className="flex items-center justify-between">
+                                    <div className="text-sm text-gray-700">
+                                      <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${getScoreColor(candidate.score)}`}>
+                                        {formatScore(candidate.score)}
+                                      </span>
+                                      <span className="ml-2">{candidate.transaction.eventType} on {candidate.transaction.networkName}</span>
+                                      {' · '}<span className="font-mono">{truncateHash(candidate.transaction.txHash)}</span>
+                                      {' · '}{candidate.transaction.amountFormatted.toLocaleString()} {candidate.transaction.tokenSymbol}
+                                      {candidate.isCurrentMatch && <span className="ml-2 text-xs text-primary-600 font-medium">current match</span>}
+                                      {!candidate.valid && <span className="ml-2 text-xs text-orange-600">fails match checks</span>}
+                                      {candidate.transaction.isMatched && !candidate.isCurrentMatch && (
+                                        <span className="ml-2 text-xs text-gray-500">matched elsewhere</span>
+                                      )}
+                                    </div>
+                                    {!candidate.isCurrentMatch && (
+                                      <button
+                                        onClick={() => matchWith(transaction, candidate.transaction)}
+                                        className="text-sm text-primary-600 hover:text-primary-700 font-medium"
+                                      >
+                                        {transaction.isMatched || candidate.transaction.isMatched ? 'Rematch' : 'Match'}
+                                      </button>
+                                    )}
+                                  </div>
+                                  <ul className="mt-2 grid grid-cols-1 md:grid-cols-2 gap-1">
+                                    {candidate.features.map((feature) => (
+                                      <li key={feature.feature} className="text-xs text-gray-500">
+                                        <span className="font-medium text-gray-700">{feature.feature}</span>
+                                        {' '}{formatScore(feature.value)} · {feature.detail}
+                                      </li>
+                                    ))}
+                                  </ul>
+                                </li>
+                              ))}
+                            </ul>
+                          )}
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* Pagination */}
+        {pagination.pages > 1 && (
+          <div className="px-6 py-4 border-t border-gray-200 flex items-center justify-between">
+            <div className="text-sm text-gray-700">
+              Showing {((pagination.page - 1) * pagination.limit) + 1} to {Math.min(pagination.page * pagination.limit, pagination.total)} of {pagination.total} results
+            </div>
+            <div className="flex space-x-2">
+              <button
+                onClick={() => setPagination(prev => ({ ...prev, page: prev.page - 1 }))}
+                disabled={pagination.page === 1}
+                className="px-3 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Previous
+              </button>
+              <button
+                onClick={() => setPagination(prev => ({ ...prev, page: prev.page + 1 }))}
+                disabled={pagination.page === pagination.pages}
+                className="px-3 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Audit trail */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+        <h3 className="text-lg font-medium text-gray-900 mb-4">Audit Trail</h3>
+        {audit.length === 0 ? (
+          <p className="text-gray-500">No manual actions yet</p>
+        ) : (
+          <ul className="space-y-3">
+            {audit.map((entry) => (
+              <li key={entry._id} className="text-sm text-gray-700">
+                <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${getActionColor(entry.action)}`}>
+                  {entry.action}
+                </span>
+                <span className="ml-2 font-mono">{truncateHash(entry.txHash)}</span>
+                {entry.counterpartTxHash && (
+                  <span className="font-mono"> ↔ {truncateHash(entry.counterpartTxHash)}</span>
+                )}
+                <span className="ml-2">by <span className="font-medium">{entry.performedBy}</span></span>
+                <span className="ml-2 text-gray-500">{formatTime(entry.createdAt)}</span>
+                <div className="text-xs text-gray-500 mt-1">
+                  {entry.reason}
+                  {entry.confidence != null && ` · scored ${formatScore(entry.confidence)}`}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Review;
@@ -9,21 +9,33 @@ interface Transaction {
   eventType: string;
   tokenSymbol: string;
   amountFormatted: number;
+  amountUsd?: number | null;
   status: string;
   timestamp: string;
   isMatched: boolean;
+  confirmationStatus: string;
+  confirmations: number;
+  l1Status?: string;
   from: string;
   to: string;
 }
 
+interface NetworkOption {
+  networkName: string;
+  chainId: number;
+  name: string;
+}
+
 const Transactions: React.FC = () => {
   const [transactions, setTransactions] = useState<Transaction[]>([]);
+  const [networks, setNetworks] = useState<NetworkOption[]>([]);
   const [loading, setLoading] = useState(true);
   const [filters, setFilters] = useState({
     chainId: '',
     status: '',
     eventType: '',
-    isMatched: ''
+    isMatched: '',
+    confirmationStatus: ''
   });
   const [pagination, setPagination] = useState({
     page: 1,
@@ -59,6 +71,19 @@ const Transactions: React.FC = () => {
     fetchTransactions();
   }, [pagination.page, filters]);
 
+  useEffect(() => {
+    const fetchNetworks = async () => {
+      try {
+        const response = await get('/networks');
+        setNetworks(response.data.data);
+      } catch (error) {
+        console.error('Error fetching networks:', error);
+      }
+    };
+
+    fetchNetworks();
+  }, []);
+
   const getStatusColor = (status: string) => {
     switch (status.toLowerCase()) {
       case 'completed':
@@ -69,6 +94,8 @@ const Transactions: React.FC = () => {
         return 'text-red-600 bg-red-100';
       case 'timeout':
         return 'text-orange-600 bg-orange-100';
+      case 'reorged':
+        return 'text-gray-500 bg-gray-200 line-through';
       default:
         return 'text-gray-600 bg-gray-100';
     }
@@ -87,6 +114,17 @@ const Transactions: React.FC = () => {
     }
   };
 
+  const getConfirmationColor = (confirmationStatus: string) => {
+    switch (confirmationStatus) {
+      case 'finalized':
+        return 'text-green-700 bg-green-100';
+      case 'confirmed':
+        return 'text-blue-700 bg-blue-100';
+      default:
+        return 'text-gray-600 bg-gray-100';
+    }
+  };
+
   const truncateHash = (hash: string) => {
     return `${hash.slice(0, 8)}...${hash.slice(-6)}`;
   };
@@ -115,7 +153,7 @@ const Transactions: React.FC = () => {
       {/* Filters */}
       <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
         <h3 className="text-lg font-medium text-gray-900 mb-4">Filters</h3>
-        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">Network</label>
             <select
@@ -124,9 +162,9 @@ const Transactions: React.FC = () => {
               className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500"
             >
               <option value="">All Networks</option>
-              <option value="1">Ethereum</option>
-              <option value="137">Polygon</option>
-              <option value="56">BSC</option>
+              {networks.map((network) => (
+                <option key={network.chainId} value={network.chainId}>{network.name}</option>
+              ))}
             </select>
           </div>
           
@@ -142,6 +180,7 @@ const Transactions: React.FC = () => {
               <option value="completed">Completed</option>
               <option value="failed">Failed</option>
               <option value="timeout">Timeout</option>
+              <option value="reorged">Reorged</option>
             </select>
           </div>
           
@@ -172,6 +211,20 @@ const Transactions: React.FC = () => {
               <option value="false">Unmatched</option>
             </select>
           </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Finality</label>
+            <select
+              value={filters.confirmationStatus}
+              onChange={(e) => setFilters(prev => ({ ...prev, confirmationStatus: e.target.value }))}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+            >
+              <option value="">All</option>
+              <option value="observed">Observed</option>
+              <option value="confirmed">Confirmed</option>
+              <option value="finalized">Finalized</option>
+            </select>
+          </div>
         </div>
       </div>
 
@@ -207,6 +260,9 @@ const Transactions: React.FC = () => {
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                     Status
                   </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Confirmations
+                  </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                     Time
                   </th>
@@ -242,12 +298,28 @@ const Transactions: React.FC = () => {
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                       {transaction.amountFormatted.toLocaleString()} {transaction.tokenSymbol}
+                      {transaction.amountUsd != null && (
+                        <div className="text-xs text-gray-500">${transaction.amountUsd.toLocaleString()}</div>
+                      )}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
                       <span className={`px-2 py-1 text-xs font-medium rounded-full ${getStatusColor(transaction.status)}`}>
                         {transaction.status}
                       </span>
                     </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="flex items-center space-x-2">
+                        <span className="text-sm text-gray-900">{(transaction.confirmations || 0).toLocaleString()}</span>
+                        <span className={`px-2 py-1 text-xs font-medium rounded-full ${getConfirmationColor(transaction.confirmationStatus)}`}>
+                          {transaction.confirmationStatus || 'observed'}
+                        </span>
+                      </div>
+                      {transaction.l1Status && (
+                        <div className="text-xs text-gray-500 mt-1">
+                          L1: {transaction.l1Status.replace('_', ' ')}
+                        </div>
+                      )}
+                    </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                       {formatTime(transaction.timestamp)}
                     </td>
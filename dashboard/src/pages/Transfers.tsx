@@ -0,0 +1,461 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useApi } from '../contexts/ApiContext';
+
+interface TransferLeg {
+  transactionId: string;
+  txHash: string;
+  chainId: number;
+  networkName: string;
+  eventType: string;
+  amount: string;
+  amountUsd?: number | null;
+  timestamp: string;
+}
+
+interface StatusChange {
+  status: string;
+  at: string;
+  note?: string;
+}
+
+interface Transfer {
+  _id: string;
+  bridgeId?: string;
+  bridgeLabel?: string;
+  tokenSymbol?: string;
+  route: {
+    sourceChainId: number;
+    sourceNetwork?: string;
+    targetChainId?: number | null;
+    targetNetwork?: string;
+  };
+  source: TransferLeg;
+  destinations: TransferLeg[];
+  sourceAmount: string;
+  feeAmount: string;
+  expectedAmount: string;
+  receivedAmount: string;
+  deviation?: string | null;
+  deviationBps?: number | null;
+  amountUsd?: number | null;
+  status: string;
+  timeline: StatusChange[];
+  initiatedAt: string;
+  latencyMs?: number | null;
+  matchMethod?: string | null;
+  matchConfidence?: number | null;
+}
+
+interface NetworkOption {
+  networkName: string;
+  chainId: number;
+  name: string;
+}
+
+const Transfers: React.FC = () => {
+  const [transfers, setTransfers] = useState<Transfer[]>([]);
+  const [networks, setNetworks] = useState<NetworkOption[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [expanded, setExpanded] = useState<string | null>(null);
+  const [search, setSearch] = useState('');
+  const [filters, setFilters] = useState({
+    sourceChainId: '',
+    targetChainId: '',
+    status: '',
+    matchMethod: ''
+  });
+  const [pagination, setPagination] = useState({
+    page: 1,
+    limit: 20,
+    total: 0,
+    pages: 0
+  });
+  const { get } = useApi();
+
+  const fetchTransfers = async () => {
+    try {
+      setLoading(true);
+      const params = {
+        page: pagination.page,
+        limit: pagination.limit,
+        ...Object.fromEntries(Object.entries(filters).filter(([_, v]) => v !== ''))
+      };
+
+      const response = await get('/transfers', params);
+      setTransfers(response.data.data);
+      setPagination(prev => ({
+        ...prev,
+        ...response.data.pagination
+      }));
+    } catch (error) {
+      console.error('Error fetching transfers:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const searchTransfers = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!search.trim()) {
+      fetchTransfers();
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const response = await get('/transfers/search', { q: search.trim() });
+      setTransfers(response.data.data);
+      setPagination(prev => ({ ...prev, page: 1, total: response.data.count, pages: 1 }));
+    } catch (error) {
+      console.error('Error searching transfers:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchTransfers();
+  }, [pagination.page, filters]);
+
+  useEffect(() => {
+    const fetchNetworks = async () => {
+      try {
+        const response = await get('/networks');
+        setNetworks(response.data.data);
+      } catch (error) {
+        console.error('Error fetching networks:', error);
+      }
+    };
+
+    fetchNetworks();
+  }, []);
+
+  const getStatusColor = (status: string) => {
+    switch (status.toLowerCase()) {
+      case 'completed':
+        return 'text-green-600 bg-green-100';
+      case 'pending':
+        return 'text-yellow-600 bg-yellow-100';
+      case 'partial':
+        return 'text-blue-600 bg-blue-100';
+      case 'timeout':
+        return 'text-orange-600 bg-orange-100';
+      case 'reorged':
+        return 'text-gray-500 bg-gray-200 line-through';
+      default:
+        return 'text-gray-600 bg-gray-100';
+    }
+  };
+
+  const getNetworkColor = (networkName?: string) => {
+    switch ((networkName || '').toLowerCase()) {
+      case 'ethereum':
+        return 'text-gray-700 bg-gray-100';
+      case 'polygon':
+        return 'text-purple-700 bg-purple-100';
+      case 'bsc':
+        return 'text-yellow-700 bg-yellow-100';
+      default:
+        return 'text-gray-600 bg-gray-100';
+    }
+  };
+
+  const truncateHash = (hash: string) => {
+    return `${hash.slice(0, 8)}...${hash.slice(-6)}`;
+  };
+
+  const formatTime = (timestamp: string) => {
+    return new Date(timestamp).toLocaleString();
+  };
+
+  const formatAmount = (amount: string) => {
+    return Number(amount).toLocaleString(undefined, { maximumFractionDigits: 6 });
+  };
+
+  const formatLatency = (latencyMs?: number | null) => {
+    if (latencyMs == null) return '—';
+    const seconds = Math.round(latencyMs / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Page header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Transfers</h1>
+          <Link to="/transactions" className="text-sm text-primary-600 hover:text-primary-700 font-medium">
+            View raw bridge events →
+          </Link>
+        </div>
+        <button
+          onClick={fetchTransfers}
+          disabled={loading}
+          className="inline-flex items-center px-4 py-2 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50"
+        >
+          <svg className={`-ml-1 mr-2 h-4 w-4 ${loading ? 'animate-spin' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+          </svg>
+          Refresh
+        </button>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+        <h3 className="text-lg font-medium text-gray-900 mb-4">Filters</h3>
+        <form onSubmit={searchTransfers} className="mb-4">
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search by transaction hash, bridge ID or address"
+            className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+          />
+        </form>
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">From</label>
+            <select
+              value={filters.sourceChainId}
+              onChange={(e) => setFilters(prev => ({ ...prev, sourceChainId: e.target.value }))}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+            >
+              <option value="">All Networks</option>
+              {networks.map((network) => (
+                <option key={network.chainId} value={network.chainId}>{network.name}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">To</label>
+            <select
+              value={filters.targetChainId}
+              onChange={(e) => setFilters(prev => ({ ...prev, targetChainId: e.target.value }))}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+            >
+              <option value="">All Networks</option>
+              {networks.map((network) => (
+                <option key={network.chainId} value={network.chainId}>{network.name}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Status</label>
+            <select
+              value={filters.status}
+              onChange={(e) => setFilters(prev => ({ ...prev, status: e.target.value }))}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+            >
+              <option value="">All Statuses</option>
+              <option value="pending">Pending</option>
+              <option value="partial">Partial</option>
+              <option value="completed">Completed</option>
+              <option value="timeout">Timeout</option>
+              <option value="reorged">Reorged</option>
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Matched By</label>
+            <select
+              value={filters.matchMethod}
+              onChange={(e) => setFilters(prev => ({ ...prev, matchMethod: e.target.value }))}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+            >
+              <option value="">All</option>
+              <option value="bridgeId">Bridge ID</option>
+              <option value="fuzzy">Fuzzy</option>
+              <option value="manual">Manual</option>
+            </select>
+          </div>
+        </div>
+      </div>
+
+      {/* Transfers table */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h3 className="text-lg font-medium text-gray-900">
+            Transfers ({pagination.total.toLocaleString()})
+          </h3>
+        </div>
+
+        {loading ? (
+          <div className="flex items-center justify-center h-64">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Route
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Amount
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Fee
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Status
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Latency
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Match
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Initiated
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {transfers.map((transfer) => (
+                  <React.Fragment key={transfer._id}>
+                    <tr
+                      className="hover:bg-gray-50 cursor-pointer"
+                      onClick={() => setExpanded(expanded === transfer._id ? null : transfer._id)}
+                    >
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="flex items-center space-x-2">
+                          <span className={`px-2 py-1 text-xs font-medium rounded-full ${getNetworkColor(transfer.route.sourceNetwork)}`}>
+                            {(transfer.route.sourceNetwork || `${transfer.route.sourceChainId}`).toUpperCase()}
+                          </span>
+                          <span className="text-gray-400">→</span>
+                          <span className={`px-2 py-1 text-xs font-medium rounded-full ${getNetworkColor(transfer.route.targetNetwork)}`}>
+                            {(transfer.route.targetNetwork || (transfer.route.targetChainId ? `${transfer.route.targetChainId}` : 'unknown')).toUpperCase()}
+                          </span>
+                        </div>
+                        <div className="text-sm text-gray-500 font-mono mt-1">
+                          {truncateHash(transfer.source.txHash)}
+                        </div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {formatAmount(transfer.sourceAmount)} {transfer.tokenSymbol}
+                        {transfer.amountUsd != null && (
+                          <div className="text-xs text-gray-500">${transfer.amountUsd.toLocaleString()}</div>
+                        )}
+                        {transfer.destinations.length > 0 && (
+                          <div className="text-xs text-gray-500">
+                            Received {formatAmount(transfer.receivedAmount)} over {transfer.destinations.length} {transfer.destinations.length === 1 ? 'leg' : 'legs'}
+                          </div>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {formatAmount(transfer.feeAmount)}
+                        {transfer.deviation != null && Number(transfer.deviation) !== 0 && (
+                          <div className={`text-xs ${Math.abs(transfer.deviationBps || 0) > 100 ? 'text-red-600' : 'text-gray-500'}`}>
+                            Deviation {formatAmount(transfer.deviation)}
+                          </div>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className={`px-2 py-1 text-xs font-medium rounded-full ${getStatusColor(transfer.status)}`}>
+                          {transfer.status}
+                        </span>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {formatLatency(transfer.latencyMs)}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {transfer.matchMethod ? (
+                          <div>
+                            <span>{transfer.matchMethod}</span>
+                            {transfer.matchConfidence != null && (
+                              <div className="text-xs text-gray-500">{Math.round(transfer.matchConfidence * 100)}% confidence</div>
+                            )}
+                          </div>
+                        ) : (
+                          <span className="text-gray-400">—</span>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {formatTime(transfer.initiatedAt)}
+                      </td>
+                    </tr>
+
+                    {expanded === transfer._id && (
+                      <tr className="bg-gray-50">
+                        <td colSpan={7} className="px-6 py-4">
+                          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                            <div>
+                              <h4 className="text-sm font-medium text-gray-900 mb-2">Legs</h4>
+                              <ul className="space-y-2">
+                                {[transfer.source, ...transfer.destinations].map((leg, index) => (
+                                  <li key={leg.transactionId} className="text-sm text-gray-700">
+                                    <span className="font-medium">{index === 0 ? 'Source' : `Destination ${index}`}</span>
+                                    {' · '}{leg.eventType} on {leg.networkName}
+                                    {' · '}<span className="font-mono">{truncateHash(leg.txHash)}</span>
+                                    {' · '}{formatAmount(leg.amount)} {transfer.tokenSymbol}
+                                  </li>
+                                ))}
+                              </ul>
+                              {transfer.status !== 'completed' && (
+                                <div className="text-xs text-gray-500 mt-2">
+                                  Expected after fees: {formatAmount(transfer.expectedAmount)} {transfer.tokenSymbol}
+                                </div>
+                              )}
+                            </div>
+                            <div>
+                              <h4 className="text-sm font-medium text-gray-900 mb-2">Timeline</h4>
+                              <ul className="space-y-2">
+                                {transfer.timeline.map((change, index) => (
+                                  <li key={index} className="text-sm text-gray-700">
+                                    <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${getStatusColor(change.status)}`}>
+                                      {change.status}
+                                    </span>
+                                    <span className="ml-2 text-gray-500">{formatTime(change.at)}</span>
+                                    {change.note && <span className="ml-2">{change.note}</span>}
+                                  </li>
+                                ))}
+                              </ul>
+                            </div>
+                          </div>
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* Pagination */}
+        {pagination.pages > 1 && (
+          <div className="px-6 py-4 border-t border-gray-200 flex items-center justify-between">
+            <div className="text-sm text-gray-700">
+              Showing {((pagination.page - 1) * pagination.limit) + 1} to {Math.min(pagination.page * pagination.limit, pagination.total)} of {pagination.total} results
+            </div>
+            <div className="flex space-x-2">
+              <button
+                onClick={() => setPagination(prev => ({ ...prev, page: prev.page - 1 }))}
+                disabled={pagination.page === 1}
+                className="px-3 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Previous
+              </button>
+              <button
+                onClick={() => setPagination(prev => ({ ...prev, page: prev.page + 1 }))}
+                disabled={pagination.page === pagination.pages}
+                className="px-3 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Transfers;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const chainRegistry = require('../../config/chainRegistry');
 
 const AlertSchema = new mongoose.Schema({
   // Alert identification
@@ -20,6 +21,10 @@ const AlertSchema = new mongoose.Schema({
       'high_volume',
       'bridge_down',
       'threshold_exceeded',
+      'chain_reorg',
+      'bridge_timeout',
+      'bridge_success',
+      'incident_opened',
       'manual_alert'
     ],
     index: true
@@ -73,7 +78,7 @@ const AlertSchema = new mongoose.Schema({
   },
   networkName: {
     type: String,
-    enum: ['ethereum', 'polygon', 'bsc']
+    validate: chainRegistry.networkNameValidator // Any network in the chain registry
   },
   contractAddress: {
     type: String,
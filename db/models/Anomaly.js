@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const chainRegistry = require('../../config/chainRegistry');
 
 const AnomalySchema = new mongoose.Schema({
   // Anomaly identification
@@ -21,7 +22,12 @@ const AnomalySchema = new mongoose.Schema({
       'unusual_volume',
       'failed_verification',
       'replay_attack',
-      'gas_anomaly'
+      'gas_anomaly',
+      'supply_deficit',
+      'unbacked_mint',
+      'velocity_limit',
+      'latency_anomaly',
+      'custom_rule'
     ],
     index: true
   },
@@ -62,7 +68,7 @@ const AnomalySchema = new mongoose.Schema({
   networkName: {
     type: String,
     required: true,
-    enum: ['ethereum', 'polygon', 'bsc']
+    validate: chainRegistry.networkNameValidator // Any network in the chain registry
   },
   contractAddress: {
     type: String,
@@ -84,10 +90,18 @@ const AnomalySchema = new mongoose.Schema({
     // For bridge_timeout
     timeoutDuration: Number,
     expectedCompletionTime: Date,
+    slaMs: Number,
+    escalationMultiplier: Number,
     
     // For value_mismatch
     expectedValue: String,
     actualValue: String,
+    expectedValueUsd: Number,
+    actualValueUsd: Number,
+    expectedAmount: String, // Token units the destination leg should receive after fees
+    feeAmount: String, // Token units, from the bridge fee schedule
+    deviation: String, // Token units the destination leg is off by after fees
+    deviationBps: Number,
     discrepancyPercent: Number,
     
     // For duplicate_transaction
@@ -99,13 +113,56 @@ const AnomalySchema = new mongoose.Schema({
     contractAddress: String,
     riskScore: Number,
     blacklistReason: String,
+    tokenSymbol: String,
     
     // For unusual_volume
     volumeAmount: String,
+    volumeUsd: Number,
     averageVolume: String,
     volumeMultiplier: Number,
     timeWindow: String,
-    
+
+    // For baseline scores (unusual_volume, latency_anomaly; see alerts/BaselineModels.js)
+    zScore: Number, // Deviations from the baseline, in log10 units
+    baselineValue: Number, // Typical value the observation was compared with
+    modelSamples: Number,
+    modelConfidence: Number,
+    seasonalBaseline: Boolean, // Scored against its hour-of-week slot rather than overall
+    latencyMs: Number,
+    routeKey: String,
+
+    // For velocity_limit (see anomalyRules.velocity)
+    velocityDimension: String,
+    velocityKey: String,
+    transferCount: Number,
+    limitCount: Number,
+    limitAmount: Number, // USD, or token units for token limits
+
+    // For supply_deficit (token units)
+    assetId: String,
+    backing: String,
+    mintedSupply: String,
+    deficit: String,
+    deficitBps: Number,
+    coverageRatio: Number,
+    supplySource: String, // 'events' or 'onchain'
+
+    // For failed_verification (codes from alerts/ProofVerifier.js)
+    reasonCode: String,
+    failedChecks: [String],
+    sourceTransactionHash: String,
+
+    // For unbacked_mint
+    expectedSourceChainId: Number,
+    finalizedAt: Date,
+    maxLatencyMs: Number,
+    valueUsd: Number, // Null when the token has no price
+
+    // For custom_rule (see /api/rules)
+    customRuleId: String,
+    ruleVersion: Number,
+    dedupeKey: String,
+
     // Generic fields
     additionalData: mongoose.Schema.Types.Mixed
   },
@@ -228,6 +285,22 @@ AnomalySchema.statics.findActive = function(chainId = null) {
   return this.find(query).sort({ detectedAt: -1 });
 };
 
+AnomalySchema.statics.findOpenForTransaction = function(transactionId, type) {
+  return this.findOne({
+    transactionId,
+    type,
+    status: { $in: ['active', 'investigating'] }
+  }).sort({ detectedAt: -1 });
+};
+
+AnomalySchema.statics.findOpenForAsset = function(assetId, type) {
+  return this.findOne({
+    'anomalyData.assetId': assetId,
+    type,
+    status: { $in: ['active', 'investigating'] }
+  }).sort({ detectedAt: -1 });
+};
+
 AnomalySchema.statics.findBySeverity = function(severity, limit = 100) {
   return this.find({ severity, status: 'active' })
     .sort({ detectedAt: -1 })
@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const chainRegistry = require('../../config/chainRegistry');
+
+const BackfillRangeSchema = new mongoose.Schema({
+  fromBlock: {
+    type: Number,
+    required: true
+  },
+  toBlock: {
+    type: Number,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  error: {
+    type: String
+  },
+  lastAttemptAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const BackfillContractSchema = new mongoose.Schema({
+  address: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  label: {
+    type: String
+  },
+
+  // Next block to fetch; everything below it has been processed (or recorded in failedRanges)
+  nextBlock: {
+    type: Number,
+    required: true
+  },
+  eventsFound: {
+    type: Number,
+    default: 0
+  },
+  eventsStored: {
+    type: Number,
+    default: 0
+  },
+  failedRanges: [BackfillRangeSchema]
+}, { _id: false });
+
+const BackfillJobSchema = new mongoose.Schema({
+  // Job scope
+  chainId: {
+    type: Number,
+    required: true,
+    index: true
+  },
+  networkName: {
+    type: String,
+    required: true,
+    validate: chainRegistry.networkNameValidator
+  },
+  fromBlock: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  toBlock: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  // Per-contract progress, so a restarted job resumes where it stopped
+  contracts: [BackfillContractSchema],
+
+  // Job state
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued',
+    index: true
+  },
+  batchSize: {
+    type: Number // Current range size after adaptive shrinking/growing
+  },
+  error: {
+    type: String
+  },
+  requestedBy: {
+    type: String // apiKeyId of the caller (see api/middleware/auth.js), never the key itself
+  },
+  startedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  collection: 'backfill_jobs'
+});
+
+// Indexes
+BackfillJobSchema.index({ status: 1, createdAt: 1 });
+BackfillJobSchema.index({ chainId: 1, createdAt: -1 });
+
+// Virtual for progress percentage across all contracts
+BackfillJobSchema.virtual('progress').get(function() {
+  const blocksPerContract = this.toBlock - this.fromBlock + 1;
+  if (!this.contracts.length || blocksPerContract <= 0) {
+    return 0;
+  }
+
+  const processed = this.contracts.reduce(
+    (total, contract) => total + Math.min(blocksPerContract, Math.max(0, contract.nextBlock - this.fromBlock)),
+    0
+  );
+  return Math.round((processed / (blocksPerContract * this.contracts.length)) * 10000) / 100;
+});
+
+BackfillJobSchema.set('toJSON', { virtuals: true });
+
+// Static methods
+BackfillJobSchema.statics.getResumable = function() {
+  return this.find({ status: { $in: ['queued', 'running'] } }).sort({ createdAt: 1 });
+};
+
+module.exports = mongoose.model('BackfillJob', BackfillJobSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// EWMA statistics of a value's log10 (see alerts/BaselineModels.js)
+const EwmaSchema = new mongoose.Schema({
+  count: Number,
+  mean: Number,
+  variance: Number
+}, { _id: false });
+
+// Persisted state of one statistical baseline, reloaded on start
+const BaselineModelSchema = new mongoose.Schema({
+  metric: {
+    type: String,
+    required: true,
+    enum: ['transfer_size', 'hourly_volume', 'bridge_latency']
+  },
+  // "<chainId>:<token address>" for token metrics, "<sourceChainId>-><targetChainId>" for latency
+  key: {
+    type: String,
+    required: true
+  },
+  overall: {
+    type: EwmaSchema,
+    required: true
+  },
+  // UTC hour of the week (0-167) -> EWMA statistics of that hour
+  slots: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Hour being accumulated, for hourly_volume
+  hour: {
+    start: Number,
+    volume: Number,
+    flagged: Boolean
+  }
+}, {
+  timestamps: true,
+  minimize: false,
+  collection: 'baseline_models'
+});
+
+// Indexes
+BaselineModelSchema.index({ metric: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model('BaselineModel', BaselineModelSchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+const BlockCheckpointSchema = new mongoose.Schema({
+  // Checkpoint scope
+  chainId: {
+    type: Number,
+    required: true,
+    index: true
+  },
+  networkName: {
+    type: String,
+    required: true
+  },
+  bridgeContract: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+
+  // Last block whose events have been fully stored
+  blockNumber: {
+    type: Number,
+    required: true
+  },
+  blockHash: {
+    type: String
+  },
+
+  // Source of the last advance ('backfill' or 'live')
+  source: {
+    type: String,
+    enum: ['backfill', 'live'],
+    default: 'live'
+  }
+}, {
+  timestamps: true,
+  collection: 'block_checkpoints'
+});
+
+// One checkpoint per bridge contract on each chain
+BlockCheckpointSchema.index({ chainId: 1, bridgeContract: 1 }, { unique: true });
+
+// Static methods
+BlockCheckpointSchema.statics.findFor = function(chainId, bridgeContract) {
+  return this.findOne({ chainId, bridgeContract: bridgeContract.toLowerCase() });
+};
+
+// Only ever move a checkpoint forward
+BlockCheckpointSchema.statics.advance = function(chainId, networkName, bridgeContract, blockNumber, blockHash, source) {
+  return this.findOneAndUpdate(
+    {
+      chainId,
+      bridgeContract: bridgeContract.toLowerCase(),
+      $or: [
+        { blockNumber: { $lt: blockNumber } },
+        { blockNumber: { $exists: false } }
+      ]
+    },
+    {
+      $set: {
+        networkName,
+        blockNumber,
+        blockHash,
+        source
+      }
+    },
+    { new: true, upsert: true }
+  ).catch(error => {
+    // Upsert collides with the unique index when the stored checkpoint is already ahead
+    if (error.code === 11000) {
+      return this.findFor(chainId, bridgeContract);
+    }
+    throw error;
+  });
+};
+
+// Move a checkpoint back, e.g. when a reorg invalidates blocks it already covered
+BlockCheckpointSchema.statics.rewind = function(chainId, bridgeContract, blockNumber) {
+  return this.findOneAndUpdate(
+    {
+      chainId,
+      bridgeContract: bridgeContract.toLowerCase(),
+      blockNumber: { $gt: blockNumber }
+    },
+    { $set: { blockNumber, blockHash: null } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('BlockCheckpoint', BlockCheckpointSchema);
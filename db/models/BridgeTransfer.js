@@ -0,0 +1,226 @@
+const mongoose = require('mongoose');
+
+// One on-chain event taking part in a transfer
+const TransferLegSchema = new mongoose.Schema({
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true
+  },
+  txHash: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  chainId: {
+    type: Number,
+    required: true
+  },
+  networkName: {
+    type: String
+  },
+  eventType: {
+    type: String
+  },
+  amount: {
+    type: String, // Token units
+    required: true
+  },
+  amountUsd: {
+    type: Number,
+    default: null
+  },
+  from: {
+    type: String,
+    lowercase: true
+  },
+  to: {
+    type: String,
+    lowercase: true
+  },
+  blockNumber: {
+    type: Number
+  },
+  timestamp: {
+    type: Date,
+    required: true
+  }
+}, { _id: false });
+
+const TransferStatusChangeSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  note: {
+    type: String
+  }
+}, { _id: false });
+
+const BridgeTransferSchema = new mongoose.Schema({
+  // Transfer identification
+  bridgeId: {
+    type: String,
+    index: true
+  },
+  bridgeLabel: {
+    type: String,
+    index: true
+  },
+  bridgeAdapter: {
+    type: String
+  },
+  canonicalAssetId: {
+    type: String,
+    default: null,
+    index: true
+  },
+  tokenSymbol: {
+    type: String
+  },
+
+  // Route
+  route: {
+    sourceChainId: {
+      type: Number,
+      required: true
+    },
+    sourceNetwork: String,
+    targetChainId: {
+      type: Number,
+      default: null
+    },
+    targetNetwork: String
+  },
+
+  // Legs: one source, and one or more destinations when the payout is split
+  source: {
+    type: TransferLegSchema,
+    required: true
+  },
+  destinations: [TransferLegSchema],
+
+  // Amounts in token units (see bridges/feeSchedule.js)
+  sourceAmount: {
+    type: String,
+    required: true
+  },
+  feeAmount: {
+    type: String,
+    default: '0'
+  },
+  expectedAmount: {
+    type: String,
+    required: true
+  },
+  receivedAmount: {
+    type: String,
+    default: '0'
+  },
+  deviation: {
+    type: String,
+    default: null
+  },
+  deviationBps: {
+    type: Number,
+    default: null
+  },
+  amountUsd: {
+    type: Number,
+    default: null
+  },
+
+  // Lifecycle
+  status: {
+    type: String,
+    enum: ['pending', 'partial', 'completed', 'timeout', 'reorged'],
+    default: 'pending',
+    index: true
+  },
+  timeline: [TransferStatusChangeSchema],
+  initiatedAt: {
+    type: Date,
+    required: true,
+    index: true
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  latencyMs: {
+    type: Number,
+    default: null
+  },
+
+  // How the destination legs were tied to the source
+  matchMethod: {
+    type: String,
+    enum: ['bridgeId', 'fuzzy', 'manual', null],
+    default: null
+  },
+  matchConfidence: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'bridge_transfers'
+});
+
+// One transfer per source leg
+BridgeTransferSchema.index({ 'source.transactionId': 1 }, { unique: true });
+BridgeTransferSchema.index({ 'destinations.transactionId': 1 });
+BridgeTransferSchema.index({ 'source.txHash': 1 });
+BridgeTransferSchema.index({ 'destinations.txHash': 1 });
+BridgeTransferSchema.index({ 'route.sourceChainId': 1, 'route.targetChainId': 1, initiatedAt: -1 });
+
+// Methods
+BridgeTransferSchema.methods.setStatus = function(status, note = null) {
+  if (this.status !== status) {
+    this.status = status;
+    this.timeline.push({ status, at: new Date(), note });
+  }
+};
+
+BridgeTransferSchema.methods.hasDestination = function(transactionId) {
+  return this.destinations.some(leg => leg.transactionId.toString() === transactionId.toString());
+};
+
+// Static methods
+BridgeTransferSchema.statics.findBySourceTransaction = function(transactionId) {
+  return this.findOne({ 'source.transactionId': transactionId });
+};
+
+BridgeTransferSchema.statics.findByTransaction = function(transactionId) {
+  return this.findOne({
+    $or: [
+      { 'source.transactionId': transactionId },
+      { 'destinations.transactionId': transactionId }
+    ]
+  });
+};
+
+// Transfers with a leg, bridge ID or address matching a search term
+BridgeTransferSchema.statics.search = function(term, limit = 20) {
+  const value = term.trim().toLowerCase();
+  return this.find({
+    $or: [
+      { 'source.txHash': value },
+      { 'destinations.txHash': value },
+      { bridgeId: term.trim() },
+      { bridgeId: value },
+      { 'source.from': value },
+      { 'destinations.to': value }
+    ]
+  })
+    .sort({ initiatedAt: -1 })
+    .limit(limit);
+};
+
+module.exports = mongoose.model('BridgeTransfer', BridgeTransferSchema);
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const { RULE_ID, SEVERITIES, conditionValidator, templateValidator } = require('../../utils/ruleDsl');
+
+// An operator-defined anomaly rule (see utils/ruleDsl.js for the language and
+// alerts/CustomRules.js for how enabled rules are loaded into the detector)
+const CustomRuleSchema = new mongoose.Schema({
+  // Rule identification
+  ruleId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+    match: RULE_ID
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  description: String,
+  enabled: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+
+  // What the rule raises
+  severity: {
+    type: String,
+    required: true,
+    enum: SEVERITIES
+  },
+  confidence: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: 0.8
+  },
+  priority: {
+    type: Number,
+    min: 1,
+    max: 10
+  },
+
+  // Condition tree, checked against the DSL on save
+  when: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+    validate: conditionValidator
+  },
+  // Anomalies with the same rendered key within windowMs are raised once
+  dedupe: {
+    key: {
+      type: String,
+      validate: templateValidator
+    },
+    windowMs: Number
+  },
+  message: {
+    title: {
+      type: String,
+      required: true,
+      validate: templateValidator
+    },
+    description: {
+      type: String,
+      required: true,
+      validate: templateValidator
+    }
+  },
+
+  // The rule as the operator wrote it
+  format: {
+    type: String,
+    enum: ['json', 'yaml'],
+    default: 'json'
+  },
+  source: String,
+
+  // Change tracking
+  version: {
+    type: Number,
+    default: 1
+  },
+  createdBy: String,
+  updatedBy: String,
+
+  // Trigger statistics
+  triggerCount: {
+    type: Number,
+    default: 0
+  },
+  lastTriggeredAt: Date
+}, {
+  timestamps: true,
+  collection: 'custom_rules'
+});
+
+// Methods
+// The rule in the DSL's own shape, for compiling and dry runs
+CustomRuleSchema.methods.toDefinition = function() {
+  const definition = {
+    id: this.ruleId,
+    name: this.name,
+    description: this.description,
+    enabled: this.enabled,
+    severity: this.severity,
+    confidence: this.confidence,
+    priority: this.priority,
+    when: this.when,
+    dedupe: this.dedupe && this.dedupe.key ? { key: this.dedupe.key, windowMs: this.dedupe.windowMs } : undefined,
+    message: { title: this.message.title, description: this.message.description }
+  };
+  return JSON.parse(JSON.stringify(definition)); // Drop unset properties
+};
+
+// Static methods
+CustomRuleSchema.statics.findEnabled = function() {
+  return this.find({ enabled: true });
+};
+
+module.exports = mongoose.model('CustomRule', CustomRuleSchema);
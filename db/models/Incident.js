@@ -0,0 +1,188 @@
+const mongoose = require('mongoose');
+const chainRegistry = require('../../config/chainRegistry');
+
+const SEVERITY_RANK = ['low', 'medium', 'high', 'critical'];
+
+// One entry of an incident's history
+const TimelineEntrySchema = new mongoose.Schema({
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: ['opened', 'leg_added', 'leg_resolved', 'status_changed', 'note']
+  },
+  by: {
+    type: String,
+    required: true
+  },
+  note: String,
+  anomalyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Anomaly'
+  }
+}, { _id: false });
+
+// An incident groups anomalies that need a coordinated response, e.g. a run of
+// unbacked mints out of one bridge contract, with the total value at stake
+const IncidentSchema = new mongoose.Schema({
+  // Incident identification
+  incidentId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['unbacked_mint'],
+    index: true
+  },
+  severity: {
+    type: String,
+    required: true,
+    enum: ['low', 'medium', 'high', 'critical'],
+    index: true
+  },
+  status: {
+    type: String,
+    required: true,
+    enum: ['open', 'investigating', 'mitigated', 'resolved'],
+    default: 'open',
+    index: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String
+  },
+
+  // Where it happened
+  chainId: {
+    type: Number,
+    required: true,
+    index: true
+  },
+  networkName: {
+    type: String,
+    required: true,
+    validate: chainRegistry.networkNameValidator
+  },
+  contractAddress: {
+    type: String,
+    lowercase: true,
+    index: true
+  },
+
+  // Anomalies and legs involved
+  anomalyIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Anomaly',
+    index: true
+  }],
+  transactionIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  }],
+
+  // Value at stake: USD of the priced legs, plus a count of legs without a price
+  exposureUsd: {
+    type: Number,
+    default: 0
+  },
+  unpricedLegs: {
+    type: Number,
+    default: 0
+  },
+
+  // History
+  openedBy: {
+    type: String,
+    default: 'system'
+  },
+  timeline: [TimelineEntrySchema],
+  resolvedAt: {
+    type: Date
+  },
+  resolvedBy: {
+    type: String
+  }
+}, {
+  timestamps: true,
+  collection: 'incidents'
+});
+
+// Indexes
+IncidentSchema.index({ status: 1, createdAt: -1 });
+IncidentSchema.index({ type: 1, chainId: 1, contractAddress: 1, status: 1 });
+
+// Methods
+IncidentSchema.methods.addLeg = function(anomaly, transaction, valueUsd) {
+  this.anomalyIds.push(anomaly._id);
+  this.transactionIds.push(transaction._id);
+  if (valueUsd === null || valueUsd === undefined) {
+    this.unpricedLegs += 1;
+  } else {
+    this.exposureUsd += valueUsd;
+  }
+
+  // An incident is as severe as its worst leg
+  if (SEVERITY_RANK.indexOf(anomaly.severity) > SEVERITY_RANK.indexOf(this.severity)) {
+    this.severity = anomaly.severity;
+  }
+
+  this.timeline.push({ action: 'leg_added', by: 'system', note: `${transaction.txHash}: ${anomaly.title}`, anomalyId: anomaly._id });
+  return this.save();
+};
+
+IncidentSchema.methods.resolveLeg = function(anomalyId, by, note) {
+  this.timeline.push({ action: 'leg_resolved', by, note, anomalyId });
+  return this.save();
+};
+
+IncidentSchema.methods.updateStatus = function(status, by, note) {
+  this.timeline.push({ action: 'status_changed', by, note: note ? `${this.status} -> ${status}: ${note}` : `${this.status} -> ${status}` });
+  this.status = status;
+  if (status === 'resolved') {
+    this.resolvedAt = new Date();
+    this.resolvedBy = by;
+  } else {
+    this.resolvedAt = null;
+    this.resolvedBy = null;
+  }
+  return this.save();
+};
+
+IncidentSchema.methods.addNote = function(by, note) {
+  this.timeline.push({ action: 'note', by, note });
+  return this.save();
+};
+
+// Static methods
+IncidentSchema.statics.findOpen = function(type, chainId, contractAddress) {
+  return this.findOne({
+    type,
+    chainId,
+    contractAddress: contractAddress ? contractAddress.toLowerCase() : null,
+    status: { $ne: 'resolved' }
+  }).sort({ createdAt: -1 });
+};
+
+IncidentSchema.statics.findByAnomaly = function(anomalyId) {
+  return this.findOne({ anomalyIds: anomalyId });
+};
+
+// Pre-save middleware to generate incidentId
+IncidentSchema.pre('save', function(next) {
+  if (!this.incidentId) {
+    this.incidentId = `incident_${this.type}_${this.chainId}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+  next();
+});
+
+module.exports = mongoose.model('Incident', IncidentSchema);
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// One manual action an operator took on a match, with who took it and why
+const MatchAuditSchema = new mongoose.Schema({
+  // What was done
+  action: {
+    type: String,
+    required: true,
+    enum: ['match', 'rematch', 'unmatch', 'confirm'],
+    index: true
+  },
+
+  // Legs involved
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true,
+    index: true
+  },
+  txHash: {
+    type: String,
+    lowercase: true
+  },
+  counterpartId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null,
+    index: true
+  },
+  counterpartTxHash: {
+    type: String,
+    lowercase: true
+  },
+  // Legs a rematch split the transaction (or its new counterpart) from
+  previousCounterpartIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  }],
+  transferId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BridgeTransfer',
+    default: null
+  },
+
+  // Match score of the pair when the action was taken
+  confidence: {
+    type: Number,
+    default: null
+  },
+
+  // Who and why
+  performedBy: {
+    type: String,
+    required: true,
+    index: true
+  },
+  apiKeyId: {
+    type: String // Identity of the caller's API key (see api/middleware/auth.js), never the key itself
+  },
+  // Raw keys written by earlier versions; never read back
+  apiKey: {
+    type: String,
+    select: false
+  },
+  reason: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true,
+  collection: 'match_audits'
+});
+
+// Indexes
+MatchAuditSchema.index({ createdAt: -1 });
+MatchAuditSchema.index({ previousCounterpartIds: 1 });
+
+// Static methods
+MatchAuditSchema.statics.findForTransaction = function(transactionId) {
+  return this.find({
+    $or: [
+      { transactionId },
+      { counterpartId: transactionId },
+      { previousCounterpartIds: transactionId }
+    ]
+  }).sort({ createdAt: -1 });
+};
+
+module.exports = mongoose.model('MatchAudit', MatchAuditSchema);
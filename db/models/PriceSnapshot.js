@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const PriceSnapshotSchema = new mongoose.Schema({
+  // Canonical asset the price is for (see the token registry)
+  assetId: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+
+  // Start of the minute the price was observed in
+  minute: {
+    type: Date,
+    required: true,
+    index: true
+  },
+  priceUsd: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  // Price source that produced the value
+  source: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true,
+  collection: 'price_snapshots'
+});
+
+// One price per asset per minute
+PriceSnapshotSchema.index({ assetId: 1, minute: -1 }, { unique: true });
+
+// Static methods
+PriceSnapshotSchema.statics.floorToMinute = function(timestamp) {
+  const time = new Date(timestamp).getTime();
+  return new Date(time - (time % 60000));
+};
+
+// Snapshot closest to a timestamp within maxAgeMs either side, preferring the earlier one on a tie
+PriceSnapshotSchema.statics.findNearest = async function(assetId, timestamp, maxAgeMs) {
+  const time = new Date(timestamp);
+  const [before, after] = await Promise.all([
+    this.findOne({
+      assetId: assetId.toLowerCase(),
+      minute: { $lte: time, $gte: new Date(time.getTime() - maxAgeMs) }
+    }).sort({ minute: -1 }),
+    this.findOne({
+      assetId: assetId.toLowerCase(),
+      minute: { $gt: time, $lte: new Date(time.getTime() + maxAgeMs) }
+    }).sort({ minute: 1 })
+  ]);
+
+  if (!before || !after) {
+    return before || after;
+  }
+  return (time - before.minute) <= (after.minute - time) ? before : after;
+};
+
+PriceSnapshotSchema.statics.getHistory = function(assetId, startDate, endDate) {
+  return this.find({
+    assetId: assetId.toLowerCase(),
+    minute: { $gte: startDate, $lte: endDate }
+  }).sort({ minute: 1 });
+};
+
+// Most recent snapshot of every asset
+PriceSnapshotSchema.statics.getLatest = function() {
+  return this.aggregate([
+    { $sort: { minute: -1 } },
+    {
+      $group: {
+        _id: '$assetId',
+        priceUsd: { $first: '$priceUsd' },
+        source: { $first: '$source' },
+        minute: { $first: '$minute' }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+};
+
+module.exports = mongoose.model('PriceSnapshot', PriceSnapshotSchema);
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+// Lock, Unlock, Mint and Burn totals of an asset on one chain, in token units
+const ChainSupplySchema = new mongoose.Schema({
+  chainId: Number,
+  locked: String,
+  unlocked: String,
+  minted: String,
+  burned: String
+}, { _id: false });
+
+// Collateral and minted supply read from the chain itself
+const OnChainSupplySchema = new mongoose.Schema({
+  backing: String,
+  mintedSupply: String,
+  surplus: String,
+  coverageRatio: Number,
+  error: String,
+  checkedAt: Date
+}, { _id: false });
+
+// One supply conservation check of a canonical asset: collateral locked on origin
+// chains against supply minted on wrapped chains
+const SupplySnapshotSchema = new mongoose.Schema({
+  // Canonical asset checked (see the token registry)
+  assetId: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  timestamp: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+
+  // Totals from stored events, in token units: backing = locked - unlocked,
+  // mintedSupply = minted - burned, surplus = backing - mintedSupply
+  locked: String,
+  unlocked: String,
+  minted: String,
+  burned: String,
+  backing: {
+    type: String,
+    required: true
+  },
+  mintedSupply: {
+    type: String,
+    required: true
+  },
+  surplus: {
+    type: String,
+    required: true
+  },
+  coverageRatio: {
+    type: Number, // backing / mintedSupply, null while nothing is minted
+    default: null
+  },
+  chains: [ChainSupplySchema],
+
+  // Optional on-chain cross-check (see anomalyRules.supplyConservation.onChain)
+  onChain: {
+    type: OnChainSupplySchema,
+    default: null
+  },
+
+  // Outcome
+  status: {
+    type: String,
+    required: true,
+    enum: ['ok', 'deficit'],
+    index: true
+  },
+  deficitSource: {
+    type: String,
+    enum: ['events', 'onchain', null], // Which view of the supply fell short
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'supply_snapshots'
+});
+
+// Indexes
+SupplySnapshotSchema.index({ assetId: 1, timestamp: -1 });
+
+// Static methods
+SupplySnapshotSchema.statics.getHistory = function(assetId, startDate, endDate) {
+  return this.find({
+    assetId: assetId.toLowerCase(),
+    timestamp: { $gte: startDate, $lte: endDate }
+  }).sort({ timestamp: 1 });
+};
+
+// Most recent snapshot of every asset
+SupplySnapshotSchema.statics.getLatest = function() {
+  return this.aggregate([
+    { $sort: { timestamp: -1 } },
+    {
+      $group: {
+        _id: '$assetId',
+        snapshot: { $first: '$$ROOT' }
+      }
+    },
+    { $replaceRoot: { newRoot: '$snapshot' } },
+    { $sort: { assetId: 1 } }
+  ]);
+};
+
+module.exports = mongoose.model('SupplySnapshot', SupplySnapshotSchema);
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const chainRegistry = require('../../config/chainRegistry');
+
+const TokenSchema = new mongoose.Schema({
+  // Token deployment identification
+  chainId: {
+    type: Number,
+    required: true,
+    index: true
+  },
+  networkName: {
+    type: String,
+    required: true,
+    validate: chainRegistry.networkNameValidator
+  },
+  address: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+
+  // Cross-chain identity: every deployment of the same asset shares this ID (e.g. 'usdc')
+  canonicalAssetId: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null,
+    index: true
+  },
+
+  // Metadata as read from the token contract
+  symbol: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String
+  },
+  decimals: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 255
+  },
+
+  // On-chain verification of the registered metadata
+  verificationStatus: {
+    type: String,
+    enum: ['verified', 'unverified', 'mismatch'],
+    default: 'unverified',
+    index: true
+  },
+  verifiedAt: {
+    type: Date
+  },
+  verificationError: {
+    type: String
+  },
+
+  // How the token got into the registry
+  source: {
+    type: String,
+    enum: ['seed', 'admin', 'discovered'],
+    default: 'discovered'
+  },
+  registeredBy: {
+    type: String // apiKeyId of the caller (see api/middleware/auth.js), never the key itself
+  }
+}, {
+  timestamps: true,
+  collection: 'tokens'
+});
+
+// One entry per token contract on each chain
+TokenSchema.index({ chainId: 1, address: 1 }, { unique: true });
+
+// Static methods
+TokenSchema.statics.findByAddress = function(chainId, address) {
+  return this.findOne({ chainId, address: address.toLowerCase() });
+};
+
+TokenSchema.statics.findByCanonicalAsset = function(canonicalAssetId) {
+  return this.find({ canonicalAssetId: canonicalAssetId.toLowerCase() }).sort({ chainId: 1 });
+};
+
+// Canonical assets with the chains they are deployed on
+TokenSchema.statics.getCanonicalAssets = function() {
+  return this.aggregate([
+    { $match: { canonicalAssetId: { $ne: null } } },
+    {
+      $group: {
+        _id: '$canonicalAssetId',
+        deployments: {
+          $push: {
+            chainId: '$chainId',
+            networkName: '$networkName',
+            address: '$address',
+            symbol: '$symbol',
+            decimals: '$decimals',
+            verificationStatus: '$verificationStatus'
+          }
+        }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+};
+
+module.exports = mongoose.model('Token', TokenSchema);
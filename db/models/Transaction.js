@@ -1,4 +1,27 @@
 const mongoose = require('mongoose');
+const chainRegistry = require('../../config/chainRegistry');
+
+// Which side of a transfer a leg is on, for legs stored before adapters recorded a direction too
+const OUTBOUND_LEG = {
+  $or: [
+    { direction: 'outbound' },
+    { direction: null, eventType: { $in: ['Lock', 'Burn'] } }
+  ]
+};
+const INBOUND_LEG = {
+  $or: [
+    { direction: 'inbound' },
+    { direction: null, eventType: { $in: ['Unlock', 'Mint'] } }
+  ]
+};
+
+// One feature of a match's confidence score (see alerts/MatchScorer.js)
+const MatchFeatureSchema = new mongoose.Schema({
+  feature: String,
+  weight: Number,
+  value: Number, // 0..1
+  detail: String
+}, { _id: false });
 
 const TransactionSchema = new mongoose.Schema({
   // Transaction identifiers
@@ -34,7 +57,7 @@ const TransactionSchema = new mongoose.Schema({
   networkName: {
     type: String,
     required: true,
-    enum: ['ethereum', 'polygon', 'bsc']
+    validate: chainRegistry.networkNameValidator // Any network in the chain registry
   },
 
   // Bridge transaction details
@@ -43,11 +66,23 @@ const TransactionSchema = new mongoose.Schema({
     required: true,
     enum: ['Lock', 'Unlock', 'Mint', 'Burn', 'Transfer', 'BridgeSwap']
   },
+  direction: {
+    type: String,
+    enum: ['outbound', 'inbound'] // Source or destination leg, as defined by the bridge adapter
+  },
   bridgeContract: {
     type: String,
     required: true,
     index: true
   },
+  bridgeLabel: {
+    type: String,
+    index: true // Configured name of the watched contract, e.g. 'multichain'
+  },
+  bridgeAdapter: {
+    type: String,
+    default: 'generic'
+  },
   
   // Token information
   tokenAddress: {
@@ -63,6 +98,11 @@ const TransactionSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  canonicalAssetId: {
+    type: String,
+    default: null,
+    index: true
+  },
   amount: {
     type: String, // Use string to handle large numbers
     required: true
@@ -71,6 +111,13 @@ const TransactionSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  amountDecimal: {
+    type: mongoose.Schema.Types.Decimal128 // Exact amount in token units, summed by volume aggregations
+  },
+  amountUsd: {
+    type: Number, // Value at the event's block time, null if the asset couldn't be priced
+    default: null
+  },
 
   // Address information
   from: {
@@ -89,13 +136,17 @@ const TransactionSchema = new mongoose.Schema({
   },
 
   // Cross-chain information
+  sourceChainId: {
+    type: Number,
+    index: true
+  },
   targetChainId: {
     type: Number,
     index: true
   },
   targetNetworkName: {
     type: String,
-    enum: ['ethereum', 'polygon', 'bsc']
+    validate: chainRegistry.networkNameValidator // Any network in the chain registry
   },
   bridgeId: {
     type: String,
@@ -110,10 +161,69 @@ const TransactionSchema = new mongoose.Schema({
   status: {
     type: String,
     required: true,
-    enum: ['pending', 'completed', 'failed', 'timeout'],
+    enum: ['pending', 'completed', 'failed', 'timeout', 'reorged'],
     default: 'pending',
     index: true
   },
+  reorgedAt: {
+    type: Date
+  },
+  // Highest SLA escalation tier an overdue source leg has reached (see alerts/TimeoutMonitor.js)
+  timeoutSeverity: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'critical', null],
+    default: null
+  },
+  // When an unmatched source leg is next due a timeout check: its SLA deadline, then each
+  // escalation tier's. Unset on legs stored before deadlines were, which are due straight away.
+  deadlineAt: {
+    type: Date,
+    default: null
+  },
+  // When a final destination leg was raised as an unbacked mint (see alerts/UnbackedMintMonitor.js)
+  unbackedAt: {
+    type: Date,
+    default: null
+  },
+  // When a destination leg that wasn't unbacked at its last check is next due one
+  unbackedCheckAt: {
+    type: Date,
+    default: null
+  },
+
+  // Finality tracking, driven by new block headers
+  confirmationStatus: {
+    type: String,
+    enum: ['observed', 'confirmed', 'finalized'],
+    default: 'observed',
+    index: true
+  },
+  confirmations: {
+    type: Number,
+    default: 0
+  },
+  confirmedAt: {
+    type: Date
+  },
+  finalizedAt: {
+    type: Date
+  },
+
+  // L2 settlement tracking: sequencer -> batch posted to L1 -> L1 finalized
+  l1Status: {
+    type: String,
+    enum: ['sequencer', 'batch_posted', 'l1_finalized'],
+    index: true
+  },
+  l1BlockNumber: {
+    type: Number
+  },
+  l1BatchPostedAt: {
+    type: Date
+  },
+  l1FinalizedAt: {
+    type: Date
+  },
   
   // Timing information
   timestamp: {
@@ -145,6 +255,34 @@ const TransactionSchema = new mongoose.Schema({
   matchedAt: {
     type: Date
   },
+  // How the legs' amounts compared when matched, in token units (see bridges/feeSchedule.js)
+  matchDetails: {
+    expectedAmount: String, // What the destination should receive after the bridge fee
+    feeAmount: String,
+    deviation: String, // Destination amount minus expectedAmount
+    deviationBps: Number,
+    confidence: Number,
+    scoreBreakdown: [MatchFeatureSchema],
+    reviewedBy: String, // Operator who confirmed a low-confidence match
+    reviewedAt: Date
+  },
+  // Legs an operator split from this one; the matcher never pairs them again
+  rejectedMatches: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  }],
+
+  // Outcome of checking a destination leg against its source chain (see alerts/ProofVerifier.js)
+  proofVerification: {
+    status: {
+      type: String,
+      enum: ['verified', 'failed', 'unverifiable']
+    },
+    reasonCodes: [String],
+    sourceTxHash: String,
+    signers: [String], // Validators whose signatures were verified
+    checkedAt: Date
+  },
 
   // Raw event data for debugging
   rawEventData: {
@@ -168,14 +306,28 @@ const TransactionSchema = new mongoose.Schema({
   collection: 'transactions'
 });
 
+// Serialize Decimal128 amounts as plain decimal strings
+TransactionSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    if (ret.amountDecimal) {
+      ret.amountDecimal = ret.amountDecimal.toString();
+    }
+    return ret;
+  }
+});
+
 // Compound indexes for efficient queries
 TransactionSchema.index({ chainId: 1, timestamp: -1 });
 TransactionSchema.index({ bridgeId: 1, chainId: 1 });
+TransactionSchema.index({ isMatched: 1, timestamp: -1 });
 TransactionSchema.index({ from: 1, timestamp: -1 });
 TransactionSchema.index({ to: 1, timestamp: -1 });
 TransactionSchema.index({ status: 1, timestamp: -1 });
 TransactionSchema.index({ tokenAddress: 1, timestamp: -1 });
 TransactionSchema.index({ eventType: 1, chainId: 1, timestamp: -1 });
+TransactionSchema.index({ chainId: 1, confirmationStatus: 1, blockNumber: 1 });
+TransactionSchema.index({ bridgeLabel: 1, bridgeContract: 1, timestamp: -1 });
+TransactionSchema.index({ isMatched: 1, deadlineAt: 1 });
 
 // Unique constraint to prevent duplicate events
 TransactionSchema.index({ 
@@ -185,16 +337,52 @@ TransactionSchema.index({
 }, { unique: true });
 
 // Methods
-TransactionSchema.methods.markAsMatched = function(matchedTransactionId) {
+TransactionSchema.methods.markAsMatched = function(matchedTransactionId, matchDetails = null) {
   this.isMatched = true;
   this.matchedTransactionId = matchedTransactionId;
   this.matchedAt = new Date();
+  this.matchDetails = matchDetails;
   this.status = 'completed';
   return this.save();
 };
 
-TransactionSchema.methods.markAsTimeout = function() {
+TransactionSchema.methods.markAsTimeout = function(severity = null) {
   this.status = 'timeout';
+  if (severity) {
+    this.timeoutSeverity = severity;
+  }
+  return this.save();
+};
+
+TransactionSchema.methods.rejectMatch = function(counterpartIds) {
+  counterpartIds.filter(id => !this.rejects(id)).forEach(id => this.rejectedMatches.push(id));
+  return this.unmatch();
+};
+
+TransactionSchema.methods.rejects = function(transactionId) {
+  return (this.rejectedMatches || []).some(id => id.toString() === transactionId.toString());
+};
+
+TransactionSchema.methods.confirmMatch = function(reviewedBy) {
+  this.set('matchDetails.reviewedBy', reviewedBy);
+  this.set('matchDetails.reviewedAt', new Date());
+  return this.save();
+};
+
+TransactionSchema.methods.markAsReorged = function() {
+  this.status = 'reorged';
+  this.reorgedAt = new Date();
+  return this.save();
+};
+
+TransactionSchema.methods.unmatch = function() {
+  this.isMatched = false;
+  this.matchedTransactionId = null;
+  this.matchedAt = null;
+  this.matchDetails = null;
+  if (this.status === 'completed') {
+    this.status = 'pending';
+  }
   return this.save();
 };
 
@@ -204,16 +392,129 @@ TransactionSchema.statics.findUnmatched = function(chainId, maxAge) {
   return this.find({
     chainId,
     isMatched: false,
-    status: 'pending',
+    status: { $in: ['pending', 'timeout'] }, // A timed-out leg can still be matched late
+    confirmationStatus: { $in: ['confirmed', 'finalized'] },
     timestamp: { $gte: cutoffTime }
   });
 };
 
+TransactionSchema.statics.findOrphaned = function(chainId, blockNumber, canonicalHash) {
+  return this.find({
+    chainId,
+    blockNumber,
+    blockHash: { $ne: canonicalHash },
+    status: { $ne: 'reorged' }
+  });
+};
+
+TransactionSchema.statics.findPendingBridgeLegs = function(since) {
+  return this.find({
+    isMatched: false,
+    bridgeId: { $ne: null },
+    status: { $ne: 'reorged' },
+    timestamp: { $gte: since }
+  }).select('_id bridgeId timestamp').lean();
+};
+
+// Confirmed source legs still waiting on their destination whose deadline has come, earliest first
+TransactionSchema.statics.findTimeoutCandidates = function(now = new Date(), excludeSeverity = null, limit = 500) {
+  return this.find({
+    isMatched: false,
+    status: { $in: ['pending', 'timeout'] },
+    confirmationStatus: { $in: ['confirmed', 'finalized'] },
+    timeoutSeverity: { $ne: excludeSeverity },
+    deadlineAt: { $not: { $gt: now } },
+    ...OUTBOUND_LEG
+  }).sort({ deadlineAt: 1 }).limit(limit);
+};
+
+// Final destination legs still without a source leg that haven't been raised as unbacked and
+// are due a check, oldest first
+TransactionSchema.statics.findUnbackedCandidates = function(finalizedBefore, limit = 500, now = new Date()) {
+  return this.find({
+    isMatched: false,
+    eventType: { $in: ['Mint', 'Unlock'] },
+    status: { $nin: ['failed', 'reorged'] },
+    confirmationStatus: 'finalized',
+    finalizedAt: { $lte: finalizedBefore },
+    unbackedAt: null,
+    unbackedCheckAt: { $not: { $gt: now } },
+    ...INBOUND_LEG
+  }).sort({ finalizedAt: 1 }).limit(limit);
+};
+
+// Most recent transfers in a time range, oldest first, for replaying rules over history
+TransactionSchema.statics.findForReplay = async function(startDate, endDate, limit) {
+  const transactions = await this.find({
+    timestamp: { $gte: startDate, $lte: endDate },
+    status: { $ne: 'reorged' }
+  }).sort({ timestamp: -1 }).limit(limit).lean();
+  return transactions.reverse();
+};
+
+// Operator review queue: 'unmatched' holds confirmed legs still without a counterpart
+// after `olderThan`; 'low_confidence' holds destination legs (one per matched pair)
+// whose match scored below `reviewThreshold` and hasn't been confirmed
+TransactionSchema.statics.reviewQuery = function(type, { olderThan, reviewThreshold }) {
+  if (type === 'low_confidence') {
+    return {
+      isMatched: true,
+      'matchDetails.confidence': { $lt: reviewThreshold },
+      'matchDetails.reviewedAt': null,
+      ...INBOUND_LEG
+    };
+  }
+  return {
+    isMatched: false,
+    status: { $in: ['pending', 'timeout'] },
+    confirmationStatus: { $in: ['confirmed', 'finalized'] },
+    timestamp: { $lte: olderThan }
+  };
+};
+
+// Possible counterparts of a transaction on other chains: legs sharing its bridgeId,
+// plus legs of the given event types moving the same asset within `windowMs`
+TransactionSchema.statics.findMatchCandidates = function(transaction, eventTypes, windowMs, limit = 50) {
+  const timestamp = new Date(transaction.timestamp).getTime();
+  const nearby = {
+    timestamp: { $gte: new Date(timestamp - windowMs), $lte: new Date(timestamp + windowMs) }
+  };
+  if (transaction.canonicalAssetId) {
+    nearby.canonicalAssetId = transaction.canonicalAssetId;
+  }
+
+  return this.find({
+    _id: { $ne: transaction._id },
+    chainId: { $ne: transaction.chainId },
+    eventType: { $in: eventTypes },
+    status: { $ne: 'reorged' },
+    $or: transaction.bridgeId ? [nearby, { bridgeId: transaction.bridgeId }] : [nearby]
+  }).sort({ timestamp: 1 }).limit(limit);
+};
+
+// Other live legs on a transaction's chain with its bridge ID and amount within `windowMs`
+// of it, oldest first; callers compare addresses, which may be stored in any case
+TransactionSchema.statics.findSameTransfer = function(transaction, windowMs, limit = 10) {
+  const timestamp = new Date(transaction.timestamp).getTime();
+
+  return this.find({
+    _id: { $ne: transaction._id },
+    chainId: transaction.chainId,
+    bridgeId: transaction.bridgeId || null,
+    amount: transaction.amount,
+    status: { $ne: 'reorged' },
+    timestamp: { $gte: new Date(timestamp - windowMs), $lte: new Date(timestamp + windowMs) }
+  }).sort({ timestamp: 1 }).limit(limit);
+};
+
 TransactionSchema.statics.findByBridgeId = function(bridgeId) {
   return this.find({ bridgeId }).sort({ timestamp: 1 });
 };
 
-TransactionSchema.statics.getVolumeStats = function(startDate, endDate, chainId) {
+// Exact token-unit amount for aggregation; transactions stored before amountDecimal fall back to the float
+const EXACT_AMOUNT = { $ifNull: ['$amountDecimal', { $toDecimal: '$amountFormatted' }] };
+
+TransactionSchema.statics.getVolumeStats = function(startDate, endDate, chainId, bridgeLabel) {
   const match = {
     timestamp: { $gte: startDate, $lte: endDate },
     status: 'completed'
@@ -222,6 +523,9 @@ TransactionSchema.statics.getVolumeStats = function(startDate, endDate, chainId)
   if (chainId) {
     match.chainId = chainId;
   }
+  if (bridgeLabel) {
+    match.bridgeLabel = bridgeLabel;
+  }
 
   return this.aggregate([
     { $match: match },
@@ -229,28 +533,186 @@ TransactionSchema.statics.getVolumeStats = function(startDate, endDate, chainId)
       $group: {
         _id: {
           chainId: '$chainId',
-          tokenAddress: '$tokenAddress',
-          tokenSymbol: '$tokenSymbol'
+          tokenAddress: '$tokenAddress'
         },
-        totalVolume: { $sum: '$amountFormatted' },
+        tokenSymbol: { $first: '$tokenSymbol' },
+        canonicalAssetId: { $first: '$canonicalAssetId' },
+        totalVolume: { $sum: EXACT_AMOUNT },
+        totalVolumeUsd: { $sum: '$amountUsd' },
         transactionCount: { $sum: 1 }
       }
     },
+    {
+      $addFields: {
+        totalVolumeExact: { $toString: '$totalVolume' },
+        totalVolume: { $toDouble: '$totalVolume' }
+      }
+    },
     {
       $group: {
         _id: '$_id.chainId',
         tokens: {
           $push: {
             address: '$_id.tokenAddress',
-            symbol: '$_id.tokenSymbol',
+            symbol: '$tokenSymbol',
+            canonicalAssetId: '$canonicalAssetId',
             volume: '$totalVolume',
+            volumeExact: '$totalVolumeExact',
+            volumeUsd: '$totalVolumeUsd',
             count: '$transactionCount'
           }
         },
+        totalVolumeUsd: { $sum: '$totalVolumeUsd' },
         totalTransactions: { $sum: '$transactionCount' }
       }
     }
   ]);
 };
 
+// Volume per canonical asset across chains; unmapped tokens are grouped under null
+TransactionSchema.statics.getAssetVolumeStats = function(startDate, endDate, chainId, bridgeLabel) {
+  const match = {
+    timestamp: { $gte: startDate, $lte: endDate },
+    status: 'completed'
+  };
+
+  if (chainId) {
+    match.chainId = chainId;
+  }
+  if (bridgeLabel) {
+    match.bridgeLabel = bridgeLabel;
+  }
+
+  return this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: {
+          canonicalAssetId: '$canonicalAssetId',
+          chainId: '$chainId'
+        },
+        volume: { $sum: EXACT_AMOUNT },
+        volumeUsd: { $sum: '$amountUsd' },
+        count: { $sum: 1 }
+      }
+    },
+    {
+      $group: {
+        _id: '$_id.canonicalAssetId',
+        chains: {
+          $push: {
+            chainId: '$_id.chainId',
+            volume: { $toDouble: '$volume' },
+            volumeExact: { $toString: '$volume' },
+            volumeUsd: '$volumeUsd',
+            count: '$count'
+          }
+        },
+        totalVolume: { $sum: '$volume' },
+        totalVolumeUsd: { $sum: '$volumeUsd' },
+        totalTransactions: { $sum: '$count' }
+      }
+    },
+    {
+      $addFields: {
+        totalVolumeExact: { $toString: '$totalVolume' },
+        totalVolume: { $toDouble: '$totalVolume' }
+      }
+    },
+    { $sort: { totalVolumeUsd: -1 } }
+  ]);
+};
+
+TransactionSchema.statics.getBridgeVolumeStats = function(startDate, endDate, chainId, bridgeLabel) {
+  const match = {
+    timestamp: { $gte: startDate, $lte: endDate },
+    status: 'completed'
+  };
+
+  if (chainId) {
+    match.chainId = chainId;
+  }
+  if (bridgeLabel) {
+    match.bridgeLabel = bridgeLabel;
+  }
+
+  return this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: {
+          bridgeLabel: '$bridgeLabel',
+          chainId: '$chainId'
+        },
+        contracts: { $addToSet: '$bridgeContract' },
+        totalVolume: { $sum: EXACT_AMOUNT },
+        totalVolumeUsd: { $sum: '$amountUsd' },
+        transactionCount: { $sum: 1 }
+      }
+    },
+    {
+      $addFields: {
+        totalVolumeExact: { $toString: '$totalVolume' },
+        totalVolume: { $toDouble: '$totalVolume' }
+      }
+    },
+    {
+      $group: {
+        _id: '$_id.bridgeLabel',
+        chains: {
+          $push: {
+            chainId: '$_id.chainId',
+            contracts: '$contracts',
+            volume: '$totalVolume',
+            volumeExact: '$totalVolumeExact',
+            volumeUsd: '$totalVolumeUsd',
+            count: '$transactionCount'
+          }
+        },
+        totalVolume: { $sum: '$totalVolume' },
+        totalVolumeUsd: { $sum: '$totalVolumeUsd' },
+        totalTransactions: { $sum: '$transactionCount' }
+      }
+    },
+    { $sort: { totalVolumeUsd: -1 } }
+  ]);
+};
+
+// Lock, Unlock, Mint and Burn totals per canonical asset and chain, in exact token units.
+// Failed and reorged events never moved funds, so they are left out.
+TransactionSchema.statics.getSupplyTotals = function(asOf = new Date()) {
+  return this.aggregate([
+    {
+      $match: {
+        eventType: { $in: ['Lock', 'Unlock', 'Mint', 'Burn'] },
+        canonicalAssetId: { $ne: null },
+        status: { $nin: ['failed', 'reorged'] },
+        timestamp: { $lte: asOf }
+      }
+    },
+    {
+      $group: {
+        _id: {
+          canonicalAssetId: '$canonicalAssetId',
+          chainId: '$chainId',
+          eventType: '$eventType'
+        },
+        total: { $sum: EXACT_AMOUNT },
+        count: { $sum: 1 }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        canonicalAssetId: '$_id.canonicalAssetId',
+        chainId: '$_id.chainId',
+        eventType: '$_id.eventType',
+        total: { $toString: '$total' },
+        count: 1
+      }
+    },
+    { $sort: { canonicalAssetId: 1, chainId: 1 } }
+  ]);
+};
+
 module.exports = mongoose.model('Transaction', TransactionSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Persisted buckets of one key of the in-process windowed aggregates
+// (see alerts/WindowedAggregates.js), reloaded on start
+const WindowAggregateSchema = new mongoose.Schema({
+  dimension: {
+    type: String,
+    required: true,
+    enum: ['chain', 'token', 'address', 'route', 'transfer']
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  // Window name -> [{ start, count, valued, sum, bins }], bins being log-scale histogram counts
+  windows: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true,
+  minimize: false,
+  collection: 'window_aggregates'
+});
+
+// Indexes
+WindowAggregateSchema.index({ dimension: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model('WindowAggregate', WindowAggregateSchema);
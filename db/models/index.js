@@ -1,9 +1,31 @@
 const Transaction = require('./Transaction');
 const Anomaly = require('./Anomaly');
 const Alert = require('./Alert');
+const BlockCheckpoint = require('./BlockCheckpoint');
+const BackfillJob = require('./BackfillJob');
+const Token = require('./Token');
+const PriceSnapshot = require('./PriceSnapshot');
+const BridgeTransfer = require('./BridgeTransfer');
+const MatchAudit = require('./MatchAudit');
+const SupplySnapshot = require('./SupplySnapshot');
+const Incident = require('./Incident');
+const WindowAggregate = require('./WindowAggregate');
+const BaselineModel = require('./BaselineModel');
+const CustomRule = require('./CustomRule');
 
 module.exports = {
   Transaction,
   Anomaly,
-  Alert
+  Alert,
+  BlockCheckpoint,
+  BackfillJob,
+  Token,
+  PriceSnapshot,
+  BridgeTransfer,
+  MatchAudit,
+  SupplySnapshot,
+  Incident,
+  WindowAggregate,
+  BaselineModel,
+  CustomRule
 };
@@ -0,0 +1,53 @@
+const { WindowAggregate } = require('../models');
+const logger = require('../../utils/logger');
+
+class AggregateOperations {
+
+  // Load every persisted aggregate key
+  static async loadAll() {
+    try {
+      return await WindowAggregate.find({}).lean();
+    } catch (error) {
+      logger.error('Error loading window aggregates:', error);
+      throw error;
+    }
+  }
+
+  // Upsert the buckets of several keys
+  static async saveMany(aggregates) {
+    try {
+      if (aggregates.length === 0) {
+        return 0;
+      }
+
+      const result = await WindowAggregate.bulkWrite(aggregates.map(({ dimension, key, windows }) => ({
+        updateOne: {
+          filter: { dimension, key },
+          update: { $set: { windows } },
+          upsert: true
+        }
+      })), { ordered: false });
+      return result.upsertedCount + result.modifiedCount;
+    } catch (error) {
+      logger.error('Error saving window aggregates:', error);
+      throw error;
+    }
+  }
+
+  // Delete keys whose windows have emptied out
+  static async deleteMany(keys) {
+    try {
+      if (keys.length === 0) {
+        return 0;
+      }
+
+      const result = await WindowAggregate.deleteMany({ $or: keys });
+      return result.deletedCount;
+    } catch (error) {
+      logger.error('Error deleting window aggregates:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = AggregateOperations;
@@ -141,6 +141,20 @@ class AlertOperations {
     }
   }
 
+  // Resolve every open alert raised for an anomaly
+  static async resolveForAnomaly(anomalyId, resolvedBy, notes) {
+    try {
+      const alerts = await Alert.find({ anomalyId, status: { $ne: 'resolved' } });
+      for (const alert of alerts) {
+        await alert.resolve(resolvedBy, notes);
+      }
+      return alerts;
+    } catch (error) {
+      logger.error('Error resolving alerts for anomaly:', error);
+      throw error;
+    }
+  }
+
   // Mark alert as sent
   static async markAsSent(alertId, channel) {
     try {
@@ -107,6 +107,26 @@ class AnomalyOperations {
     }
   }
 
+  // Find the unresolved anomaly of a type raised for a transaction
+  static async findOpenForTransaction(transactionId, type) {
+    try {
+      return await Anomaly.findOpenForTransaction(transactionId, type);
+    } catch (error) {
+      logger.error('Error finding open anomaly for transaction:', error);
+      throw error;
+    }
+  }
+
+  // Find the unresolved anomaly of a type raised for a canonical asset
+  static async findOpenForAsset(assetId, type) {
+    try {
+      return await Anomaly.findOpenForAsset(assetId, type);
+    } catch (error) {
+      logger.error('Error finding open anomaly for asset:', error);
+      throw error;
+    }
+  }
+
   // Resolve anomaly
   static async resolve(anomalyId, resolvedBy, notes) {
     try {
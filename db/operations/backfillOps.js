@@ -0,0 +1,68 @@
+const { BackfillJob } = require('../models');
+const logger = require('../../utils/logger');
+
+class BackfillOperations {
+
+  // Create a new backfill job
+  static async create(jobData) {
+    try {
+      const job = new BackfillJob(jobData);
+      await job.save();
+      logger.info(`Backfill job created: ${job._id} on chain ${job.chainId} blocks ${job.fromBlock}-${job.toBlock}`);
+      return job;
+    } catch (error) {
+      logger.error('Error creating backfill job:', error);
+      throw error;
+    }
+  }
+
+  // Find backfill job by ID
+  static async findById(jobId) {
+    try {
+      return await BackfillJob.findById(jobId);
+    } catch (error) {
+      logger.error('Error finding backfill job by ID:', error);
+      throw error;
+    }
+  }
+
+  // Get recent backfill jobs, optionally for one chain or status
+  static async getRecent(options = {}) {
+    try {
+      const { chainId, status, limit = 20 } = options;
+
+      const query = {};
+      if (chainId) query.chainId = chainId;
+      if (status) query.status = status;
+
+      return await BackfillJob.find(query)
+        .sort({ createdAt: -1 })
+        .limit(limit);
+    } catch (error) {
+      logger.error('Error getting backfill jobs:', error);
+      throw error;
+    }
+  }
+
+  // Get jobs that were queued or interrupted mid-run
+  static async getResumable() {
+    try {
+      return await BackfillJob.getResumable();
+    } catch (error) {
+      logger.error('Error getting resumable backfill jobs:', error);
+      throw error;
+    }
+  }
+
+  // Persist a job's progress and state
+  static async save(job) {
+    try {
+      return await job.save();
+    } catch (error) {
+      logger.error(`Error saving backfill job ${job._id}:`, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = BackfillOperations;
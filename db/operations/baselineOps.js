@@ -0,0 +1,38 @@
+const { BaselineModel } = require('../models');
+const logger = require('../../utils/logger');
+
+class BaselineOperations {
+
+  // Load every persisted baseline model
+  static async loadAll() {
+    try {
+      return await BaselineModel.find({}).lean();
+    } catch (error) {
+      logger.error('Error loading baseline models:', error);
+      throw error;
+    }
+  }
+
+  // Upsert the state of several models
+  static async saveMany(models) {
+    try {
+      if (models.length === 0) {
+        return 0;
+      }
+
+      const result = await BaselineModel.bulkWrite(models.map(({ metric, key, ...state }) => ({
+        updateOne: {
+          filter: { metric, key },
+          update: { $set: state },
+          upsert: true
+        }
+      })), { ordered: false });
+      return result.upsertedCount + result.modifiedCount;
+    } catch (error) {
+      logger.error('Error saving baseline models:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = BaselineOperations;
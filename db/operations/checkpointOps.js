@@ -0,0 +1,62 @@
+const { BlockCheckpoint } = require('../models');
+const logger = require('../../utils/logger');
+
+class CheckpointOperations {
+
+  // Get the checkpoint for a bridge contract on a chain
+  static async get(chainId, bridgeContract) {
+    try {
+      return await BlockCheckpoint.findFor(chainId, bridgeContract);
+    } catch (error) {
+      logger.error('Error getting block checkpoint:', error);
+      throw error;
+    }
+  }
+
+  // Advance the checkpoint (never moves backwards)
+  static async advance(chainId, networkName, bridgeContract, blockNumber, blockHash = null, source = 'live') {
+    try {
+      const checkpoint = await BlockCheckpoint.advance(
+        chainId,
+        networkName,
+        bridgeContract,
+        blockNumber,
+        blockHash,
+        source
+      );
+      logger.debug(`Checkpoint for ${networkName} ${bridgeContract} at block ${checkpoint.blockNumber}`);
+      return checkpoint;
+    } catch (error) {
+      logger.error('Error advancing block checkpoint:', error);
+      throw error;
+    }
+  }
+
+  // Rewind the checkpoint so the given block is processed again on the next start
+  static async rewind(chainId, bridgeContract, blockNumber) {
+    try {
+      const checkpoint = await BlockCheckpoint.rewind(chainId, bridgeContract, blockNumber);
+      if (checkpoint) {
+        logger.warn(`Checkpoint for chain ${chainId} ${bridgeContract} rewound to block ${blockNumber}`);
+      }
+      return checkpoint;
+    } catch (error) {
+      logger.error('Error rewinding block checkpoint:', error);
+      throw error;
+    }
+  }
+
+  // Get all checkpoints, optionally for a single chain
+  static async getAll(chainId = null) {
+    try {
+      const query = {};
+      if (chainId) query.chainId = chainId;
+      return await BlockCheckpoint.find(query).sort({ chainId: 1 });
+    } catch (error) {
+      logger.error('Error getting block checkpoints:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = CheckpointOperations;
@@ -0,0 +1,139 @@
+const { CustomRule } = require('../models');
+const logger = require('../../utils/logger');
+
+class CustomRuleOperations {
+
+  // Store a rule from its DSL definition
+  static async create(definition, createdBy, source = null, format = 'json') {
+    try {
+      const { id, ...fields } = definition;
+      const rule = new CustomRule({ ...fields, ruleId: id, source, format, createdBy, updatedBy: createdBy });
+      await rule.save();
+      logger.info(`Custom rule created: ${rule.ruleId}`);
+      return rule;
+    } catch (error) {
+      logger.error('Error creating custom rule:', error);
+      throw error;
+    }
+  }
+
+  // Find rule by its rule ID
+  static async findByRuleId(ruleId) {
+    try {
+      return await CustomRule.findOne({ ruleId });
+    } catch (error) {
+      logger.error('Error finding custom rule:', error);
+      throw error;
+    }
+  }
+
+  // Get paginated rules
+  static async getPaginated(options = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 50,
+        enabled,
+        severity
+      } = options;
+
+      const query = {};
+
+      if (enabled !== undefined) query.enabled = enabled;
+      if (severity) query.severity = severity;
+
+      const skip = (page - 1) * limit;
+
+      const [rules, total] = await Promise.all([
+        CustomRule.find(query)
+          .sort({ ruleId: 1 })
+          .skip(skip)
+          .limit(limit),
+        CustomRule.countDocuments(query)
+      ]);
+
+      return {
+        rules,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting paginated custom rules:', error);
+      throw error;
+    }
+  }
+
+  // Get enabled rules
+  static async findEnabled() {
+    try {
+      return await CustomRule.findEnabled();
+    } catch (error) {
+      logger.error('Error finding enabled custom rules:', error);
+      throw error;
+    }
+  }
+
+  // Replace a rule's definition, bumping its version
+  static async update(ruleId, definition, updatedBy, source = null, format = 'json') {
+    try {
+      const rule = await CustomRule.findOne({ ruleId });
+      if (!rule) {
+        throw new Error('Custom rule not found');
+      }
+
+      // The rule ID stays; everything else is replaced, so properties left out are unset
+      // or back to their defaults
+      for (const path of ['name', 'description', 'severity', 'priority', 'when', 'dedupe', 'message']) {
+        rule.set(path, definition[path]);
+      }
+      rule.enabled = definition.enabled !== false;
+      rule.confidence = definition.confidence !== undefined ? definition.confidence : CustomRule.schema.path('confidence').defaultValue;
+      rule.markModified('when');
+      rule.source = source;
+      rule.format = format;
+      rule.updatedBy = updatedBy;
+      rule.version += 1;
+
+      await rule.save();
+      logger.info(`Custom rule updated: ${rule.ruleId} (version ${rule.version})`);
+      return rule;
+    } catch (error) {
+      logger.error('Error updating custom rule:', error);
+      throw error;
+    }
+  }
+
+  // Delete a rule
+  static async delete(ruleId) {
+    try {
+      const rule = await CustomRule.findOneAndDelete({ ruleId });
+      if (!rule) {
+        throw new Error('Custom rule not found');
+      }
+      logger.info(`Custom rule deleted: ${ruleId}`);
+      return rule;
+    } catch (error) {
+      logger.error('Error deleting custom rule:', error);
+      throw error;
+    }
+  }
+
+  // Count a rule raising an anomaly
+  static async recordTrigger(ruleId, at = new Date()) {
+    try {
+      return await CustomRule.updateOne({ ruleId }, {
+        $inc: { triggerCount: 1 },
+        $set: { lastTriggeredAt: at }
+      });
+    } catch (error) {
+      logger.error('Error recording custom rule trigger:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = CustomRuleOperations;
@@ -0,0 +1,174 @@
+const { Incident, Anomaly } = require('../models');
+const logger = require('../../utils/logger');
+
+class IncidentOperations {
+
+  // Open a new incident
+  static async create(incidentData) {
+    try {
+      const incident = new Incident({
+        ...incidentData,
+        timeline: [{ action: 'opened', by: incidentData.openedBy || 'system', note: incidentData.title }]
+      });
+      await incident.save();
+      logger.info(`Incident opened: ${incident.incidentId}`);
+      return incident;
+    } catch (error) {
+      logger.error('Error creating incident:', error);
+      throw error;
+    }
+  }
+
+  // Find incident by ID
+  static async findById(incidentId) {
+    try {
+      return await Incident.findById(incidentId)
+        .populate('anomalyIds')
+        .populate('transactionIds');
+    } catch (error) {
+      logger.error('Error finding incident by ID:', error);
+      throw error;
+    }
+  }
+
+  // Get paginated incidents
+  static async getPaginated(options = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 50,
+        type,
+        severity,
+        status,
+        chainId,
+        sortBy = 'createdAt',
+        sortOrder = 'desc'
+      } = options;
+
+      const query = {};
+
+      if (type) query.type = type;
+      if (severity) query.severity = severity;
+      if (status) query.status = status;
+      if (chainId) query.chainId = chainId;
+
+      const sort = {};
+      sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+
+      const skip = (page - 1) * limit;
+
+      const [incidents, total] = await Promise.all([
+        Incident.find(query)
+          .sort(sort)
+          .skip(skip)
+          .limit(limit),
+        Incident.countDocuments(query)
+      ]);
+
+      return {
+        incidents,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting paginated incidents:', error);
+      throw error;
+    }
+  }
+
+  // Find the unresolved incident of a type for a bridge contract
+  static async findOpen(type, chainId, contractAddress) {
+    try {
+      return await Incident.findOpen(type, chainId, contractAddress);
+    } catch (error) {
+      logger.error('Error finding open incident:', error);
+      throw error;
+    }
+  }
+
+  // Find the incident an anomaly belongs to
+  static async findByAnomaly(anomalyId) {
+    try {
+      return await Incident.findByAnomaly(anomalyId);
+    } catch (error) {
+      logger.error('Error finding incident by anomaly:', error);
+      throw error;
+    }
+  }
+
+  // Add an anomaly and its leg to an incident
+  static async addLeg(incidentId, anomaly, transaction, valueUsd) {
+    try {
+      const incident = await Incident.findById(incidentId);
+      if (!incident) {
+        throw new Error('Incident not found');
+      }
+
+      await incident.addLeg(anomaly, transaction, valueUsd);
+      return incident;
+    } catch (error) {
+      logger.error('Error adding leg to incident:', error);
+      throw error;
+    }
+  }
+
+  // Record that one of an incident's anomalies was resolved, returns the incident
+  // and how many of its anomalies are still open
+  static async resolveLeg(incidentId, anomalyId, by, note) {
+    try {
+      const incident = await Incident.findById(incidentId);
+      if (!incident) {
+        throw new Error('Incident not found');
+      }
+
+      await incident.resolveLeg(anomalyId, by, note);
+      const openAnomalies = await Anomaly.countDocuments({
+        _id: { $in: incident.anomalyIds },
+        status: { $in: ['active', 'investigating'] }
+      });
+      return { incident, openAnomalies };
+    } catch (error) {
+      logger.error('Error resolving incident leg:', error);
+      throw error;
+    }
+  }
+
+  // Move an incident to another status
+  static async updateStatus(incidentId, status, by, note) {
+    try {
+      const incident = await Incident.findById(incidentId);
+      if (!incident) {
+        throw new Error('Incident not found');
+      }
+
+      await incident.updateStatus(status, by, note);
+      logger.info(`Incident ${incident.incidentId} is now ${status} (${by})`);
+      return incident;
+    } catch (error) {
+      logger.error('Error updating incident status:', error);
+      throw error;
+    }
+  }
+
+  // Add a note to an incident's timeline
+  static async addNote(incidentId, by, note) {
+    try {
+      const incident = await Incident.findById(incidentId);
+      if (!incident) {
+        throw new Error('Incident not found');
+      }
+
+      await incident.addNote(by, note);
+      return incident;
+    } catch (error) {
+      logger.error('Error adding note to incident:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = IncidentOperations;
@@ -1,9 +1,31 @@
 const TransactionOperations = require('./transactionOps');
 const AnomalyOperations = require('./anomalyOps');
 const AlertOperations = require('./alertOps');
+const CheckpointOperations = require('./checkpointOps');
+const BackfillOperations = require('./backfillOps');
+const TokenOperations = require('./tokenOps');
+const PriceOperations = require('./priceOps');
+const TransferOperations = require('./transferOps');
+const MatchAuditOperations = require('./matchAuditOps');
+const SupplyOperations = require('./supplyOps');
+const IncidentOperations = require('./incidentOps');
+const AggregateOperations = require('./aggregateOps');
+const BaselineOperations = require('./baselineOps');
+const CustomRuleOperations = require('./customRuleOps');
 
 module.exports = {
   TransactionOperations,
   AnomalyOperations,
-  AlertOperations
+  AlertOperations,
+  CheckpointOperations,
+  BackfillOperations,
+  TokenOperations,
+  PriceOperations,
+  TransferOperations,
+  MatchAuditOperations,
+  SupplyOperations,
+  IncidentOperations,
+  AggregateOperations,
+  BaselineOperations,
+  CustomRuleOperations
 };
@@ -0,0 +1,77 @@
+const { MatchAudit } = require('../models');
+const logger = require('../../utils/logger');
+
+class MatchAuditOperations {
+
+  // Record a manual match action
+  static async create(auditData) {
+    try {
+      const audit = new MatchAudit(auditData);
+      await audit.save();
+      logger.info(`Match ${audit.action} by ${audit.performedBy}: ${audit.txHash}${audit.counterpartTxHash ? ` <-> ${audit.counterpartTxHash}` : ''} (${audit.reason})`);
+      return audit;
+    } catch (error) {
+      logger.error('Error creating match audit entry:', error);
+      throw error;
+    }
+  }
+
+  // Find every action that touched a transaction
+  static async findForTransaction(transactionId) {
+    try {
+      return await MatchAudit.findForTransaction(transactionId);
+    } catch (error) {
+      logger.error('Error finding match audit entries for transaction:', error);
+      throw error;
+    }
+  }
+
+  // Get paginated audit entries
+  static async getPaginated(options = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 50,
+        action,
+        performedBy,
+        startDate,
+        endDate
+      } = options;
+
+      const query = {};
+      if (action) query.action = action;
+      if (performedBy) query.performedBy = performedBy;
+
+      if (startDate || endDate) {
+        query.createdAt = {};
+        if (startDate) query.createdAt.$gte = new Date(startDate);
+        if (endDate) query.createdAt.$lte = new Date(endDate);
+      }
+
+      const skip = (page - 1) * limit;
+
+      const [entries, total] = await Promise.all([
+        MatchAudit.find(query)
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit),
+        MatchAudit.countDocuments(query)
+      ]);
+
+      return {
+        entries,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting paginated match audit entries:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = MatchAuditOperations;
@@ -0,0 +1,85 @@
+const { PriceSnapshot } = require('../models');
+const logger = require('../../utils/logger');
+
+class PriceOperations {
+
+  // Store price snapshots, replacing any already taken for the same asset and minute
+  static async recordSnapshots(snapshots) {
+    try {
+      if (!snapshots.length) {
+        return 0;
+      }
+
+      const result = await PriceSnapshot.bulkWrite(snapshots.map(snapshot => {
+        const assetId = snapshot.assetId.toLowerCase();
+        const minute = PriceSnapshot.floorToMinute(snapshot.timestamp || new Date());
+        return {
+          updateOne: {
+            filter: { assetId, minute },
+            update: { $set: { assetId, minute, priceUsd: snapshot.priceUsd, source: snapshot.source } },
+            upsert: true
+          }
+        };
+      }));
+
+      return result.upsertedCount + result.modifiedCount;
+    } catch (error) {
+      logger.error('Error recording price snapshots:', error);
+      throw error;
+    }
+  }
+
+  // Get the snapshot nearest to a timestamp, null if none is within maxAgeMs
+  static async findNearest(assetId, timestamp, maxAgeMs) {
+    try {
+      return await PriceSnapshot.findNearest(assetId, timestamp, maxAgeMs);
+    } catch (error) {
+      logger.error('Error finding price snapshot:', error);
+      throw error;
+    }
+  }
+
+  // Get an asset's snapshots over a time range
+  static async getHistory(assetId, startDate, endDate) {
+    try {
+      return await PriceSnapshot.getHistory(assetId, startDate, endDate);
+    } catch (error) {
+      logger.error('Error getting price history:', error);
+      throw error;
+    }
+  }
+
+  // Get the earliest snapshot kept
+  static async findEarliest() {
+    try {
+      return await PriceSnapshot.findOne().sort({ minute: 1 });
+    } catch (error) {
+      logger.error('Error finding earliest price snapshot:', error);
+      throw error;
+    }
+  }
+
+  // Delete snapshots older than a number of days
+  static async deleteOlderThan(days) {
+    try {
+      const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+      const result = await PriceSnapshot.deleteMany({ minute: { $lt: cutoff } });
+      return result.deletedCount;
+    } catch (error) {
+      logger.error('Error deleting old price snapshots:', error);
+      throw error;
+    }
+  }
+
+  // Get the latest snapshot of every asset
+  static async getLatest() {
+    try {
+      return await PriceSnapshot.getLatest();
+    } catch (error) {
+      logger.error('Error getting latest prices:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PriceOperations;
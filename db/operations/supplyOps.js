@@ -0,0 +1,51 @@
+const { SupplySnapshot } = require('../models');
+const logger = require('../../utils/logger');
+
+class SupplyOperations {
+
+  // Store the result of one supply conservation check
+  static async recordSnapshot(snapshotData) {
+    try {
+      const snapshot = new SupplySnapshot(snapshotData);
+      await snapshot.save();
+      return snapshot;
+    } catch (error) {
+      logger.error('Error recording supply snapshot:', error);
+      throw error;
+    }
+  }
+
+  // Get an asset's snapshots over a time range
+  static async getHistory(assetId, startDate, endDate) {
+    try {
+      return await SupplySnapshot.getHistory(assetId, startDate, endDate);
+    } catch (error) {
+      logger.error('Error getting supply history:', error);
+      throw error;
+    }
+  }
+
+  // Get the latest snapshot of every asset
+  static async getLatest() {
+    try {
+      return await SupplySnapshot.getLatest();
+    } catch (error) {
+      logger.error('Error getting latest supply snapshots:', error);
+      throw error;
+    }
+  }
+
+  // Delete snapshots older than a number of days
+  static async deleteOlderThan(days) {
+    try {
+      const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+      const result = await SupplySnapshot.deleteMany({ timestamp: { $lt: cutoff } });
+      return result.deletedCount;
+    } catch (error) {
+      logger.error('Error deleting old supply snapshots:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = SupplyOperations;
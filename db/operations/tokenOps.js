@@ -0,0 +1,120 @@
+const { Token } = require('../models');
+const logger = require('../../utils/logger');
+
+class TokenOperations {
+
+  // Create or update the registry entry for a token deployment
+  static async upsert(tokenData) {
+    try {
+      const token = await Token.findOneAndUpdate(
+        { chainId: tokenData.chainId, address: tokenData.address.toLowerCase() },
+        { $set: { ...tokenData, address: tokenData.address.toLowerCase() } },
+        { new: true, upsert: true, runValidators: true }
+      );
+      logger.info(`Token registered: ${token.symbol} ${token.address} on chain ${token.chainId} (${token.canonicalAssetId || 'unmapped'})`);
+      return token;
+    } catch (error) {
+      logger.error('Error registering token:', error);
+      throw error;
+    }
+  }
+
+  // Find a token deployment by chain and address
+  static async findByAddress(chainId, address) {
+    try {
+      return await Token.findByAddress(chainId, address);
+    } catch (error) {
+      logger.error('Error finding token by address:', error);
+      throw error;
+    }
+  }
+
+  // Get every deployment of a canonical asset
+  static async findByCanonicalAsset(canonicalAssetId) {
+    try {
+      return await Token.findByCanonicalAsset(canonicalAssetId);
+    } catch (error) {
+      logger.error('Error finding tokens by canonical asset:', error);
+      throw error;
+    }
+  }
+
+  // Get all tokens (used to warm the registry cache)
+  static async getAll() {
+    try {
+      return await Token.find({}).lean();
+    } catch (error) {
+      logger.error('Error getting tokens:', error);
+      throw error;
+    }
+  }
+
+  // Get paginated tokens
+  static async getPaginated(options = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 50,
+        chainId,
+        canonicalAssetId,
+        verificationStatus,
+        source
+      } = options;
+
+      const query = {};
+      if (chainId) query.chainId = chainId;
+      if (canonicalAssetId) query.canonicalAssetId = canonicalAssetId.toLowerCase();
+      if (verificationStatus) query.verificationStatus = verificationStatus;
+      if (source) query.source = source;
+
+      const skip = (page - 1) * limit;
+
+      const [tokens, total] = await Promise.all([
+        Token.find(query)
+          .sort({ canonicalAssetId: 1, chainId: 1 })
+          .skip(skip)
+          .limit(limit),
+        Token.countDocuments(query)
+      ]);
+
+      return {
+        tokens,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting paginated tokens:', error);
+      throw error;
+    }
+  }
+
+  // Get canonical assets with their deployments
+  static async getCanonicalAssets() {
+    try {
+      return await Token.getCanonicalAssets();
+    } catch (error) {
+      logger.error('Error getting canonical assets:', error);
+      throw error;
+    }
+  }
+
+  // Remove a token deployment from the registry
+  static async remove(chainId, address) {
+    try {
+      const token = await Token.findOneAndDelete({ chainId, address: address.toLowerCase() });
+      if (token) {
+        logger.info(`Token removed: ${token.address} on chain ${chainId}`);
+      }
+      return token;
+    } catch (error) {
+      logger.error('Error removing token:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = TokenOperations;
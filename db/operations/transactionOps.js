@@ -12,6 +12,34 @@ class TransactionOperations {
       return transaction;
     } catch (error) {
       if (error.code === 11000) {
+        // Same log re-included on the canonical chain after a reorg
+        const revived = await Transaction.findOneAndUpdate(
+          {
+            txHash: transactionData.txHash,
+            logIndex: transactionData.logIndex,
+            chainId: transactionData.chainId,
+            status: 'reorged'
+          },
+          {
+            $set: {
+              ...transactionData,
+              status: 'pending',
+              isMatched: false,
+              matchedTransactionId: null,
+              matchedAt: null,
+              confirmationStatus: transactionData.confirmationStatus || 'observed',
+              confirmations: transactionData.confirmations || 0
+            },
+            $unset: { reorgedAt: 1, confirmedAt: 1, finalizedAt: 1 }
+          },
+          { new: true }
+        );
+
+        if (revived) {
+          logger.info(`Reorged transaction re-ingested: ${revived.txHash} on chain ${revived.chainId}`);
+          return revived;
+        }
+
         // Duplicate key error - transaction already exists
         logger.debug(`Duplicate transaction ignored: ${transactionData.txHash}`);
         return null;
@@ -21,6 +49,16 @@ class TransactionOperations {
     }
   }
 
+  // Find transaction by ID
+  static async findById(transactionId) {
+    try {
+      return await Transaction.findById(transactionId);
+    } catch (error) {
+      logger.error('Error finding transaction by ID:', error);
+      throw error;
+    }
+  }
+
   // Find transaction by hash and chain
   static async findByHash(txHash, chainId) {
     try {
@@ -41,6 +79,26 @@ class TransactionOperations {
     }
   }
 
+  // Find transactions by IDs, oldest first
+  static async findByIds(transactionIds) {
+    try {
+      return await Transaction.find({ _id: { $in: transactionIds } }).sort({ timestamp: 1 });
+    } catch (error) {
+      logger.error('Error finding transactions by IDs:', error);
+      throw error;
+    }
+  }
+
+  // Unmatched legs with a bridgeId since a date (seeds the matcher's pending index)
+  static async findPendingBridgeLegs(since) {
+    try {
+      return await Transaction.findPendingBridgeLegs(since);
+    } catch (error) {
+      logger.error('Error finding pending bridge legs:', error);
+      throw error;
+    }
+  }
+
   // Get paginated transactions
   static async getPaginated(options = {}) {
     try {
@@ -52,6 +110,12 @@ class TransactionOperations {
         tokenAddress,
         from,
         to,
+        eventType,
+        bridgeLabel,
+        bridgeContract,
+        isMatched,
+        confirmationStatus,
+        minConfirmations,
         startDate,
         endDate,
         sortBy = 'timestamp',
@@ -65,6 +129,12 @@ class TransactionOperations {
       if (tokenAddress) query.tokenAddress = tokenAddress;
       if (from) query.from = from;
       if (to) query.to = to;
+      if (eventType) query.eventType = eventType;
+      if (bridgeLabel) query.bridgeLabel = bridgeLabel;
+      if (bridgeContract) query.bridgeContract = bridgeContract.toLowerCase();
+      if (isMatched !== undefined) query.isMatched = isMatched;
+      if (confirmationStatus) query.confirmationStatus = confirmationStatus;
+      if (minConfirmations) query.confirmations = { $gte: minConfirmations };
       
       if (startDate || endDate) {
         query.timestamp = {};
@@ -111,12 +181,12 @@ class TransactionOperations {
     }
   }
 
-  // Match cross-chain transactions
-  static async matchTransactions(sourceTransaction, targetTransaction) {
+  // Match cross-chain transactions, recording how their amounts compared on both legs
+  static async matchTransactions(sourceTransaction, targetTransaction, matchDetails = null) {
     try {
       await Promise.all([
-        sourceTransaction.markAsMatched(targetTransaction._id),
-        targetTransaction.markAsMatched(sourceTransaction._id)
+        sourceTransaction.markAsMatched(targetTransaction._id, matchDetails),
+        targetTransaction.markAsMatched(sourceTransaction._id, matchDetails)
       ]);
       
       logger.info(`Transactions matched: ${sourceTransaction.txHash} <-> ${targetTransaction.txHash}`);
@@ -127,16 +197,246 @@ class TransactionOperations {
     }
   }
 
-  // Mark transaction as timeout
-  static async markAsTimeout(transactionId) {
+  // Mark one leg as matched to its counterpart (destination legs of a split payout)
+  static async markMatched(transaction, counterpartId, matchDetails = null) {
+    try {
+      return await transaction.markAsMatched(counterpartId, matchDetails);
+    } catch (error) {
+      logger.error('Error marking transaction as matched:', error);
+      throw error;
+    }
+  }
+
+  // Split one leg from its counterparts and keep the matcher from pairing them again
+  static async rejectMatch(transaction, counterpartIds) {
+    try {
+      return await transaction.rejectMatch(counterpartIds);
+    } catch (error) {
+      logger.error('Error rejecting transaction match:', error);
+      throw error;
+    }
+  }
+
+  // Record that an operator confirmed a leg's match
+  static async confirmMatch(transaction, reviewedBy) {
+    try {
+      return await transaction.confirmMatch(reviewedBy);
+    } catch (error) {
+      logger.error('Error confirming transaction match:', error);
+      throw error;
+    }
+  }
+
+  // Get a page of the operator review queue ('unmatched' or 'low_confidence')
+  static async getReviewQueue(options = {}) {
+    try {
+      const {
+        type = 'unmatched',
+        olderThan,
+        reviewThreshold,
+        page = 1,
+        limit = 50
+      } = options;
+
+      const query = Transaction.reviewQuery(type, { olderThan, reviewThreshold });
+      // Lowest scores first for matches, longest-waiting first for unmatched legs
+      const sort = type === 'low_confidence' ? { 'matchDetails.confidence': 1, timestamp: 1 } : { timestamp: 1 };
+      const skip = (page - 1) * limit;
+
+      const [transactions, total] = await Promise.all([
+        Transaction.find(query)
+          .sort(sort)
+          .skip(skip)
+          .limit(limit),
+        Transaction.countDocuments(query)
+      ]);
+
+      return {
+        transactions,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting review queue:', error);
+      throw error;
+    }
+  }
+
+  // Get the size of each review queue
+  static async getReviewCounts(olderThan, reviewThreshold) {
+    try {
+      const [unmatched, lowConfidence] = await Promise.all([
+        Transaction.countDocuments(Transaction.reviewQuery('unmatched', { olderThan, reviewThreshold })),
+        Transaction.countDocuments(Transaction.reviewQuery('low_confidence', { olderThan, reviewThreshold }))
+      ]);
+      return { unmatched, low_confidence: lowConfidence };
+    } catch (error) {
+      logger.error('Error getting review queue counts:', error);
+      throw error;
+    }
+  }
+
+  // Split a matched pair, resetting both sides
+  static async unmatch(transaction) {
+    try {
+      let counterpart = null;
+      if (transaction.matchedTransactionId) {
+        counterpart = await Transaction.findById(transaction.matchedTransactionId);
+      }
+
+      await transaction.unmatch();
+      if (counterpart && counterpart.matchedTransactionId &&
+          counterpart.matchedTransactionId.toString() === transaction._id.toString()) {
+        await counterpart.unmatch();
+      }
+
+      logger.info(`Transactions unmatched: ${transaction.txHash}${counterpart ? ` <-> ${counterpart.txHash}` : ''}`);
+      return { transaction, counterpart };
+    } catch (error) {
+      logger.error('Error unmatching transactions:', error);
+      throw error;
+    }
+  }
+
+  // Mark transactions in a block as reorged when the block hash is no longer canonical
+  static async markReorged(chainId, blockNumber, canonicalHash) {
+    try {
+      const orphaned = await Transaction.findOrphaned(chainId, blockNumber, canonicalHash);
+      const affected = [];
+
+      for (const transaction of orphaned) {
+        let counterpart = null;
+        if (transaction.isMatched) {
+          ({ counterpart } = await this.unmatch(transaction));
+        }
+        await transaction.markAsReorged();
+        affected.push({ transaction, counterpart });
+      }
+
+      if (affected.length > 0) {
+        logger.warn(`Marked ${affected.length} transactions as reorged in block ${blockNumber} on chain ${chainId}`);
+      }
+
+      return affected;
+    } catch (error) {
+      logger.error('Error marking reorged transactions:', error);
+      throw error;
+    }
+  }
+
+  // Advance confirmation counts for a chain from a new head block.
+  // Returns the transactions that became confirmed or finalized at this head.
+  static async updateConfirmations(chainId, headBlock, confirmationsRequired, finalityConfirmations) {
+    try {
+      const active = {
+        chainId,
+        status: { $ne: 'reorged' },
+        confirmationStatus: { $ne: 'finalized' },
+        blockNumber: { $lte: headBlock }
+      };
+
+      await Transaction.updateMany(active, [
+        { $set: { confirmations: { $subtract: [headBlock + 1, '$blockNumber'] } } }
+      ]);
+
+      const now = new Date();
+
+      // Chains that finalize by other means (e.g. L2s settling on L1) pass no finality depth
+      const finalized = finalityConfirmations === null ? [] : await Transaction.find({
+        ...active,
+        blockNumber: { $lte: headBlock + 1 - finalityConfirmations }
+      });
+      if (finalized.length > 0) {
+        await Transaction.updateMany(
+          { _id: { $in: finalized.map(tx => tx._id) } },
+          [{ $set: { confirmationStatus: 'finalized', finalizedAt: now, confirmedAt: { $ifNull: ['$confirmedAt', now] } } }]
+        );
+      }
+
+      const confirmed = await Transaction.find({
+        ...active,
+        confirmationStatus: 'observed',
+        blockNumber: { $lte: headBlock + 1 - confirmationsRequired }
+      });
+      if (confirmed.length > 0) {
+        await Transaction.updateMany(
+          { _id: { $in: confirmed.map(tx => tx._id) } },
+          { $set: { confirmationStatus: 'confirmed', confirmedAt: now } }
+        );
+      }
+
+      return { confirmed, finalized };
+    } catch (error) {
+      logger.error('Error updating transaction confirmations:', error);
+      throw error;
+    }
+  }
+
+  // Move L2 events through batch_posted and l1_finalized as the safe and finalized heads advance
+  static async updateL1Status(chainId, safeBlock, finalizedBlock) {
+    try {
+      const now = new Date();
+      const active = {
+        chainId,
+        status: { $ne: 'reorged' }
+      };
+
+      const finalized = await Transaction.find({
+        ...active,
+        l1Status: { $in: ['sequencer', 'batch_posted'] },
+        blockNumber: { $lte: finalizedBlock }
+      });
+      if (finalized.length > 0) {
+        await Transaction.updateMany(
+          { _id: { $in: finalized.map(tx => tx._id) } },
+          [{
+            $set: {
+              l1Status: 'l1_finalized',
+              l1FinalizedAt: now,
+              l1BatchPostedAt: { $ifNull: ['$l1BatchPostedAt', now] },
+              confirmationStatus: 'finalized',
+              finalizedAt: now,
+              confirmedAt: { $ifNull: ['$confirmedAt', now] },
+              // The SLA clock starts now, so a waiting source leg is checked against it again
+              deadlineAt: { $cond: [{ $gt: ['$deadlineAt', null] }, now, null] }
+            }
+          }]
+        );
+      }
+
+      const posted = await Transaction.find({
+        ...active,
+        l1Status: 'sequencer',
+        blockNumber: { $lte: safeBlock }
+      });
+      if (posted.length > 0) {
+        await Transaction.updateMany(
+          { _id: { $in: posted.map(tx => tx._id) } },
+          { $set: { l1Status: 'batch_posted', l1BatchPostedAt: now } }
+        );
+      }
+
+      return { posted, finalized };
+    } catch (error) {
+      logger.error('Error updating L1 settlement status:', error);
+      throw error;
+    }
+  }
+
+  // Mark transaction as timeout, recording the escalation tier it reached
+  static async markAsTimeout(transactionId, severity = null) {
     try {
       const transaction = await Transaction.findById(transactionId);
       if (!transaction) {
         throw new Error('Transaction not found');
       }
       
-      await transaction.markAsTimeout();
-      logger.info(`Transaction marked as timeout: ${transaction.txHash}`);
+      await transaction.markAsTimeout(severity);
+      logger.info(`Transaction marked as timeout: ${transaction.txHash}${severity ? ` (${severity})` : ''}`);
       return transaction;
     } catch (error) {
       logger.error('Error marking transaction as timeout:', error);
@@ -144,16 +444,146 @@ class TransactionOperations {
     }
   }
 
+  // Set when a source leg is next due a timeout check
+  static async setTimeoutDeadline(transactionId, deadlineAt) {
+    try {
+      return await Transaction.findByIdAndUpdate(transactionId, { deadlineAt }, { new: true });
+    } catch (error) {
+      logger.error('Error setting timeout deadline:', error);
+      throw error;
+    }
+  }
+
+  // Record the outcome of a destination leg's proof verification
+  static async recordVerification(transactionId, result) {
+    try {
+      return await Transaction.findByIdAndUpdate(transactionId, {
+        $set: {
+          proofVerification: {
+            status: result.status,
+            reasonCodes: result.failures.map(failure => failure.code),
+            sourceTxHash: result.sourceTxHash,
+            signers: result.signers || [],
+            checkedAt: new Date()
+          }
+        }
+      }, { new: true });
+    } catch (error) {
+      logger.error('Error recording proof verification:', error);
+      throw error;
+    }
+  }
+
+  // Find possible counterparts of a transaction on other chains
+  static async findMatchCandidates(transaction, eventTypes, windowMs, limit = 50) {
+    try {
+      return await Transaction.findMatchCandidates(transaction, eventTypes, windowMs, limit);
+    } catch (error) {
+      logger.error('Error finding match candidates:', error);
+      throw error;
+    }
+  }
+
+  // Find other live legs with a transaction's chain, bridge ID and amount near its time
+  static async findSameTransfer(transaction, windowMs, limit = 10) {
+    try {
+      return await Transaction.findSameTransfer(transaction, windowMs, limit);
+    } catch (error) {
+      logger.error('Error finding transactions of the same transfer:', error);
+      throw error;
+    }
+  }
+
+  // Find confirmed source legs that are still unmatched and due a timeout check
+  static async findTimeoutCandidates(now = new Date(), excludeSeverity = null, limit = 500) {
+    try {
+      return await Transaction.findTimeoutCandidates(now, excludeSeverity, limit);
+    } catch (error) {
+      logger.error('Error finding timeout candidates:', error);
+      throw error;
+    }
+  }
+
+  // Find final destination legs that may be unbacked mints
+  static async findUnbackedCandidates(finalizedBefore, limit = 500, now = new Date()) {
+    try {
+      return await Transaction.findUnbackedCandidates(finalizedBefore, limit, now);
+    } catch (error) {
+      logger.error('Error finding unbacked mint candidates:', error);
+      throw error;
+    }
+  }
+
+  // Get the most recent transfers in a time range, oldest first
+  static async findForReplay(startDate, endDate, limit) {
+    try {
+      return await Transaction.findForReplay(startDate, endDate, limit);
+    } catch (error) {
+      logger.error('Error finding transactions to replay:', error);
+      throw error;
+    }
+  }
+
+  // Record that a destination leg was raised as an unbacked mint
+  static async markAsUnbacked(transactionId) {
+    try {
+      return await Transaction.findByIdAndUpdate(transactionId, { unbackedAt: new Date() }, { new: true });
+    } catch (error) {
+      logger.error('Error marking transaction as unbacked:', error);
+      throw error;
+    }
+  }
+
+  // Put off a destination leg's next unbacked mint check
+  static async deferUnbackedCheck(transactionId, checkAt) {
+    try {
+      return await Transaction.findByIdAndUpdate(transactionId, { unbackedCheckAt: checkAt }, { new: true });
+    } catch (error) {
+      logger.error('Error deferring unbacked mint check:', error);
+      throw error;
+    }
+  }
+
   // Get volume statistics
-  static async getVolumeStats(startDate, endDate, chainId = null) {
+  static async getVolumeStats(startDate, endDate, chainId = null, bridgeLabel = null) {
     try {
-      return await Transaction.getVolumeStats(startDate, endDate, chainId);
+      return await Transaction.getVolumeStats(startDate, endDate, chainId, bridgeLabel);
     } catch (error) {
       logger.error('Error getting volume statistics:', error);
       throw error;
     }
   }
 
+  // Get volume statistics grouped by canonical asset
+  static async getAssetVolumeStats(startDate, endDate, chainId = null, bridgeLabel = null) {
+    try {
+      return await Transaction.getAssetVolumeStats(startDate, endDate, chainId, bridgeLabel);
+    } catch (error) {
+      logger.error('Error getting asset volume statistics:', error);
+      throw error;
+    }
+  }
+
+  // Get volume statistics grouped by bridge label
+  static async getBridgeVolumeStats(startDate, endDate, chainId = null, bridgeLabel = null) {
+    try {
+      return await Transaction.getBridgeVolumeStats(startDate, endDate, chainId, bridgeLabel);
+    } catch (error) {
+      logger.error('Error getting bridge volume statistics:', error);
+      throw error;
+    }
+  }
+
+  // Get Lock, Unlock, Mint and Burn totals per canonical asset and chain
+  static async getSupplyTotals(asOf = new Date()) {
+    try {
+      return await Transaction.getSupplyTotals(asOf);
+    } catch (error) {
+      logger.error('Error getting supply totals:', error);
+      throw error;
+    }
+  }
+
   // Get transaction counts by status
   static async getStatusCounts(chainId = null, timeRange = null) {
     try {
@@ -185,6 +615,45 @@ class TransactionOperations {
     }
   }
 
+  // Get transaction counts by bridge label and status
+  static async getBridgeCounts(chainId = null, timeRange = null) {
+    try {
+      const match = {};
+      if (chainId) match.chainId = chainId;
+      if (timeRange) {
+        match.timestamp = {
+          $gte: new Date(Date.now() - timeRange)
+        };
+      }
+
+      const result = await Transaction.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: { bridgeLabel: '$bridgeLabel', status: '$status' },
+            contracts: { $addToSet: '$bridgeContract' },
+            count: { $sum: 1 }
+          }
+        }
+      ]);
+
+      // Transactions stored before contracts were labelled are reported as 'default'
+      return result.reduce((acc, item) => {
+        const label = item._id.bridgeLabel || 'default';
+        if (!acc[label]) {
+          acc[label] = { total: 0, contracts: [], statuses: {} };
+        }
+        acc[label].total += item.count;
+        acc[label].statuses[item._id.status] = item.count;
+        acc[label].contracts = Array.from(new Set([...acc[label].contracts, ...item.contracts]));
+        return acc;
+      }, {});
+    } catch (error) {
+      logger.error('Error getting bridge counts:', error);
+      throw error;
+    }
+  }
+
   // Update transaction status
   static async updateStatus(transactionId, status) {
     try {
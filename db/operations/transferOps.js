@@ -0,0 +1,195 @@
+const { BridgeTransfer } = require('../models');
+const logger = require('../../utils/logger');
+
+class TransferOperations {
+
+  // Create the transfer for a source leg unless it already exists
+  static async openForSource(transferData) {
+    try {
+      const transfer = await BridgeTransfer.findOneAndUpdate(
+        { 'source.transactionId': transferData.source.transactionId },
+        { $setOnInsert: transferData },
+        { new: true, upsert: true, runValidators: true }
+      );
+      return transfer;
+    } catch (error) {
+      logger.error('Error opening bridge transfer:', error);
+      throw error;
+    }
+  }
+
+  // Find transfer by ID
+  static async findById(transferId) {
+    try {
+      return await BridgeTransfer.findById(transferId);
+    } catch (error) {
+      logger.error('Error finding bridge transfer by ID:', error);
+      throw error;
+    }
+  }
+
+  // Find the transfer started by a source transaction
+  static async findBySourceTransaction(transactionId) {
+    try {
+      return await BridgeTransfer.findBySourceTransaction(transactionId);
+    } catch (error) {
+      logger.error('Error finding bridge transfer by source transaction:', error);
+      throw error;
+    }
+  }
+
+  // Find the transfer a transaction is a leg of
+  static async findByTransaction(transactionId) {
+    try {
+      return await BridgeTransfer.findByTransaction(transactionId);
+    } catch (error) {
+      logger.error('Error finding bridge transfer by transaction:', error);
+      throw error;
+    }
+  }
+
+  // Persist a transfer's legs, amounts and status
+  static async save(transfer) {
+    try {
+      return await transfer.save();
+    } catch (error) {
+      logger.error('Error saving bridge transfer:', error);
+      throw error;
+    }
+  }
+
+  // Get paginated transfers
+  static async getPaginated(options = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 50,
+        status,
+        sourceChainId,
+        targetChainId,
+        bridgeLabel,
+        canonicalAssetId,
+        matchMethod,
+        startDate,
+        endDate,
+        sortBy = 'initiatedAt',
+        sortOrder = 'desc'
+      } = options;
+
+      const query = {};
+      if (status) query.status = status;
+      if (sourceChainId) query['route.sourceChainId'] = sourceChainId;
+      if (targetChainId) query['route.targetChainId'] = targetChainId;
+      if (bridgeLabel) query.bridgeLabel = bridgeLabel;
+      if (canonicalAssetId) query.canonicalAssetId = canonicalAssetId.toLowerCase();
+      if (matchMethod) query.matchMethod = matchMethod;
+
+      if (startDate || endDate) {
+        query.initiatedAt = {};
+        if (startDate) query.initiatedAt.$gte = new Date(startDate);
+        if (endDate) query.initiatedAt.$lte = new Date(endDate);
+      }
+
+      const sort = {};
+      sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+
+      const skip = (page - 1) * limit;
+
+      const [transfers, total] = await Promise.all([
+        BridgeTransfer.find(query)
+          .sort(sort)
+          .skip(skip)
+          .limit(limit),
+        BridgeTransfer.countDocuments(query)
+      ]);
+
+      return {
+        transfers,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting paginated bridge transfers:', error);
+      throw error;
+    }
+  }
+
+  // Search transfers by leg hash, bridge ID or address
+  static async search(term, limit = 20) {
+    try {
+      return await BridgeTransfer.search(term, limit);
+    } catch (error) {
+      logger.error('Error searching bridge transfers:', error);
+      throw error;
+    }
+  }
+
+  // Get transfer counts by status
+  static async getStatusCounts(timeRange = null) {
+    try {
+      const match = {};
+      if (timeRange) {
+        match.initiatedAt = {
+          $gte: new Date(Date.now() - timeRange)
+        };
+      }
+
+      const result = await BridgeTransfer.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: '$status',
+            count: { $sum: 1 },
+            avgLatencyMs: { $avg: '$latencyMs' }
+          }
+        }
+      ]);
+
+      return result.reduce((acc, item) => {
+        acc[item._id] = { count: item.count, avgLatencyMs: item.avgLatencyMs };
+        return acc;
+      }, {});
+    } catch (error) {
+      logger.error('Error getting bridge transfer status counts:', error);
+      throw error;
+    }
+  }
+
+  // Get the average latency of completed transfers per route
+  static async getRouteLatencies(timeRange) {
+    try {
+      const result = await BridgeTransfer.aggregate([
+        {
+          $match: {
+            status: 'completed',
+            latencyMs: { $ne: null },
+            initiatedAt: { $gte: new Date(Date.now() - timeRange) }
+          }
+        },
+        {
+          $group: {
+            _id: { sourceChainId: '$route.sourceChainId', targetChainId: '$route.targetChainId' },
+            averageMs: { $avg: '$latencyMs' },
+            samples: { $sum: 1 }
+          }
+        }
+      ]);
+
+      return result.map(item => ({
+        sourceChainId: item._id.sourceChainId,
+        targetChainId: item._id.targetChainId,
+        averageMs: Math.round(item.averageMs),
+        samples: item.samples
+      }));
+    } catch (error) {
+      logger.error('Error getting bridge transfer route latencies:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = TransferOperations;
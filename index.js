@@ -24,6 +24,10 @@ const EventListenerManager = require('./listeners/EventListenerManager');
 // Import alert system
 const AlertSystem = require('./alerts/AlertSystem');
 
+// Import token registry and pricing
+const tokenRegistry = require('./services/tokenRegistry');
+const priceService = require('./services/priceService');
+
 // Create Express app
 const app = express();
 const server = http.createServer(app);
@@ -86,6 +90,10 @@ async function initializeApp() {
     await connectDB();
     logger.info('Database connected successfully');
 
+    // Load token mappings before any events are normalized
+    await tokenRegistry.load();
+    await priceService.start();
+
     // Initialize alert system
     const alertSystem = new AlertSystem(io);
     await alertSystem.initialize();
@@ -96,6 +104,10 @@ async function initializeApp() {
     await eventListenerManager.initialize();
     logger.info('Event listeners initialized');
 
+    // Make the running systems available to API routes
+    app.set('alertSystem', alertSystem);
+    app.set('eventListenerManager', eventListenerManager);
+
     // Start server
     const PORT = config.server.port;
     server.listen(PORT, () => {
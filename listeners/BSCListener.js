@@ -1,18 +1,17 @@
 const BaseEventListener = require('./BaseEventListener');
 const logger = require('../utils/logger');
+const tokenRegistry = require('../services/tokenRegistry');
+const priceService = require('../services/priceService');
 
 class BSCListener extends BaseEventListener {
   constructor(networkConfig, alertSystem) {
     super(networkConfig, alertSystem);
-    this.tokenCache = new Map();
     this.validatorCache = new Map(); // Cache for validator information
   }
 
   async initialize() {
     try {
       await super.initialize();
-      await this.initializeTokenCache();
-      
       logger.info('BSC listener initialized with enhanced features');
     } catch (error) {
       logger.error('Failed to initialize BSC listener:', error);
@@ -20,174 +19,25 @@ class BSCListener extends BaseEventListener {
     }
   }
 
-  // Initialize cache with common BSC tokens
-  async initializeTokenCache() {
-    try {
-      const commonTokens = [
-        {
-          address: '0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d',
-          symbol: 'USDC',
-          decimals: 18,
-          name: 'USD Coin'
-        },
-        {
-          address: '0x55d398326f99059fF775485246999027B3197955',
-          symbol: 'USDT',
-          decimals: 18,
-          name: 'Tether USD'
-        },
-        {
-          address: '0x1AF3F329e8BE154074D8769D1FFa4eE058B1DBc3',
-          symbol: 'DAI',
-          decimals: 18,
-          name: 'Dai Token'
-        },
-        {
-          address: '0x2170Ed0880ac9A755fd29B2688956BD959F933F8',
-          symbol: 'ETH',
-          decimals: 18,
-          name: 'Ethereum Token'
-        },
-        {
-          address: '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c',
-          symbol: 'WBNB',
-          decimals: 18,
-          name: 'Wrapped BNB'
-        }
-      ];
-
-      for (const token of commonTokens) {
-        this.tokenCache.set(token.address.toLowerCase(), token);
-      }
-
-      logger.info(`BSC token cache initialized with ${commonTokens.length} tokens`);
-    } catch (error) {
-      logger.error('Error initializing BSC token cache:', error);
-    }
-  }
-
-  // Override to add BSC-specific token metadata fetching
-  async normalizeEventData(event, eventType) {
-    const normalizedData = await super.normalizeEventData(event, eventType);
+  // Override to add BSC-specific network fields
+  async normalizeEventData(event, eventName, bridge) {
+    const normalizedData = await super.normalizeEventData(event, eventName, bridge);
     
-    // Enhance with token metadata
-    if (normalizedData.tokenAddress && normalizedData.tokenAddress !== '0x0000000000000000000000000000000000000000') {
-      const tokenInfo = await this.getTokenInfo(normalizedData.tokenAddress);
-      
-      normalizedData.tokenSymbol = tokenInfo.symbol;
-      normalizedData.tokenDecimals = tokenInfo.decimals;
-      normalizedData.tokenName = tokenInfo.name;
-      
-      // Recalculate formatted amount with correct decimals
-      normalizedData.amountFormatted = this.formatTokenAmount(
-        normalizedData.amount, 
-        tokenInfo.decimals
-      );
-    }
-
     // Add BSC-specific fields
     normalizedData.networkSpecific = {
       gasPrice: normalizedData.gasPrice,
       gasUsed: normalizedData.gasUsed,
       transactionFee: normalizedData.transactionFee,
-      bnbPrice: await this.getBNBPrice(), // In production, fetch from price API
+      bnbPrice: await this.getBNBPrice(normalizedData.timestamp),
       validatorInfo: await this.getValidatorInfo(event.blockNumber)
     };
 
     return normalizedData;
   }
 
-  // Get token information (similar to other networks but with BSC-specific handling)
-  async getTokenInfo(tokenAddress) {
-    const address = tokenAddress.toLowerCase();
-    
-    if (this.tokenCache.has(address)) {
-      return this.tokenCache.get(address);
-    }
-
-    try {
-      const tokenABI = [
-        {
-          "constant": true,
-          "inputs": [],
-          "name": "symbol",
-          "outputs": [{"name": "", "type": "string"}],
-          "type": "function"
-        },
-        {
-          "constant": true,
-          "inputs": [],
-          "name": "decimals",
-          "outputs": [{"name": "", "type": "uint8"}],
-          "type": "function"
-        },
-        {
-          "constant": true,
-          "inputs": [],
-          "name": "name",
-          "outputs": [{"name": "", "type": "string"}],
-          "type": "function"
-        }
-      ];
-
-      const tokenContract = new this.web3.eth.Contract(tokenABI, tokenAddress);
-      
-      const [symbol, decimals, name] = await Promise.all([
-        tokenContract.methods.symbol().call().catch(() => 'UNKNOWN'),
-        tokenContract.methods.decimals().call().catch(() => 18),
-        tokenContract.methods.name().call().catch(() => 'Unknown Token')
-      ]);
-
-      const tokenInfo = {
-        address: tokenAddress,
-        symbol: symbol,
-        decimals: parseInt(decimals),
-        name: name
-      };
-
-      this.tokenCache.set(address, tokenInfo);
-      
-      logger.debug(`Fetched BSC token info for ${tokenAddress}: ${symbol}`);
-      return tokenInfo;
-    } catch (error) {
-      logger.error(`Error fetching BSC token info for ${tokenAddress}:`, error);
-      
-      const defaultInfo = {
-        address: tokenAddress,
-        symbol: 'UNKNOWN',
-        decimals: 18,
-        name: 'Unknown Token'
-      };
-      
-      this.tokenCache.set(address, defaultInfo);
-      return defaultInfo;
-    }
-  }
-
-  // Format token amount based on decimals
-  formatTokenAmount(amount, decimals) {
-    try {
-      const divisor = BigInt(10) ** BigInt(decimals);
-      const amountBigInt = BigInt(amount);
-      const wholePart = amountBigInt / divisor;
-      const fractionalPart = amountBigInt % divisor;
-      
-      return parseFloat(`${wholePart}.${fractionalPart.toString().padStart(decimals, '0')}`);
-    } catch (error) {
-      logger.error('Error formatting token amount:', error);
-      return 0;
-    }
-  }
-
-  // Get BNB price (placeholder - in production, use price API)
-  async getBNBPrice() {
-    try {
-      // In production, fetch from CoinGecko, CoinMarketCap, or similar
-      return 310; // Placeholder BNB price in USD
-    } catch (error) {
-      logger.error('Error fetching BNB price:', error);
-      return 0;
-    }
+  // Get the native token (BNB) price in USD
+  async getBNBPrice(timestamp = new Date()) {
+    return priceService.getPriceAt(tokenRegistry.getNativeToken(this.networkConfig.chainId).canonicalAssetId, timestamp);
   }
 
   // Get validator information for a block (BSC-specific)
@@ -221,43 +71,20 @@ class BSCListener extends BaseEventListener {
   }
 
   // Override to add BSC-specific event handling
-  async handleEvent(event, eventType) {
+  async handleEvent(event, eventName, bridge) {
     try {
-      await super.handleEvent(event, eventType);
-      await this.processBSCSpecificLogic(event, eventType);
+      const stored = await super.handleEvent(event, eventName, bridge);
+      await this.processBSCSpecificLogic(event, bridge);
+      return stored;
     } catch (error) {
       logger.error(`Error in BSC-specific event handling:`, error);
+      return false;
     }
   }
 
   // BSC-specific event processing
-  async processBSCSpecificLogic(event, eventType) {
+  async processBSCSpecificLogic(event, bridge) {
     try {
-      // Check for high-value transactions
-      const { returnValues } = event;
-      if (returnValues.amount) {
-        const tokenInfo = await this.getTokenInfo(returnValues.token);
-        const formattedAmount = this.formatTokenAmount(returnValues.amount, tokenInfo.decimals);
-        
-        if (this.isHighValueTransaction(formattedAmount, tokenInfo.symbol)) {
-          await this.alertSystem.sendAlert({
-            type: 'high_volume',
-            severity: 'warning',
-            title: 'High Value BSC Bridge Transaction',
-            message: `Large ${eventType} transaction detected: ${formattedAmount} ${tokenInfo.symbol}`,
-            chainId: this.networkConfig.chainId,
-            networkName: 'bsc',
-            details: {
-              amount: formattedAmount,
-              token: tokenInfo.symbol,
-              transactionHash: event.transactionHash,
-              eventType: eventType,
-              validator: (await this.getValidatorInfo(event.blockNumber))?.miner
-            }
-          });
-        }
-      }
-
       // Check for unusual block times (BSC has ~3 second block times)
       await this.checkBlockTimeAnomaly(event);
       
@@ -268,19 +95,35 @@ class BSCListener extends BaseEventListener {
     }
   }
 
-  // Check if transaction is high value (BSC-specific thresholds)
-  isHighValueTransaction(amount, symbol) {
-    const highValueThresholds = {
-      'USDC': 75000, // BSC has good liquidity
-      'USDT': 75000,
-      'DAI': 75000,
-      'ETH': 30,
-      'WBNB': 300,
-      'BNB': 300
-    };
+  // Alert on high-value transfers once stored, valued in USD at event time
+  async onTransactionStored(transaction) {
+    try {
+      if (this.isHighValueTransaction(transaction.amountUsd)) {
+        await this.alertSystem.sendAlert({
+          type: 'high_volume',
+          severity: 'warning',
+          title: 'High Value BSC Bridge Transaction',
+          message: `Large ${transaction.eventType} transaction detected: ${transaction.amountFormatted} ${transaction.tokenSymbol} ($${transaction.amountUsd.toLocaleString()})`,
+          chainId: this.networkConfig.chainId,
+          networkName: 'bsc',
+          details: {
+            amount: transaction.amountFormatted,
+            amountUsd: transaction.amountUsd,
+            token: transaction.tokenSymbol,
+            transactionHash: transaction.txHash,
+            eventType: transaction.eventType,
+            validator: (await this.getValidatorInfo(transaction.blockNumber))?.miner
+          }
+        });
+      }
+    } catch (error) {
+      logger.error('Error checking BSC high-value transaction:', error);
+    }
+  }
 
-    const threshold = highValueThresholds[symbol] || 750000;
-    return amount >= threshold;
+  // Check if transaction is high value (>$75k at event time, BSC has good liquidity)
+  isHighValueTransaction(amountUsd) {
+    return amountUsd !== null && amountUsd >= 75000;
   }
 
   // Check for unusual block times
@@ -350,7 +193,7 @@ class BSCListener extends BaseEventListener {
       const [blockNumber, gasPrice, balance, bnbPrice] = await Promise.all([
         this.web3.eth.getBlockNumber(),
         this.web3.eth.getGasPrice(),
-        this.web3.eth.getBalance(this.networkConfig.bridgeContract),
+        this.getBridgeBalance(),
         this.getBNBPrice()
       ]);
 
@@ -359,7 +202,7 @@ class BSCListener extends BaseEventListener {
         gasPrice: this.web3.utils.fromWei(gasPrice, 'gwei'),
         bridgeBalance: this.web3.utils.fromWei(balance, 'ether'),
         bnbPrice: bnbPrice,
-        tokenCacheSize: this.tokenCache.size,
+        knownTokens: tokenRegistry.countForChain(this.networkConfig.chainId),
         validatorCacheSize: this.validatorCache.size
       };
     } catch (error) {
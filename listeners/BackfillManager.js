@@ -0,0 +1,237 @@
+const { BackfillOperations } = require('../db/operations');
+const logger = require('../utils/logger');
+
+// Runs re-indexing jobs over explicit block ranges (e.g. after adding a contract).
+// Jobs are persisted with per-contract progress, run one at a time through the
+// network's listener, and resume after a restart. Ranges that still fail after
+// the listener's retries are recorded and retried before the job finishes.
+class BackfillManager {
+  constructor(listenerManager) {
+    this.listenerManager = listenerManager;
+    this.queue = []; // Job IDs waiting to run
+    this.activeJobId = null;
+    this.isProcessing = false;
+  }
+
+  // Re-queue jobs that were waiting or interrupted by a restart
+  async resumeJobs() {
+    try {
+      const jobs = await BackfillOperations.getResumable();
+      for (const job of jobs) {
+        this.enqueue(job._id.toString());
+      }
+
+      if (jobs.length) {
+        logger.info(`Resuming ${jobs.length} backfill jobs`);
+      }
+    } catch (error) {
+      logger.error('Failed to resume backfill jobs:', error);
+    }
+  }
+
+  // Check a backfill request against the running listeners, returns { error } or the job scope
+  async resolveRequest({ chainId, fromBlock, toBlock, bridgeContract = null }) {
+    const entry = Array.from(this.listenerManager.listeners.entries())
+      .find(([, listener]) => listener.networkConfig.chainId === chainId);
+    if (!entry) {
+      return { error: `No active listener for chain ${chainId}` };
+    }
+    const [networkName, listener] = entry;
+
+    if (!Number.isInteger(fromBlock) || !Number.isInteger(toBlock) || fromBlock < 0 || toBlock < fromBlock) {
+      return { error: 'fromBlock and toBlock must be block numbers with fromBlock <= toBlock' };
+    }
+
+    const latestBlock = await listener.updateLatestBlock();
+    if (latestBlock !== null && toBlock > latestBlock) {
+      return { error: `toBlock ${toBlock} is past the chain head (${latestBlock})` };
+    }
+
+    let bridges = Array.from(listener.bridges.values());
+    if (bridgeContract) {
+      bridges = bridges.filter(bridge => bridge.address === bridgeContract.toLowerCase());
+      if (!bridges.length) {
+        return { error: `Bridge contract ${bridgeContract} is not watched on chain ${chainId}` };
+      }
+    }
+
+    return { networkName, listener, bridges };
+  }
+
+  // Persist and queue a backfill job, returns the job
+  async createJob(request) {
+    const { error, networkName, listener, bridges } = await this.resolveRequest(request);
+    if (error) {
+      throw new Error(error);
+    }
+
+    const job = await BackfillOperations.create({
+      chainId: request.chainId,
+      networkName,
+      fromBlock: request.fromBlock,
+      toBlock: request.toBlock,
+      requestedBy: request.requestedBy || null,
+      batchSize: listener.batchSize,
+      contracts: bridges.map(bridge => ({
+        address: bridge.address,
+        label: bridge.label,
+        nextBlock: request.fromBlock
+      }))
+    });
+
+    this.enqueue(job._id.toString());
+    return job;
+  }
+
+  // Add a job to the queue and make sure the queue is being worked
+  enqueue(jobId) {
+    if (this.activeJobId === jobId || this.queue.includes(jobId)) {
+      return;
+    }
+
+    this.queue.push(jobId);
+    this.processQueue();
+  }
+
+  // Run queued jobs one at a time so backfills don't compete for RPC capacity
+  async processQueue() {
+    if (this.isProcessing) {
+      return;
+    }
+    this.isProcessing = true;
+
+    try {
+      while (this.queue.length) {
+        this.activeJobId = this.queue.shift();
+        const job = await BackfillOperations.findById(this.activeJobId);
+        if (job) {
+          await this.runJob(job);
+        }
+      }
+    } catch (error) {
+      logger.error('Error processing backfill queue:', error);
+    } finally {
+      this.activeJobId = null;
+      this.isProcessing = false;
+    }
+  }
+
+  // Run a job to completion, persisting progress after every range
+  async runJob(job) {
+    const listener = this.listenerManager.listeners.get(job.networkName);
+
+    try {
+      if (!listener) {
+        throw new Error(`No active listener for ${job.networkName}`);
+      }
+
+      job.status = 'running';
+      job.startedAt = job.startedAt || new Date();
+      job.error = null;
+      await BackfillOperations.save(job);
+      logger.info(`Backfill job ${job._id} started on ${job.networkName} blocks ${job.fromBlock}-${job.toBlock}`);
+
+      for (const progress of job.contracts) {
+        const bridge = listener.bridges.get(progress.address);
+        if (!bridge) {
+          throw new Error(`Bridge contract ${progress.address} is no longer watched on ${job.networkName}`);
+        }
+
+        // Main pass; failed ranges are recorded and the pass moves on
+        while (progress.nextBlock <= job.toBlock) {
+          const fromBlock = progress.nextBlock;
+          const toBlock = Math.min(fromBlock + listener.batchSize - 1, job.toBlock);
+          await this.processRange(job, listener, bridge, progress, fromBlock, toBlock);
+          progress.nextBlock = toBlock + 1;
+          job.batchSize = listener.batchSize;
+          await BackfillOperations.save(job);
+        }
+      }
+
+      await this.retryFailedRanges(job, listener);
+
+      const failedRanges = job.contracts.reduce((total, progress) => total + progress.failedRanges.length, 0);
+      job.status = failedRanges ? 'failed' : 'completed';
+      job.error = failedRanges ? `${failedRanges} block ranges could not be processed` : null;
+      job.completedAt = new Date();
+      await BackfillOperations.save(job);
+
+      logger.info(`Backfill job ${job._id} ${job.status} on ${job.networkName}`);
+    } catch (error) {
+      logger.error(`Backfill job ${job._id} failed:`, error);
+      job.status = 'failed';
+      job.error = error.message;
+      job.completedAt = new Date();
+      await BackfillOperations.save(job).catch(() => {});
+    }
+  }
+
+  // Process one range for a contract, recording it as failed if the listener gives up on it
+  async processRange(job, listener, bridge, progress, fromBlock, toBlock) {
+    const stats = { found: 0, stored: 0, lastError: null };
+    const completed = await listener.processEventBatch(bridge, fromBlock, toBlock, stats);
+
+    progress.eventsFound += stats.found;
+    progress.eventsStored += stats.stored;
+
+    if (!completed) {
+      const existing = progress.failedRanges.find(range => range.fromBlock === fromBlock && range.toBlock === toBlock);
+      if (existing) {
+        existing.attempts++;
+        existing.error = stats.lastError;
+        existing.lastAttemptAt = new Date();
+      } else {
+        progress.failedRanges.push({ fromBlock, toBlock, error: stats.lastError });
+      }
+      logger.warn(`Backfill job ${job._id} could not process ${job.networkName} ${bridge.label} blocks ${fromBlock}-${toBlock}`);
+    }
+
+    return completed;
+  }
+
+  // Give each failed range a few more passes, with a pause between them
+  async retryFailedRanges(job, listener) {
+    const { failedRangeRounds, retryDelayMs } = listener.backfillConfig;
+
+    for (let round = 1; round <= failedRangeRounds; round++) {
+      const pending = job.contracts.filter(progress => progress.failedRanges.length);
+      if (!pending.length) {
+        return;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, retryDelayMs * round));
+
+      for (const progress of pending) {
+        const bridge = listener.bridges.get(progress.address);
+        const ranges = progress.failedRanges.map(range => ({ fromBlock: range.fromBlock, toBlock: range.toBlock }));
+
+        for (const { fromBlock, toBlock } of ranges) {
+          const completed = await this.processRange(job, listener, bridge, progress, fromBlock, toBlock);
+          if (completed) {
+            progress.failedRanges = progress.failedRanges.filter(range => range.fromBlock !== fromBlock || range.toBlock !== toBlock);
+          }
+          await BackfillOperations.save(job);
+        }
+      }
+    }
+  }
+
+  // Position of a job in the queue: 0 while running, null if it isn't queued
+  getQueuePosition(jobId) {
+    if (this.activeJobId === jobId) {
+      return 0;
+    }
+    const index = this.queue.indexOf(jobId);
+    return index === -1 ? null : index + 1;
+  }
+
+  // Get queue status
+  getStatus() {
+    return {
+      activeJobId: this.activeJobId,
+      queuedJobs: this.queue.length
+    };
+  }
+}
+
+module.exports = BackfillManager;
@@ -1,6 +1,16 @@
 const { Web3 } = require('web3');
 const logger = require('../utils/logger');
-const { TransactionOperations } = require('../db/operations');
+const ReorgTracker = require('./ReorgTracker');
+const ProviderPool = require('./ProviderPool');
+const { createAdapter, isOutbound } = require('../bridges');
+const chainRegistry = require('../config/chainRegistry');
+const config = require('../config/default');
+const tokenRegistry = require('../services/tokenRegistry');
+const priceService = require('../services/priceService');
+const transferTracker = require('../services/transferTracker');
+const { formatUnits } = require('../utils/amounts');
+const eventBus = require('../utils/eventBus');
+const { TransactionOperations, CheckpointOperations } = require('../db/operations');
 
 class BaseEventListener {
   constructor(networkConfig, alertSystem) {
@@ -8,21 +18,80 @@ class BaseEventListener {
     this.alertSystem = alertSystem;
     this.web3 = null;
     this.wsProvider = null;
-    this.contract = null;
+    this.wsUrls = Array.from(new Set([networkConfig.wsUrl, ...(networkConfig.wsUrls || [])].filter(Boolean)));
+    this.wsIndex = 0; // WebSocket endpoint in use, rotated on reconnect
+    this.providerPool = new ProviderPool(
+      networkConfig.name,
+      [networkConfig.rpcUrl, ...(networkConfig.rpcUrls || [])],
+      config.providerPool
+    );
+    this.rpc = new Web3(this.providerPool); // HTTP reads with failover across the pool
+    this.quorumConfig = { ...config.providerPool.quorum, ...networkConfig.quorum };
     this.isListening = false;
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 5;
     this.reconnectDelay = 5000; // 5 seconds
+    this.mode = 'websocket'; // 'websocket', or 'polling' over rpcUrl while the WebSocket is down
+    this.modeChangedAt = null;
+    this.pollingConfig = { ...config.polling, ...networkConfig.polling };
+    this.backfillConfig = { ...config.backfill, ...networkConfig.backfill };
+    this.batchSize = this.backfillConfig.batchSize; // eth_getLogs range size, shrunk when the RPC refuses a range
+    this.pollInterval = null;
+    this.promotionInterval = null;
+    this.isPolling = false;
+    this.isPromoting = false;
+    this.lastPolledBlock = null;
+    this.lastPollAt = null;
     this.lastProcessedBlock = null;
-    this.eventSubscriptions = new Map();
+    this.bridges = this.buildBridges(networkConfig.contracts || []); // Contract address -> watched bridge contract
+    this.latestBlock = null;
+    this.blockSubscription = null;
+    this.blockQueue = Promise.resolve(); // Serializes block header handling
+    this.reorgTracker = new ReorgTracker(
+      networkConfig.name,
+      (blockNumber) => this.web3.eth.getBlock(blockNumber),
+      networkConfig.reorgWindowSize
+    );
+
+    if (this.quorumConfig.size > this.providerPool.endpoints.length) {
+      logger.warn(`${networkConfig.name} RPC quorum of ${this.quorumConfig.size} exceeds the ${this.providerPool.endpoints.length} configured endpoints, using all of them`);
+    }
+  }
+
+  // Build the per-contract state for each bridge contract configured on this network
+  buildBridges(contracts) {
+    const bridges = new Map();
+
+    for (const entry of contracts) {
+      const address = entry.address.toLowerCase();
+      if (bridges.has(address)) {
+        throw new Error(`Bridge contract ${entry.address} is configured twice on ${this.networkConfig.name}`);
+      }
+
+      const adapter = createAdapter(entry.adapter, entry.adapterOptions);
+      bridges.set(address, {
+        address,
+        label: entry.label || adapter.id,
+        adapter,
+        startBlock: entry.startBlock || this.networkConfig.startBlock || 'latest',
+        contract: null,
+        subscriptions: new Map(),
+        checkpoint: null, // Persisted position, advanced only once a block range is fully stored
+        checkpointHold: null, // Lowest live block whose events failed to store
+        liveQueue: Promise.resolve(), // Serializes live event handling and hold retries
+        holdRetryPending: false
+      });
+    }
+
+    return bridges;
   }
 
-  // Initialize the Web3 connection and contract
+  // Initialize the Web3 connection and contracts
   async initialize() {
     try {
       // Initialize WebSocket provider for real-time events
       this.wsProvider = new Web3.providers.WebsocketProvider(
-        this.networkConfig.wsUrl,
+        this.getWsUrl(),
         {
           reconnect: {
             auto: true,
@@ -38,9 +107,9 @@ class BaseEventListener {
       // Set up provider event handlers
       this.setupProviderEventHandlers();
 
-      // Initialize contract if bridge contract address is provided
-      if (this.networkConfig.bridgeContract) {
-        await this.initializeContract();
+      // Initialize every configured bridge contract
+      for (const bridge of this.bridges.values()) {
+        await this.initializeContract(bridge);
       }
 
       logger.info(`${this.networkConfig.name} event listener initialized`);
@@ -51,66 +120,26 @@ class BaseEventListener {
     }
   }
 
-  // Initialize the bridge contract
-  async initializeContract() {
-    try {
-      // Basic ERC20 Bridge ABI - should be replaced with actual bridge contract ABI
-      const bridgeABI = [
-        {
-          "anonymous": false,
-          "inputs": [
-            {"indexed": true, "name": "from", "type": "address"},
-            {"indexed": true, "name": "to", "type": "address"},
-            {"indexed": false, "name": "amount", "type": "uint256"},
-            {"indexed": false, "name": "token", "type": "address"},
-            {"indexed": false, "name": "targetChain", "type": "uint256"},
-            {"indexed": false, "name": "bridgeId", "type": "bytes32"}
-          ],
-          "name": "Lock",
-          "type": "event"
-        },
-        {
-          "anonymous": false,
-          "inputs": [
-            {"indexed": true, "name": "to", "type": "address"},
-            {"indexed": false, "name": "amount", "type": "uint256"},
-            {"indexed": false, "name": "token", "type": "address"},
-            {"indexed": false, "name": "sourceChain", "type": "uint256"},
-            {"indexed": false, "name": "bridgeId", "type": "bytes32"}
-          ],
-          "name": "Unlock",
-          "type": "event"
-        },
-        {
-          "anonymous": false,
-          "inputs": [
-            {"indexed": true, "name": "to", "type": "address"},
-            {"indexed": false, "name": "amount", "type": "uint256"},
-            {"indexed": false, "name": "token", "type": "address"},
-            {"indexed": false, "name": "sourceChain", "type": "uint256"},
-            {"indexed": false, "name": "bridgeId", "type": "bytes32"}
-          ],
-          "name": "Mint",
-          "type": "event"
-        },
-        {
-          "anonymous": false,
-          "inputs": [
-            {"indexed": true, "name": "from", "type": "address"},
-            {"indexed": false, "name": "amount", "type": "uint256"},
-            {"indexed": false, "name": "token", "type": "address"},
-            {"indexed": false, "name": "targetChain", "type": "uint256"},
-            {"indexed": false, "name": "bridgeId", "type": "bytes32"}
-          ],
-          "name": "Burn",
-          "type": "event"
-        }
-      ];
+  // WebSocket endpoint currently in use
+  getWsUrl() {
+    return this.wsUrls[this.wsIndex % this.wsUrls.length];
+  }
+
+  // Move on to the next configured WebSocket endpoint
+  rotateWsUrl() {
+    if (this.wsUrls.length > 1) {
+      this.wsIndex = (this.wsIndex + 1) % this.wsUrls.length;
+      logger.info(`${this.networkConfig.name} switching WebSocket endpoint to ${ProviderPool.hostOf(this.getWsUrl())}`);
+    }
+  }
 
-      this.contract = new this.web3.eth.Contract(bridgeABI, this.networkConfig.bridgeContract);
-      logger.info(`${this.networkConfig.name} bridge contract initialized: ${this.networkConfig.bridgeContract}`);
+  // Initialize a bridge contract with the ABI of its protocol adapter
+  async initializeContract(bridge) {
+    try {
+      bridge.contract = new this.web3.eth.Contract(bridge.adapter.abi, bridge.address);
+      logger.info(`${this.networkConfig.name} bridge contract initialized: ${bridge.label} ${bridge.address} (${bridge.adapter.name})`);
     } catch (error) {
-      logger.error(`Failed to initialize bridge contract for ${this.networkConfig.name}:`, error);
+      logger.error(`Failed to initialize bridge contract ${bridge.label} for ${this.networkConfig.name}:`, error);
       throw error;
     }
   }
@@ -135,8 +164,14 @@ class BaseEventListener {
 
   // Handle connection errors and implement reconnection logic
   async handleConnectionError(error) {
+    // Errors from a provider we've already given up on
+    if (this.mode === 'polling') {
+      return;
+    }
+
     this.isListening = false;
     this.reconnectAttempts++;
+    this.rotateWsUrl();
 
     if (this.reconnectAttempts <= this.maxReconnectAttempts) {
       logger.info(`Attempting to reconnect to ${this.networkConfig.name} (attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts})`);
@@ -151,6 +186,19 @@ class BaseEventListener {
       }, this.reconnectDelay * this.reconnectAttempts);
     } else {
       logger.error(`Max reconnection attempts reached for ${this.networkConfig.name}`);
+
+      if (await this.enterPollingMode()) {
+        await this.alertSystem.sendAlert({
+          type: 'network_issue',
+          severity: 'warning',
+          title: `${this.networkConfig.name} Degraded to HTTP Polling`,
+          message: `WebSocket connection to ${this.networkConfig.name} failed after ${this.maxReconnectAttempts} attempts, polling eth_getLogs every ${this.pollingConfig.intervalMs / 1000}s until it recovers`,
+          chainId: this.networkConfig.chainId,
+          networkName: this.networkConfig.name.toLowerCase()
+        });
+        return;
+      }
+
       await this.alertSystem.sendAlert({
         type: 'network_issue',
         severity: 'critical',
@@ -162,23 +210,221 @@ class BaseEventListener {
     }
   }
 
+  // Switch to eth_getLogs polling over rpcUrl, returns false if the HTTP endpoint is unusable too
+  async enterPollingMode() {
+    if (this.mode === 'polling') {
+      return true;
+    }
+
+    try {
+      this.closeWebsocket();
+
+      this.web3 = this.rpc;
+      for (const bridge of this.bridges.values()) {
+        await this.initializeContract(bridge);
+      }
+      this.latestBlock = Number(await this.web3.eth.getBlockNumber());
+
+      this.mode = 'polling';
+      this.modeChangedAt = new Date();
+      this.reconnectAttempts = 0;
+      this.lastPolledBlock = null;
+      this.isListening = true;
+
+      this.pollInterval = setInterval(() => this.pollForEvents(), this.pollingConfig.intervalMs);
+      this.promotionInterval = setInterval(() => this.tryPromoteToWebsocket(), this.pollingConfig.promotionCheckMs);
+      await this.pollForEvents();
+
+      logger.warn(`${this.networkConfig.name} switched to HTTP polling every ${this.pollingConfig.intervalMs}ms`);
+      return true;
+    } catch (error) {
+      logger.error(`Failed to switch ${this.networkConfig.name} to HTTP polling:`, error);
+      this.stopPolling();
+      this.isListening = false;
+      return false;
+    }
+  }
+
+  // One polling round: feed new headers to reorg tracking, then fetch logs since each checkpoint
+  async pollForEvents() {
+    if (this.isPolling || this.mode !== 'polling') {
+      return;
+    }
+    this.isPolling = true;
+
+    try {
+      const head = Number(await this.web3.eth.getBlockNumber());
+
+      if (this.lastPolledBlock === null || head > this.lastPolledBlock) {
+        // Walk every new block (within the reorg window) so parent hashes can be compared
+        const windowStart = head - (this.networkConfig.reorgWindowSize || 64) + 1;
+        const fromBlock = Math.max(this.lastPolledBlock === null ? head : this.lastPolledBlock + 1, windowStart);
+
+        for (let blockNumber = fromBlock; blockNumber <= head; blockNumber++) {
+          const header = await this.web3.eth.getBlock(blockNumber);
+          this.blockQueue = this.blockQueue.then(() => this.handleNewBlock(header));
+        }
+        await this.blockQueue;
+
+        // Logs already stored over the WebSocket are dropped by the unique txHash/logIndex/chainId index
+        for (const bridge of this.bridges.values()) {
+          await this.processHistoricalEvents(bridge);
+        }
+
+        this.lastPolledBlock = head;
+      }
+
+      this.lastPollAt = new Date();
+    } catch (error) {
+      logger.error(`Error polling ${this.networkConfig.name} for events:`, error);
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  // Probe the WebSocket endpoint and move back to subscriptions once it answers
+  async tryPromoteToWebsocket() {
+    if (this.mode !== 'polling' || this.isPromoting) {
+      return;
+    }
+    this.isPromoting = true;
+
+    const probe = new Web3.providers.WebsocketProvider(this.getWsUrl(), {}, { autoReconnect: false });
+    probe.on('error', () => {}); // Failures surface through the request below
+    let timer = null;
+
+    try {
+      await Promise.race([
+        new Web3(probe).eth.getBlockNumber(),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error('WebSocket probe timed out')), this.pollingConfig.probeTimeoutMs);
+        })
+      ]);
+    } catch (error) {
+      logger.debug(`${this.networkConfig.name} WebSocket still unavailable:`, error);
+      this.rotateWsUrl();
+      this.isPromoting = false;
+      return;
+    } finally {
+      clearTimeout(timer);
+      try {
+        probe.disconnect();
+      } catch (error) {
+        // Probe socket never opened
+      }
+    }
+
+    try {
+      await this.promoteToWebsocket();
+    } finally {
+      this.isPromoting = false;
+    }
+  }
+
+  // Leave polling mode and resume live subscriptions, backfilling from the checkpoints
+  async promoteToWebsocket() {
+    this.stopPolling();
+    this.mode = 'websocket';
+    this.modeChangedAt = new Date();
+
+    try {
+      await this.initialize();
+      await this.startListening();
+
+      logger.info(`${this.networkConfig.name} WebSocket recovered, left HTTP polling`);
+      await this.alertSystem.sendAlert({
+        type: 'network_issue',
+        severity: 'info',
+        title: `${this.networkConfig.name} WebSocket Recovered`,
+        message: `${this.networkConfig.name} is back on WebSocket subscriptions after running in HTTP polling mode`,
+        chainId: this.networkConfig.chainId,
+        networkName: this.networkConfig.name.toLowerCase()
+      });
+    } catch (error) {
+      logger.error(`Failed to move ${this.networkConfig.name} back to WebSocket, staying on HTTP polling:`, error);
+      await this.enterPollingMode();
+    }
+  }
+
+  // Stop the polling and promotion timers
+  stopPolling() {
+    if (this.pollInterval) {
+      clearInterval(this.pollInterval);
+      this.pollInterval = null;
+    }
+    if (this.promotionInterval) {
+      clearInterval(this.promotionInterval);
+      this.promotionInterval = null;
+    }
+  }
+
+  // Drop live subscriptions and close the WebSocket provider
+  closeWebsocket() {
+    for (const bridge of this.bridges.values()) {
+      for (const [eventName, subscription] of bridge.subscriptions) {
+        try {
+          subscription.unsubscribe();
+          logger.info(`Unsubscribed from ${eventName} events on ${this.networkConfig.name} (${bridge.label})`);
+        } catch (error) {
+          logger.debug(`Could not unsubscribe from ${eventName} on ${this.networkConfig.name} (${bridge.label}):`, error);
+        }
+      }
+      bridge.subscriptions.clear();
+    }
+
+    if (this.blockSubscription) {
+      try {
+        this.blockSubscription.unsubscribe();
+      } catch (error) {
+        logger.debug(`Could not unsubscribe from block headers on ${this.networkConfig.name}:`, error);
+      }
+      this.blockSubscription = null;
+    }
+
+    if (this.wsProvider) {
+      ['connect', 'disconnect', 'error'].forEach(type => this.wsProvider.removeAllListeners(type));
+      try {
+        this.wsProvider.disconnect();
+      } catch (error) {
+        logger.debug(`Could not close ${this.networkConfig.name} WebSocket:`, error);
+      }
+      this.wsProvider = null;
+    }
+  }
+
   // Start listening for events
   async startListening() {
     try {
-      if (!this.contract) {
+      const bridges = Array.from(this.bridges.values());
+      if (!bridges.length || bridges.some(bridge => !bridge.contract)) {
         throw new Error('Contract not initialized');
       }
 
+      // Resume each contract from its persisted checkpoint and backfill anything missed while down
+      for (const bridge of bridges) {
+        await this.loadCheckpoint(bridge);
+        bridge.checkpointHold = null;
+        await this.processHistoricalEvents(bridge);
+      }
+
       this.isListening = true;
-      
-      // Subscribe to bridge events
-      await this.subscribeToEvent('Lock');
-      await this.subscribeToEvent('Unlock');
-      await this.subscribeToEvent('Mint');
-      await this.subscribeToEvent('Burn');
 
-      // Start processing historical events if needed
-      await this.processHistoricalEvents();
+      // Subscribe to the bridge events each contract's adapter understands
+      for (const bridge of bridges) {
+        for (const eventName of bridge.adapter.getEventNames()) {
+          await this.subscribeToEvent(bridge, eventName);
+        }
+      }
+
+      // Track new block headers for reorg detection
+      await this.subscribeToNewBlocks();
+
+      // Close the gap between the end of the backfill and the live subscriptions, ahead of
+      // the live events queued meanwhile; events seen twice are dropped by the unique
+      // txHash/logIndex/chainId index
+      for (const bridge of bridges) {
+        await this.enqueueLive(bridge, () => this.processHistoricalEvents(bridge));
+      }
 
       logger.info(`${this.networkConfig.name} event listener started`);
     } catch (error) {
@@ -187,71 +433,375 @@ class BaseEventListener {
     }
   }
 
-  // Subscribe to a specific event
-  async subscribeToEvent(eventName) {
+  // Subscribe to a specific event on a bridge contract
+  async subscribeToEvent(bridge, eventName) {
     try {
-      const subscription = this.contract.events[eventName]()
-        .on('data', (event) => this.handleEvent(event, eventName))
+      const subscription = bridge.contract.events[eventName]()
+        .on('data', (event) => this.enqueueLive(bridge, () => this.handleLiveEvent(bridge, event, eventName)))
         .on('error', (error) => {
-          logger.error(`${this.networkConfig.name} ${eventName} event error:`, error);
+          logger.error(`${this.networkConfig.name} ${bridge.label} ${eventName} event error:`, error);
         });
 
-      this.eventSubscriptions.set(eventName, subscription);
-      logger.info(`Subscribed to ${eventName} events on ${this.networkConfig.name}`);
+      bridge.subscriptions.set(eventName, subscription);
+      logger.info(`Subscribed to ${eventName} events on ${this.networkConfig.name} (${bridge.label})`);
+    } catch (error) {
+      logger.error(`Failed to subscribe to ${eventName} on ${this.networkConfig.name} (${bridge.label}):`, error);
+      throw error;
+    }
+  }
+
+  // Subscribe to new block headers
+  async subscribeToNewBlocks() {
+    try {
+      this.blockSubscription = await this.web3.eth.subscribe('newBlockHeaders');
+      this.blockSubscription.on('data', (header) => {
+        this.blockQueue = this.blockQueue.then(() => this.handleNewBlock(header));
+      });
+      this.blockSubscription.on('error', (error) => {
+        logger.error(`${this.networkConfig.name} block header subscription error:`, error);
+      });
+
+      logger.info(`Subscribed to new block headers on ${this.networkConfig.name}`);
     } catch (error) {
-      logger.error(`Failed to subscribe to ${eventName} on ${this.networkConfig.name}:`, error);
+      logger.error(`Failed to subscribe to block headers on ${this.networkConfig.name}:`, error);
       throw error;
     }
   }
 
-  // Handle incoming events
-  async handleEvent(event, eventType) {
+  // Handle a new block header
+  async handleNewBlock(header) {
+    try {
+      this.latestBlock = Math.max(this.latestBlock || 0, Number(header.number));
+
+      const reorg = await this.reorgTracker.processBlock(header);
+      if (reorg) {
+        await this.handleReorg(reorg);
+      }
+
+      await this.updateConfirmations(Number(header.number));
+
+      // Polling rounds re-read everything from the checkpoint, so only subscriptions need this
+      if (this.mode === 'websocket') {
+        this.retryHeldBlocks(Number(header.number));
+      }
+    } catch (error) {
+      logger.error(`Error handling block ${header.number} on ${this.networkConfig.name}:`, error);
+    }
+  }
+
+  // Move stored events through observed -> confirmed -> finalized as the head advances
+  async updateConfirmations(headBlock) {
+    const { confirmed, finalized } = await TransactionOperations.updateConfirmations(
+      this.networkConfig.chainId,
+      headBlock,
+      this.getRequiredConfirmations(),
+      this.getFinalityConfirmations()
+    );
+
+    for (const transaction of confirmed) {
+      eventBus.emit('transaction:confirmed', transaction);
+      this.alertSystem.emitRealTimeUpdate('transaction_confirmed', {
+        transactionId: transaction._id,
+        txHash: transaction.txHash,
+        chainId: transaction.chainId,
+        confirmationStatus: 'confirmed'
+      });
+    }
+
+    for (const transaction of finalized) {
+      eventBus.emit('transaction:confirmed', transaction);
+      this.alertSystem.emitRealTimeUpdate('transaction_confirmed', {
+        transactionId: transaction._id,
+        txHash: transaction.txHash,
+        chainId: transaction.chainId,
+        confirmationStatus: 'finalized'
+      });
+    }
+  }
+
+  // Confirmation depth after which an event is treated as confirmed
+  getRequiredConfirmations() {
+    return this.networkConfig.confirmations || 1;
+  }
+
+  // Confirmation depth after which an event is treated as final
+  getFinalityConfirmations() {
+    return Math.max(
+      this.networkConfig.finalityConfirmations || this.getRequiredConfirmations(),
+      this.getRequiredConfirmations()
+    );
+  }
+
+  // Confirmation state for an event at blockNumber given the current head
+  getConfirmationState(blockNumber) {
+    if (this.latestBlock === null || blockNumber > this.latestBlock) {
+      return { confirmations: 0, confirmationStatus: 'observed' };
+    }
+
+    const confirmations = this.latestBlock - blockNumber + 1;
+    const finalityConfirmations = this.getFinalityConfirmations();
+    let confirmationStatus = 'observed';
+    if (finalityConfirmations !== null && confirmations >= finalityConfirmations) {
+      confirmationStatus = 'finalized';
+    } else if (confirmations >= this.getRequiredConfirmations()) {
+      confirmationStatus = 'confirmed';
+    }
+
+    return { confirmations, confirmationStatus };
+  }
+
+  // Roll back events from orphaned blocks and re-ingest the canonical ones
+  async handleReorg(reorg) {
+    const { fromBlock, toBlock, depth, commonAncestor, canonicalHashes } = reorg;
+    const affected = [];
+
     try {
-      logger.debug(`${this.networkConfig.name} ${eventType} event received:`, event.transactionHash);
+      for (let blockNumber = fromBlock; blockNumber <= toBlock; blockNumber++) {
+        // Blocks past the new head have no canonical hash yet, so everything in them is orphaned
+        const canonicalHash = canonicalHashes.get(blockNumber) || null;
+        const orphaned = await TransactionOperations.markReorged(
+          this.networkConfig.chainId,
+          blockNumber,
+          canonicalHash
+        );
+        affected.push(...orphaned);
+      }
+
+      for (const { transaction, counterpart } of affected) {
+        await transferTracker.handleReorg(transaction);
+        eventBus.emit('transaction:reorged', transaction, counterpart);
+        this.alertSystem.emitRealTimeUpdate('transaction_reorged', {
+          transactionId: transaction._id,
+          txHash: transaction.txHash,
+          chainId: transaction.chainId,
+          blockNumber: transaction.blockNumber,
+          unmatchedTransactionId: counterpart ? counterpart._id : null
+        });
+      }
+
+      // Re-ingest whatever the canonical chain contains for the affected range
+      const reingestTo = Math.min(toBlock, reorg.newHead.number);
+      for (const bridge of this.bridges.values()) {
+        const completed = await this.processEventBatch(bridge, fromBlock, reingestTo);
+        if (!completed) {
+          await CheckpointOperations.rewind(
+            this.networkConfig.chainId,
+            bridge.address,
+            commonAncestor
+          );
+          this.holdCheckpoint(bridge, fromBlock);
+        }
+      }
+    } catch (error) {
+      logger.error(`Error rolling back reorg on ${this.networkConfig.name}:`, error);
+    }
+
+    const unmatchedCount = affected.filter(({ counterpart }) => counterpart).length;
+
+    await this.alertSystem.sendAlert({
+      type: 'chain_reorg',
+      severity: affected.length > 0 || depth > 3 ? 'critical' : 'warning',
+      title: `${this.networkConfig.name} Chain Reorganization`,
+      message: `Reorg of depth ${depth} after block ${commonAncestor} on ${this.networkConfig.name}, ${affected.length} bridge transactions affected`,
+      chainId: this.networkConfig.chainId,
+      networkName: this.networkConfig.name.toLowerCase(),
+      details: {
+        depth,
+        commonAncestor,
+        fromBlock,
+        toBlock,
+        newHead: reorg.newHead,
+        affectedTransactions: affected.length,
+        unmatchedCounterparts: unmatchedCount,
+        bridgeContracts: Array.from(this.bridges.keys()),
+        transactionHashes: affected.map(({ transaction }) => transaction.txHash)
+      }
+    });
+  }
+
+  // Run a contract's live work one task at a time, in the order it arrived
+  enqueueLive(bridge, task) {
+    bridge.liveQueue = bridge.liveQueue.then(task).catch(error => {
+      logger.error(`Error handling live events on ${this.networkConfig.name} (${bridge.label}):`, error);
+    });
+    return bridge.liveQueue;
+  }
+
+  // Handle an event delivered by a live subscription and advance the contract's checkpoint.
+  // Runs on the contract's live queue, so every event delivered before it has settled.
+  async handleLiveEvent(bridge, event, eventName) {
+    const blockNumber = Number(event.blockNumber);
+    const stored = await this.handleEvent(event, eventName, bridge);
+
+    if (!stored) {
+      // Keep the checkpoint below this block so a restart retries it
+      this.holdCheckpoint(bridge, blockNumber);
+      return;
+    }
+
+    // Logs arrive in block order, so every block before this one is complete
+    let completedBlock = blockNumber - 1;
+    if (bridge.checkpointHold !== null) {
+      completedBlock = Math.min(completedBlock, bridge.checkpointHold - 1);
+    }
+
+    if (!bridge.checkpoint || completedBlock > bridge.checkpoint.blockNumber) {
+      await this.advanceCheckpoint(bridge, completedBlock, 'live');
+    }
+  }
+
+  // Handle incoming events, returns true once the event is stored (or already known)
+  async handleEvent(event, eventName, bridge) {
+    try {
+      // Contracts emit more than bridge transfers; anything the adapter doesn't map is skipped
+      if (!bridge.adapter.handles(eventName)) {
+        return true;
+      }
+
+      logger.debug(`${this.networkConfig.name} ${bridge.label} ${eventName} event received:`, event.transactionHash);
 
       // Normalize event data
-      const normalizedEvent = await this.normalizeEventData(event, eventType);
+      const normalizedEvent = await this.normalizeEventData(event, eventName, bridge);
+      Object.assign(normalizedEvent, this.getConfirmationState(Number(event.blockNumber)));
+
+      // High-value events are only stored once enough RPC endpoints vouch for them
+      if (this.requiresQuorum(normalizedEvent) && !(await this.verifyWithQuorum(event, normalizedEvent))) {
+        return false;
+      }
       
       // Store in database
       const transaction = await TransactionOperations.create(normalizedEvent);
       
       if (transaction) {
+        // A source leg starts a transfer that destination legs are matched into
+        if (isOutbound(transaction)) {
+          await transferTracker.open(transaction).catch(error => {
+            logger.error(`Error opening transfer for ${transaction.txHash}:`, error);
+          });
+        }
+
         // Emit real-time update
         this.alertSystem.emitRealTimeUpdate('transaction', transaction);
+        eventBus.emit('transaction:stored', transaction);
         
         // Check for anomalies
         await this.alertSystem.checkForAnomalies(transaction);
+
+        await this.onTransactionStored(transaction, event, bridge);
+      }
+
+      this.lastProcessedBlock = Number(event.blockNumber);
+      this.latestBlock = Math.max(this.latestBlock || 0, this.lastProcessedBlock);
+      return true;
+    } catch (error) {
+      logger.error(`Error handling ${eventName} event on ${this.networkConfig.name}:`, error);
+      return false;
+    }
+  }
+
+  // Hook for network-specific checks on a newly stored transaction
+  async onTransactionStored(transaction, event, bridge) {}
+
+  // Check if an event is large enough to need N-of-M RPC agreement. Events that couldn't be
+  // priced always need it, as their token amount says nothing about their USD value.
+  requiresQuorum(normalizedEvent) {
+    if (this.quorumConfig.size <= 1) {
+      return false;
+    }
+    return !Number.isFinite(normalizedEvent.amountUsd) || normalizedEvent.amountUsd >= this.quorumConfig.minAmountUsd;
+  }
+
+  // Cross-check an event's receipt and block hash across the RPC pool, returns true if they agree with it
+  async verifyWithQuorum(event, normalizedEvent) {
+    const required = Math.min(this.quorumConfig.size, this.providerPool.endpoints.length);
+    const blockHash = event.blockHash.toLowerCase();
+
+    try {
+      const [receipt, block] = await Promise.all([
+        this.providerPool.quorum(
+          'eth_getTransactionReceipt',
+          [event.transactionHash],
+          (result) => result && {
+            blockHash: result.blockHash.toLowerCase(),
+            status: Number(result.status),
+            logIndexes: result.logs.map(log => Number(log.logIndex))
+          },
+          required
+        ),
+        this.providerPool.quorum(
+          'eth_getBlockByNumber',
+          [Web3.utils.numberToHex(Number(event.blockNumber)), false],
+          (result) => result && result.hash.toLowerCase(),
+          required
+        )
+      ]);
+
+      const receiptMatches = receipt.result
+        && receipt.result.blockHash.toLowerCase() === blockHash
+        && Number(receipt.result.status) === 1
+        && receipt.result.logs.some(log => Number(log.logIndex) === Number(event.logIndex));
+      const blockMatches = block.result && block.result.hash.toLowerCase() === blockHash;
+
+      if (receipt.agreed && block.agreed && receiptMatches && blockMatches) {
+        return true;
       }
 
-      this.lastProcessedBlock = event.blockNumber;
+      // Agreement that contradicts the event means the endpoint that delivered it is wrong
+      const contradicted = (receipt.agreed && !receiptMatches) || (block.agreed && !blockMatches);
+      logger.warn(`${this.networkConfig.name} RPC quorum rejected ${event.transactionHash}:${event.logIndex}`);
+
+      await this.alertSystem.sendAlert({
+        type: 'network_issue',
+        severity: contradicted ? 'critical' : 'warning',
+        title: contradicted
+          ? `${this.networkConfig.name} RPC Providers Contradict Bridge Event`
+          : `${this.networkConfig.name} RPC Quorum Not Reached`,
+        message: `${normalizedEvent.eventType} of ${normalizedEvent.amountFormatted} in ${event.transactionHash} was not stored: ` +
+          `receipt ${receipt.agreeing}/${required}, block hash ${block.agreeing}/${required} endpoints agreeing`,
+        chainId: this.networkConfig.chainId,
+        networkName: this.networkConfig.name.toLowerCase(),
+        details: {
+          txHash: event.transactionHash,
+          logIndex: Number(event.logIndex),
+          blockNumber: Number(event.blockNumber),
+          blockHash,
+          required,
+          receipt: { agreeing: receipt.agreeing, responded: receipt.responded, matchesEvent: Boolean(receiptMatches), dissenting: receipt.dissenting },
+          block: { agreeing: block.agreeing, responded: block.responded, matchesEvent: Boolean(blockMatches), dissenting: block.dissenting }
+        }
+      });
+      return false;
     } catch (error) {
-      logger.error(`Error handling ${eventType} event on ${this.networkConfig.name}:`, error);
+      logger.error(`Error verifying ${event.transactionHash} with RPC quorum on ${this.networkConfig.name}:`, error);
+      return false;
     }
   }
 
+  // Map a raw contract event to uniform bridge fields, null if it isn't a bridge event
+  getBridgeFields(event, bridge) {
+    return bridge.adapter.normalizeEvent(event, this.networkConfig.chainId);
+  }
+
   // Normalize event data to standard format
-  async normalizeEventData(event, eventType) {
-    const { returnValues, transactionHash, blockNumber, blockHash, transactionIndex, logIndex } = event;
+  async normalizeEventData(event, eventName, bridge) {
+    const { transactionHash, blockNumber, blockHash, transactionIndex, logIndex } = event;
+
+    const fields = this.getBridgeFields(event, bridge);
+    if (!fields) {
+      throw new Error(`${eventName} is not a bridge event for adapter ${bridge.adapter.id}`);
+    }
     
     // Get additional transaction details
-    const [transaction, receipt, block] = await Promise.all([
-      this.web3.eth.getTransaction(transactionHash),
-      this.web3.eth.getTransactionReceipt(transactionHash),
-      this.web3.eth.getBlock(blockNumber)
+    const [transaction, receipt, block, tokenInfo] = await Promise.all([
+      this.rpc.eth.getTransaction(transactionHash),
+      this.rpc.eth.getTransactionReceipt(transactionHash),
+      this.rpc.eth.getBlock(blockNumber),
+      this.getTokenInfo(fields.tokenAddress)
     ]);
 
-    // Determine target chain based on event data
-    let targetChainId = null;
-    let targetNetworkName = null;
-    
-    if (returnValues.targetChain) {
-      targetChainId = parseInt(returnValues.targetChain);
-      targetNetworkName = this.getNetworkNameFromChainId(targetChainId);
-    } else if (returnValues.sourceChain) {
-      // For Unlock/Mint events, the source chain is where the Lock/Burn happened
-      targetChainId = this.networkConfig.chainId; // Current chain is the target
-      targetNetworkName = this.networkConfig.name.toLowerCase();
-    }
+    const timestamp = new Date(parseInt(block.timestamp) * 1000);
+    const amountDecimal = formatUnits(fields.amount, tokenInfo.decimals);
+    const amountFormatted = parseFloat(amountDecimal);
 
     return {
       txHash: transactionHash,
@@ -261,22 +811,29 @@ class BaseEventListener {
       logIndex: logIndex,
       chainId: this.networkConfig.chainId,
       networkName: this.networkConfig.name.toLowerCase(),
-      eventType: eventType,
-      bridgeContract: this.networkConfig.bridgeContract,
-      tokenAddress: returnValues.token || '0x0000000000000000000000000000000000000000',
-      tokenSymbol: 'UNKNOWN', // Should be fetched from token contract
-      tokenDecimals: 18, // Should be fetched from token contract
-      amount: returnValues.amount || '0',
-      amountFormatted: parseFloat(this.web3.utils.fromWei(returnValues.amount || '0', 'ether')),
-      from: returnValues.from || transaction.from,
-      to: returnValues.to || transaction.to,
-      recipient: returnValues.to,
-      targetChainId: targetChainId,
-      targetNetworkName: targetNetworkName,
-      bridgeId: returnValues.bridgeId,
-      nonce: returnValues.nonce,
+      eventType: fields.eventType,
+      direction: fields.direction,
+      bridgeContract: bridge.address,
+      bridgeLabel: bridge.label,
+      bridgeAdapter: bridge.adapter.id,
+      tokenAddress: fields.tokenAddress,
+      tokenSymbol: tokenInfo.symbol,
+      tokenDecimals: tokenInfo.decimals,
+      canonicalAssetId: tokenInfo.canonicalAssetId,
+      amount: fields.amount,
+      amountFormatted,
+      amountDecimal,
+      amountUsd: await priceService.toUsd(tokenInfo.canonicalAssetId, amountFormatted, timestamp),
+      from: fields.from || transaction.from,
+      to: fields.to || transaction.to,
+      recipient: fields.recipient,
+      sourceChainId: fields.sourceChainId,
+      targetChainId: fields.targetChainId,
+      targetNetworkName: fields.targetChainId ? chainRegistry.getNetworkName(fields.targetChainId) : null,
+      bridgeId: fields.bridgeId,
+      nonce: fields.nonce,
       status: 'pending',
-      timestamp: new Date(parseInt(block.timestamp) * 1000),
+      timestamp,
       gasUsed: receipt.gasUsed.toString(),
       gasPrice: transaction.gasPrice.toString(),
       transactionFee: (BigInt(receipt.gasUsed) * BigInt(transaction.gasPrice)).toString(),
@@ -284,80 +841,248 @@ class BaseEventListener {
     };
   }
 
+  // Get token metadata and canonical asset from the token registry
+  async getTokenInfo(tokenAddress) {
+    return tokenRegistry.getToken(this.networkConfig.chainId, tokenAddress);
+  }
+
   // Get network name from chain ID
   getNetworkNameFromChainId(chainId) {
-    const chainMap = {
-      1: 'ethereum',
-      137: 'polygon',
-      56: 'bsc'
-    };
-    return chainMap[chainId] || 'unknown';
+    return chainRegistry.getNetworkName(chainId) || 'unknown';
   }
 
-  // Process historical events (for initial sync)
-  async processHistoricalEvents() {
+  // Load the persisted checkpoint for a bridge contract
+  async loadCheckpoint(bridge) {
     try {
-      const startBlock = this.networkConfig.startBlock === 'latest' 
-        ? await this.web3.eth.getBlockNumber() 
-        : parseInt(this.networkConfig.startBlock);
+      bridge.checkpoint = await CheckpointOperations.get(
+        this.networkConfig.chainId,
+        bridge.address
+      );
 
-      const currentBlock = await this.web3.eth.getBlockNumber();
-      
-      if (startBlock >= currentBlock) {
-        logger.info(`${this.networkConfig.name} is up to date, no historical events to process`);
-        return;
+      if (bridge.checkpoint) {
+        logger.info(`${this.networkConfig.name} ${bridge.label} resuming from checkpoint at block ${bridge.checkpoint.blockNumber}`);
       }
 
-      logger.info(`Processing historical events for ${this.networkConfig.name} from block ${startBlock} to ${currentBlock}`);
+      return bridge.checkpoint;
+    } catch (error) {
+      logger.error(`Failed to load checkpoint for ${this.networkConfig.name} ${bridge.label}:`, error);
+      throw error;
+    }
+  }
 
-      // Process in batches to avoid overwhelming the RPC
-      const batchSize = 1000;
-      for (let fromBlock = startBlock; fromBlock < currentBlock; fromBlock += batchSize) {
-        const toBlock = Math.min(fromBlock + batchSize - 1, currentBlock);
-        await this.processEventBatch(fromBlock, toBlock);
+  // Persist a contract's checkpoint once every event up to blockNumber has been stored
+  async advanceCheckpoint(bridge, blockNumber, source) {
+    try {
+      bridge.checkpoint = await CheckpointOperations.advance(
+        this.networkConfig.chainId,
+        this.networkConfig.name.toLowerCase(),
+        bridge.address,
+        blockNumber,
+        null,
+        source
+      );
+    } catch (error) {
+      logger.error(`Failed to advance checkpoint for ${this.networkConfig.name} ${bridge.label}:`, error);
+    }
+  }
+
+  // Keep a contract's checkpoint below blockNumber until its events are stored
+  holdCheckpoint(bridge, blockNumber) {
+    bridge.checkpointHold = bridge.checkpointHold === null
+      ? blockNumber
+      : Math.min(bridge.checkpointHold, blockNumber);
+  }
+
+  // Queue a retry of each contract's held blocks up to a new head, one pending retry per contract
+  retryHeldBlocks(headBlock) {
+    for (const bridge of this.bridges.values()) {
+      if (bridge.checkpointHold !== null && !bridge.holdRetryPending) {
+        bridge.holdRetryPending = true;
+        this.enqueueLive(bridge, () => this.retryHold(bridge, headBlock));
       }
+    }
+  }
+
+  // Re-read a contract's events from its hold up to headBlock; once all are stored the hold
+  // is released and the checkpoint moves past it
+  async retryHold(bridge, headBlock) {
+    bridge.holdRetryPending = false;
+    const fromBlock = bridge.checkpointHold;
+    if (fromBlock === null || fromBlock > headBlock) {
+      return;
+    }
+
+    if (!(await this.processEventBatch(bridge, fromBlock, headBlock))) {
+      logger.warn(`${this.networkConfig.name} ${bridge.label} events from block ${fromBlock} still not stored, retrying on the next block`);
+      return;
+    }
+
+    bridge.checkpointHold = null;
+    logger.info(`${this.networkConfig.name} ${bridge.label} held events from block ${fromBlock} stored`);
+    if (!bridge.checkpoint || headBlock > bridge.checkpoint.blockNumber) {
+      await this.advanceCheckpoint(bridge, headBlock, 'live');
+    }
+  }
 
-      logger.info(`Historical event processing completed for ${this.networkConfig.name}`);
+  // Refresh the chain head used to report checkpoint lag
+  async updateLatestBlock() {
+    try {
+      this.latestBlock = Number(await this.web3.eth.getBlockNumber());
     } catch (error) {
-      logger.error(`Error processing historical events for ${this.networkConfig.name}:`, error);
+      logger.debug(`Could not fetch latest block for ${this.networkConfig.name}:`, error);
     }
+    return this.latestBlock;
   }
 
-  // Process a batch of historical events
-  async processEventBatch(fromBlock, toBlock) {
+  // Process historical events for a contract (initial sync, or the gap since its last checkpoint)
+  async processHistoricalEvents(bridge) {
     try {
-      const events = await this.contract.getPastEvents('allEvents', {
-        fromBlock,
-        toBlock
-      });
+      const currentBlock = Number(await this.web3.eth.getBlockNumber());
+      this.latestBlock = currentBlock;
+
+      let startBlock;
+      if (bridge.checkpoint) {
+        startBlock = bridge.checkpoint.blockNumber + 1;
+      } else if (bridge.startBlock === 'latest') {
+        // First run without a checkpoint: start live from here and remember it
+        await this.advanceCheckpoint(bridge, currentBlock - 1, 'backfill');
+        logger.info(`${this.networkConfig.name} ${bridge.label} has no checkpoint, starting from latest block ${currentBlock}`);
+        return;
+      } else {
+        startBlock = parseInt(bridge.startBlock);
+      }
+
+      if (startBlock > currentBlock) {
+        logger.info(`${this.networkConfig.name} ${bridge.label} is up to date, no historical events to process`);
+        return;
+      }
 
-      for (const event of events) {
-        await this.handleEvent(event, event.event);
+      logger.info(`Processing historical events for ${this.networkConfig.name} ${bridge.label} from block ${startBlock} to ${currentBlock}`);
+
+      // Process in batches to avoid overwhelming the RPC; the batch size adapts to what it accepts
+      let fromBlock = startBlock;
+      while (fromBlock <= currentBlock) {
+        const toBlock = Math.min(fromBlock + this.batchSize - 1, currentBlock);
+        const completed = await this.processEventBatch(bridge, fromBlock, toBlock);
+
+        if (!completed) {
+          // Leave the checkpoint at the last complete range so the next start retries from there
+          this.holdCheckpoint(bridge, fromBlock);
+          logger.warn(`Historical processing for ${this.networkConfig.name} ${bridge.label} stopped at block ${fromBlock}`);
+          return;
+        }
+
+        await this.advanceCheckpoint(bridge, toBlock, 'backfill');
+        fromBlock = toBlock + 1;
+      }
+
+      // Held blocks up to here have now been stored
+      if (bridge.checkpointHold !== null && bridge.checkpointHold <= currentBlock) {
+        bridge.checkpointHold = null;
       }
 
-      logger.debug(`Processed ${events.length} events from blocks ${fromBlock}-${toBlock} on ${this.networkConfig.name}`);
+      logger.info(`Historical event processing completed for ${this.networkConfig.name} ${bridge.label}`);
     } catch (error) {
-      logger.error(`Error processing event batch ${fromBlock}-${toBlock} on ${this.networkConfig.name}:`, error);
+      logger.error(`Error processing historical events for ${this.networkConfig.name} ${bridge.label}:`, error);
     }
   }
 
+  // Process a batch of historical events for a contract, returns true if every event was stored.
+  // Fetch failures are retried; `stats` (optional) accumulates counts for backfill jobs.
+  async processEventBatch(bridge, fromBlock, toBlock, stats = null) {
+    const { maxRetries, retryDelayMs } = this.backfillConfig;
+    let events = null;
+
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        const batchSize = this.batchSize;
+        events = await this.getPastEventsAdaptive(bridge, fromBlock, toBlock);
+
+        // A full-size range went through without splitting, so try a larger one next time
+        if (this.batchSize === batchSize && toBlock - fromBlock + 1 >= batchSize) {
+          this.batchSize = Math.min(this.backfillConfig.maxBatchSize, Math.ceil(batchSize * 1.5));
+        }
+        break;
+      } catch (error) {
+        if (stats) {
+          stats.lastError = error.message;
+        }
+
+        if (attempt === maxRetries) {
+          logger.error(`Error processing event batch ${fromBlock}-${toBlock} on ${this.networkConfig.name} (${bridge.label}) after ${maxRetries} attempts:`, error);
+          return false;
+        }
+
+        logger.warn(`Event batch ${fromBlock}-${toBlock} on ${this.networkConfig.name} (${bridge.label}) failed, retrying (attempt ${attempt}/${maxRetries}): ${error.message}`);
+        await new Promise(resolve => setTimeout(resolve, retryDelayMs * attempt));
+      }
+    }
+
+    let allStored = true;
+    for (const event of events) {
+      const isBridgeEvent = bridge.adapter.handles(event.event);
+      const stored = await this.handleEvent(event, event.event, bridge);
+
+      if (!stored) {
+        allStored = false;
+      }
+      if (stats && isBridgeEvent) {
+        stats.found++;
+        if (stored) {
+          stats.stored++;
+        }
+      }
+    }
+
+    if (!allStored && stats) {
+      stats.lastError = `Some events in blocks ${fromBlock}-${toBlock} could not be stored`;
+    }
+
+    logger.debug(`Processed ${events.length} events from blocks ${fromBlock}-${toBlock} on ${this.networkConfig.name} (${bridge.label})`);
+    return allStored;
+  }
+
+  // Fetch a contract's logs over a block range, halving the range while the RPC rejects it as too large
+  async getPastEventsAdaptive(bridge, fromBlock, toBlock) {
+    try {
+      return await bridge.contract.getPastEvents('allEvents', { fromBlock, toBlock });
+    } catch (error) {
+      if (fromBlock >= toBlock || !BaseEventListener.isRangeTooLarge(error)) {
+        throw error;
+      }
+
+      const middle = Math.floor((fromBlock + toBlock) / 2);
+      this.batchSize = Math.max(this.backfillConfig.minBatchSize, middle - fromBlock + 1);
+      logger.debug(`${this.networkConfig.name} RPC refused blocks ${fromBlock}-${toBlock}, splitting (batch size now ${this.batchSize})`);
+
+      const firstHalf = await this.getPastEventsAdaptive(bridge, fromBlock, middle);
+      const secondHalf = await this.getPastEventsAdaptive(bridge, middle + 1, toBlock);
+      return firstHalf.concat(secondHalf);
+    }
+  }
+
+  // Check if an eth_getLogs error means the range was too large (too many results, range limit, timeout)
+  static isRangeTooLarge(error) {
+    const messages = [error.message, error.cause && error.cause.message, error.innerError && error.innerError.message]
+      .filter(Boolean)
+      .join(' ');
+    const code = (error.cause && error.cause.code) || (error.innerError && error.innerError.code) || error.code;
+
+    return code === -32005
+      || /more than \d+ results|too many (results|logs|blocks)|response size|limit exceeded|block range|range (is )?too (large|wide)|timed? ?out/i.test(messages);
+  }
+
   // Stop listening and clean up
   async stopListening() {
     try {
       this.isListening = false;
-      
-      // Unsubscribe from all events
-      for (const [eventName, subscription] of this.eventSubscriptions) {
-        subscription.unsubscribe();
-        logger.info(`Unsubscribed from ${eventName} events on ${this.networkConfig.name}`);
-      }
-      
-      this.eventSubscriptions.clear();
-      
-      // Close WebSocket connection
-      if (this.wsProvider) {
-        this.wsProvider.disconnect();
-      }
+
+      // A restart tries the WebSocket again
+      this.stopPolling();
+      this.mode = 'websocket';
+
+      // Unsubscribe from all events and close the WebSocket connection
+      this.closeWebsocket();
 
       logger.info(`${this.networkConfig.name} event listener stopped`);
     } catch (error) {
@@ -365,15 +1090,70 @@ class BaseEventListener {
     }
   }
 
+  // Native balance held across all watched bridge contracts
+  async getBridgeBalance() {
+    const balances = await Promise.all(
+      Array.from(this.bridges.keys()).map(address => this.web3.eth.getBalance(address))
+    );
+    return balances.reduce((total, balance) => total + BigInt(balance), 0n);
+  }
+
+  // Checkpoint summary including how far it trails the chain head
+  formatCheckpoint(checkpoint) {
+    if (!checkpoint) {
+      return null;
+    }
+
+    return {
+      blockNumber: checkpoint.blockNumber,
+      source: checkpoint.source,
+      updatedAt: checkpoint.updatedAt,
+      lag: this.latestBlock !== null ? Math.max(0, this.latestBlock - checkpoint.blockNumber) : null
+    };
+  }
+
   // Get listener status
   getStatus() {
+    const bridges = Array.from(this.bridges.values());
+
+    // The network is only as far along as its slowest contract
+    const checkpoints = bridges.map(bridge => bridge.checkpoint).filter(Boolean);
+    const slowestCheckpoint = checkpoints.reduce(
+      (slowest, checkpoint) => (!slowest || checkpoint.blockNumber < slowest.blockNumber ? checkpoint : slowest),
+      null
+    );
+
     return {
       networkName: this.networkConfig.name,
       chainId: this.networkConfig.chainId,
       isListening: this.isListening,
+      mode: this.mode,
+      modeChangedAt: this.modeChangedAt,
+      polling: this.mode === 'polling'
+        ? {
+          intervalMs: this.pollingConfig.intervalMs,
+          lastPolledBlock: this.lastPolledBlock,
+          lastPollAt: this.lastPollAt
+        }
+        : null,
       lastProcessedBlock: this.lastProcessedBlock,
+      latestBlock: this.latestBlock,
+      checkpoint: this.formatCheckpoint(slowestCheckpoint),
+      contracts: bridges.map(bridge => ({
+        address: bridge.address,
+        label: bridge.label,
+        adapter: bridge.adapter.id,
+        checkpoint: this.formatCheckpoint(bridge.checkpoint),
+        activeSubscriptions: Array.from(bridge.subscriptions.keys())
+      })),
+      reorgs: this.reorgTracker.getStatus(),
+      batchSize: this.batchSize,
+      wsEndpoint: ProviderPool.hostOf(this.getWsUrl()),
+      providers: this.providerPool.getStatus(),
       reconnectAttempts: this.reconnectAttempts,
-      activeSubscriptions: Array.from(this.eventSubscriptions.keys())
+      activeSubscriptions: bridges.flatMap(bridge =>
+        Array.from(bridge.subscriptions.keys()).map(eventName => `${bridge.label}:${eventName}`)
+      )
     };
   }
 }
@@ -1,20 +1,13 @@
 const BaseEventListener = require('./BaseEventListener');
 const logger = require('../utils/logger');
+const tokenRegistry = require('../services/tokenRegistry');
 
 class EthereumListener extends BaseEventListener {
-  constructor(networkConfig, alertSystem) {
-    super(networkConfig, alertSystem);
-    this.tokenCache = new Map(); // Cache for token metadata
-  }
-
   // Override to add Ethereum-specific initialization
   async initialize() {
     try {
       await super.initialize();
       
-      // Initialize token metadata cache
-      await this.initializeTokenCache();
-      
       logger.info('Ethereum listener initialized with enhanced features');
     } catch (error) {
       logger.error('Failed to initialize Ethereum listener:', error);
@@ -22,60 +15,10 @@ class EthereumListener extends BaseEventListener {
     }
   }
 
-  // Initialize cache with common Ethereum tokens
-  async initializeTokenCache() {
-    try {
-      // Common Ethereum tokens - in production, this would be loaded from a database or API
-      const commonTokens = [
-        {
-          address: '0xA0b86a33E6441b8435b662f0E2d0B8A0E4B5B8B0',
-          symbol: 'USDC',
-          decimals: 6,
-          name: 'USD Coin'
-        },
-        {
-          address: '0xdAC17F958D2ee523a2206206994597C13D831ec7',
-          symbol: 'USDT',
-          decimals: 6,
-          name: 'Tether USD'
-        },
-        {
-          address: '0x6B175474E89094C44Da98b954EedeAC495271d0F',
-          symbol: 'DAI',
-          decimals: 18,
-          name: 'Dai Stablecoin'
-        }
-      ];
-
-      for (const token of commonTokens) {
-        this.tokenCache.set(token.address.toLowerCase(), token);
-      }
-
-      logger.info(`Ethereum token cache initialized with ${commonTokens.length} tokens`);
-    } catch (error) {
-      logger.error('Error initializing Ethereum token cache:', error);
-    }
-  }
-
-  // Override to add Ethereum-specific token metadata fetching
-  async normalizeEventData(event, eventType) {
-    const normalizedData = await super.normalizeEventData(event, eventType);
+  // Override to add Ethereum-specific network fields
+  async normalizeEventData(event, eventName, bridge) {
+    const normalizedData = await super.normalizeEventData(event, eventName, bridge);
     
-    // Enhance with token metadata
-    if (normalizedData.tokenAddress && normalizedData.tokenAddress !== '0x0000000000000000000000000000000000000000') {
-      const tokenInfo = await this.getTokenInfo(normalizedData.tokenAddress);
-      
-      normalizedData.tokenSymbol = tokenInfo.symbol;
-      normalizedData.tokenDecimals = tokenInfo.decimals;
-      normalizedData.tokenName = tokenInfo.name;
-      
-      // Recalculate formatted amount with correct decimals
-      normalizedData.amountFormatted = this.formatTokenAmount(
-        normalizedData.amount, 
-        tokenInfo.decimals
-      );
-    }
-
     // Add Ethereum-specific fields
     normalizedData.networkSpecific = {
       gasPrice: normalizedData.gasPrice,
@@ -87,92 +30,6 @@ class EthereumListener extends BaseEventListener {
     return normalizedData;
   }
 
-  // Get token information (with caching)
-  async getTokenInfo(tokenAddress) {
-    const address = tokenAddress.toLowerCase();
-    
-    // Check cache first
-    if (this.tokenCache.has(address)) {
-      return this.tokenCache.get(address);
-    }
-
-    try {
-      // ERC20 token ABI for metadata
-      const tokenABI = [
-        {
-          "constant": true,
-          "inputs": [],
-          "name": "symbol",
-          "outputs": [{"name": "", "type": "string"}],
-          "type": "function"
-        },
-        {
-          "constant": true,
-          "inputs": [],
-          "name": "decimals",
-          "outputs": [{"name": "", "type": "uint8"}],
-          "type": "function"
-        },
-        {
-          "constant": true,
-          "inputs": [],
-          "name": "name",
-          "outputs": [{"name": "", "type": "string"}],
-          "type": "function"
-        }
-      ];
-
-      const tokenContract = new this.web3.eth.Contract(tokenABI, tokenAddress);
-      
-      const [symbol, decimals, name] = await Promise.all([
-        tokenContract.methods.symbol().call().catch(() => 'UNKNOWN'),
-        tokenContract.methods.decimals().call().catch(() => 18),
-        tokenContract.methods.name().call().catch(() => 'Unknown Token')
-      ]);
-
-      const tokenInfo = {
-        address: tokenAddress,
-        symbol: symbol,
-        decimals: parseInt(decimals),
-        name: name
-      };
-
-      // Cache the result
-      this.tokenCache.set(address, tokenInfo);
-      
-      logger.debug(`Fetched token info for ${tokenAddress}: ${symbol}`);
-      return tokenInfo;
-    } catch (error) {
-      logger.error(`Error fetching token info for ${tokenAddress}:`, error);
-      
-      // Return default values
-      const defaultInfo = {
-        address: tokenAddress,
-        symbol: 'UNKNOWN',
-        decimals: 18,
-        name: 'Unknown Token'
-      };
-      
-      this.tokenCache.set(address, defaultInfo);
-      return defaultInfo;
-    }
-  }
-
-  // Format token amount based on decimals
-  formatTokenAmount(amount, decimals) {
-    try {
-      const divisor = BigInt(10) ** BigInt(decimals);
-      const amountBigInt = BigInt(amount);
-      const wholePart = amountBigInt / divisor;
-      const fractionalPart = amountBigInt % divisor;
-      
-      return parseFloat(`${wholePart}.${fractionalPart.toString().padStart(decimals, '0')}`);
-    } catch (error) {
-      logger.error('Error formatting token amount:', error);
-      return 0;
-    }
-  }
-
   // Check if transaction uses EIP-1559
   isEIP1559Transaction(event) {
     try {
@@ -186,46 +43,23 @@ class EthereumListener extends BaseEventListener {
   }
 
   // Override to add Ethereum-specific event handling
-  async handleEvent(event, eventType) {
+  async handleEvent(event, eventName, bridge) {
     try {
       // Call parent handler
-      await super.handleEvent(event, eventType);
+      const stored = await super.handleEvent(event, eventName, bridge);
       
       // Add Ethereum-specific processing
-      await this.processEthereumSpecificLogic(event, eventType);
+      await this.processEthereumSpecificLogic(event, bridge);
+      return stored;
     } catch (error) {
       logger.error(`Error in Ethereum-specific event handling:`, error);
+      return false;
     }
   }
 
   // Ethereum-specific event processing
-  async processEthereumSpecificLogic(event, eventType) {
+  async processEthereumSpecificLogic(event, bridge) {
     try {
-      // Check for high-value transactions
-      const { returnValues } = event;
-      if (returnValues.amount) {
-        const tokenInfo = await this.getTokenInfo(returnValues.token);
-        const formattedAmount = this.formatTokenAmount(returnValues.amount, tokenInfo.decimals);
-        
-        // Alert for high-value transactions (>$100k equivalent)
-        if (this.isHighValueTransaction(formattedAmount, tokenInfo.symbol)) {
-          await this.alertSystem.sendAlert({
-            type: 'high_volume',
-            severity: 'warning',
-            title: 'High Value Ethereum Bridge Transaction',
-            message: `Large ${eventType} transaction detected: ${formattedAmount} ${tokenInfo.symbol}`,
-            chainId: this.networkConfig.chainId,
-            networkName: 'ethereum',
-            details: {
-              amount: formattedAmount,
-              token: tokenInfo.symbol,
-              transactionHash: event.transactionHash,
-              eventType: eventType
-            }
-          });
-        }
-      }
-
       // Check for unusual gas usage
       if (event.gasUsed) {
         await this.checkGasUsage(event);
@@ -235,19 +69,34 @@ class EthereumListener extends BaseEventListener {
     }
   }
 
-  // Check if transaction is high value
-  isHighValueTransaction(amount, symbol) {
-    // Simple heuristic - in production, this would use real-time price feeds
-    const highValueThresholds = {
-      'USDC': 100000,
-      'USDT': 100000,
-      'DAI': 100000,
-      'ETH': 50, // ~$100k at $2000/ETH
-      'WETH': 50
-    };
+  // Alert on high-value transfers once stored, valued in USD at event time
+  async onTransactionStored(transaction) {
+    try {
+      if (this.isHighValueTransaction(transaction.amountUsd)) {
+        await this.alertSystem.sendAlert({
+          type: 'high_volume',
+          severity: 'warning',
+          title: 'High Value Ethereum Bridge Transaction',
+          message: `Large ${transaction.eventType} transaction detected: ${transaction.amountFormatted} ${transaction.tokenSymbol} ($${transaction.amountUsd.toLocaleString()})`,
+          chainId: this.networkConfig.chainId,
+          networkName: 'ethereum',
+          details: {
+            amount: transaction.amountFormatted,
+            amountUsd: transaction.amountUsd,
+            token: transaction.tokenSymbol,
+            transactionHash: transaction.txHash,
+            eventType: transaction.eventType
+          }
+        });
+      }
+    } catch (error) {
+      logger.error('Error checking Ethereum high-value transaction:', error);
+    }
+  }
 
-    const threshold = highValueThresholds[symbol] || 1000000; // Default high threshold
-    return amount >= threshold;
+  // Check if transaction is high value (>$100k at event time)
+  isHighValueTransaction(amountUsd) {
+    return amountUsd !== null && amountUsd >= 100000;
   }
 
   // Check for unusual gas usage
@@ -287,14 +136,14 @@ class EthereumListener extends BaseEventListener {
       const [blockNumber, gasPrice, balance] = await Promise.all([
         this.web3.eth.getBlockNumber(),
         this.web3.eth.getGasPrice(),
-        this.web3.eth.getBalance(this.networkConfig.bridgeContract)
+        this.getBridgeBalance()
       ]);
 
       return {
         currentBlock: blockNumber,
         gasPrice: this.web3.utils.fromWei(gasPrice, 'gwei'),
         bridgeBalance: this.web3.utils.fromWei(balance, 'ether'),
-        tokenCacheSize: this.tokenCache.size
+        knownTokens: tokenRegistry.countForChain(this.networkConfig.chainId)
       };
     } catch (error) {
       logger.error('Error getting Ethereum network stats:', error);
@@ -2,7 +2,10 @@ const BaseEventListener = require('./BaseEventListener');
 const EthereumListener = require('./EthereumListener');
 const PolygonListener = require('./PolygonListener');
 const BSCListener = require('./BSCListener');
+const L2Listener = require('./L2Listener');
+const BackfillManager = require('./BackfillManager');
 const config = require('../config/default');
+const chainRegistry = require('../config/chainRegistry');
 const logger = require('../utils/logger');
 
 class EventListenerManager {
@@ -10,8 +13,17 @@ class EventListenerManager {
     this.alertSystem = alertSystem;
     this.socketIo = socketIo;
     this.listeners = new Map();
+    // Listener classes a network config can name in its `listener` field
+    this.listenerClasses = new Map([
+      ['BaseEventListener', BaseEventListener],
+      ['EthereumListener', EthereumListener],
+      ['PolygonListener', PolygonListener],
+      ['BSCListener', BSCListener],
+      ['L2Listener', L2Listener]
+    ]);
     this.isRunning = false;
     this.healthCheckInterval = null;
+    this.backfillManager = new BackfillManager(this);
   }
 
   // Initialize all network listeners
@@ -32,6 +44,9 @@ class EventListenerManager {
       this.startHealthMonitoring();
 
       this.isRunning = true;
+
+      // Pick up backfill jobs interrupted by the last shutdown
+      await this.backfillManager.resumeJobs();
       logger.info(`Event Listener Manager initialized with ${this.listeners.size} networks`);
     } catch (error) {
       logger.error('Failed to initialize Event Listener Manager:', error);
@@ -43,8 +58,8 @@ class EventListenerManager {
   isNetworkEnabled(networkConfig) {
     return networkConfig.rpcUrl && 
            networkConfig.wsUrl && 
-           networkConfig.bridgeContract && 
-           networkConfig.bridgeContract !== '0x...';
+           Array.isArray(networkConfig.contracts) &&
+           networkConfig.contracts.some(contract => contract.address && contract.address !== '0x...');
   }
 
   // Initialize listener for a specific network
@@ -52,23 +67,14 @@ class EventListenerManager {
     try {
       logger.info(`Initializing ${networkName} listener...`);
 
-      // Create network-specific listener
-      let listener;
-      switch (networkName.toLowerCase()) {
-        case 'ethereum':
-          listener = new EthereumListener(networkConfig, this.alertSystem);
-          break;
-        case 'polygon':
-          listener = new PolygonListener(networkConfig, this.alertSystem);
-          break;
-        case 'bsc':
-          listener = new BSCListener(networkConfig, this.alertSystem);
-          break;
-        default:
-          // Fallback to base listener for unknown networks
-          listener = new BaseEventListener(networkConfig, this.alertSystem);
-          logger.warn(`Using base listener for unknown network: ${networkName}`);
+      // Create the listener class named in the network config
+      let ListenerClass = this.listenerClasses.get(networkConfig.listener);
+      if (!ListenerClass) {
+        // Fallback to base listener for networks without a dedicated class
+        ListenerClass = BaseEventListener;
+        logger.warn(`Using base listener for network without a known listener class: ${networkName}`);
       }
+      const listener = new ListenerClass(networkConfig, this.alertSystem);
 
       await listener.initialize();
 
@@ -180,6 +186,7 @@ class EventListenerManager {
       isRunning: this.isRunning,
       totalNetworks: this.listeners.size,
       activeListeners: 0,
+      backfill: this.backfillManager.getStatus(),
       networks: {}
     };
 
@@ -233,6 +240,13 @@ class EventListenerManager {
         }
       }
 
+      // Refresh chain heads so checkpoint lag is current
+      await Promise.allSettled(
+        Array.from(this.listeners.values())
+          .filter(listener => listener.isListening)
+          .map(listener => listener.updateLatestBlock())
+      );
+
       // Emit status update to dashboard
       this.emitStatusUpdate();
 
@@ -256,6 +270,11 @@ class EventListenerManager {
     return this.listeners.get(networkName);
   }
 
+  // Register a listener class that network configs can refer to by name
+  registerListenerClass(name, ListenerClass) {
+    this.listenerClasses.set(name, ListenerClass);
+  }
+
   // Add new network listener dynamically
   async addNetworkListener(networkName, networkConfig) {
     try {
@@ -263,10 +282,17 @@ class EventListenerManager {
         throw new Error(`Listener for ${networkName} already exists`);
       }
 
+      // Register the chain first so its events pass networkName validation and get matched
+      chainRegistry.registerChain(networkName, networkConfig);
+
       await this.initializeNetworkListener(networkName, networkConfig);
+
+      const listener = this.listeners.get(networkName);
+      if (!listener) {
+        throw new Error(`Listener for ${networkName} failed to initialize`);
+      }
       
       if (this.isRunning) {
-        const listener = this.listeners.get(networkName);
         await listener.startListening();
       }
 
@@ -307,8 +333,15 @@ class EventListenerManager {
       stats[networkName] = {
         chainId: status.chainId,
         isActive: status.isListening,
+        mode: status.mode,
         lastProcessedBlock: status.lastProcessedBlock,
+        latestBlock: status.latestBlock,
+        checkpoint: status.checkpoint,
+        contracts: status.contracts,
+        l1: status.l1,
         reconnectAttempts: status.reconnectAttempts,
+        wsEndpoint: status.wsEndpoint,
+        providers: status.providers,
         activeSubscriptions: status.activeSubscriptions.length
       };
     }
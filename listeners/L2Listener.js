@@ -0,0 +1,180 @@
+const BaseEventListener = require('./BaseEventListener');
+const { TransactionOperations } = require('../db/operations');
+const logger = require('../utils/logger');
+
+// Listener for EVM rollups (Arbitrum, Optimism, Base). An L2 block is first
+// reported by the sequencer, later posted to L1 in a batch ("safe"), and is
+// only final once that L1 data is finalized. Events are tracked through those
+// stages and the observed time to L1 finality feeds the bridge-timeout rule.
+class L2Listener extends BaseEventListener {
+  constructor(networkConfig, alertSystem) {
+    super(networkConfig, alertSystem);
+    this.l2Config = {
+      settlementChainId: 1,
+      statusIntervalMs: 60000,
+      ...networkConfig.l2
+    };
+    this.safeBlock = null; // Latest L2 block whose batch has been posted to L1
+    this.finalizedBlock = null; // Latest L2 block derived from finalized L1 data
+    this.l1StatusInterval = null;
+    this.isUpdatingL1Status = false;
+  }
+
+  async startListening() {
+    await super.startListening();
+
+    await this.updateL1Status();
+    if (!this.l1StatusInterval) {
+      this.l1StatusInterval = setInterval(() => this.updateL1Status(), this.l2Config.statusIntervalMs);
+    }
+  }
+
+  async stopListening() {
+    if (this.l1StatusInterval) {
+      clearInterval(this.l1StatusInterval);
+      this.l1StatusInterval = null;
+    }
+
+    await super.stopListening();
+  }
+
+  // Record which settlement stage the event's block had reached when we stored it
+  async normalizeEventData(event, eventName, bridge) {
+    const normalizedData = await super.normalizeEventData(event, eventName, bridge);
+    const blockNumber = Number(event.blockNumber);
+
+    normalizedData.l1Status = this.getL1Status(blockNumber);
+    normalizedData.l1BlockNumber = await this.getL1BlockNumber(blockNumber);
+
+    const now = new Date();
+    if (normalizedData.l1Status !== 'sequencer') {
+      normalizedData.l1BatchPostedAt = now;
+    }
+    if (normalizedData.l1Status === 'l1_finalized') {
+      normalizedData.l1FinalizedAt = now;
+    }
+
+    return normalizedData;
+  }
+
+  // Settlement stage of an L2 block given the latest safe and finalized heads
+  getL1Status(blockNumber) {
+    if (this.finalizedBlock !== null && blockNumber <= this.finalizedBlock) {
+      return 'l1_finalized';
+    }
+    if (this.safeBlock !== null && blockNumber <= this.safeBlock) {
+      return 'batch_posted';
+    }
+    return 'sequencer';
+  }
+
+  // L1 block the sequencer assigned to an L2 block, for chains that expose it (Arbitrum)
+  async getL1BlockNumber(blockNumber) {
+    try {
+      const block = await this.web3.eth.requestManager.send({
+        method: 'eth_getBlockByNumber',
+        params: [this.web3.utils.numberToHex(blockNumber), false]
+      });
+      return block && block.l1BlockNumber ? Number(block.l1BlockNumber) : null;
+    } catch (error) {
+      logger.debug(`Could not fetch L1 block number for ${this.networkConfig.name} block ${blockNumber}:`, error);
+      return null;
+    }
+  }
+
+  // Depth decides 'confirmed'; only L1 finality makes an L2 event 'finalized'
+  getConfirmationState(blockNumber) {
+    const state = super.getConfirmationState(blockNumber);
+
+    if (this.getL1Status(blockNumber) === 'l1_finalized') {
+      state.confirmationStatus = 'finalized';
+    }
+
+    return state;
+  }
+
+  // Finality is driven by L1, not by block depth
+  getFinalityConfirmations() {
+    return null;
+  }
+
+  // Poll the safe and finalized heads and move stored events through the settlement stages
+  async updateL1Status() {
+    if (this.isUpdatingL1Status || !this.web3) {
+      return;
+    }
+    this.isUpdatingL1Status = true;
+
+    try {
+      const [safe, finalized] = await Promise.all([
+        this.web3.eth.getBlock('safe'),
+        this.web3.eth.getBlock('finalized')
+      ]);
+
+      const safeBlock = Number(safe.number);
+      const finalizedBlock = Number(finalized.number);
+
+      // The newly finalized head was produced at its L2 timestamp and is final now
+      if (this.finalizedBlock !== null && finalizedBlock > this.finalizedBlock) {
+        const durationMs = Date.now() - Number(finalized.timestamp) * 1000;
+        this.alertSystem.recordFinalityTime(this.networkConfig.chainId, durationMs);
+      }
+
+      this.safeBlock = Math.max(this.safeBlock || 0, safeBlock);
+      this.finalizedBlock = Math.max(this.finalizedBlock || 0, finalizedBlock);
+
+      const { posted, finalized: finalizedTransactions } = await TransactionOperations.updateL1Status(
+        this.networkConfig.chainId,
+        this.safeBlock,
+        this.finalizedBlock
+      );
+
+      for (const transaction of posted) {
+        this.alertSystem.emitRealTimeUpdate('transaction_confirmed', {
+          transactionId: transaction._id,
+          txHash: transaction.txHash,
+          chainId: transaction.chainId,
+          confirmationStatus: transaction.confirmationStatus,
+          l1Status: 'batch_posted'
+        });
+      }
+
+      for (const transaction of finalizedTransactions) {
+        this.alertSystem.emitRealTimeUpdate('transaction_confirmed', {
+          transactionId: transaction._id,
+          txHash: transaction.txHash,
+          chainId: transaction.chainId,
+          confirmationStatus: 'finalized',
+          l1Status: 'l1_finalized'
+        });
+      }
+    } catch (error) {
+      logger.error(`Error updating L1 status on ${this.networkConfig.name}:`, error);
+    } finally {
+      this.isUpdatingL1Status = false;
+    }
+  }
+
+  // Get listener status including L1 settlement progress
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      l1: {
+        settlementChainId: this.l2Config.settlementChainId,
+        safeBlock: this.safeBlock,
+        finalizedBlock: this.finalizedBlock,
+        sequencerLag: this.latestBlock !== null && this.safeBlock !== null
+          ? Math.max(0, this.latestBlock - this.safeBlock)
+          : null,
+        finalityLag: this.latestBlock !== null && this.finalizedBlock !== null
+          ? Math.max(0, this.latestBlock - this.finalizedBlock)
+          : null,
+        timeToL1Finality: this.alertSystem.finalityMetrics
+          ? this.alertSystem.finalityMetrics.getTimeToFinality(this.networkConfig.chainId)
+          : null
+      }
+    };
+  }
+}
+
+module.exports = L2Listener;
@@ -0,0 +1,170 @@
+const { Web3 } = require('web3');
+const logger = require('../utils/logger');
+
+// Pool of HTTP RPC endpoints for one chain. It is itself an EIP-1193 provider,
+// so `new Web3(pool)` sends every request to the healthiest endpoint and fails
+// over to the next one on error. Endpoints are ranked by smoothed latency and
+// error rate; `quorum()` asks several endpoints and requires them to agree.
+class ProviderPool {
+  constructor(networkName, urls, options = {}) {
+    this.networkName = networkName;
+    this.requestTimeoutMs = options.requestTimeoutMs || 10000;
+    this.errorCooldownMs = options.errorCooldownMs || 60000;
+    this.maxConsecutiveErrors = options.maxConsecutiveErrors || 3;
+    this.endpoints = Array.from(new Set(urls.filter(Boolean))).map(url => ({
+      url,
+      host: ProviderPool.hostOf(url),
+      provider: new Web3.providers.HttpProvider(url),
+      latencyMs: null, // Exponentially weighted moving average
+      errorRate: 0, // Exponentially weighted share of failed requests
+      requests: 0,
+      errors: 0,
+      consecutiveErrors: 0,
+      cooldownUntil: null,
+      lastError: null,
+      lastErrorAt: null
+    }));
+
+    if (!this.endpoints.length) {
+      throw new Error(`No RPC endpoints configured for ${networkName}`);
+    }
+  }
+
+  // Host part of an endpoint URL, so API keys in the path don't end up in status output
+  static hostOf(url) {
+    try {
+      return new URL(url).host;
+    } catch (error) {
+      return 'invalid-url';
+    }
+  }
+
+  // Endpoints ordered best first; ones cooling down after repeated errors go last
+  rank() {
+    const now = Date.now();
+    const score = (endpoint) => (endpoint.latencyMs === null ? 0 : endpoint.latencyMs) * (1 + endpoint.errorRate * 10);
+
+    return [...this.endpoints].sort((a, b) => {
+      const aCooling = a.cooldownUntil !== null && a.cooldownUntil > now;
+      const bCooling = b.cooldownUntil !== null && b.cooldownUntil > now;
+      if (aCooling !== bCooling) {
+        return aCooling ? 1 : -1;
+      }
+      return score(a) - score(b);
+    });
+  }
+
+  // EIP-1193 entry point used by web3: try endpoints in rank order until one answers
+  async request(payload) {
+    let lastError = null;
+
+    for (const endpoint of this.rank()) {
+      try {
+        return await this.send(endpoint, payload);
+      } catch (error) {
+        lastError = error;
+        logger.debug(`${this.networkName} RPC ${endpoint.host} failed ${payload.method}, trying next endpoint:`, error);
+      }
+    }
+
+    throw lastError;
+  }
+
+  // Send a JSON-RPC payload to one endpoint, recording its latency and errors
+  async send(endpoint, payload) {
+    const startedAt = Date.now();
+    let timer = null;
+    endpoint.requests++;
+
+    try {
+      const response = await Promise.race([
+        endpoint.provider.request(payload),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error(`RPC request timed out after ${this.requestTimeoutMs}ms`)), this.requestTimeoutMs);
+        })
+      ]);
+
+      this.recordSuccess(endpoint, Date.now() - startedAt);
+      return response;
+    } catch (error) {
+      this.recordError(endpoint, error);
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Update an endpoint's health after a successful request
+  recordSuccess(endpoint, latencyMs) {
+    endpoint.latencyMs = endpoint.latencyMs === null ? latencyMs : Math.round(endpoint.latencyMs * 0.7 + latencyMs * 0.3);
+    endpoint.errorRate = endpoint.errorRate * 0.9;
+    endpoint.consecutiveErrors = 0;
+    endpoint.cooldownUntil = null;
+  }
+
+  // Update an endpoint's health after a failed request
+  recordError(endpoint, error) {
+    endpoint.errors++;
+    endpoint.errorRate = endpoint.errorRate * 0.9 + 0.1;
+    endpoint.consecutiveErrors++;
+    endpoint.lastError = error.message;
+    endpoint.lastErrorAt = new Date();
+
+    if (endpoint.consecutiveErrors >= this.maxConsecutiveErrors) {
+      endpoint.cooldownUntil = Date.now() + this.errorCooldownMs;
+    }
+    if (endpoint.consecutiveErrors === this.maxConsecutiveErrors) {
+      logger.warn(`${this.networkName} RPC ${endpoint.host} failed ${endpoint.consecutiveErrors} times in a row, deprioritized for ${this.errorCooldownMs / 1000}s`);
+    }
+  }
+
+  // Ask every endpoint for the same call and return the result at least `required` of them agree on.
+  // `keyOf` reduces a result to the fields that must match.
+  async quorum(method, params, keyOf, required) {
+    const responses = await Promise.allSettled(
+      this.endpoints.map(endpoint => this.send(endpoint, { jsonrpc: '2.0', id: Date.now(), method, params }))
+    );
+
+    const groups = new Map(); // key -> { result, hosts }
+    responses.forEach((response, index) => {
+      if (response.status !== 'fulfilled' || !response.value || response.value.error) {
+        return;
+      }
+
+      const key = JSON.stringify(keyOf(response.value.result));
+      const group = groups.get(key) || { result: response.value.result, hosts: [] };
+      group.hosts.push(this.endpoints[index].host);
+      groups.set(key, group);
+    });
+
+    const ranked = Array.from(groups.values()).sort((a, b) => b.hosts.length - a.hosts.length);
+    const best = ranked[0];
+
+    return {
+      agreed: Boolean(best) && best.hosts.length >= required,
+      result: best ? best.result : null,
+      agreeing: best ? best.hosts.length : 0,
+      responded: ranked.reduce((total, group) => total + group.hosts.length, 0),
+      total: this.endpoints.length,
+      dissenting: ranked.slice(1).flatMap(group => group.hosts)
+    };
+  }
+
+  // Health of every endpoint, best first
+  getStatus() {
+    const now = Date.now();
+
+    return this.rank().map(endpoint => ({
+      host: endpoint.host,
+      latencyMs: endpoint.latencyMs,
+      errorRate: Math.round(endpoint.errorRate * 1000) / 1000,
+      requests: endpoint.requests,
+      errors: endpoint.errors,
+      coolingDown: endpoint.cooldownUntil !== null && endpoint.cooldownUntil > now,
+      lastError: endpoint.lastError,
+      lastErrorAt: endpoint.lastErrorAt
+    }));
+  }
+}
+
+module.exports = ProviderPool;
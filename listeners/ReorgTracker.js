@@ -0,0 +1,128 @@
+const logger = require('../utils/logger');
+
+// Keeps a rolling window of recent block hashes for one chain and detects
+// when a new header no longer builds on the blocks we have already seen.
+class ReorgTracker {
+  constructor(networkName, fetchBlock, windowSize = 64) {
+    this.networkName = networkName;
+    this.fetchBlock = fetchBlock; // async (blockNumber) => { number, hash, parentHash }
+    this.windowSize = windowSize;
+    this.blockHashes = new Map(); // blockNumber -> hash
+    this.highestBlock = null;
+    this.reorgCount = 0;
+    this.lastReorg = null;
+  }
+
+  // Record a new block header, returns reorg details if the chain diverged
+  async processBlock(header) {
+    const blockNumber = Number(header.number);
+    const { hash, parentHash } = header;
+
+    const knownParent = this.blockHashes.get(blockNumber - 1);
+    const knownAtHeight = this.blockHashes.get(blockNumber);
+
+    const parentDiverged = knownParent && knownParent !== parentHash;
+    const replacedAtHeight = knownAtHeight && knownAtHeight !== hash;
+
+    let reorg = null;
+    if (parentDiverged || replacedAtHeight) {
+      reorg = await this.resolveReorg(blockNumber, hash, parentHash);
+    }
+
+    this.remember(blockNumber, hash);
+    return reorg;
+  }
+
+  // Walk back from the new header until we find a block hash we agree on
+  async resolveReorg(blockNumber, hash, parentHash) {
+    const previousHead = this.highestBlock;
+    const canonicalHashes = new Map([[blockNumber, hash]]);
+
+    let cursor = blockNumber - 1;
+    let cursorHash = parentHash;
+    let commonAncestor = null;
+
+    while (this.blockHashes.has(cursor)) {
+      if (this.blockHashes.get(cursor) === cursorHash) {
+        commonAncestor = cursor;
+        break;
+      }
+
+      canonicalHashes.set(cursor, cursorHash);
+      const block = await this.fetchBlock(cursor);
+      cursorHash = block.parentHash;
+      cursor--;
+    }
+
+    if (commonAncestor === null) {
+      // Divergence is deeper than the window; treat the oldest tracked block as the fork point
+      commonAncestor = cursor;
+      logger.warn(`${this.networkName} reorg is deeper than the ${this.windowSize}-block window`);
+    }
+
+    // Blocks above the new head that we saw on the old branch are also orphaned
+    const orphanedTo = Math.max(previousHead || blockNumber, blockNumber);
+
+    // Replace the stale hashes with the canonical ones we fetched
+    for (let n = commonAncestor + 1; n <= orphanedTo; n++) {
+      this.blockHashes.delete(n);
+    }
+    for (const [n, canonicalHash] of canonicalHashes) {
+      this.blockHashes.set(n, canonicalHash);
+    }
+
+    const reorg = {
+      commonAncestor,
+      fromBlock: commonAncestor + 1,
+      toBlock: orphanedTo,
+      depth: orphanedTo - commonAncestor,
+      newHead: { number: blockNumber, hash },
+      canonicalHashes,
+      detectedAt: new Date()
+    };
+
+    this.reorgCount++;
+    this.lastReorg = {
+      commonAncestor: reorg.commonAncestor,
+      depth: reorg.depth,
+      detectedAt: reorg.detectedAt
+    };
+
+    logger.warn(`${this.networkName} chain reorganization detected: depth ${reorg.depth}, fork after block ${commonAncestor}`);
+    return reorg;
+  }
+
+  // Store a block hash and trim the window
+  remember(blockNumber, hash) {
+    this.blockHashes.set(blockNumber, hash);
+
+    if (this.highestBlock === null || blockNumber > this.highestBlock) {
+      this.highestBlock = blockNumber;
+    }
+
+    const oldestAllowed = this.highestBlock - this.windowSize;
+    for (const n of this.blockHashes.keys()) {
+      if (n <= oldestAllowed) {
+        this.blockHashes.delete(n);
+      }
+    }
+  }
+
+  // Get the canonical hash we know for a block, if it is inside the window
+  getBlockHash(blockNumber) {
+    return this.blockHashes.get(blockNumber) || null;
+  }
+
+  // Get tracker status
+  getStatus() {
+    return {
+      windowSize: this.windowSize,
+      trackedBlocks: this.blockHashes.size,
+      highestBlock: this.highestBlock,
+      reorgCount: this.reorgCount,
+      lastReorg: this.lastReorg
+    };
+  }
+}
+
+module.exports = ReorgTracker;
@@ -2,6 +2,7 @@ const BaseEventListener = require('./BaseEventListener');
 const EthereumListener = require('./EthereumListener');
 const PolygonListener = require('./PolygonListener');
 const BSCListener = require('./BSCListener');
+const L2Listener = require('./L2Listener');
 const EventListenerManager = require('./EventListenerManager');
 
 module.exports = {
@@ -9,5 +10,6 @@ module.exports = {
   EthereumListener,
   PolygonListener,
   BSCListener,
+  L2Listener,
   EventListenerManager
 };
@@ -0,0 +1,178 @@
+const config = require('../config/default');
+const { createPriceSource } = require('./pricing');
+const tokenRegistry = require('./tokenRegistry');
+const { PriceOperations } = require('../db/operations');
+const logger = require('../utils/logger');
+
+// USD prices for canonical assets. Prices are snapshotted every minute from the
+// configured sources (first source that prices an asset wins) and stored for
+// `retentionDays`, so events are valued at the price of the minute they happened
+// in. Events older than the earliest snapshot kept are priced from the sources'
+// price history, cached per asset and `maxPriceAgeMs` bucket, misses included
+// for `historyMissTtlMs`.
+class PriceService {
+  constructor() {
+    this.config = config.pricing;
+    this.sources = this.config.sources.map(id => createPriceSource(id, {
+      requestTimeoutMs: this.config.requestTimeoutMs,
+      ...(this.config[id] || {})
+    }));
+    this.latest = new Map(); // assetId -> { priceUsd, source, timestamp }
+    this.history = new Map(); // "assetId|bucket" -> { priceUsd, expiresAt }, oldest first
+    this.coveredSince = null; // Earliest snapshot kept, null until known
+    this.snapshotInterval = null;
+    this.isSnapshotting = false;
+    this.lastSnapshotAt = null;
+  }
+
+  // Take a snapshot now and then once per interval
+  async start() {
+    const earliest = await PriceOperations.findEarliest().catch(error => {
+      logger.error('Error finding the earliest price snapshot:', error);
+      return null;
+    });
+    this.coveredSince = earliest ? earliest.minute : null;
+
+    await this.takeSnapshot();
+    this.snapshotInterval = setInterval(() => this.takeSnapshot(), this.config.snapshotIntervalMs);
+    logger.info(`Price service started with sources: ${this.sources.map(source => source.id).join(', ')}`);
+  }
+
+  // Stop taking snapshots
+  stop() {
+    if (this.snapshotInterval) {
+      clearInterval(this.snapshotInterval);
+      this.snapshotInterval = null;
+    }
+  }
+
+  // Fetch current prices for every known asset and store them
+  async takeSnapshot() {
+    if (this.isSnapshotting) {
+      return;
+    }
+    this.isSnapshotting = true;
+
+    try {
+      const timestamp = new Date();
+      let remaining = tokenRegistry.getCanonicalAssetIds();
+      const snapshots = [];
+
+      for (const source of this.sources) {
+        if (!remaining.length) {
+          break;
+        }
+
+        try {
+          const prices = await source.getPrices(remaining);
+          for (const [assetId, priceUsd] of Object.entries(prices)) {
+            snapshots.push({ assetId, priceUsd, source: source.id, timestamp });
+            this.latest.set(assetId, { priceUsd, source: source.id, timestamp });
+          }
+          remaining = remaining.filter(assetId => prices[assetId] === undefined);
+        } catch (error) {
+          logger.warn(`Price source ${source.id} failed: ${error.message}`);
+        }
+      }
+
+      if (remaining.length) {
+        logger.debug(`No price for assets: ${remaining.join(', ')}`);
+      }
+
+      await PriceOperations.recordSnapshots(snapshots);
+      await PriceOperations.deleteOlderThan(this.config.retentionDays);
+
+      const retainedSince = new Date(timestamp.getTime() - this.config.retentionDays * 24 * 60 * 60 * 1000);
+      if (snapshots.length && !this.coveredSince) {
+        this.coveredSince = timestamp;
+      } else if (this.coveredSince && this.coveredSince < retainedSince) {
+        this.coveredSince = retainedSince;
+      }
+      this.lastSnapshotAt = timestamp;
+    } catch (error) {
+      logger.error('Error taking price snapshot:', error);
+    } finally {
+      this.isSnapshotting = false;
+    }
+  }
+
+  // USD price of an asset at a time, null if no source could price it
+  async getPriceAt(assetId, timestamp = new Date()) {
+    if (!assetId) {
+      return null;
+    }
+
+    const time = new Date(timestamp);
+    const maxAgeMs = this.config.maxPriceAgeMs;
+
+    try {
+      const latest = this.latest.get(assetId);
+      if (latest && Math.abs(latest.timestamp - time) <= maxAgeMs) {
+        return latest.priceUsd;
+      }
+
+      if (!this.coveredSince || time >= this.coveredSince.getTime() - maxAgeMs) {
+        const snapshot = await PriceOperations.findNearest(assetId, time, maxAgeMs);
+        if (snapshot) {
+          return snapshot.priceUsd;
+        }
+        // Within the snapshots kept, a gap won't be filled by the sources' history either
+        if (this.coveredSince) {
+          return null;
+        }
+      }
+
+      return await this.getHistoricalPrice(assetId, time);
+    } catch (error) {
+      logger.error(`Error getting ${assetId} price:`, error);
+      return null;
+    }
+  }
+
+  // Price from the first source with history for the asset at a time, through the history cache
+  async getHistoricalPrice(assetId, time) {
+    const key = `${assetId}|${Math.floor(time.getTime() / this.config.maxPriceAgeMs)}`;
+    const cached = this.history.get(key);
+    if (cached && (cached.expiresAt === null || cached.expiresAt > Date.now())) {
+      return cached.priceUsd;
+    }
+
+    let priceUsd = null;
+    for (const source of this.sources) {
+      priceUsd = await source.getHistoricalPrice(assetId, time).catch(error => {
+        logger.debug(`Price source ${source.id} has no history for ${assetId}: ${error.message}`);
+        return null;
+      });
+      if (priceUsd !== null) {
+        break;
+      }
+    }
+
+    // Prices in the past don't change; misses are retried once they expire
+    this.history.delete(key);
+    this.history.set(key, { priceUsd, expiresAt: priceUsd === null ? Date.now() + this.config.historyMissTtlMs : null });
+    if (this.history.size > this.config.historyCacheSize) {
+      this.history.delete(this.history.keys().next().value);
+    }
+    return priceUsd;
+  }
+
+  // USD value of a token amount at a time, null if the asset couldn't be priced
+  async toUsd(assetId, amount, timestamp = new Date()) {
+    const priceUsd = await this.getPriceAt(assetId, timestamp);
+    return priceUsd === null ? null : Math.round(amount * priceUsd * 100) / 100;
+  }
+
+  // Get price service status
+  getStatus() {
+    return {
+      sources: this.sources.map(source => source.id),
+      lastSnapshotAt: this.lastSnapshotAt,
+      pricedAssets: this.latest.size,
+      snapshotsSince: this.coveredSince,
+      cachedHistoricalPrices: this.history.size
+    };
+  }
+}
+
+module.exports = new PriceService();
@@ -0,0 +1,30 @@
+// Base class for USD price sources. A source quotes canonical asset IDs from the
+// token registry (e.g. 'usdc', 'eth'); assets it can't price are left out of
+// its results so the next source in the configured order can try them.
+class BasePriceSource {
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  // Source identifier used in pricing config
+  get id() {
+    return this.constructor.id;
+  }
+
+  // Human readable source name
+  get name() {
+    return this.constructor.displayName || this.constructor.id;
+  }
+
+  // Current USD prices, returns { assetId: priceUsd } for the assets it could price
+  async getPrices(assetIds) {
+    throw new Error(`${this.constructor.name} must implement getPrices`);
+  }
+
+  // USD price of an asset at a past time, null if the source has no history
+  async getHistoricalPrice(assetId, timestamp) {
+    return null;
+  }
+}
+
+module.exports = BasePriceSource;
@@ -0,0 +1,72 @@
+const axios = require('axios');
+const BasePriceSource = require('./BasePriceSource');
+
+// CoinGecko simple price and market chart APIs. `ids` maps canonical asset IDs
+// to CoinGecko coin IDs; assets without a mapping are left to other sources.
+class CoinGeckoPriceSource extends BasePriceSource {
+  constructor(options = {}) {
+    super(options);
+    this.ids = options.ids || {};
+    this.client = axios.create({
+      baseURL: options.apiUrl || 'https://api.coingecko.com/api/v3',
+      timeout: options.requestTimeoutMs || 10000,
+      headers: options.apiKey ? { 'x-cg-demo-api-key': options.apiKey } : {}
+    });
+  }
+
+  async getPrices(assetIds) {
+    const mapped = assetIds.filter(assetId => this.ids[assetId]);
+    if (!mapped.length) {
+      return {};
+    }
+
+    const { data } = await this.client.get('/simple/price', {
+      params: {
+        ids: Array.from(new Set(mapped.map(assetId => this.ids[assetId]))).join(','),
+        vs_currencies: 'usd'
+      }
+    });
+
+    const prices = {};
+    for (const assetId of mapped) {
+      const quote = data[this.ids[assetId]];
+      if (quote && typeof quote.usd === 'number') {
+        prices[assetId] = quote.usd;
+      }
+    }
+    return prices;
+  }
+
+  // Price nearest to the timestamp from the market chart around it
+  async getHistoricalPrice(assetId, timestamp) {
+    const coinId = this.ids[assetId];
+    if (!coinId) {
+      return null;
+    }
+
+    const time = new Date(timestamp).getTime();
+    const windowMs = 60 * 60 * 1000;
+    const { data } = await this.client.get(`/coins/${coinId}/market_chart/range`, {
+      params: {
+        vs_currency: 'usd',
+        from: Math.floor((time - windowMs) / 1000),
+        to: Math.ceil((time + windowMs) / 1000)
+      }
+    });
+
+    const points = (data && data.prices) || [];
+    if (!points.length) {
+      return null;
+    }
+
+    const [, price] = points.reduce((nearest, point) =>
+      Math.abs(point[0] - time) < Math.abs(nearest[0] - time) ? point : nearest
+    );
+    return price;
+  }
+}
+
+CoinGeckoPriceSource.id = 'coingecko';
+CoinGeckoPriceSource.displayName = 'CoinGecko';
+
+module.exports = CoinGeckoPriceSource;
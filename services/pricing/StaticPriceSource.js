@@ -0,0 +1,90 @@
+const fs = require('fs');
+const BasePriceSource = require('./BasePriceSource');
+const logger = require('../../utils/logger');
+
+// Prices from config and an optional CSV file, for offline runs and tests.
+// CSV rows are `assetId,priceUsd[,timestamp]`; rows with a timestamp apply from
+// that time on, rows without one apply at any time. A header row is allowed.
+class StaticPriceSource extends BasePriceSource {
+  constructor(options = {}) {
+    super(options);
+    this.prices = new Map(); // assetId -> [{ priceUsd, time }] sorted by time
+
+    for (const [assetId, priceUsd] of Object.entries(options.prices || {})) {
+      this.addPrice(assetId, priceUsd, null);
+    }
+    if (options.csvPath) {
+      this.loadCsv(options.csvPath);
+    }
+  }
+
+  // Add a price point; time null means it has no start time
+  addPrice(assetId, priceUsd, time) {
+    const price = Number(priceUsd);
+    if (!Number.isFinite(price) || price < 0) {
+      throw new Error(`Invalid price for ${assetId}: ${priceUsd}`);
+    }
+
+    const key = assetId.trim().toLowerCase();
+    const points = this.prices.get(key) || [];
+    points.push({ priceUsd: price, time: time === null ? -Infinity : time });
+    points.sort((a, b) => a.time - b.time);
+    this.prices.set(key, points);
+  }
+
+  // Load price points from a CSV file
+  loadCsv(csvPath) {
+    const lines = fs.readFileSync(csvPath, 'utf8').split(/\r?\n/);
+    let loaded = 0;
+
+    lines.forEach((line, index) => {
+      const [assetId, priceUsd, timestamp] = line.split(',').map(value => value && value.trim());
+      if (!assetId || assetId.startsWith('#') || (index === 0 && isNaN(Number(priceUsd)))) {
+        return;
+      }
+
+      const time = timestamp ? new Date(isNaN(Number(timestamp)) ? timestamp : Number(timestamp)).getTime() : null;
+      if (Number.isNaN(time)) {
+        throw new Error(`Invalid timestamp on line ${index + 1} of ${csvPath}: ${timestamp}`);
+      }
+      this.addPrice(assetId, priceUsd, time);
+      loaded++;
+    });
+
+    logger.info(`Static price source loaded ${loaded} prices from ${csvPath}`);
+  }
+
+  // Latest price point at or before a time
+  priceAt(assetId, time) {
+    const points = this.prices.get(assetId.toLowerCase()) || [];
+    let price = null;
+    for (const point of points) {
+      if (point.time > time) {
+        break;
+      }
+      price = point.priceUsd;
+    }
+    return price;
+  }
+
+  async getPrices(assetIds) {
+    const now = Date.now();
+    const prices = {};
+    for (const assetId of assetIds) {
+      const price = this.priceAt(assetId, now);
+      if (price !== null) {
+        prices[assetId] = price;
+      }
+    }
+    return prices;
+  }
+
+  async getHistoricalPrice(assetId, timestamp) {
+    return this.priceAt(assetId, new Date(timestamp).getTime());
+  }
+}
+
+StaticPriceSource.id = 'static';
+StaticPriceSource.displayName = 'Static prices (config / CSV)';
+
+module.exports = StaticPriceSource;
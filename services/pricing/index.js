@@ -0,0 +1,43 @@
+const fs = require('fs');
+const path = require('path');
+const BasePriceSource = require('./BasePriceSource');
+
+// Price source classes are discovered from *PriceSource.js files in this directory
+const sources = new Map();
+
+function registerPriceSource(SourceClass) {
+  if (!SourceClass.id) {
+    throw new Error(`Price source ${SourceClass.name} has no id`);
+  }
+  sources.set(SourceClass.id, SourceClass);
+}
+
+for (const file of fs.readdirSync(__dirname)) {
+  if (file.endsWith('PriceSource.js') && file !== 'BasePriceSource.js') {
+    registerPriceSource(require(path.join(__dirname, file)));
+  }
+}
+
+// Create a price source instance by id
+function createPriceSource(id, options = {}) {
+  const SourceClass = sources.get(id);
+  if (!SourceClass) {
+    throw new Error(`Unknown price source: ${id}`);
+  }
+  return new SourceClass(options);
+}
+
+// List registered price sources
+function listPriceSources() {
+  return Array.from(sources.values()).map(SourceClass => ({
+    id: SourceClass.id,
+    name: SourceClass.displayName || SourceClass.id
+  }));
+}
+
+module.exports = {
+  BasePriceSource,
+  registerPriceSource,
+  createPriceSource,
+  listPriceSources
+};
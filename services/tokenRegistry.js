@@ -0,0 +1,363 @@
+const { Web3 } = require('web3');
+const ProviderPool = require('../listeners/ProviderPool');
+const config = require('../config/default');
+const chainRegistry = require('../config/chainRegistry');
+const { TokenOperations } = require('../db/operations');
+const logger = require('../utils/logger');
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+const ERC20_METADATA_ABI = [
+  {
+    constant: true,
+    inputs: [],
+    name: 'symbol',
+    outputs: [{ name: '', type: 'string' }],
+    type: 'function'
+  },
+  {
+    constant: true,
+    inputs: [],
+    name: 'decimals',
+    outputs: [{ name: '', type: 'uint8' }],
+    type: 'function'
+  },
+  {
+    constant: true,
+    inputs: [],
+    name: 'name',
+    outputs: [{ name: '', type: 'string' }],
+    type: 'function'
+  }
+];
+
+// Registry of token deployments keyed by (chainId, address), each optionally linked
+// to a canonical asset ID shared by its deployments on other chains. Matching, volume
+// and anomaly rules compare canonical assets instead of symbols, which any contract
+// can claim. Metadata comes from the token contract itself.
+class TokenRegistry {
+  constructor() {
+    this.tokens = new Map(); // `${chainId}:${address}` -> token
+    this.lookups = new Map(); // In-flight discoveries, so concurrent events share one RPC round
+    this.web3ByChain = new Map();
+    this.isLoaded = false;
+  }
+
+  // Cache key for a deployment
+  static key(chainId, address) {
+    return `${Number(chainId)}:${address.toLowerCase()}`;
+  }
+
+  // Check if an address stands for the chain's native asset
+  static isNative(address) {
+    return !address || address.toLowerCase() === ZERO_ADDRESS;
+  }
+
+  // Load the registry and add any configured seed tokens it doesn't have yet
+  async load() {
+    try {
+      const tokens = await TokenOperations.getAll();
+      tokens.forEach(token => this.cache(token));
+
+      for (const seed of config.tokens || []) {
+        const chain = chainRegistry.getChainById(seed.chainId);
+        if (!chain || this.tokens.has(TokenRegistry.key(seed.chainId, seed.address))) {
+          continue;
+        }
+
+        const token = await TokenOperations.upsert({
+          ...seed,
+          networkName: chain.networkName,
+          source: 'seed',
+          verificationStatus: 'unverified'
+        });
+        this.cache(token.toObject());
+      }
+
+      this.isLoaded = true;
+      logger.info(`Token registry loaded with ${this.tokens.size} tokens`);
+
+      // Check unverified entries against the chain without holding up startup
+      this.verifyPending();
+    } catch (error) {
+      logger.error('Error loading token registry:', error);
+      throw error;
+    }
+  }
+
+  // Store a token in the in-memory cache
+  cache(token) {
+    const entry = {
+      chainId: token.chainId,
+      networkName: token.networkName,
+      address: token.address.toLowerCase(),
+      canonicalAssetId: token.canonicalAssetId || null,
+      symbol: token.symbol,
+      name: token.name,
+      decimals: token.decimals,
+      verificationStatus: token.verificationStatus,
+      source: token.source
+    };
+    this.tokens.set(TokenRegistry.key(entry.chainId, entry.address), entry);
+    return entry;
+  }
+
+  // Native asset of a chain as a token entry
+  getNativeToken(chainId) {
+    const chain = chainRegistry.getChainById(chainId);
+    const nativeAsset = (chain && chain.config.nativeAsset) || { symbol: 'NATIVE', decimals: 18, canonicalAssetId: null };
+
+    return {
+      chainId: Number(chainId),
+      networkName: chain ? chain.networkName : null,
+      address: ZERO_ADDRESS,
+      canonicalAssetId: nativeAsset.canonicalAssetId || null,
+      symbol: nativeAsset.symbol,
+      name: nativeAsset.symbol,
+      decimals: nativeAsset.decimals,
+      verificationStatus: 'verified',
+      source: 'seed'
+    };
+  }
+
+  // Get a token, discovering and recording it from the chain the first time it is seen
+  async getToken(chainId, address) {
+    if (TokenRegistry.isNative(address)) {
+      return this.getNativeToken(chainId);
+    }
+
+    const key = TokenRegistry.key(chainId, address);
+    if (this.tokens.has(key)) {
+      return this.tokens.get(key);
+    }
+    if (this.lookups.has(key)) {
+      return this.lookups.get(key);
+    }
+
+    const lookup = this.discover(chainId, address).finally(() => this.lookups.delete(key));
+    this.lookups.set(key, lookup);
+    return lookup;
+  }
+
+  // Look a token up in the database, or read it from its contract and record it unmapped
+  async discover(chainId, address) {
+    try {
+      const stored = await TokenOperations.findByAddress(chainId, address);
+      if (stored) {
+        return this.cache(stored.toObject());
+      }
+
+      const metadata = await this.fetchMetadata(chainId, address);
+      const token = await TokenOperations.upsert({
+        chainId,
+        networkName: chainRegistry.getNetworkName(chainId),
+        address,
+        ...metadata,
+        verificationStatus: 'verified',
+        verifiedAt: new Date(),
+        source: 'discovered'
+      });
+
+      logger.debug(`Discovered token ${metadata.symbol} ${address} on chain ${chainId}`);
+      return this.cache(token.toObject());
+    } catch (error) {
+      logger.error(`Error discovering token ${address} on chain ${chainId}:`, error);
+
+      // Not cached, so the next event retries the lookup
+      return {
+        chainId: Number(chainId),
+        address: address.toLowerCase(),
+        canonicalAssetId: null,
+        symbol: 'UNKNOWN',
+        name: 'Unknown Token',
+        decimals: 18,
+        verificationStatus: 'unverified',
+        source: 'discovered'
+      };
+    }
+  }
+
+  // Web3 instance for reading token contracts on a chain
+  getWeb3(chainId) {
+    const chain = chainRegistry.getChainById(chainId);
+    if (!chain) {
+      throw new Error(`Chain ${chainId} is not registered`);
+    }
+
+    if (!this.web3ByChain.has(chain.chainId)) {
+      const pool = new ProviderPool(
+        chain.name,
+        [chain.config.rpcUrl, ...(chain.config.rpcUrls || [])],
+        config.providerPool
+      );
+      this.web3ByChain.set(chain.chainId, new Web3(pool));
+    }
+
+    return this.web3ByChain.get(chain.chainId);
+  }
+
+  // Read symbol, decimals and name from the token contract
+  async fetchMetadata(chainId, address) {
+    const web3 = this.getWeb3(chainId);
+    const contract = new web3.eth.Contract(ERC20_METADATA_ABI, address);
+
+    // Decimals decide how every amount is read, so the token must report them
+    const [symbol, decimals, name] = await Promise.all([
+      contract.methods.symbol().call().catch(() => 'UNKNOWN'),
+      contract.methods.decimals().call(),
+      contract.methods.name().call().catch(() => 'Unknown Token')
+    ]);
+
+    return { symbol, decimals: Number(decimals), name };
+  }
+
+  // Compare expected metadata with the token contract, returns { status, metadata, error }
+  async checkOnChain(chainId, address, expected = {}) {
+    try {
+      const metadata = await this.fetchMetadata(chainId, address);
+      const problems = [];
+
+      if (expected.decimals !== undefined && expected.decimals !== null && Number(expected.decimals) !== metadata.decimals) {
+        problems.push(`decimals ${expected.decimals} != on-chain ${metadata.decimals}`);
+      }
+      if (expected.symbol && expected.symbol !== metadata.symbol) {
+        problems.push(`symbol ${expected.symbol} != on-chain ${metadata.symbol}`);
+      }
+
+      return {
+        status: problems.length ? 'mismatch' : 'verified',
+        metadata,
+        error: problems.length ? problems.join(', ') : null
+      };
+    } catch (error) {
+      return { status: 'unverified', metadata: null, error: error.message };
+    }
+  }
+
+  // Register a deployment under a canonical asset; on-chain metadata wins over what was supplied
+  async register({ chainId, address, canonicalAssetId, symbol, decimals, name, registeredBy = null, source = 'admin' }, check = null) {
+    const chain = chainRegistry.getChainById(chainId);
+    if (!chain) {
+      throw new Error(`Chain ${chainId} is not registered`);
+    }
+
+    const verification = check || await this.checkOnChain(chainId, address, { symbol, decimals });
+    const metadata = verification.metadata || { symbol, decimals, name };
+    if (!metadata.symbol || metadata.decimals === undefined || metadata.decimals === null) {
+      throw new Error(`Token ${address} could not be read on chain ${chainId}; symbol and decimals are required`);
+    }
+
+    const token = await TokenOperations.upsert({
+      chainId: chain.chainId,
+      networkName: chain.networkName,
+      address,
+      canonicalAssetId: canonicalAssetId || null,
+      symbol: metadata.symbol,
+      name: metadata.name || name,
+      decimals: Number(metadata.decimals),
+      verificationStatus: verification.status,
+      verifiedAt: verification.status === 'unverified' ? null : new Date(),
+      verificationError: verification.error,
+      source,
+      registeredBy
+    });
+
+    this.cache(token.toObject());
+    return token;
+  }
+
+  // Re-check a registered token against its contract
+  async verify(chainId, address) {
+    const cached = this.tokens.get(TokenRegistry.key(chainId, address));
+    const stored = cached || await TokenOperations.findByAddress(chainId, address);
+    if (!stored) {
+      return null;
+    }
+
+    const check = await this.checkOnChain(chainId, address, { symbol: stored.symbol, decimals: stored.decimals });
+    if (check.status === 'mismatch') {
+      logger.warn(`Token ${address} on chain ${chainId} does not match the registry: ${check.error}`);
+    }
+
+    const token = await TokenOperations.upsert({
+      chainId: Number(chainId),
+      address,
+      verificationStatus: check.status,
+      verifiedAt: check.status === 'unverified' ? stored.verifiedAt : new Date(),
+      verificationError: check.error
+    });
+    this.cache(token.toObject());
+    return token;
+  }
+
+  // Verify every token that hasn't been checked on-chain yet
+  async verifyPending() {
+    const pending = Array.from(this.tokens.values()).filter(token => token.verificationStatus === 'unverified');
+
+    for (const token of pending) {
+      await this.verify(token.chainId, token.address).catch(error => {
+        logger.debug(`Could not verify token ${token.address} on chain ${token.chainId}:`, error);
+      });
+    }
+  }
+
+  // Remove a deployment from the registry
+  async remove(chainId, address) {
+    const token = await TokenOperations.remove(chainId, address);
+    this.tokens.delete(TokenRegistry.key(chainId, address));
+    return token;
+  }
+
+  // Canonical asset of a deployment, null if it isn't mapped
+  getCanonicalAssetId(chainId, address) {
+    if (TokenRegistry.isNative(address)) {
+      return this.getNativeToken(chainId).canonicalAssetId;
+    }
+
+    const token = this.tokens.get(TokenRegistry.key(chainId, address));
+    return token ? token.canonicalAssetId : null;
+  }
+
+  // Canonical asset of a stored transaction, preferring what was recorded at ingestion
+  getTransactionAsset(transaction) {
+    return transaction.canonicalAssetId || this.getCanonicalAssetId(transaction.chainId, transaction.tokenAddress);
+  }
+
+  // Every canonical asset known to the registry, including native assets
+  getCanonicalAssetIds() {
+    const assetIds = new Set(Array.from(this.tokens.values()).map(token => token.canonicalAssetId));
+    chainRegistry.getChains().forEach(chain => assetIds.add(this.getNativeToken(chain.chainId).canonicalAssetId));
+    assetIds.delete(null);
+    return Array.from(assetIds).sort();
+  }
+
+  // Check if two transactions move the same canonical asset
+  areEquivalent(tx1, tx2) {
+    const asset = this.getTransactionAsset(tx1);
+    return Boolean(asset) && asset === this.getTransactionAsset(tx2);
+  }
+
+  // Check if an unmapped token uses the symbol of a mapped asset (e.g. a fake "USDC")
+  isSymbolImpersonation(chainId, address, symbol) {
+    if (!symbol || TokenRegistry.isNative(address) || this.getCanonicalAssetId(chainId, address)) {
+      return false;
+    }
+
+    const claimed = symbol.trim().toUpperCase();
+    const mappedSymbols = Array.from(this.tokens.values())
+      .filter(token => token.canonicalAssetId)
+      .map(token => token.symbol.toUpperCase());
+    const nativeSymbols = chainRegistry.getChains()
+      .filter(chain => chain.config.nativeAsset)
+      .map(chain => chain.config.nativeAsset.symbol.toUpperCase());
+
+    return mappedSymbols.includes(claimed) || nativeSymbols.includes(claimed);
+  }
+
+  // Number of registered tokens on a chain
+  countForChain(chainId) {
+    return Array.from(this.tokens.values()).filter(token => token.chainId === Number(chainId)).length;
+  }
+}
+
+module.exports = new TokenRegistry();
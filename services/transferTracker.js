@@ -0,0 +1,198 @@
+const config = require('../config/default');
+const chainRegistry = require('../config/chainRegistry');
+const { TransferOperations } = require('../db/operations');
+const { expectedNet } = require('../bridges/feeSchedule');
+const tokenRegistry = require('./tokenRegistry');
+const { parseUnits, formatUnits, transactionAmount, toBps, applyBps } = require('../utils/amounts');
+const logger = require('../utils/logger');
+
+// Keeps one BridgeTransfer per logical transfer: the source leg, the destination
+// leg(s) the matcher tied to it, the fee-adjusted amounts, a status timeline and
+// latency. A payout split over several destination legs stays 'partial' until the
+// legs add up to what the source should deliver after the bridge fee.
+class TransferTracker {
+  constructor() {
+    this.toleranceBps = config.matching.amountToleranceBps;
+  }
+
+  // Leg summary stored on a transfer
+  static toLeg(transaction) {
+    return {
+      transactionId: transaction._id,
+      txHash: transaction.txHash,
+      chainId: transaction.chainId,
+      networkName: transaction.networkName,
+      eventType: transaction.eventType,
+      amount: formatUnits(transactionAmount(transaction)),
+      amountUsd: transaction.amountUsd === undefined ? null : transaction.amountUsd,
+      from: transaction.from,
+      to: transaction.recipient || transaction.to,
+      blockNumber: transaction.blockNumber,
+      timestamp: transaction.timestamp
+    };
+  }
+
+  // Get the transfer for a source leg, creating it in 'pending' the first time
+  async open(source) {
+    const { sourceAmount, fee, expectedAmount } = expectedNet(source);
+
+    return TransferOperations.openForSource({
+      bridgeId: source.bridgeId || null,
+      bridgeLabel: source.bridgeLabel,
+      bridgeAdapter: source.bridgeAdapter,
+      canonicalAssetId: tokenRegistry.getTransactionAsset(source),
+      tokenSymbol: source.tokenSymbol,
+      route: {
+        sourceChainId: source.chainId,
+        sourceNetwork: source.networkName,
+        targetChainId: source.targetChainId || null,
+        targetNetwork: source.targetChainId ? chainRegistry.getNetworkName(source.targetChainId) : null
+      },
+      source: TransferTracker.toLeg(source),
+      destinations: [],
+      sourceAmount: formatUnits(sourceAmount),
+      feeAmount: formatUnits(fee),
+      expectedAmount: formatUnits(expectedAmount),
+      amountUsd: source.amountUsd === undefined ? null : source.amountUsd,
+      status: 'pending',
+      timeline: [{ status: 'pending', at: source.timestamp, note: `${source.eventType} on ${source.networkName}` }],
+      initiatedAt: source.timestamp
+    });
+  }
+
+  // Record a destination leg against its source and settle the transfer's status
+  async addDestination(source, destination, { method, confidence }) {
+    try {
+      const transfer = await this.open(source);
+
+      if (!transfer.hasDestination(destination._id)) {
+        transfer.destinations.push(TransferTracker.toLeg(destination));
+      }
+
+      // A manual link overrides how the matcher found the legs; otherwise the first method sticks
+      if (!transfer.matchMethod || method === 'manual') {
+        transfer.matchMethod = method;
+      }
+      // The least certain leg decides how sure we are about the whole transfer
+      transfer.matchConfidence = transfer.matchConfidence === null
+        ? confidence
+        : Math.min(transfer.matchConfidence, confidence);
+
+      this.settle(transfer, `${destination.eventType} on ${destination.networkName}`);
+      return await TransferOperations.save(transfer);
+    } catch (error) {
+      logger.error(`Error recording destination ${destination.txHash} for transfer of ${source.txHash}:`, error);
+      return null;
+    }
+  }
+
+  // Recompute received amount, deviation, status and latency from the destination legs
+  settle(transfer, note = null) {
+    const sourceAmount = parseUnits(transfer.sourceAmount);
+    const expectedAmount = parseUnits(transfer.expectedAmount);
+    const received = transfer.destinations.reduce((sum, leg) => sum + parseUnits(leg.amount), 0n);
+    const deviation = received - expectedAmount;
+    const hasDestinations = transfer.destinations.length > 0;
+
+    transfer.receivedAmount = formatUnits(received);
+    transfer.deviation = hasDestinations ? formatUnits(deviation) : null;
+    transfer.deviationBps = hasDestinations ? toBps(deviation, sourceAmount) : null;
+
+    // A transfer whose source was rolled back never settles
+    if (transfer.status === 'reorged') {
+      return transfer;
+    }
+
+    if (!hasDestinations) {
+      transfer.completedAt = null;
+      transfer.latencyMs = null;
+      if (transfer.status !== 'timeout') {
+        transfer.setStatus('pending', note);
+      }
+      return transfer;
+    }
+
+    const complete = received + applyBps(sourceAmount, this.toleranceBps) >= expectedAmount;
+    if (complete) {
+      const lastLeg = Math.max(...transfer.destinations.map(leg => new Date(leg.timestamp).getTime()));
+      transfer.completedAt = new Date(lastLeg);
+      transfer.latencyMs = lastLeg - new Date(transfer.initiatedAt).getTime();
+      transfer.setStatus('completed', note);
+    } else {
+      transfer.completedAt = null;
+      transfer.latencyMs = null;
+      transfer.setStatus('partial', note);
+    }
+    return transfer;
+  }
+
+  // Amount still owed to the recipients of a transfer, normalized
+  getOutstanding(transfer) {
+    const outstanding = parseUnits(transfer.expectedAmount) - parseUnits(transfer.receivedAmount);
+    return outstanding > 0n ? outstanding : 0n;
+  }
+
+  // Drop destination legs an operator split from the source and settle the transfer again
+  async removeDestinations(source, transactionIds, note = null) {
+    try {
+      const transfer = await TransferOperations.findBySourceTransaction(source._id);
+      if (!transfer) {
+        return null;
+      }
+
+      const removed = new Set(transactionIds.map(id => id.toString()));
+      transfer.destinations = transfer.destinations.filter(leg => !removed.has(leg.transactionId.toString()));
+      if (transfer.destinations.length === 0) {
+        transfer.matchMethod = null;
+        transfer.matchConfidence = null;
+      }
+
+      this.settle(transfer, note);
+      return await TransferOperations.save(transfer);
+    } catch (error) {
+      logger.error(`Error removing destination legs from transfer of ${source.txHash}:`, error);
+      return null;
+    }
+  }
+
+  // Mark the transfer of a source leg that never completed as timed out
+  async markTimeout(source, note = null) {
+    try {
+      const transfer = await this.open(source);
+      if (['pending', 'partial'].includes(transfer.status)) {
+        transfer.setStatus('timeout', note);
+        return await TransferOperations.save(transfer);
+      }
+      return transfer;
+    } catch (error) {
+      logger.error(`Error marking transfer of ${source.txHash} as timed out:`, error);
+      return null;
+    }
+  }
+
+  // Reflect a leg that was rolled back by a reorg
+  async handleReorg(transaction) {
+    try {
+      const transfer = await TransferOperations.findByTransaction(transaction._id);
+      if (!transfer) {
+        return null;
+      }
+
+      const note = `${transaction.txHash} reorged out of block ${transaction.blockNumber} on ${transaction.networkName}`;
+      if (transfer.source.transactionId.toString() === transaction._id.toString()) {
+        transfer.setStatus('reorged', note);
+      } else {
+        transfer.destinations = transfer.destinations.filter(leg =>
+          leg.transactionId.toString() !== transaction._id.toString());
+        this.settle(transfer, note);
+      }
+
+      return await TransferOperations.save(transfer);
+    } catch (error) {
+      logger.error(`Error updating transfer for reorged transaction ${transaction.txHash}:`, error);
+      return null;
+    }
+  }
+}
+
+module.exports = new TransferTracker();
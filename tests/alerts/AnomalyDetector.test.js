@@ -0,0 +1,85 @@
+jest.mock('../../db/operations', () => ({
+  TransactionOperations: {
+    findSameTransfer: jest.fn()
+  }
+}));
+
+const { TransactionOperations } = require('../../db/operations');
+const config = require('../../config/default');
+const AnomalyDetector = require('../../alerts/AnomalyDetector');
+const WindowedAggregates = require('../../alerts/WindowedAggregates');
+const { NOW, transfer, stored } = require('../helpers/transactions');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('AnomalyDetector', () => {
+  describe('rule configuration', () => {
+    const detector = new AnomalyDetector({});
+
+    it('configures every detection handler under its camelCase name with an explicit enabled flag', () => {
+      for (const ruleName of detector.detectionHandlers.keys()) {
+        const key = ruleName.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+
+        expect(config.anomalyRules).toHaveProperty(key);
+        expect(typeof config.anomalyRules[key].enabled).toBe('boolean');
+      }
+    });
+
+    it('gives every configured rule an explicit enabled flag', () => {
+      for (const rule of Object.values(config.anomalyRules)) {
+        expect(typeof rule.enabled).toBe('boolean');
+      }
+    });
+
+    it('runs only the handlers whose rule is enabled', () => {
+      expect(detector.isRuleEnabled('gas_anomaly')).toBe(true);
+      expect(detector.isRuleEnabled('replay_attack')).toBe(false);
+    });
+  });
+
+  describe('detectDuplicateTransaction', () => {
+    let aggregates;
+    let detector;
+    let original;
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      jest.useFakeTimers({ now: NOW + HOUR });
+      aggregates = new WindowedAggregates();
+      detector = new AnomalyDetector({ windowedAggregates: aggregates });
+      original = stored(transfer({ txHash: '0xoriginal' }));
+      aggregates.recordTransaction(original);
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('raises a transfer seen again on its chain, whatever the case of its addresses', async () => {
+      const replay = stored(transfer({ txHash: '0xreplay', from: original.from.toLowerCase(), timestamp: new Date(NOW + HOUR) }));
+      aggregates.recordTransaction(replay);
+      TransactionOperations.findSameTransfer.mockResolvedValue([original]);
+
+      const result = await detector.detectDuplicateTransaction(replay);
+
+      expect(TransactionOperations.findSameTransfer).toHaveBeenCalledWith(replay, 24 * HOUR);
+      expect(result).toMatchObject({
+        type: 'duplicate_transaction',
+        data: { originalTransactionHash: '0xoriginal', duplicateTransactionHash: '0xreplay', timeBetweenDuplicates: HOUR }
+      });
+    });
+
+    it('ignores legs that share the bridge ID and amount but not the addresses', async () => {
+      const replay = stored(transfer({ txHash: '0xreplay' }));
+      aggregates.recordTransaction(replay);
+      TransactionOperations.findSameTransfer.mockResolvedValue([{ ...original, to: '0x00000000000000000000000000000000000000e2' }]);
+
+      expect(await detector.detectDuplicateTransaction(replay)).toBeNull();
+    });
+
+    it('does not query the database for a transfer seen once', async () => {
+      expect(await detector.detectDuplicateTransaction(original)).toBeNull();
+      expect(TransactionOperations.findSameTransfer).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,193 @@
+jest.mock('../../db/operations', () => ({
+  BaselineOperations: {
+    loadAll: jest.fn(),
+    saveMany: jest.fn()
+  }
+}));
+
+const { BaselineOperations } = require('../../db/operations');
+const config = require('../../config/default');
+const BaselineModels = require('../../alerts/BaselineModels');
+const { NOW, transfer, destination, stored } = require('../helpers/transactions');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const WEEK = 7 * 24 * HOUR;
+const TOKEN = '1:0x00000000000000000000000000000000000000c1';
+
+describe('BaselineModels', () => {
+  let alertSystem;
+  let baselines;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    alertSystem = { anomalyDetector: { detectLatencyAnomaly: jest.fn(), createAnomaly: jest.fn() } };
+    baselines = new BaselineModels(alertSystem, { ...config.baselines, warmupSamples: 5 });
+  });
+
+  // Teach the transfer size model `count` transfers of `amount`, an hour apart from `start`
+  function observe(amount, count, start = NOW - count * HOUR) {
+    for (let i = 0; i < count; i++) {
+      baselines.learn(baselines.getModel('transfer_size', TOKEN), amount, start + i * HOUR);
+    }
+  }
+
+  describe('score', () => {
+    it('scores nothing against a model that has never seen a value', () => {
+      expect(baselines.scoreTransferSize(transfer())).toBeNull();
+    });
+
+    it('scores in log10 deviations, floored for a constant series', () => {
+      observe(100, 5);
+
+      const result = baselines.scoreTransferSize(transfer({ amountFormatted: '1000' }));
+
+      expect(result).toMatchObject({ value: 1000, stdDev: config.baselines.minStdDev, samples: 5, warm: true, seasonal: false });
+      expect(result.expected).toBeCloseTo(100);
+      expect(result.zScore).toBeCloseTo(1 / config.baselines.minStdDev);
+    });
+
+    it('stays cold with no confidence until warmed up, reaching full confidence at four times the warm-up', () => {
+      observe(100, 4);
+      expect(baselines.scoreTransferSize(transfer())).toMatchObject({ warm: false, confidence: 0 });
+
+      observe(100, 6);
+      expect(baselines.scoreTransferSize(transfer())).toMatchObject({ warm: true, confidence: 0.5 });
+
+      observe(100, 10);
+      expect(baselines.scoreTransferSize(transfer()).confidence).toBe(1);
+    });
+
+    it('scores against the hour-of-week slot once it has seen enough of that hour', () => {
+      // Three Thursday noons of 1000, then quieter hours of 100
+      [3, 2, 1].forEach(weeks => observe(1000, 1, NOW - weeks * WEEK));
+      observe(100, 5);
+
+      const atNoon = baselines.scoreTransferSize(transfer({ amountFormatted: '1000' }));
+      const atOne = baselines.scoreTransferSize(transfer({ amountFormatted: '1000', timestamp: new Date(NOW + HOUR) }));
+
+      expect(atNoon).toMatchObject({ seasonal: true, slot: BaselineModels.slotOf(NOW) });
+      expect(atNoon.expected).toBeCloseTo(1000);
+      expect(Math.abs(atNoon.zScore)).toBeLessThan(1);
+      expect(atOne.seasonal).toBe(false);
+      // Other hours score against the overall mean, which the quieter hours pulled down
+      expect(atOne.zScore).toBeGreaterThan(atNoon.zScore);
+    });
+  });
+
+  describe('learn', () => {
+    it('clips an outlier once warmed up so one spike cannot drag the baseline', () => {
+      observe(100, 5);
+      const model = baselines.getModel('transfer_size', TOKEN);
+
+      baselines.learn(model, 1e12, NOW);
+
+      const bound = config.baselines.clipZ * config.baselines.minStdDev;
+      expect(model.overall.mean).toBeCloseTo(2 + config.baselines.alpha * bound);
+      expect(model.dirty).toBe(true);
+    });
+
+    it('ignores values that are not positive', () => {
+      const model = baselines.getModel('transfer_size', TOKEN);
+
+      baselines.learn(model, 0, NOW);
+
+      expect(model.overall.count).toBe(0);
+    });
+  });
+
+  describe('hourly volume', () => {
+    it('learns an hour\'s volume once the next hour starts and scores the current hour so far', () => {
+      baselines.observeTransaction(transfer({ timestamp: new Date(NOW) }));
+      baselines.observeTransaction(transfer({ timestamp: new Date(NOW + 30 * MINUTE) }));
+      expect(baselines.scoreHourlyVolume(transfer())).toBeNull();
+
+      baselines.observeTransaction(transfer({ timestamp: new Date(NOW + HOUR) }));
+
+      const model = baselines.getModel('hourly_volume', TOKEN);
+      expect(model.overall).toMatchObject({ count: 1, mean: Math.log10(200) });
+      expect(model.hour).toMatchObject({ start: NOW + HOUR, volume: 100 });
+
+      const result = baselines.scoreHourlyVolume(transfer({ amountFormatted: '50', timestamp: new Date(NOW + HOUR + MINUTE) }));
+      expect(result).toMatchObject({ value: 150, hourStart: new Date(NOW + HOUR), flagged: false });
+    });
+
+    it('leaves transfers arriving for a closed hour out', () => {
+      baselines.observeTransaction(transfer({ timestamp: new Date(NOW) }));
+      baselines.observeTransaction(transfer({ timestamp: new Date(NOW + HOUR) }));
+
+      baselines.observeTransaction(transfer({ timestamp: new Date(NOW + MINUTE) }));
+
+      expect(baselines.getModel('hourly_volume', TOKEN).hour.volume).toBe(100);
+      expect(baselines.scoreHourlyVolume(transfer({ timestamp: new Date(NOW + MINUTE) }))).toBeNull();
+    });
+
+    it('remembers a flagged hour until the next one starts', () => {
+      baselines.observeTransaction(transfer({ timestamp: new Date(NOW) }));
+      baselines.observeTransaction(transfer({ timestamp: new Date(NOW + HOUR) }));
+
+      baselines.flagHour(transfer({ timestamp: new Date(NOW + HOUR) }));
+      expect(baselines.scoreHourlyVolume(transfer({ timestamp: new Date(NOW + HOUR) })).flagged).toBe(true);
+
+      baselines.observeTransaction(transfer({ timestamp: new Date(NOW + 2 * HOUR) }));
+      expect(baselines.scoreHourlyVolume(transfer({ timestamp: new Date(NOW + 2 * HOUR) })).flagged).toBe(false);
+    });
+  });
+
+  describe('checkLatency', () => {
+    const source = stored(transfer({ txHash: '0xsource' }));
+    const mint = stored(destination({ txHash: '0xmint' }));
+
+    it('raises what the detector finds, then learns the latency for the route', async () => {
+      alertSystem.anomalyDetector.detectLatencyAnomaly.mockResolvedValue({ type: 'latency_anomaly' });
+
+      await baselines.checkLatency(source, mint);
+
+      expect(alertSystem.anomalyDetector.createAnomaly).toHaveBeenCalledWith({ type: 'latency_anomaly' }, mint);
+      expect(baselines.getModel('bridge_latency', '1->137').overall).toMatchObject({ count: 1, mean: Math.log10(5 * MINUTE) });
+      expect(baselines.scoreLatency(source, mint).value).toBe(5 * MINUTE);
+    });
+
+    it('skips a destination that did not land after its source', async () => {
+      await baselines.checkLatency(source, { ...mint, timestamp: new Date(NOW) });
+
+      expect(alertSystem.anomalyDetector.detectLatencyAnomaly).not.toHaveBeenCalled();
+      expect(baselines.models.size).toBe(0);
+    });
+  });
+
+  describe('persistence', () => {
+    it('saves only the models that changed', async () => {
+      observe(100, 1);
+      baselines.getModel('bridge_latency', '1->137');
+
+      await baselines.persist();
+      await baselines.persist();
+
+      expect(BaselineOperations.saveMany).toHaveBeenCalledTimes(2);
+      expect(BaselineOperations.saveMany.mock.calls[0][0]).toEqual([expect.objectContaining({ metric: 'transfer_size', key: TOKEN })]);
+      expect(BaselineOperations.saveMany.mock.calls[1][0]).toEqual([]);
+    });
+
+    it('keeps models pending when a save fails', async () => {
+      observe(100, 1);
+      BaselineOperations.saveMany.mockRejectedValueOnce(new Error('write failed'));
+
+      await baselines.persist();
+
+      expect(baselines.getModel('transfer_size', TOKEN).dirty).toBe(true);
+      expect(baselines.lastPersistAt).toBeNull();
+    });
+
+    it('reloads persisted models as saved', async () => {
+      BaselineOperations.loadAll.mockResolvedValue([
+        { metric: 'transfer_size', key: TOKEN, overall: { count: 5, mean: 2, variance: 0 }, updatedAt: new Date(NOW) }
+      ]);
+
+      await baselines.load();
+
+      expect(baselines.getModel('transfer_size', TOKEN)).toMatchObject({ slots: {}, hour: null, dirty: false });
+      expect(baselines.scoreTransferSize(transfer()).warm).toBe(true);
+    });
+  });
+});
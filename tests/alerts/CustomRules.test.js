@@ -0,0 +1,125 @@
+jest.mock('../../db/operations', () => ({
+  CustomRuleOperations: {
+    findEnabled: jest.fn(),
+    recordTrigger: jest.fn()
+  },
+  TransactionOperations: {
+    findForReplay: jest.fn()
+  }
+}));
+
+const { TransactionOperations } = require('../../db/operations');
+const CustomRules = require('../../alerts/CustomRules');
+const { NOW, transfer } = require('../helpers/transactions');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const OPTIONS = {
+  refreshIntervalMs: MINUTE,
+  dedupeWindowMs: HOUR,
+  dryRunMaxDays: 30,
+  dryRunMaxTransactions: 100,
+  dryRunSamples: 2
+};
+
+// Raises once an address has sent three transfers within the hour
+const BURST = {
+  id: 'burst',
+  name: 'Burst of transfers',
+  severity: 'high',
+  confidence: 0.8,
+  when: { aggregate: { dimension: 'address', window: '1h', stat: 'count' }, gte: 3 },
+  message: { title: 'Burst from {{from}}', description: '{{aggregate.address.1h.count}} transfers this hour' },
+  dedupe: { key: '{{from}}', windowMs: 30 * MINUTE }
+};
+
+// Hash of the transfer `offsetMs` before NOW
+function hashAt(offsetMs) {
+  return `0x${(-offsetMs).toString(16)}`;
+}
+
+function at(offsetMs, overrides = {}) {
+  return transfer({ _id: hashAt(offsetMs), txHash: hashAt(offsetMs), timestamp: new Date(NOW + offsetMs), ...overrides });
+}
+
+describe('CustomRules', () => {
+  let rules;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers({ now: NOW });
+    rules = new CustomRules({ anomalyDetector: { detectionHandlers: new Map() } }, OPTIONS);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('dryRun', () => {
+    it('replays the rule over stored transfers without storing anything', async () => {
+      TransactionOperations.findForReplay.mockResolvedValue([
+        at(-3 * MINUTE),
+        at(-2 * MINUTE),
+        at(-MINUTE),
+        at(-MINUTE, { from: '0x0000000000000000000000000000000000000002' })
+      ]);
+
+      const result = await rules.dryRun(BURST, 1);
+
+      expect(result).toMatchObject({ ruleId: 'burst', evaluated: 4, matched: 1, anomalies: 1, deduplicated: 0, truncated: false });
+      expect(result.samples).toEqual([expect.objectContaining({
+        txHash: hashAt(-MINUTE),
+        severity: 'high',
+        title: 'Burst from 0xAbC0000000000000000000000000000000000001',
+        description: '3 transfers this hour',
+        dedupeKey: '0xAbC0000000000000000000000000000000000001'
+      })]);
+      expect(rules.raised.size).toBe(0);
+    });
+
+    it('reads transfers from a window early so aggregates are full from the first one evaluated', async () => {
+      TransactionOperations.findForReplay.mockResolvedValue([
+        at(-DAY - 2 * MINUTE),
+        at(-DAY - MINUTE),
+        at(-DAY + MINUTE)
+      ]);
+
+      const result = await rules.dryRun(BURST, 1);
+
+      const [from, to, limit] = TransactionOperations.findForReplay.mock.calls[0];
+      expect(from).toEqual(new Date(NOW - DAY - DAY));
+      expect(to).toEqual(new Date(NOW));
+      expect(limit).toBe(OPTIONS.dryRunMaxTransactions);
+      expect(result).toMatchObject({ evaluated: 1, matched: 1, anomalies: 1 });
+    });
+
+    it('applies the dedupe window and caps the samples', async () => {
+      TransactionOperations.findForReplay.mockResolvedValue([
+        at(-50 * MINUTE),
+        at(-49 * MINUTE),
+        at(-48 * MINUTE),
+        at(-40 * MINUTE), // Within 30 minutes of the last anomaly
+        at(-10 * MINUTE),
+        at(-5 * MINUTE)
+      ]);
+
+      const result = await rules.dryRun(BURST, 1);
+
+      expect(result).toMatchObject({ matched: 4, anomalies: 2, deduplicated: 2 });
+      expect(result.samples.map(sample => sample.txHash)).toEqual([hashAt(-48 * MINUTE), hashAt(-10 * MINUTE)]);
+    });
+
+    it('reports a replay cut short by the transaction limit', async () => {
+      TransactionOperations.findForReplay.mockResolvedValue(
+        Array.from({ length: OPTIONS.dryRunMaxTransactions }, (_, i) => at(-i * 1000, { from: `0x${i}` }))
+      );
+
+      const result = await rules.dryRun(BURST, 1);
+
+      expect(result.truncated).toBe(true);
+      expect(result.anomalies).toBe(0);
+    });
+  });
+});
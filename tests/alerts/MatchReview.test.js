@@ -0,0 +1,190 @@
+jest.mock('../../db/operations', () => ({
+  TransactionOperations: {
+    findById: jest.fn(),
+    findByIds: jest.fn(),
+    matchTransactions: jest.fn(),
+    markMatched: jest.fn(),
+    rejectMatch: jest.fn(),
+    confirmMatch: jest.fn()
+  },
+  TransferOperations: {
+    findBySourceTransaction: jest.fn(),
+    findByTransaction: jest.fn()
+  },
+  MatchAuditOperations: {
+    create: jest.fn()
+  }
+}));
+jest.mock('../../services/transferTracker', () => ({
+  addDestination: jest.fn(),
+  removeDestinations: jest.fn()
+}));
+
+const { TransactionOperations, TransferOperations, MatchAuditOperations } = require('../../db/operations');
+const transferTracker = require('../../services/transferTracker');
+const eventBus = require('../../utils/eventBus');
+const TransactionMatcher = require('../../alerts/TransactionMatcher');
+const MatchReview = require('../../alerts/MatchReview');
+const { transfer, destination, stored } = require('../helpers/transactions');
+
+const ACTOR = { performedBy: 'alice', reason: 'Wrong recipient' };
+
+// A leg matched to `counterpart`
+function matchedTo(leg, counterpart) {
+  return Object.assign(leg, {
+    isMatched: true,
+    matchedTransactionId: counterpart._id,
+    matchDetails: { confidence: 0.6 },
+    toObject() {
+      return { matchDetails: this.matchDetails };
+    }
+  });
+}
+
+describe('MatchReview', () => {
+  let alertSystem;
+  let review;
+  let byId;
+  let source;
+  let mint;
+  let matched;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    alertSystem = {
+      finalityMetrics: { getTimeoutDeadline: (transaction, slaMs) => new Date(new Date(transaction.timestamp).getTime() + slaMs) },
+      emitRealTimeUpdate: jest.fn()
+    };
+    alertSystem.transactionMatcher = new TransactionMatcher(alertSystem);
+    jest.spyOn(alertSystem.transactionMatcher, 'handleTransaction').mockResolvedValue();
+    review = new MatchReview(alertSystem);
+
+    source = stored(transfer({ txHash: '0xsource' }));
+    mint = stored(destination({ txHash: '0xmint' }));
+    byId = {};
+    [source, mint].forEach(leg => { byId[leg._id] = leg; });
+
+    TransactionOperations.findById.mockImplementation(async id => byId[id] || null);
+    TransactionOperations.findByIds.mockImplementation(async ids => ids.map(id => byId[id]).filter(Boolean));
+    TransactionOperations.matchTransactions.mockResolvedValue({});
+    MatchAuditOperations.create.mockImplementation(async entry => ({ _id: 'audit', ...entry }));
+    transferTracker.addDestination.mockResolvedValue({ _id: 'transfer', status: 'completed' });
+
+    matched = jest.fn();
+    eventBus.on('transaction:matched', matched);
+  });
+
+  afterEach(() => {
+    eventBus.off('transaction:matched', matched);
+  });
+
+  // Let the retries queued behind an action run
+  const settle = () => alertSystem.transactionMatcher.queue;
+
+  describe('match', () => {
+    it('pairs two legs with full confidence and records the evidence and the operator', async () => {
+      const result = await review.match('0xmint', '0xsource', ACTOR);
+
+      expect(TransactionOperations.matchTransactions).toHaveBeenCalledWith(mint, source, expect.objectContaining({
+        confidence: 1,
+        scoreBreakdown: expect.arrayContaining([expect.objectContaining({ feature: 'bridgeId' })])
+      }));
+      expect(transferTracker.addDestination).toHaveBeenCalledWith(source, mint, { method: 'manual', confidence: 1 });
+      expect(matched).toHaveBeenCalledWith(source, mint, { _id: 'transfer', status: 'completed' });
+      expect(result.audit).toMatchObject({
+        action: 'match',
+        transactionId: '0xmint',
+        counterpartId: '0xsource',
+        previousCounterpartIds: [],
+        transferId: 'transfer',
+        performedBy: 'alice',
+        reason: 'Wrong recipient'
+      });
+      expect(alertSystem.emitRealTimeUpdate).toHaveBeenCalledWith('match_review', result.audit);
+    });
+
+    it('splits a leg from its old counterpart first and retries the freed leg', async () => {
+      const wrongSource = stored(transfer({ txHash: '0xwrong', bridgeId: '0x02' }));
+      byId[wrongSource._id] = wrongSource;
+      matchedTo(mint, wrongSource);
+      matchedTo(wrongSource, mint);
+      transferTracker.removeDestinations.mockResolvedValue({ status: 'pending', destinations: [] });
+
+      const result = await review.match('0xmint', '0xsource', ACTOR);
+      await settle();
+
+      expect(TransactionOperations.rejectMatch).toHaveBeenCalledWith(mint, ['0xwrong']);
+      expect(transferTracker.removeDestinations).toHaveBeenCalledWith(wrongSource, ['0xmint'], 'Rematched by alice: Wrong recipient');
+      expect(TransactionOperations.rejectMatch).toHaveBeenCalledWith(wrongSource, ['0xmint']);
+      expect(result.audit).toMatchObject({ action: 'rematch', previousCounterpartIds: ['0xwrong'] });
+      expect(alertSystem.transactionMatcher.handleTransaction).toHaveBeenCalledWith(wrongSource);
+    });
+  });
+
+  describe('unmatch', () => {
+    it('splits a source leg from every destination leg of its transfer', async () => {
+      const half = stored(destination({ txHash: '0xhalf', amount: '50000000' }));
+      byId[half._id] = half;
+      matchedTo(source, mint);
+      TransferOperations.findBySourceTransaction.mockResolvedValue({
+        destinations: [{ transactionId: '0xmint' }, { transactionId: '0xhalf' }]
+      });
+      TransferOperations.findByTransaction.mockResolvedValue({ _id: 'transfer' });
+
+      const result = await review.unmatch('0xsource', ACTOR);
+      await settle();
+
+      expect(TransactionOperations.rejectMatch).toHaveBeenCalledWith(mint, ['0xsource']);
+      expect(TransactionOperations.rejectMatch).toHaveBeenCalledWith(half, ['0xsource']);
+      expect(TransactionOperations.rejectMatch).toHaveBeenCalledWith(source, ['0xmint', '0xhalf']);
+      expect(transferTracker.removeDestinations).toHaveBeenCalledWith(source, ['0xmint', '0xhalf'], 'Unmatched by alice: Wrong recipient');
+      expect(result.audit).toMatchObject({
+        action: 'unmatch',
+        counterpartId: '0xmint',
+        previousCounterpartIds: ['0xmint', '0xhalf'],
+        transferId: 'transfer',
+        confidence: 0.6
+      });
+      expect(alertSystem.transactionMatcher.handleTransaction.mock.calls.map(([leg]) => leg._id)).toEqual(['0xsource', '0xmint', '0xhalf']);
+    });
+
+    it('keeps the source matched to its other legs when they still cover the transfer', async () => {
+      const other = stored(destination({ txHash: '0xother' }));
+      byId[other._id] = other;
+      matchedTo(mint, source);
+      matchedTo(source, mint);
+      transferTracker.removeDestinations.mockResolvedValue({ status: 'completed', destinations: [{ transactionId: '0xother' }] });
+
+      await review.unmatch('0xmint', ACTOR);
+
+      expect(TransactionOperations.rejectMatch).toHaveBeenCalledWith(mint, ['0xsource']);
+      expect(TransactionOperations.rejectMatch).not.toHaveBeenCalledWith(source, expect.anything());
+      // The source pointed at the split leg, so it's pointed at one still in its transfer
+      expect(TransactionOperations.markMatched).toHaveBeenCalledWith(source, '0xother', { confidence: 0.6 });
+    });
+
+    it('splits only the one leg off a source its other legs no longer cover', async () => {
+      matchedTo(mint, source);
+      matchedTo(source, mint);
+      transferTracker.removeDestinations.mockResolvedValue({ status: 'partial', destinations: [{ transactionId: '0xother' }] });
+
+      await review.unmatch('0xmint', ACTOR);
+
+      expect(TransactionOperations.rejectMatch).toHaveBeenCalledWith(source, ['0xmint']);
+      expect(TransactionOperations.markMatched).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('confirm', () => {
+    it('confirms both legs of a match and records it', async () => {
+      matchedTo(mint, source);
+      matchedTo(source, mint);
+
+      const result = await review.confirm('0xmint', ACTOR);
+
+      expect(TransactionOperations.confirmMatch).toHaveBeenCalledWith(mint, 'alice');
+      expect(TransactionOperations.confirmMatch).toHaveBeenCalledWith(source, 'alice');
+      expect(result.audit).toMatchObject({ action: 'confirm', counterpartId: '0xsource', confidence: 0.6 });
+    });
+  });
+});
@@ -0,0 +1,132 @@
+jest.mock('../../db/operations', () => ({
+  TransferOperations: {
+    getRouteLatencies: jest.fn()
+  }
+}));
+
+const { TransferOperations } = require('../../db/operations');
+const MatchScorer = require('../../alerts/MatchScorer');
+const { NOW, transfer, destination, stored } = require('../helpers/transactions');
+
+const MINUTE = 60 * 1000;
+const SLA = 30 * MINUTE; // Configured for the Ethereum -> Polygon route
+
+// Sources on Ethereum start their SLA clock at their own timestamp
+const finalityMetrics = {
+  getTimeoutDeadline: (transaction, slaMs) => new Date(new Date(transaction.timestamp).getTime() + slaMs)
+};
+
+function featureOf(result, name) {
+  return result.features.find(feature => feature.feature === name);
+}
+
+describe('MatchScorer', () => {
+  let scorer;
+  let source;
+  let mint;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    scorer = new MatchScorer(finalityMetrics);
+    source = stored(transfer({ txHash: '0xsource' }));
+    mint = stored(destination({ txHash: '0xmint' }));
+  });
+
+  it('gives full marks to a pair that agrees on every feature', () => {
+    const result = scorer.score(source, mint);
+
+    expect(result.score).toBe(1);
+    expect(result.features.map(feature => feature.feature)).toEqual(['bridgeId', 'canonicalToken', 'amount', 'timeDelta']);
+    expect(featureOf(result, 'bridgeId')).toMatchObject({ value: 1, weight: 0.35, detail: 'Shared bridge ID' });
+  });
+
+  it('scores legs given in either order the same', () => {
+    expect(scorer.score(mint, source)).toEqual(scorer.score(source, mint));
+  });
+
+  it('weighs in recipient and nonce only when both legs carry one', () => {
+    source.recipient = '0x00000000000000000000000000000000000000E1';
+    mint.recipient = '0x00000000000000000000000000000000000000e2';
+    source.nonce = '7';
+    mint.nonce = '7';
+
+    const result = scorer.score(source, mint);
+
+    expect(featureOf(result, 'recipient')).toMatchObject({ value: 0 });
+    expect(featureOf(result, 'nonce')).toMatchObject({ value: 1, detail: 'Same nonce' });
+    // 0.1 of the 1.0 total weight is lost to the recipient
+    expect(result.score).toBe(0.9);
+  });
+
+  it('fades the amount score to nothing at twice the tolerance', () => {
+    const toleranceBps = scorer.toleranceBps;
+
+    mint.amount = String(100000000 - 100000000 * toleranceBps / 10000);
+    expect(featureOf(scorer.score(source, mint), 'amount').value).toBe(0.5);
+
+    mint.amount = String(100000000 - 2 * 100000000 * toleranceBps / 10000);
+    expect(featureOf(scorer.score(source, mint), 'amount').value).toBe(0);
+  });
+
+  it('leaves the amount out of a partial leg', () => {
+    mint.amount = '40000000';
+
+    const result = scorer.score(source, mint, { partial: true });
+
+    expect(featureOf(result, 'amount')).toBeUndefined();
+    expect(result.score).toBe(1);
+  });
+
+  describe('time delta', () => {
+    it('judges latency against the route SLA until the route has enough history', () => {
+      mint.timestamp = new Date(NOW + SLA);
+      expect(featureOf(scorer.score(source, mint), 'timeDelta').value).toBe(1);
+
+      // Fades to nothing at four times the norm
+      mint.timestamp = new Date(NOW + 2.5 * SLA);
+      expect(featureOf(scorer.score(source, mint), 'timeDelta').value).toBe(0.5);
+      mint.timestamp = new Date(NOW + 4 * SLA);
+      expect(featureOf(scorer.score(source, mint), 'timeDelta').value).toBe(0);
+    });
+
+    it('learns route norms from completed transfers', async () => {
+      TransferOperations.getRouteLatencies.mockResolvedValue([
+        { sourceChainId: 1, targetChainId: 137, averageMs: 2 * MINUTE, samples: 20 }
+      ]);
+      await scorer.refreshRouteNorms(24 * 60 * MINUTE);
+      mint.timestamp = new Date(NOW + 5 * MINUTE);
+
+      expect(scorer.getRouteNorm(source, 137)).toBe(2 * MINUTE);
+      expect(featureOf(scorer.score(source, mint), 'timeDelta').value).toBe(0.5);
+    });
+
+    it('ignores a learned norm with too few samples', async () => {
+      TransferOperations.getRouteLatencies.mockResolvedValue([
+        { sourceChainId: 1, targetChainId: 137, averageMs: 2 * MINUTE, samples: 1 }
+      ]);
+      await scorer.refreshRouteNorms(24 * 60 * MINUTE);
+
+      expect(scorer.getRouteNorm(source, 137)).toBe(SLA);
+    });
+
+    it('allows for clock skew but not a destination landing well before its source', () => {
+      mint.timestamp = new Date(NOW - 30 * 1000);
+      expect(featureOf(scorer.score(source, mint), 'timeDelta').value).toBe(1);
+
+      mint.timestamp = new Date(NOW - 5 * MINUTE);
+      expect(featureOf(scorer.score(source, mint), 'timeDelta')).toMatchObject({ value: 0, detail: 'Destination landed 5 min before the source' });
+    });
+  });
+
+  it('marks down pairs without a shared bridge ID or asset', () => {
+    mint.bridgeId = '0x02';
+    mint.canonicalAssetId = 'dai';
+
+    const result = scorer.score(source, mint);
+
+    expect(featureOf(result, 'bridgeId')).toMatchObject({ value: 0, detail: 'Bridge IDs differ' });
+    expect(featureOf(result, 'canonicalToken')).toMatchObject({ value: 0, detail: 'usdc vs dai' });
+    // Only amount and time delta (0.35 of the 0.85 weight in play) still agree
+    expect(result.score).toBe(0.412);
+  });
+});
@@ -0,0 +1,224 @@
+jest.mock('../../db/operations', () => ({
+  TransactionOperations: {
+    findById: jest.fn(),
+    findByBridgeId: jest.fn()
+  }
+}));
+
+const { eth } = require('web3');
+const { TransactionOperations } = require('../../db/operations');
+const GenericBridgeAdapter = require('../../bridges/GenericBridgeAdapter');
+const chainRegistry = require('../../config/chainRegistry');
+const ProofVerifier = require('../../alerts/ProofVerifier');
+const { transfer, destination, stored } = require('../helpers/transactions');
+
+const BRIDGE_ID = `0x${'ab'.repeat(32)}`;
+const SOURCE_CONTRACT = '0x000000000000000000000000000000000000A001';
+const DESTINATION_CONTRACT = '0x000000000000000000000000000000000000B001';
+const RECIPIENT = '0x00000000000000000000000000000000000000b1';
+const SOURCE_HASH = `0x${'5'.repeat(64)}`;
+
+const adapter = new GenericBridgeAdapter();
+const lockEvent = adapter.abi.find(entry => entry.name === 'Lock');
+
+// A raw Lock log as eth_getTransactionReceipt returns it
+function lockLog({ logIndex = 3, address = SOURCE_CONTRACT, to = RECIPIENT, targetChain = 137, bridgeId = BRIDGE_ID } = {}) {
+  return {
+    address,
+    logIndex: `0x${logIndex.toString(16)}`,
+    transactionHash: SOURCE_HASH,
+    blockHash: '0xb10c',
+    topics: [
+      eth.abi.encodeEventSignature(lockEvent),
+      eth.abi.encodeParameter('address', '0xAbC0000000000000000000000000000000000001'),
+      eth.abi.encodeParameter('address', to)
+    ],
+    data: eth.abi.encodeParameters(
+      ['uint256', 'address', 'uint256', 'bytes32'],
+      ['100000000', '0x00000000000000000000000000000000000000C1', targetChain, bridgeId]
+    )
+  };
+}
+
+function receipt(overrides = {}) {
+  return { status: '0x1', blockHash: '0xb10c', transactionHash: SOURCE_HASH, logs: [lockLog()], ...overrides };
+}
+
+function codes(result) {
+  return result.failures.map(failure => failure.code);
+}
+
+describe('ProofVerifier', () => {
+  let verifier;
+  let source;
+  let mint;
+  let rpc;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    verifier = new ProofVerifier();
+    source = stored(transfer({
+      txHash: SOURCE_HASH,
+      bridgeId: BRIDGE_ID,
+      bridgeAdapter: 'generic',
+      bridgeContract: SOURCE_CONTRACT,
+      blockHash: '0xB10C',
+      logIndex: 3
+    }));
+    mint = stored(destination({
+      txHash: '0xmint',
+      bridgeId: BRIDGE_ID,
+      bridgeAdapter: 'generic',
+      bridgeContract: DESTINATION_CONTRACT,
+      recipient: RECIPIENT,
+      matchedTransactionId: SOURCE_HASH
+    }));
+
+    TransactionOperations.findById.mockImplementation(async id => (id === SOURCE_HASH ? source : null));
+    TransactionOperations.findByBridgeId.mockResolvedValue([source]);
+    rpc = jest.spyOn(verifier, 'rpc').mockImplementation(async (chainId, method) =>
+      (method === 'eth_getTransactionReceipt' ? receipt() : null));
+  });
+
+  it('verifies a destination leg against its source log', async () => {
+    const result = await verifier.verify(mint);
+
+    expect(result).toMatchObject({ status: 'verified', failures: [], sourceTxHash: SOURCE_HASH });
+    expect(rpc).toHaveBeenCalledWith(1, 'eth_getTransactionReceipt', [SOURCE_HASH]);
+  });
+
+  it('makes no claims about source legs', async () => {
+    expect(await verifier.verify(source)).toMatchObject({ status: 'verified' });
+    expect(rpc).not.toHaveBeenCalled();
+  });
+
+  it('fails legs missing the fields it checks', async () => {
+    const result = await verifier.verify({ ...mint, bridgeId: null });
+
+    expect(result.status).toBe('failed');
+    expect(codes(result)).toEqual(['missing_fields']);
+    expect(ProofVerifier.severityOf(result.failures)).toBe('high');
+  });
+
+  describe('unverifiable legs', () => {
+    it('skips legs from a chain that is not monitored', async () => {
+      const result = await verifier.verify({ ...mint, sourceChainId: 999 });
+
+      expect(result).toMatchObject({ status: 'unverifiable', detail: 'Source chain 999 is not monitored' });
+    });
+
+    it('waits for a source leg the protocol gives no hash for', async () => {
+      TransactionOperations.findById.mockResolvedValue(null);
+      TransactionOperations.findByBridgeId.mockResolvedValue([]);
+
+      expect(await verifier.verify(mint)).toMatchObject({ status: 'unverifiable', detail: 'Source leg not seen yet' });
+    });
+
+    it('skips legs whose source receipt could not be fetched', async () => {
+      rpc.mockRejectedValue(new Error('timeout'));
+
+      expect(await verifier.verify(mint)).toMatchObject({ status: 'unverifiable', detail: 'Could not fetch source receipt: timeout' });
+    });
+  });
+
+  describe('source receipt checks', () => {
+    it.each([
+      ['source_receipt_missing', null],
+      ['source_reverted', receipt({ status: '0x0' })],
+      ['source_block_mismatch', receipt({ blockHash: '0xother' })],
+      ['source_log_missing', receipt({ logs: [lockLog({ logIndex: 4 })] })],
+      ['source_log_mismatch', receipt({ logs: [lockLog({ address: DESTINATION_CONTRACT })] })],
+      ['target_mismatch', receipt({ logs: [lockLog({ targetChain: 56 })] })]
+    ])('fails with %s', async (code, sourceReceipt) => {
+      rpc.mockResolvedValue(sourceReceipt);
+
+      const result = await verifier.verify(mint);
+
+      expect(result.status).toBe('failed');
+      expect(codes(result)).toEqual([code]);
+    });
+
+    it('fails a destination paying someone the source did not name', async () => {
+      const result = await verifier.verify({ ...mint, recipient: '0x00000000000000000000000000000000000000e2' });
+
+      expect(codes(result)).toEqual(['target_mismatch']);
+    });
+
+    it('fails a source log deriving another bridge ID', async () => {
+      rpc.mockResolvedValue(receipt({ logs: [lockLog({ bridgeId: `0x${'cd'.repeat(32)}` })] }));
+
+      const result = await verifier.verify(mint);
+
+      expect(codes(result)).toEqual(['bridge_id_mismatch']);
+      expect(ProofVerifier.severityOf(result.failures)).toBe('critical');
+    });
+  });
+
+  describe('sources that were not stored', () => {
+    beforeEach(() => {
+      TransactionOperations.findById.mockResolvedValue(null);
+      TransactionOperations.findByBridgeId.mockResolvedValue([]);
+      jest.spyOn(verifier.getAdapter('generic'), 'getSourceTxHash').mockReturnValue(SOURCE_HASH);
+    });
+
+    it('finds the source event carrying the bridge ID in the receipt', async () => {
+      expect(await verifier.verify(mint)).toMatchObject({ status: 'verified', sourceTxHash: SOURCE_HASH });
+    });
+
+    it('fails when no source event in the receipt carries the bridge ID', async () => {
+      rpc.mockResolvedValue(receipt({ logs: [lockLog({ bridgeId: `0x${'cd'.repeat(32)}` })] }));
+
+      expect(codes(await verifier.verify(mint))).toEqual(['source_log_missing']);
+    });
+  });
+
+  describe('validator signatures', () => {
+    const validators = [eth.accounts.create(), eth.accounts.create(), eth.accounts.create()];
+    const message = 'release 0xmint';
+    let contracts;
+
+    beforeEach(() => {
+      contracts = chainRegistry.getChainById(137).config.contracts;
+      contracts.push({
+        address: DESTINATION_CONTRACT,
+        validators: { signers: validators.map(validator => validator.address), threshold: 2 }
+      });
+    });
+
+    afterEach(() => {
+      contracts.pop();
+    });
+
+    // The destination transaction carries signatures over the release digest
+    function attest(signers) {
+      const signed = signers.map(account => account.sign(message));
+      rpc.mockImplementation(async (chainId, method) =>
+        (method === 'eth_getTransactionReceipt' ? receipt() : { hash: '0xmint', input: '0x' }));
+      jest.spyOn(verifier.getAdapter('generic'), 'getAttestation').mockReturnValue({
+        digest: signed.length ? signed[0].messageHash : eth.accounts.hashMessage(message),
+        signatures: signed.map(signature => signature.signature)
+      });
+    }
+
+    it('accepts a release signed by enough validators', async () => {
+      attest([validators[0], validators[2]]);
+
+      const result = await verifier.verify(mint);
+
+      expect(result.status).toBe('verified');
+      expect(result.signers.sort()).toEqual([validators[0].address, validators[2].address].map(address => address.toLowerCase()).sort());
+    });
+
+    it('fails a release signed by too few validators, counting unknown signers', async () => {
+      attest([validators[0], eth.accounts.create()]);
+
+      const result = await verifier.verify(mint);
+
+      expect(result.failures).toEqual([{ code: 'signature_threshold', detail: '1 of 2 required validator signatures, 1 from unknown or invalid signers' }]);
+    });
+
+    it('fails a release the adapter has no attestation for', async () => {
+      expect(codes(await verifier.verify(mint))).toEqual(['attestation_missing']);
+    });
+  });
+});
@@ -0,0 +1,167 @@
+jest.mock('../../db/operations', () => ({
+  TransactionOperations: {
+    getSupplyTotals: jest.fn()
+  },
+  SupplyOperations: {
+    recordSnapshot: jest.fn(),
+    deleteOlderThan: jest.fn()
+  },
+  AnomalyOperations: {
+    findOpenForAsset: jest.fn(),
+    create: jest.fn(),
+    resolve: jest.fn()
+  },
+  AlertOperations: {
+    resolveForAnomaly: jest.fn()
+  }
+}));
+
+const { TransactionOperations, SupplyOperations, AnomalyOperations, AlertOperations } = require('../../db/operations');
+const SupplyMonitor = require('../../alerts/SupplyMonitor');
+const { parseUnits } = require('../../utils/amounts');
+
+// Per-chain event totals as getSupplyTotals returns them
+function totals(rows) {
+  return rows.map(([chainId, eventType, total]) => ({ canonicalAssetId: 'usdc', chainId, eventType, total }));
+}
+
+describe('SupplyMonitor', () => {
+  let alertSystem;
+  let monitor;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    alertSystem = { sendAlert: jest.fn(), emitRealTimeUpdate: jest.fn() };
+    monitor = new SupplyMonitor(alertSystem);
+    monitor.config = { ...monitor.config, toleranceBps: 10, onChain: {} };
+    SupplyOperations.recordSnapshot.mockImplementation(async snapshot => snapshot);
+    AnomalyOperations.findOpenForAsset.mockResolvedValue(null);
+    AnomalyOperations.create.mockImplementation(async anomaly => ({ _id: 'anomaly', ...anomaly }));
+  });
+
+  describe('groupTotals', () => {
+    it('groups event totals by asset and chain', () => {
+      const assets = SupplyMonitor.groupTotals(totals([[1, 'Lock', '100'], [1, 'Unlock', '20'], [137, 'Mint', '80.5']]));
+
+      expect(assets.get('usdc').get(1)).toEqual({ chainId: 1, locked: parseUnits('100'), unlocked: parseUnits('20'), minted: 0n, burned: 0n });
+      expect(assets.get('usdc').get(137).minted).toBe(parseUnits('80.5'));
+    });
+  });
+
+  describe('checkSupply', () => {
+    it('records a snapshot of an asset whose minted supply is backed', async () => {
+      TransactionOperations.getSupplyTotals.mockResolvedValue(totals([[1, 'Lock', '100'], [137, 'Mint', '80'], [137, 'Burn', '10']]));
+
+      await monitor.checkSupply();
+
+      expect(SupplyOperations.recordSnapshot).toHaveBeenCalledWith(expect.objectContaining({
+        assetId: 'usdc',
+        locked: '100',
+        minted: '80',
+        burned: '10',
+        backing: '100',
+        mintedSupply: '70',
+        surplus: '30',
+        coverageRatio: 1.4285,
+        status: 'ok',
+        deficitSource: null
+      }));
+      expect(AnomalyOperations.create).not.toHaveBeenCalled();
+      expect(SupplyOperations.deleteOlderThan).toHaveBeenCalledWith(monitor.config.retentionDays);
+    });
+
+    it('raises a critical deficit when minted supply exceeds its backing by more than the tolerance', async () => {
+      TransactionOperations.getSupplyTotals.mockResolvedValue(totals([[1, 'Lock', '100'], [137, 'Mint', '101']]));
+
+      await monitor.checkSupply();
+
+      expect(SupplyOperations.recordSnapshot).toHaveBeenCalledWith(expect.objectContaining({ status: 'deficit', deficitSource: 'events' }));
+      expect(AnomalyOperations.create).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'supply_deficit',
+        severity: 'critical',
+        chainId: 1,
+        anomalyData: expect.objectContaining({ deficit: '1', deficitBps: 99, supplySource: 'events' })
+      }));
+      expect(alertSystem.sendAlert).toHaveBeenCalledWith(expect.objectContaining({ anomalyId: 'anomaly', severity: 'critical' }));
+    });
+
+    it('allows a shortfall within the tolerance', async () => {
+      TransactionOperations.getSupplyTotals.mockResolvedValue(totals([[1, 'Lock', '100'], [137, 'Mint', '100.1']]));
+
+      await monitor.checkSupply();
+
+      expect(AnomalyOperations.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('evaluate', () => {
+    const deficitChains = () => SupplyMonitor.groupTotals(totals([[1, 'Lock', '100'], [137, 'Mint', '150']])).get('usdc');
+
+    it('keeps one open deficit per asset', async () => {
+      AnomalyOperations.findOpenForAsset.mockResolvedValue({ _id: 'open' });
+
+      await monitor.evaluate('usdc', deficitChains());
+
+      expect(AnomalyOperations.create).not.toHaveBeenCalled();
+      expect(alertSystem.sendAlert).not.toHaveBeenCalled();
+    });
+
+    it('resolves the open deficit and its alerts once the backing covers the minted supply again', async () => {
+      AnomalyOperations.findOpenForAsset.mockResolvedValue({ _id: 'open' });
+      AlertOperations.resolveForAnomaly.mockResolvedValue([{}]);
+
+      await monitor.evaluate('usdc', SupplyMonitor.groupTotals(totals([[1, 'Lock', '200'], [137, 'Mint', '150']])).get('usdc'));
+
+      expect(AnomalyOperations.resolve).toHaveBeenCalledWith('open', 'system', 'Backing (200) covers minted supply (150) again');
+      expect(alertSystem.emitRealTimeUpdate).toHaveBeenCalledWith('supply_restored', expect.objectContaining({ assetId: 'usdc', resolvedAlerts: 1 }));
+    });
+
+    describe('on-chain checks', () => {
+      beforeEach(() => {
+        monitor.config.onChain = {
+          usdc: {
+            collateral: [{ chainId: 1, token: '0x00000000000000000000000000000000000000C1', holder: '0x00000000000000000000000000000000000000E1' }],
+            minted: [{ chainId: 137, token: '0x00000000000000000000000000000000000000D1' }]
+          }
+        };
+      });
+
+      it('raises a deficit the chain shows even when recorded events balance', async () => {
+        jest.spyOn(monitor, 'readBalance').mockResolvedValue(parseUnits('90'));
+        jest.spyOn(monitor, 'readTotalSupply').mockResolvedValue(parseUnits('100'));
+
+        await monitor.evaluate('usdc', SupplyMonitor.groupTotals(totals([[1, 'Lock', '100'], [137, 'Mint', '100']])).get('usdc'));
+
+        expect(SupplyOperations.recordSnapshot).toHaveBeenCalledWith(expect.objectContaining({
+          status: 'deficit',
+          deficitSource: 'onchain',
+          onChain: expect.objectContaining({ backing: '90', mintedSupply: '100', error: null })
+        }));
+        expect(AnomalyOperations.create).toHaveBeenCalledWith(expect.objectContaining({ confidence: 0.95 }));
+      });
+
+      it('records an unreadable chain without raising anything', async () => {
+        jest.spyOn(monitor, 'readBalance').mockRejectedValue(new Error('RPC down'));
+        jest.spyOn(monitor, 'readTotalSupply').mockResolvedValue(parseUnits('100'));
+
+        await monitor.evaluate('usdc', SupplyMonitor.groupTotals(totals([[1, 'Lock', '100'], [137, 'Mint', '100']])).get('usdc'));
+
+        expect(SupplyOperations.recordSnapshot).toHaveBeenCalledWith(expect.objectContaining({
+          status: 'ok',
+          onChain: expect.objectContaining({ error: 'RPC down' })
+        }));
+        expect(AnomalyOperations.create).not.toHaveBeenCalled();
+      });
+
+      it('checks assets configured on-chain that have no recorded events', async () => {
+        jest.spyOn(monitor, 'readBalance').mockResolvedValue(0n);
+        jest.spyOn(monitor, 'readTotalSupply').mockResolvedValue(parseUnits('5'));
+        TransactionOperations.getSupplyTotals.mockResolvedValue([]);
+
+        await monitor.checkSupply();
+
+        expect(AnomalyOperations.create).toHaveBeenCalledWith(expect.objectContaining({ chainId: 1 }));
+      });
+    });
+  });
+});
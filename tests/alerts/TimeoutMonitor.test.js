@@ -0,0 +1,165 @@
+jest.mock('../../db/operations', () => ({
+  TransactionOperations: {
+    findTimeoutCandidates: jest.fn(),
+    setTimeoutDeadline: jest.fn(),
+    markAsTimeout: jest.fn()
+  },
+  AnomalyOperations: {
+    findOpenForTransaction: jest.fn(),
+    updateSeverity: jest.fn(),
+    resolve: jest.fn()
+  },
+  AlertOperations: {
+    resolveForAnomaly: jest.fn()
+  }
+}));
+jest.mock('../../services/transferTracker', () => ({
+  markTimeout: jest.fn()
+}));
+
+const { TransactionOperations, AnomalyOperations, AlertOperations } = require('../../db/operations');
+const transferTracker = require('../../services/transferTracker');
+const AnomalyDetector = require('../../alerts/AnomalyDetector');
+const TimeoutMonitor = require('../../alerts/TimeoutMonitor');
+const { NOW, transfer, destination, stored } = require('../helpers/transactions');
+
+const MINUTE = 60 * 1000;
+const SLA = 30 * MINUTE; // Configured for the Ethereum -> Polygon route
+
+describe('TimeoutMonitor', () => {
+  let alertSystem;
+  let monitor;
+  let source;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers({ now: NOW });
+    alertSystem = {
+      // Sources on Ethereum start their SLA clock at their own timestamp
+      finalityMetrics: { getTimeoutDeadline: (transaction, slaMs) => new Date(new Date(transaction.timestamp).getTime() + slaMs) },
+      sendAlert: jest.fn(),
+      emitRealTimeUpdate: jest.fn()
+    };
+    alertSystem.anomalyDetector = new AnomalyDetector(alertSystem);
+    jest.spyOn(alertSystem.anomalyDetector, 'createAnomaly').mockResolvedValue({ _id: 'anomaly' });
+    monitor = new TimeoutMonitor(alertSystem);
+    source = stored(transfer({ txHash: '0xsource' }));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('schedule', () => {
+    it('gives a stored source leg the deadline of its route SLA', async () => {
+      await monitor.schedule(source);
+
+      expect(TransactionOperations.setTimeoutDeadline).toHaveBeenCalledWith('0xsource', new Date(NOW + SLA));
+    });
+
+    it('leaves destination legs alone', async () => {
+      await monitor.schedule(stored(destination({ txHash: '0xmint' })));
+
+      expect(TransactionOperations.setTimeoutDeadline).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('checkForTimeouts', () => {
+    it('loads only legs that are due and can still escalate', async () => {
+      TransactionOperations.findTimeoutCandidates.mockResolvedValue([source]);
+
+      await monitor.checkForTimeouts();
+
+      expect(TransactionOperations.findTimeoutCandidates).toHaveBeenCalledWith(expect.any(Date), 'critical', monitor.config.batchSize);
+      expect(TransactionOperations.setTimeoutDeadline).toHaveBeenCalledWith('0xsource', new Date(NOW + SLA));
+      expect(monitor.getStats().lastCheckAt).toBeInstanceOf(Date);
+    });
+  });
+
+  describe('evaluate', () => {
+    it('only moves the deadline on for a leg within its SLA', async () => {
+      await monitor.evaluate(source, NOW + SLA - 1);
+
+      expect(TransactionOperations.markAsTimeout).not.toHaveBeenCalled();
+      expect(TransactionOperations.setTimeoutDeadline).toHaveBeenCalledWith('0xsource', new Date(NOW + SLA));
+    });
+
+    it('marks the transfer timed out and raises an anomaly on the first breach', async () => {
+      await monitor.evaluate(source, NOW + SLA);
+
+      expect(TransactionOperations.markAsTimeout).toHaveBeenCalledWith('0xsource', 'medium');
+      expect(transferTracker.markTimeout).toHaveBeenCalledWith(source, 'No destination leg within the 30 minute SLA');
+      expect(alertSystem.anomalyDetector.createAnomaly).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'bridge_timeout', severity: 'medium' }),
+        source
+      );
+      expect(TransactionOperations.setTimeoutDeadline).toHaveBeenCalledWith('0xsource', new Date(NOW + 2 * SLA));
+    });
+
+    it('escalates the open anomaly once the leg reaches the next tier', async () => {
+      source.timeoutSeverity = 'medium';
+      AnomalyOperations.findOpenForTransaction.mockResolvedValue({ _id: 'anomaly' });
+
+      await monitor.evaluate(source, NOW + 2 * SLA);
+
+      expect(TransactionOperations.markAsTimeout).toHaveBeenCalledWith('0xsource', 'high');
+      expect(AnomalyOperations.updateSeverity).toHaveBeenCalledWith('anomaly', 'high');
+      expect(alertSystem.sendAlert).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'bridge_timeout',
+        severity: AnomalyDetector.toAlertSeverity('high'),
+        anomalyId: 'anomaly'
+      }));
+      expect(alertSystem.anomalyDetector.createAnomaly).not.toHaveBeenCalled();
+      expect(TransactionOperations.setTimeoutDeadline).toHaveBeenCalledWith('0xsource', new Date(NOW + 4 * SLA));
+    });
+
+    it('does not raise a tier the leg already reached again', async () => {
+      source.timeoutSeverity = 'high';
+
+      await monitor.evaluate(source, NOW + 3 * SLA);
+
+      expect(TransactionOperations.markAsTimeout).not.toHaveBeenCalled();
+      expect(alertSystem.sendAlert).not.toHaveBeenCalled();
+    });
+
+    it('clears the deadline of a leg past the last tier', async () => {
+      source.timeoutSeverity = 'high';
+
+      await monitor.evaluate(source, NOW + 4 * SLA);
+
+      expect(TransactionOperations.markAsTimeout).toHaveBeenCalledWith('0xsource', 'critical');
+      expect(TransactionOperations.setTimeoutDeadline).toHaveBeenCalledWith('0xsource', null);
+    });
+
+    it('never times out a leg that was matched or is unconfirmed', async () => {
+      await monitor.evaluate({ ...source, isMatched: true }, NOW + 4 * SLA);
+      await monitor.evaluate({ ...source, confirmationStatus: 'pending' }, NOW + 4 * SLA);
+
+      expect(TransactionOperations.markAsTimeout).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resolveTimeout', () => {
+    it('resolves the anomaly and its alerts once a late destination leg is matched', async () => {
+      source.timeoutSeverity = 'high';
+      AnomalyOperations.findOpenForTransaction.mockResolvedValue({ _id: 'anomaly', detectedAt: new Date(NOW) });
+      AlertOperations.resolveForAnomaly.mockResolvedValue([{}, {}]);
+
+      await monitor.resolveTimeout(source);
+
+      expect(AnomalyOperations.resolve).toHaveBeenCalledWith('anomaly', 'system', expect.stringMatching(/^Destination leg matched/));
+      expect(AlertOperations.resolveForAnomaly).toHaveBeenCalledWith('anomaly', 'system', expect.any(String));
+      expect(alertSystem.emitRealTimeUpdate).toHaveBeenCalledWith('timeout_resolved', expect.objectContaining({
+        anomalyId: 'anomaly',
+        severity: 'high',
+        resolvedAlerts: 2
+      }));
+    });
+
+    it('does nothing for a leg that never timed out', async () => {
+      await monitor.resolveTimeout(source);
+
+      expect(AnomalyOperations.findOpenForTransaction).not.toHaveBeenCalled();
+    });
+  });
+});
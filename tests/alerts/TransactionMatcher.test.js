@@ -0,0 +1,217 @@
+jest.mock('../../db/operations', () => ({
+  TransactionOperations: {
+    findById: jest.fn(),
+    findByIds: jest.fn(),
+    findMatchCandidates: jest.fn(),
+    matchTransactions: jest.fn(),
+    markMatched: jest.fn()
+  },
+  TransferOperations: {
+    getRouteLatencies: jest.fn()
+  }
+}));
+jest.mock('../../services/transferTracker', () => ({
+  open: jest.fn(),
+  addDestination: jest.fn(),
+  getOutstanding: jest.fn()
+}));
+
+const { TransactionOperations } = require('../../db/operations');
+const transferTracker = require('../../services/transferTracker');
+const eventBus = require('../../utils/eventBus');
+const { parseUnits } = require('../../utils/amounts');
+const TransactionMatcher = require('../../alerts/TransactionMatcher');
+const { transfer, destination, stored } = require('../helpers/transactions');
+
+function alertSystem() {
+  return {
+    finalityMetrics: { getTimeoutDeadline: (source, slaMs) => new Date(new Date(source.timestamp).getTime() + slaMs) },
+    emitRealTimeUpdate: jest.fn(),
+    sendAlert: jest.fn()
+  };
+}
+
+describe('TransactionMatcher', () => {
+  let matcher;
+  let source;
+  let mint;
+  let matched;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    matcher = new TransactionMatcher(alertSystem());
+    source = stored(transfer({ txHash: '0xsource' }));
+    mint = stored(destination({ txHash: '0xmint' }));
+
+    const byId = { [source._id]: source, [mint._id]: mint };
+    TransactionOperations.findById.mockImplementation(async id => byId[id] || null);
+    TransactionOperations.findByIds.mockImplementation(async ids => ids.map(id => byId[id]));
+    TransactionOperations.findMatchCandidates.mockResolvedValue([]);
+    transferTracker.addDestination.mockResolvedValue({ _id: 'transfer', status: 'completed' });
+
+    matched = jest.fn();
+    eventBus.on('transaction:matched', matched);
+  });
+
+  afterEach(() => {
+    eventBus.off('transaction:matched', matched);
+  });
+
+  describe('handleTransaction', () => {
+    it('matches a leg with the pending leg sharing its bridge ID', async () => {
+      await matcher.handleTransaction(mint);
+      await matcher.handleTransaction(source);
+
+      expect(TransactionOperations.matchTransactions).toHaveBeenCalledWith(source, mint, expect.objectContaining({
+        expectedAmount: '100',
+        feeAmount: '0',
+        deviation: '0',
+        deviationBps: 0,
+        confidence: expect.any(Number)
+      }));
+      expect(transferTracker.addDestination).toHaveBeenCalledWith(source, mint, { method: 'bridgeId', confidence: expect.any(Number) });
+      expect(matched).toHaveBeenCalledWith(source, mint, { _id: 'transfer', status: 'completed' });
+      expect(matcher.getStats().pendingBridgeIds).toBe(0);
+    });
+
+    it('indexes an unconfirmed leg without matching it', async () => {
+      mint.confirmationStatus = 'pending';
+
+      await matcher.handleTransaction(mint);
+
+      expect(matcher.pendingByBridgeId.get('0x01').has('0xmint')).toBe(true);
+      expect(TransactionOperations.matchTransactions).not.toHaveBeenCalled();
+    });
+
+    it('drops a queued leg that was matched or rolled back in the meantime', async () => {
+      matcher.indexPending(mint);
+      mint.status = 'reorged';
+
+      await matcher.handleTransaction(mint);
+
+      expect(matcher.pendingByBridgeId.has('0x01')).toBe(false);
+    });
+
+    it('falls back to fuzzy matching for legs without a bridge ID', async () => {
+      source.bridgeId = null;
+      mint.bridgeId = null;
+      TransactionOperations.findMatchCandidates.mockResolvedValue([mint]);
+
+      await matcher.handleTransaction(source);
+
+      expect(TransactionOperations.findMatchCandidates).toHaveBeenCalledWith(source, ['Unlock', 'Mint'], matcher.config.fuzzyWindowMs);
+      expect(transferTracker.addDestination).toHaveBeenCalledWith(source, mint, { method: 'fuzzy', confidence: expect.any(Number) });
+    });
+  });
+
+  describe('handleReorged', () => {
+    it('gives the former counterpart of a rolled-back leg another chance to match', async () => {
+      const replacement = stored(destination({ txHash: '0xreplacement' }));
+      TransactionOperations.findByIds.mockResolvedValue([replacement]);
+      matcher.indexPending(replacement);
+
+      await matcher.handleReorged(mint, source);
+
+      expect(TransactionOperations.matchTransactions).toHaveBeenCalledWith(source, replacement, expect.any(Object));
+    });
+  });
+
+  describe('isValidMatch', () => {
+    it('accepts the two legs of a transfer', async () => {
+      expect(await matcher.isValidMatch(source, mint)).toBe(true);
+    });
+
+    it.each([
+      ['legs on the same chain', () => { mint.chainId = 1; }],
+      ['a rolled-back leg', () => { mint.status = 'reorged'; }],
+      ['an unconfirmed leg', () => { source.confirmationStatus = 'pending'; }],
+      ['legs an operator split apart', () => { source.rejectedMatches = ['0xmint']; }],
+      ['different bridge IDs', () => { mint.bridgeId = '0x02'; }],
+      ['different assets', () => { mint.canonicalAssetId = 'dai'; }],
+      ['amounts further apart than the tolerance', () => { mint.amount = '98900000'; }],
+      ['a destination on another chain than the source targeted', () => { source.targetChainId = 56; }],
+      ['unrelated legs far apart in time', () => {
+        source.bridgeId = null;
+        mint.timestamp = new Date(source.timestamp.getTime() + 2 * matcher.config.fuzzyWindowMs);
+      }]
+    ])('rejects %s', async (description, change) => {
+      change();
+
+      expect(await matcher.isValidMatch(source, mint)).toBe(false);
+    });
+
+    it('leaves amounts to the caller for a partial leg', async () => {
+      mint.amount = '40000000';
+
+      expect(await matcher.isValidMatch(source, mint)).toBe(false);
+      expect(await matcher.isValidMatch(source, mint, { partial: true })).toBe(true);
+    });
+  });
+
+  describe('findBestMatch', () => {
+    it('picks the highest-scoring valid candidate', async () => {
+      const late = stored(destination({ txHash: '0xlate', timestamp: new Date(source.timestamp.getTime() + 6 * 60 * 60 * 1000) }));
+
+      const best = await matcher.findBestMatch(source, [late, mint]);
+
+      expect(best.transaction).toBe(mint);
+      expect(best.score).toBeGreaterThan(matcher.scorer.score(source, late).score);
+    });
+
+    it('matches nothing scoring below the minimum', async () => {
+      matcher.config = { ...matcher.config, minScore: 1.01 };
+
+      expect(await matcher.findBestMatch(source, [mint])).toBeNull();
+    });
+  });
+
+  describe('matchPartialLegs', () => {
+    let half1;
+    let half2;
+
+    beforeEach(() => {
+      half1 = stored(destination({ txHash: '0xhalf1', amount: '50000000' }));
+      half2 = stored(destination({ txHash: '0xhalf2', amount: '50000000' }));
+      transferTracker.open.mockResolvedValue({ expectedAmount: '100', receivedAmount: '0' });
+      transferTracker.getOutstanding.mockReturnValue(parseUnits('100'));
+    });
+
+    it('links legs that each pay out part of a transfer and matches the source once they add up', async () => {
+      transferTracker.addDestination
+        .mockResolvedValueOnce({ status: 'partial', destinations: [half1] })
+        .mockResolvedValueOnce({ status: 'completed', destinations: [half1, half2], matchConfidence: 0.9 });
+
+      expect(await matcher.matchPartialLegs(source, [half1, half2])).toBe(true);
+
+      expect(TransactionOperations.markMatched).toHaveBeenCalledWith(half1, '0xsource', expect.any(Object));
+      expect(TransactionOperations.markMatched).toHaveBeenCalledWith(half2, '0xsource', expect.any(Object));
+      expect(TransactionOperations.markMatched).toHaveBeenCalledWith(source, '0xhalf1', expect.objectContaining({ confidence: 0.9 }));
+      expect(matched).toHaveBeenCalledWith(source, half1, expect.objectContaining({ status: 'completed' }));
+    });
+
+    it('leaves the source unmatched while the transfer is only partly paid out', async () => {
+      transferTracker.addDestination.mockResolvedValueOnce({ status: 'partial', destinations: [half1] });
+
+      expect(await matcher.matchPartialLegs(source, [half1])).toBe(true);
+
+      expect(TransactionOperations.markMatched).not.toHaveBeenCalledWith(source, expect.anything(), expect.anything());
+      expect(matched).not.toHaveBeenCalled();
+    });
+
+    it('refuses legs that together deliver more than the transfer still owes', async () => {
+      transferTracker.getOutstanding.mockReturnValue(parseUnits('60'));
+
+      expect(await matcher.matchPartialLegs(source, [half1, half2])).toBe(false);
+      expect(transferTracker.addDestination).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('isHighValueTransaction', () => {
+    it('compares USD values against the threshold and never counts unpriced transfers', () => {
+      expect(matcher.isHighValueTransaction(matcher.config.highValueUsd)).toBe(true);
+      expect(matcher.isHighValueTransaction(matcher.config.highValueUsd - 1)).toBe(false);
+      expect(matcher.isHighValueTransaction(null)).toBe(false);
+      expect(matcher.isHighValueTransaction(undefined)).toBe(false);
+    });
+  });
+});
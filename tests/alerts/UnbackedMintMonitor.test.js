@@ -0,0 +1,194 @@
+jest.mock('../../db/operations', () => ({
+  TransactionOperations: {
+    findByBridgeId: jest.fn(),
+    findUnbackedCandidates: jest.fn(),
+    markAsUnbacked: jest.fn(),
+    deferUnbackedCheck: jest.fn()
+  },
+  AnomalyOperations: {
+    findOpenForTransaction: jest.fn(),
+    resolve: jest.fn()
+  },
+  AlertOperations: {
+    resolveForAnomaly: jest.fn()
+  },
+  IncidentOperations: {
+    findOpen: jest.fn(),
+    addLeg: jest.fn(),
+    create: jest.fn(),
+    findByAnomaly: jest.fn(),
+    resolveLeg: jest.fn(),
+    updateStatus: jest.fn()
+  }
+}));
+
+const { TransactionOperations, AnomalyOperations, AlertOperations, IncidentOperations } = require('../../db/operations');
+const AnomalyDetector = require('../../alerts/AnomalyDetector');
+const UnbackedMintMonitor = require('../../alerts/UnbackedMintMonitor');
+const { NOW, transfer, destination, stored } = require('../helpers/transactions');
+
+const MINUTE = 60 * 1000;
+const MAX_LATENCY = 30 * MINUTE; // The Ethereum -> Polygon bridge timeout SLA
+const CONTRACT = '0x000000000000000000000000000000000000B001';
+
+describe('UnbackedMintMonitor', () => {
+  let alertSystem;
+  let monitor;
+  let mint;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    alertSystem = { sendAlert: jest.fn(), emitRealTimeUpdate: jest.fn() };
+    alertSystem.anomalyDetector = new AnomalyDetector(alertSystem);
+    jest.spyOn(alertSystem.anomalyDetector, 'createAnomaly').mockImplementation(async result => ({ _id: 'anomaly', ...result }));
+    monitor = new UnbackedMintMonitor(alertSystem);
+
+    mint = stored(destination({
+      txHash: '0xmint',
+      bridgeContract: CONTRACT,
+      confirmationStatus: 'finalized',
+      finalizedAt: new Date(NOW)
+    }));
+    TransactionOperations.findByBridgeId.mockResolvedValue([mint]);
+    IncidentOperations.findOpen.mockResolvedValue(null);
+    IncidentOperations.create.mockImplementation(async incident => ({ _id: 'incident', incidentId: 'INC-1', ...incident }));
+  });
+
+  describe('evaluate', () => {
+    it('puts off a leg until its max latency has passed', async () => {
+      await monitor.evaluate(mint, NOW + MAX_LATENCY - 1);
+
+      expect(TransactionOperations.deferUnbackedCheck).toHaveBeenCalledWith('0xmint', new Date(NOW + MAX_LATENCY));
+      expect(TransactionOperations.markAsUnbacked).not.toHaveBeenCalled();
+    });
+
+    it('puts off a leg whose stored source leg is still to be matched', async () => {
+      TransactionOperations.findByBridgeId.mockResolvedValue([mint, stored(transfer({ txHash: '0xsource' }))]);
+      const now = NOW + 2 * MAX_LATENCY;
+
+      await monitor.evaluate(mint, now);
+
+      expect(TransactionOperations.deferUnbackedCheck).toHaveBeenCalledWith('0xmint', new Date(now + monitor.config.recheckMs));
+      expect(TransactionOperations.markAsUnbacked).not.toHaveBeenCalled();
+    });
+
+    it('does not count a rolled-back source leg as backing', async () => {
+      TransactionOperations.findByBridgeId.mockResolvedValue([mint, stored(transfer({ txHash: '0xsource', status: 'reorged' }))]);
+
+      await monitor.evaluate(mint, NOW + MAX_LATENCY);
+
+      expect(TransactionOperations.markAsUnbacked).toHaveBeenCalledWith('0xmint');
+    });
+
+    it('never raises a leg that is not final yet', async () => {
+      mint.confirmationStatus = 'confirmed';
+
+      await monitor.evaluate(mint, NOW + 2 * MAX_LATENCY);
+
+      expect(TransactionOperations.markAsUnbacked).not.toHaveBeenCalled();
+    });
+
+    it('raises an unbacked leg and opens an incident for its contract', async () => {
+      mint.amountUsd = 25000;
+
+      await monitor.evaluate(mint, NOW + MAX_LATENCY);
+
+      expect(TransactionOperations.markAsUnbacked).toHaveBeenCalledWith('0xmint');
+      expect(alertSystem.anomalyDetector.createAnomaly).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'unbacked_mint', severity: 'critical', confidence: 0.9 }),
+        mint
+      );
+      expect(IncidentOperations.create).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'unbacked_mint',
+        chainId: 137,
+        contractAddress: CONTRACT,
+        exposureUsd: 25000,
+        unpricedLegs: 0
+      }));
+      expect(alertSystem.sendAlert).toHaveBeenCalledWith(expect.objectContaining({ type: 'incident_opened' }));
+      expect(alertSystem.emitRealTimeUpdate).toHaveBeenCalledWith('incident_opened', expect.objectContaining({ incidentId: 'INC-1' }));
+    });
+
+    it('weighs severity by USD value and treats unpriced legs as critical', async () => {
+      mint.amountUsd = 50;
+      await monitor.evaluate(mint, NOW + MAX_LATENCY);
+      mint.amountUsd = null;
+      await monitor.evaluate(mint, NOW + MAX_LATENCY);
+
+      const severities = alertSystem.anomalyDetector.createAnomaly.mock.calls.map(([result]) => result.severity);
+      expect(severities).toEqual(['high', 'critical']);
+      expect(IncidentOperations.create).toHaveBeenLastCalledWith(expect.objectContaining({ exposureUsd: 0, unpricedLegs: 1 }));
+    });
+
+    it('files further legs under the contract\'s open incident', async () => {
+      IncidentOperations.findOpen.mockResolvedValue({ _id: 'incident' });
+      IncidentOperations.addLeg.mockResolvedValue({ _id: 'incident', legs: 2 });
+
+      await monitor.evaluate(mint, NOW + MAX_LATENCY);
+
+      expect(IncidentOperations.findOpen).toHaveBeenCalledWith('unbacked_mint', 137, CONTRACT);
+      expect(IncidentOperations.addLeg).toHaveBeenCalledWith('incident', expect.objectContaining({ _id: 'anomaly' }), mint, 100);
+      expect(IncidentOperations.create).not.toHaveBeenCalled();
+      expect(alertSystem.emitRealTimeUpdate).toHaveBeenCalledWith('incident_updated', { _id: 'incident', legs: 2 });
+    });
+  });
+
+  describe('checkForUnbacked', () => {
+    it('loads legs final for at least the shortest latency any route gets', async () => {
+      const spy = jest.spyOn(Date, 'now').mockReturnValue(NOW);
+      try {
+        TransactionOperations.findUnbackedCandidates.mockResolvedValue([]);
+
+        await monitor.checkForUnbacked();
+
+        expect(TransactionOperations.findUnbackedCandidates).toHaveBeenCalledWith(
+          new Date(NOW - monitor.getShortestLatency()),
+          monitor.config.batchSize
+        );
+      } finally {
+        spy.mockRestore();
+      }
+    });
+  });
+
+  describe('resolveUnbacked', () => {
+    const source = stored(transfer({ txHash: '0xsource' }));
+
+    beforeEach(() => {
+      mint.unbackedAt = new Date(NOW + MAX_LATENCY);
+      AnomalyOperations.findOpenForTransaction.mockResolvedValue({ _id: 'anomaly' });
+      AlertOperations.resolveForAnomaly.mockResolvedValue([{}]);
+      IncidentOperations.findByAnomaly.mockResolvedValue({ _id: 'incident', incidentId: 'INC-1', status: 'open' });
+    });
+
+    it('resolves the anomaly and the incident once its last unbacked leg finds a source', async () => {
+      IncidentOperations.resolveLeg.mockResolvedValue({ openAnomalies: 0 });
+
+      await monitor.resolveUnbacked(source, mint);
+
+      expect(AnomalyOperations.resolve).toHaveBeenCalledWith('anomaly', 'system', expect.stringMatching(/^Source leg 0xsource on chain 1 matched/));
+      expect(IncidentOperations.updateStatus).toHaveBeenCalledWith('incident', 'resolved', 'system', expect.any(String));
+      expect(alertSystem.emitRealTimeUpdate).toHaveBeenCalledWith('unbacked_mint_resolved', expect.objectContaining({
+        incidentId: 'INC-1',
+        incidentResolved: true,
+        resolvedAlerts: 1
+      }));
+    });
+
+    it('keeps the incident open while other legs in it are unbacked', async () => {
+      IncidentOperations.resolveLeg.mockResolvedValue({ openAnomalies: 1 });
+
+      await monitor.resolveUnbacked(source, mint);
+
+      expect(IncidentOperations.updateStatus).not.toHaveBeenCalled();
+    });
+
+    it('ignores matches of legs that were never raised', async () => {
+      mint.unbackedAt = null;
+
+      await monitor.resolveUnbacked(source, mint);
+
+      expect(AnomalyOperations.findOpenForTransaction).not.toHaveBeenCalled();
+    });
+  });
+});
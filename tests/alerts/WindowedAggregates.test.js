@@ -0,0 +1,252 @@
+jest.mock('../../db/operations', () => ({
+  AggregateOperations: {
+    loadAll: jest.fn(),
+    saveMany: jest.fn(),
+    deleteMany: jest.fn()
+  }
+}));
+
+const { AggregateOperations } = require('../../db/operations');
+const eventBus = require('../../utils/eventBus');
+const WindowedAggregates = require('../../alerts/WindowedAggregates');
+const { NOW, transfer } = require('../helpers/transactions');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const OPTIONS = {
+  windows: {
+    '1m': { spanMs: MINUTE, bucketMs: 5 * 1000 },
+    '1h': { spanMs: HOUR, bucketMs: MINUTE },
+    '24h': { spanMs: 24 * HOUR, bucketMs: 15 * MINUTE }
+  },
+  dimensionWindows: { transfer: ['24h'] },
+  persistIntervalMs: MINUTE
+};
+
+describe('WindowedAggregates', () => {
+  let aggregates;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    aggregates = new WindowedAggregates(OPTIONS);
+  });
+
+  describe('keysFor', () => {
+    it('keys a source leg by its chain, token, sender, route and transfer', () => {
+      expect(WindowedAggregates.keysFor(transfer())).toEqual({
+        chain: '1',
+        token: '1:0x00000000000000000000000000000000000000c1',
+        address: '0xabc0000000000000000000000000000000000001',
+        route: '1->137',
+        transfer: '1:0xabc0000000000000000000000000000000000001:0x00000000000000000000000000000000000000b1:0x00000000000000000000000000000000000000c1:100000000:0x01'
+      });
+    });
+
+    it('keys a destination leg by its recipient and the route it arrived over', () => {
+      const keys = WindowedAggregates.keysFor(transfer({
+        chainId: 137,
+        sourceChainId: 1,
+        targetChainId: undefined,
+        direction: 'inbound',
+        eventType: 'Mint',
+        recipient: '0x00000000000000000000000000000000000000D1'
+      }));
+
+      expect(keys.address).toBe('0x00000000000000000000000000000000000000d1');
+      expect(keys.route).toBe('1->137');
+    });
+
+    it('leaves out keys a leg has nothing for', () => {
+      const keys = WindowedAggregates.keysFor(transfer({ tokenAddress: null, targetChainId: null }));
+
+      expect(keys.token).toBeNull();
+      expect(keys.route).toBeNull();
+    });
+  });
+
+  describe('record and get', () => {
+    it('aggregates counts, sums and means per key and window', () => {
+      aggregates.recordTransaction(transfer(), NOW);
+      aggregates.recordTransaction(transfer({ amountFormatted: '300', amountUsd: 300 }), NOW);
+
+      expect(aggregates.get('address', '0xabc0000000000000000000000000000000000001', '1h', NOW)).toMatchObject({
+        count: 2,
+        valued: 2,
+        sum: 400,
+        mean: 200
+      });
+      // Token keys sum token units
+      expect(aggregates.get('token', '1:0x00000000000000000000000000000000000000c1', '1m', NOW).sum).toBe(400);
+    });
+
+    it('counts unpriced transfers without adding a value', () => {
+      aggregates.recordTransaction(transfer({ amountUsd: null }), NOW);
+
+      expect(aggregates.get('chain', '1', '1h', NOW)).toMatchObject({ count: 1, valued: 0, sum: 0, mean: null, p50: null });
+    });
+
+    it('returns empty aggregates for an unknown key', () => {
+      expect(aggregates.get('chain', '999', '1h', NOW)).toEqual({
+        count: 0, valued: 0, sum: 0, mean: null, p50: null, p95: null, p99: null
+      });
+    });
+
+    it('rejects an unknown window', () => {
+      expect(() => aggregates.get('chain', '1', '2h', NOW)).toThrow('Unknown aggregate window: 2h');
+    });
+
+    it('keeps transfer keys only over their configured windows', () => {
+      aggregates.recordTransaction(transfer(), NOW);
+      aggregates.recordTransaction(transfer(), NOW);
+      const key = WindowedAggregates.keysFor(transfer()).transfer;
+
+      expect(aggregates.get('transfer', key, '24h', NOW).count).toBe(2);
+      expect(aggregates.get('transfer', key, '1m', NOW).count).toBe(0);
+    });
+  });
+
+  describe('sliding', () => {
+    it('drops observations once they fall out of a window', () => {
+      aggregates.record('chain', '1', 10, NOW, NOW);
+      aggregates.record('chain', '1', 20, NOW + 30 * 1000, NOW + 30 * 1000);
+
+      expect(aggregates.get('chain', '1', '1m', NOW + 30 * 1000)).toMatchObject({ count: 2, sum: 30 });
+      expect(aggregates.get('chain', '1', '1m', NOW + 65 * 1000)).toMatchObject({ count: 1, sum: 20 });
+      expect(aggregates.get('chain', '1', '1m', NOW + 2 * MINUTE)).toMatchObject({ count: 0, sum: 0 });
+      expect(aggregates.get('chain', '1', '1h', NOW + 2 * MINUTE)).toMatchObject({ count: 2, sum: 30 });
+    });
+
+    it('skips observations already older than a window', () => {
+      aggregates.record('chain', '1', 10, NOW - 2 * MINUTE, NOW);
+
+      expect(aggregates.get('chain', '1', '1m', NOW).count).toBe(0);
+      expect(aggregates.get('chain', '1', '1h', NOW).count).toBe(1);
+    });
+
+    it('places late observations in their own time bucket', () => {
+      aggregates.record('chain', '1', 10, NOW, NOW);
+      aggregates.record('chain', '1', 20, NOW - 30 * MINUTE, NOW);
+
+      expect(aggregates.get('chain', '1', '1h', NOW + 31 * MINUTE)).toMatchObject({ count: 1, sum: 10 });
+    });
+  });
+
+  describe('reorged transfers', () => {
+    it('takes a rolled-back transfer out of every key it was recorded under', () => {
+      aggregates.recordTransaction(transfer(), NOW);
+      aggregates.recordTransaction(transfer({ amountFormatted: '300', amountUsd: 300 }), NOW);
+
+      aggregates.removeTransaction(transfer({ amountFormatted: '300', amountUsd: 300 }), NOW + MINUTE);
+
+      expect(aggregates.get('route', '1->137', '1h', NOW + MINUTE)).toMatchObject({ count: 1, sum: 100, p50: expect.any(Number) });
+      expect(aggregates.get('token', '1:0x00000000000000000000000000000000000000c1', '24h', NOW + MINUTE).sum).toBe(100);
+      expect(aggregates.get('transfer', WindowedAggregates.keysFor(transfer()).transfer, '24h', NOW + MINUTE).count).toBe(1);
+    });
+
+    it('counts a reorged transfer once when it is re-ingested', async () => {
+      jest.spyOn(Date, 'now').mockReturnValue(NOW);
+      AggregateOperations.loadAll.mockResolvedValue([]);
+      await aggregates.start();
+      try {
+        aggregates.recordTransaction(transfer(), NOW);
+        eventBus.emit('transaction:reorged', transfer(), null);
+        aggregates.recordTransaction(transfer(), NOW);
+
+        expect(aggregates.get('chain', '1', '24h', NOW)).toMatchObject({ count: 1, sum: 100 });
+      } finally {
+        await aggregates.stop();
+        Date.now.mockRestore();
+      }
+    });
+
+    it('leaves windows the transfer has already slid out of alone', () => {
+      aggregates.recordTransaction(transfer(), NOW);
+      aggregates.recordTransaction(transfer({ timestamp: new Date(NOW + 2 * MINUTE) }), NOW + 2 * MINUTE);
+
+      aggregates.removeTransaction(transfer(), NOW + 2 * MINUTE);
+
+      expect(aggregates.get('chain', '1', '1m', NOW + 2 * MINUTE)).toMatchObject({ count: 1, sum: 100 });
+      expect(aggregates.get('chain', '1', '1h', NOW + 2 * MINUTE)).toMatchObject({ count: 1, sum: 100 });
+    });
+
+    it('ignores transfers it never recorded', () => {
+      aggregates.removeTransaction(transfer(), NOW);
+
+      expect(aggregates.get('chain', '1', '1h', NOW).count).toBe(0);
+    });
+  });
+
+  describe('percentiles', () => {
+    it('approximates percentiles within a histogram bin', () => {
+      for (let value = 1; value <= 100; value++) {
+        aggregates.record('route', '1->137', value, NOW, NOW);
+      }
+      const stats = aggregates.get('route', '1->137', '1h', NOW);
+
+      // Bins are about 12% wide
+      expect(stats.p50).toBeGreaterThan(50 * 0.88);
+      expect(stats.p50).toBeLessThan(50 * 1.12);
+      expect(stats.p95).toBeGreaterThan(95 * 0.88);
+      expect(stats.p99).toBeLessThan(100 * 1.12);
+    });
+
+    it('puts zero values in a bin of their own', () => {
+      aggregates.record('route', '1->137', 0, NOW, NOW);
+      aggregates.record('route', '1->137', 0, NOW, NOW);
+      aggregates.record('route', '1->137', 1000, NOW, NOW);
+
+      expect(aggregates.get('route', '1->137', '1h', NOW)).toMatchObject({ p50: 0, mean: 1000 / 3 });
+    });
+  });
+
+  describe('covers', () => {
+    it('checks whether a time still falls inside a window', () => {
+      expect(aggregates.covers('1m', new Date(NOW - 30 * 1000), NOW)).toBe(true);
+      expect(aggregates.covers('1m', new Date(NOW - MINUTE), NOW)).toBe(false);
+      expect(aggregates.covers('2h', new Date(NOW), NOW)).toBe(false);
+    });
+  });
+
+  describe('persistence', () => {
+    it('saves changed keys and reloads their totals', async () => {
+      jest.spyOn(Date, 'now').mockReturnValue(NOW);
+      try {
+        aggregates.recordTransaction(transfer(), NOW);
+        await aggregates.persist();
+
+        const saved = AggregateOperations.saveMany.mock.calls[0][0];
+        expect(saved.map(document => document.dimension).sort()).toEqual(['address', 'chain', 'route', 'token', 'transfer']);
+        expect(Object.keys(saved.find(document => document.dimension === 'transfer').windows)).toEqual(['24h']);
+
+        // Nothing changed since
+        await aggregates.persist();
+        expect(AggregateOperations.saveMany.mock.calls[1][0]).toEqual([]);
+
+        AggregateOperations.loadAll.mockResolvedValue(saved);
+        const reloaded = new WindowedAggregates(OPTIONS);
+        await reloaded.load();
+
+        expect(reloaded.get('route', '1->137', '1h', NOW)).toEqual(aggregates.get('route', '1->137', '1h', NOW));
+      } finally {
+        Date.now.mockRestore();
+      }
+    });
+
+    it('forgets keys whose windows have emptied out', async () => {
+      const spy = jest.spyOn(Date, 'now').mockReturnValue(NOW);
+      try {
+        aggregates.record('chain', '1', 10, NOW, NOW);
+        await aggregates.persist();
+
+        spy.mockReturnValue(NOW + 25 * HOUR);
+        await aggregates.persist();
+
+        expect(AggregateOperations.deleteMany).toHaveBeenLastCalledWith([{ dimension: 'chain', key: '1' }]);
+        expect(aggregates.getStats().keys).toEqual({});
+      } finally {
+        spy.mockRestore();
+      }
+    });
+  });
+});
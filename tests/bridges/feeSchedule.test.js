@@ -0,0 +1,124 @@
+const config = require('../../config/default');
+const { compareLegs } = require('../../bridges/feeSchedule');
+
+const LABEL = 'fee-schedule-test';
+
+function source(amount, overrides = {}) {
+  return {
+    chainId: 1,
+    targetChainId: 56,
+    direction: 'outbound',
+    eventType: 'Lock',
+    bridgeLabel: LABEL,
+    bridgeContract: '0x000000000000000000000000000000000000dead',
+    canonicalAssetId: 'usdc',
+    amount,
+    tokenDecimals: 6,
+    ...overrides
+  };
+}
+
+function destination(amount, overrides = {}) {
+  return {
+    chainId: 56,
+    sourceChainId: 1,
+    direction: 'inbound',
+    eventType: 'Mint',
+    canonicalAssetId: 'usdc',
+    amount,
+    tokenDecimals: 18,
+    ...overrides
+  };
+}
+
+describe('compareLegs', () => {
+  const bridgeFees = config.bridgeFees;
+
+  beforeEach(() => {
+    config.bridgeFees = {
+      [LABEL]: {
+        '*': { bps: 5 },
+        usdc: { bps: 10, min: '0.9', max: '1000' },
+        routes: { '1->137': { usdc: { flat: '0.5' } } }
+      }
+    };
+  });
+
+  afterEach(() => {
+    config.bridgeFees = bridgeFees;
+  });
+
+  it('accepts a destination short of the source by exactly the fee', () => {
+    // 10 bps of 10,000 USDC is 10 USDC
+    const result = compareLegs(source('10000000000'), destination('9990000000000000000000'), 0);
+
+    expect(result.withinTolerance).toBe(true);
+    expect(result.sourceAmount).toBe('10000');
+    expect(result.destinationAmount).toBe('9990');
+    expect(result.feeAmount).toBe('10');
+    expect(result.expectedAmount).toBe('9990');
+    expect(result.deviation).toBe('0');
+    expect(result.deviationBps).toBe(0);
+  });
+
+  it('compares legs given in either order', () => {
+    const result = compareLegs(destination('9990000000000000000000'), source('10000000000'), 0);
+
+    expect(result.withinTolerance).toBe(true);
+    expect(result.sourceAmount).toBe('10000');
+  });
+
+  it('flags a destination short of the source by more than the fee and tolerance', () => {
+    const result = compareLegs(source('10000000000'), destination('9900000000000000000000'), 10);
+
+    expect(result.withinTolerance).toBe(false);
+    expect(result.deviation).toBe('-90');
+    expect(result.deviationBps).toBe(90);
+  });
+
+  it('allows the tolerance on top of the fee', () => {
+    // 10 bps fee plus 10 bps tolerance of 10,000 USDC
+    expect(compareLegs(source('10000000000'), destination('9980000000000000000000'), 10).withinTolerance).toBe(true);
+    expect(compareLegs(source('10000000000'), destination('9979000000000000000000'), 10).withinTolerance).toBe(false);
+  });
+
+  it('flags a destination above the source by more than the tolerance', () => {
+    expect(compareLegs(source('10000000000'), destination('10010000000000000000000'), 10).withinTolerance).toBe(true);
+    expect(compareLegs(source('10000000000'), destination('10011000000000000000000'), 10).withinTolerance).toBe(false);
+  });
+
+  it('applies the minimum and maximum fee', () => {
+    expect(compareLegs(source('100000000'), destination('99100000000000000000'), 0).feeAmount).toBe('0.9');
+    expect(compareLegs(source('10000000000000'), destination('9999000000000000000000000'), 0).feeAmount).toBe('1000');
+  });
+
+  it('prefers a route override', () => {
+    const result = compareLegs(source('10000000000', { targetChainId: 137 }), destination('9999500000000000000000'), 0);
+
+    expect(result.feeAmount).toBe('0.5');
+    expect(result.withinTolerance).toBe(true);
+  });
+
+  it('falls back to the schedule for any asset', () => {
+    const result = compareLegs(
+      source('10000000000', { canonicalAssetId: 'dai' }),
+      destination('9995000000000000000000', { canonicalAssetId: 'dai' }),
+      0
+    );
+
+    expect(result.feeAmount).toBe('5');
+    expect(result.withinTolerance).toBe(true);
+  });
+
+  it('expects the full amount from a bridge without a fee schedule', () => {
+    const result = compareLegs(
+      source('10000000000', { bridgeLabel: 'no-fees' }),
+      destination('9990000000000000000000'),
+      0
+    );
+
+    expect(result.feeAmount).toBe('0');
+    expect(result.withinTolerance).toBe(false);
+    expect(result.deviationBps).toBe(10);
+  });
+});
@@ -0,0 +1,62 @@
+// Shared transaction fixtures for unit tests
+const NOW = Date.parse('2026-01-01T12:00:00Z');
+
+// An outbound USDC lock from Ethereum to Polygon at NOW
+function transfer(overrides = {}) {
+  return {
+    chainId: 1,
+    targetChainId: 137,
+    direction: 'outbound',
+    eventType: 'Lock',
+    from: '0xAbC0000000000000000000000000000000000001',
+    to: '0x00000000000000000000000000000000000000b1',
+    tokenAddress: '0x00000000000000000000000000000000000000C1',
+    tokenSymbol: 'USDC',
+    tokenDecimals: 6,
+    amount: '100000000',
+    amountFormatted: '100',
+    amountUsd: 100,
+    bridgeId: '0x01',
+    timestamp: new Date(NOW),
+    ...overrides
+  };
+}
+
+// The Polygon mint paying out transfer(), five minutes later
+function destination(overrides = {}) {
+  return transfer({
+    chainId: 137,
+    sourceChainId: 1,
+    targetChainId: undefined,
+    direction: 'inbound',
+    eventType: 'Mint',
+    tokenAddress: '0x00000000000000000000000000000000000000D1',
+    timestamp: new Date(NOW + 5 * 60 * 1000),
+    ...overrides
+  });
+}
+
+// A confirmed, unmatched leg as the matcher and monitors load it from the database
+function stored(transaction) {
+  return {
+    _id: transaction.txHash,
+    networkName: transaction.chainId === 1 ? 'ethereum' : 'polygon',
+    canonicalAssetId: 'usdc',
+    status: 'pending',
+    confirmationStatus: 'confirmed',
+    isMatched: false,
+    matchedTransactionId: null,
+    rejectedMatches: [],
+    rejects(transactionId) {
+      return this.rejectedMatches.some(id => id.toString() === transactionId.toString());
+    },
+    ...transaction
+  };
+}
+
+module.exports = {
+  NOW,
+  transfer,
+  destination,
+  stored
+};
@@ -0,0 +1,142 @@
+jest.mock('../../db/operations', () => ({
+  TransactionOperations: {},
+  CheckpointOperations: {}
+}));
+
+const { EventEmitter } = require('events');
+const BaseEventListener = require('../../listeners/BaseEventListener');
+
+const NETWORK = {
+  name: 'test',
+  chainId: 1,
+  rpcUrl: 'http://localhost:8545',
+  rpcUrls: ['http://localhost:8546', 'http://localhost:8547'],
+  contracts: []
+};
+
+describe('BaseEventListener', () => {
+  describe('requiresQuorum', () => {
+    const listener = new BaseEventListener({ ...NETWORK, quorum: { size: 2, minAmountUsd: 100000 } }, {});
+
+    it('cross-checks events worth at least the threshold', () => {
+      expect(listener.requiresQuorum({ amountUsd: 100000, amountFormatted: '100000' })).toBe(true);
+      expect(listener.requiresQuorum({ amountUsd: 99999, amountFormatted: '99999' })).toBe(false);
+    });
+
+    it('cross-checks every event that could not be priced, whatever its token amount', () => {
+      expect(listener.requiresQuorum({ amountUsd: null, amountFormatted: '0.5' })).toBe(true);
+      expect(listener.requiresQuorum({ amountFormatted: '0.5' })).toBe(true);
+    });
+
+    it('cross-checks nothing while the quorum is a single endpoint', () => {
+      const single = new BaseEventListener({ ...NETWORK, quorum: { size: 1 } }, {});
+
+      expect(single.requiresQuorum({ amountUsd: null, amountFormatted: '1000000' })).toBe(false);
+    });
+  });
+
+  describe('live events', () => {
+    let listener;
+    let bridge;
+    let subscription;
+
+    beforeEach(async () => {
+      listener = new BaseEventListener(NETWORK, {});
+      subscription = new EventEmitter();
+      bridge = {
+        address: '0x000000000000000000000000000000000000a001',
+        label: 'generic',
+        contract: { events: { Lock: () => subscription } },
+        subscriptions: new Map(),
+        checkpoint: { blockNumber: 5 },
+        checkpointHold: null,
+        liveQueue: Promise.resolve(),
+        holdRetryPending: false
+      };
+      listener.bridges.set(bridge.address, bridge);
+      jest.spyOn(listener, 'advanceCheckpoint').mockImplementation(async (target, blockNumber) => {
+        target.checkpoint = { blockNumber };
+      });
+      jest.spyOn(listener, 'handleEvent');
+      await listener.subscribeToEvent(bridge, 'Lock');
+    });
+
+    // An event whose storing settles when the test says so
+    function deliver(blockNumber) {
+      let settle;
+      const stored = new Promise(resolve => { settle = resolve; });
+      listener.handleEvent.mockImplementationOnce(() => stored);
+      subscription.emit('data', { blockNumber });
+      return settle;
+    }
+
+    it('handles a contract\'s events one at a time so the checkpoint never passes one still being stored', async () => {
+      const settleFirst = deliver(10);
+      const settleSecond = deliver(11);
+
+      settleSecond(true);
+      await new Promise(resolve => setImmediate(resolve));
+      expect(listener.handleEvent).toHaveBeenCalledTimes(1);
+      expect(listener.advanceCheckpoint).not.toHaveBeenCalled();
+
+      settleFirst(true);
+      await bridge.liveQueue;
+
+      expect(listener.advanceCheckpoint.mock.calls.map(([, blockNumber]) => blockNumber)).toEqual([9, 10]);
+    });
+
+    it('keeps the checkpoint below a block whose events failed to store', async () => {
+      deliver(10)(false);
+      deliver(12)(true);
+      await bridge.liveQueue;
+
+      expect(bridge.checkpointHold).toBe(10);
+      expect(listener.advanceCheckpoint).toHaveBeenCalledWith(bridge, 9, 'live');
+      expect(bridge.checkpoint.blockNumber).toBe(9);
+    });
+
+    describe('held blocks', () => {
+      beforeEach(() => {
+        bridge.checkpointHold = 10;
+        jest.spyOn(listener, 'processEventBatch');
+      });
+
+      it('re-reads held blocks as new blocks arrive and moves the checkpoint past them once stored', async () => {
+        listener.processEventBatch.mockResolvedValue(true);
+
+        listener.retryHeldBlocks(14);
+        await bridge.liveQueue;
+
+        expect(listener.processEventBatch).toHaveBeenCalledWith(bridge, 10, 14);
+        expect(bridge.checkpointHold).toBeNull();
+        expect(listener.advanceCheckpoint).toHaveBeenCalledWith(bridge, 14, 'live');
+      });
+
+      it('keeps the hold while the events still cannot be stored', async () => {
+        listener.processEventBatch.mockResolvedValue(false);
+
+        listener.retryHeldBlocks(14);
+        await bridge.liveQueue;
+
+        expect(bridge.checkpointHold).toBe(10);
+        expect(listener.advanceCheckpoint).not.toHaveBeenCalled();
+      });
+
+      it('queues one retry per contract at a time, behind the live events already queued', async () => {
+        listener.processEventBatch.mockResolvedValue(true);
+        const settle = deliver(13);
+
+        listener.retryHeldBlocks(14);
+        listener.retryHeldBlocks(15);
+        await new Promise(resolve => setImmediate(resolve));
+        expect(listener.processEventBatch).not.toHaveBeenCalled();
+
+        settle(true);
+        await bridge.liveQueue;
+
+        expect(listener.processEventBatch).toHaveBeenCalledTimes(1);
+        expect(listener.processEventBatch).toHaveBeenCalledWith(bridge, 10, 14);
+      });
+    });
+  });
+});
@@ -0,0 +1,99 @@
+const ReorgTracker = require('../../listeners/ReorgTracker');
+
+// Headers of a chain whose block hashes are `${branch}${number}`, forking from `base` at `forkAfter`
+function header(number, branch = 'a', forkAfter = Infinity, base = 'a') {
+  const hashOf = n => `${n > forkAfter ? branch : base}${n}`;
+  return { number, hash: hashOf(number), parentHash: hashOf(number - 1) };
+}
+
+describe('ReorgTracker', () => {
+  let fetched;
+  let fetchBlock;
+
+  beforeEach(() => {
+    fetched = [];
+    fetchBlock = jest.fn(async number => {
+      fetched.push(number);
+      return header(number, 'b', 102);
+    });
+  });
+
+  async function track(tracker, from, to, ...branch) {
+    let reorg = null;
+    for (let number = from; number <= to; number++) {
+      reorg = (await tracker.processBlock(header(number, ...branch))) || reorg;
+    }
+    return reorg;
+  }
+
+  it('follows a chain that builds on the blocks it has seen', async () => {
+    const tracker = new ReorgTracker('test', fetchBlock);
+
+    expect(await track(tracker, 100, 105)).toBeNull();
+    expect(tracker.getBlockHash(105)).toBe('a105');
+    expect(tracker.getStatus()).toMatchObject({ trackedBlocks: 6, highestBlock: 105, reorgCount: 0, lastReorg: null });
+    expect(fetchBlock).not.toHaveBeenCalled();
+  });
+
+  it('walks back to the common ancestor when a header no longer builds on the seen chain', async () => {
+    const tracker = new ReorgTracker('test', fetchBlock);
+    await track(tracker, 100, 105);
+
+    const reorg = await tracker.processBlock(header(105, 'b', 102));
+
+    expect(reorg).toMatchObject({
+      commonAncestor: 102,
+      fromBlock: 103,
+      toBlock: 105,
+      depth: 3,
+      newHead: { number: 105, hash: 'b105' }
+    });
+    expect(fetched).toEqual([104, 103]);
+    expect(Array.from(reorg.canonicalHashes.entries())).toEqual([[105, 'b105'], [104, 'b104'], [103, 'b103']]);
+    expect(tracker.getBlockHash(102)).toBe('a102');
+    expect(tracker.getBlockHash(103)).toBe('b103');
+    expect(tracker.getStatus()).toMatchObject({ reorgCount: 1, lastReorg: { commonAncestor: 102, depth: 3 } });
+  });
+
+  it('counts blocks above a shorter new head as orphaned', async () => {
+    const tracker = new ReorgTracker('test', fetchBlock);
+    await track(tracker, 100, 106);
+
+    const reorg = await tracker.processBlock(header(104, 'b', 102));
+
+    expect(reorg).toMatchObject({ commonAncestor: 102, toBlock: 106, depth: 4 });
+    expect(tracker.getBlockHash(105)).toBeNull();
+    expect(tracker.getBlockHash(106)).toBeNull();
+  });
+
+  it('detects a replaced block at a height it has seen', async () => {
+    const tracker = new ReorgTracker('test', fetchBlock);
+    await track(tracker, 100, 103);
+
+    // Same parent, different hash at 103
+    const reorg = await tracker.processBlock({ number: 103, hash: 'c103', parentHash: 'a102' });
+
+    expect(reorg).toMatchObject({ commonAncestor: 102, fromBlock: 103, toBlock: 103, depth: 1 });
+    expect(fetchBlock).not.toHaveBeenCalled();
+    expect(tracker.getBlockHash(103)).toBe('c103');
+  });
+
+  it('treats the oldest tracked block as the fork point of a reorg deeper than the window', async () => {
+    fetchBlock = jest.fn(async number => header(number, 'b', 0));
+    const tracker = new ReorgTracker('test', fetchBlock, 4);
+    await track(tracker, 100, 110);
+
+    const reorg = await tracker.processBlock(header(110, 'b', 0));
+
+    expect(reorg).toMatchObject({ commonAncestor: 106, fromBlock: 107, toBlock: 110 });
+  });
+
+  it('keeps only the configured window of block hashes', async () => {
+    const tracker = new ReorgTracker('test', fetchBlock, 4);
+    await track(tracker, 100, 110);
+
+    expect(tracker.getStatus().trackedBlocks).toBe(4);
+    expect(tracker.getBlockHash(106)).toBeNull();
+    expect(tracker.getBlockHash(107)).toBe('a107');
+  });
+});
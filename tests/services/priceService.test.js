@@ -0,0 +1,123 @@
+jest.mock('../../db/operations', () => ({
+  PriceOperations: {
+    findEarliest: jest.fn(),
+    findNearest: jest.fn(),
+    recordSnapshots: jest.fn(),
+    deleteOlderThan: jest.fn()
+  }
+}));
+
+const { PriceOperations } = require('../../db/operations');
+const priceService = require('../../services/priceService');
+const { NOW } = require('../helpers/transactions');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+describe('priceService', () => {
+  let source;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers({ now: NOW });
+    source = { id: 'test', getPrices: jest.fn(), getHistoricalPrice: jest.fn() };
+    priceService.sources = [source];
+    priceService.latest.clear();
+    priceService.history.clear();
+    priceService.coveredSince = new Date(NOW - DAY);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('getPriceAt', () => {
+    it('prices events from the nearest snapshot kept', async () => {
+      PriceOperations.findNearest.mockResolvedValue({ priceUsd: 1.01 });
+
+      expect(await priceService.getPriceAt('usdc', new Date(NOW - 2 * 60 * MINUTE))).toBe(1.01);
+      expect(PriceOperations.findNearest).toHaveBeenCalledWith('usdc', new Date(NOW - 2 * 60 * MINUTE), priceService.config.maxPriceAgeMs);
+      expect(source.getHistoricalPrice).not.toHaveBeenCalled();
+    });
+
+    it('leaves a gap in the snapshots kept unpriced rather than asking the sources', async () => {
+      PriceOperations.findNearest.mockResolvedValue(null);
+
+      expect(await priceService.getPriceAt('usdc', new Date(NOW - 2 * 60 * MINUTE))).toBeNull();
+      expect(source.getHistoricalPrice).not.toHaveBeenCalled();
+    });
+
+    it('prices events older than the snapshots from the sources\' history, once per asset and bucket', async () => {
+      source.getHistoricalPrice.mockResolvedValue(0.99);
+      const time = new Date(NOW - 2 * DAY);
+
+      expect(await priceService.getPriceAt('usdc', time)).toBe(0.99);
+      expect(await priceService.getPriceAt('usdc', new Date(time.getTime() + MINUTE))).toBe(0.99);
+      expect(await priceService.getPriceAt('dai', time)).toBe(0.99);
+
+      expect(PriceOperations.findNearest).not.toHaveBeenCalled();
+      expect(source.getHistoricalPrice.mock.calls.map(([assetId]) => assetId)).toEqual(['usdc', 'dai']);
+    });
+
+    it('remembers that the sources have no history for a while', async () => {
+      source.getHistoricalPrice.mockRejectedValue(new Error('not found'));
+      const time = new Date(NOW - 2 * DAY);
+
+      expect(await priceService.getPriceAt('usdc', time)).toBeNull();
+      expect(await priceService.getPriceAt('usdc', time)).toBeNull();
+      expect(source.getHistoricalPrice).toHaveBeenCalledTimes(1);
+
+      jest.advanceTimersByTime(priceService.config.historyMissTtlMs);
+      source.getHistoricalPrice.mockResolvedValue(1);
+
+      expect(await priceService.getPriceAt('usdc', time)).toBe(1);
+    });
+
+    it('keeps the history cache to its size, dropping the oldest entry', async () => {
+      const { historyCacheSize } = priceService.config;
+      priceService.config.historyCacheSize = 2;
+      try {
+        source.getHistoricalPrice.mockResolvedValue(1);
+        for (const days of [4, 3, 2]) {
+          await priceService.getPriceAt('usdc', new Date(NOW - days * DAY));
+        }
+        await priceService.getPriceAt('usdc', new Date(NOW - 4 * DAY));
+
+        expect(priceService.history.size).toBe(2);
+        expect(source.getHistoricalPrice).toHaveBeenCalledTimes(4);
+      } finally {
+        priceService.config.historyCacheSize = historyCacheSize;
+      }
+    });
+
+    it('tries snapshots before history while it does not know what the snapshots cover', async () => {
+      priceService.coveredSince = null;
+      PriceOperations.findNearest.mockResolvedValue(null);
+      source.getHistoricalPrice.mockResolvedValue(1);
+
+      expect(await priceService.getPriceAt('usdc', new Date(NOW - 2 * 60 * MINUTE))).toBe(1);
+      expect(PriceOperations.findNearest).toHaveBeenCalled();
+    });
+  });
+
+  describe('takeSnapshot', () => {
+    it('prunes snapshots past their retention and moves the covered span with them', async () => {
+      priceService.coveredSince = new Date(NOW - 60 * DAY);
+      source.getPrices.mockResolvedValue({ usdc: 1 });
+
+      await priceService.takeSnapshot();
+
+      expect(PriceOperations.deleteOlderThan).toHaveBeenCalledWith(priceService.config.retentionDays);
+      expect(priceService.coveredSince).toEqual(new Date(NOW - priceService.config.retentionDays * DAY));
+    });
+
+    it('starts the covered span at the first snapshot taken', async () => {
+      priceService.coveredSince = null;
+      source.getPrices.mockResolvedValue({ usdc: 1 });
+
+      await priceService.takeSnapshot();
+
+      expect(priceService.coveredSince).toEqual(new Date(NOW));
+    });
+  });
+});
@@ -0,0 +1,105 @@
+const {
+  NORMALIZED_DECIMALS,
+  normalize,
+  parseUnits,
+  formatUnits,
+  transactionAmount,
+  toBps,
+  applyBps
+} = require('../../utils/amounts');
+
+describe('amounts', () => {
+  describe('normalize', () => {
+    it('scales amounts with fewer decimals up to the normalized precision', () => {
+      expect(normalize('1500000', 6)).toBe(1500000000000000000n);
+    });
+
+    it('leaves 18-decimal amounts as they are', () => {
+      expect(normalize('1500000000000000000', NORMALIZED_DECIMALS)).toBe(1500000000000000000n);
+    });
+
+    it('drops digits past the normalized precision', () => {
+      expect(normalize('1234567890123456789012', 21)).toBe(1234567890123456789n);
+    });
+
+    it('makes the same value in different decimals compare equal', () => {
+      expect(normalize('2500000', 6)).toBe(normalize('2500000000000000000', 18));
+    });
+  });
+
+  describe('parseUnits', () => {
+    it('parses decimal strings into base units', () => {
+      expect(parseUnits('0.25', 6)).toBe(250000n);
+      expect(parseUnits('12', 2)).toBe(1200n);
+    });
+
+    it('parses negative amounts', () => {
+      expect(parseUnits('-1.5', 2)).toBe(-150n);
+    });
+
+    it('parses exponent notation', () => {
+      expect(parseUnits('1.5E-7')).toBe(150000000000n);
+      expect(parseUnits('2E+3', 0)).toBe(2000n);
+    });
+
+    it('drops digits past the token decimals', () => {
+      expect(parseUnits('1.23456', 2)).toBe(123n);
+    });
+
+    it('rejects text that is not a decimal', () => {
+      expect(() => parseUnits('1,5')).toThrow('Invalid decimal amount: 1,5');
+      expect(() => parseUnits('abc')).toThrow();
+    });
+  });
+
+  describe('formatUnits', () => {
+    it('formats base units as an exact decimal', () => {
+      expect(formatUnits(1500000n, 6)).toBe('1.5');
+      expect(formatUnits(1n, 18)).toBe('0.000000000000000001');
+    });
+
+    it('omits the fraction of whole amounts', () => {
+      expect(formatUnits(3000000n, 6)).toBe('3');
+    });
+
+    it('formats negative amounts', () => {
+      expect(formatUnits(-250n, 2)).toBe('-2.5');
+    });
+
+    it('round-trips with parseUnits', () => {
+      expect(formatUnits(parseUnits('123.456789'))).toBe('123.456789');
+    });
+  });
+
+  describe('transactionAmount', () => {
+    it('normalizes a stored transaction amount by its token decimals', () => {
+      expect(transactionAmount({ amount: '1000000', tokenDecimals: 6 })).toBe(parseUnits('1'));
+    });
+  });
+
+  describe('toBps', () => {
+    it('expresses a part of a whole in basis points, rounded down', () => {
+      expect(toBps(5n, 1000n)).toBe(50);
+      expect(toBps(1n, 30000n)).toBe(0);
+    });
+
+    it('ignores signs', () => {
+      expect(toBps(-25n, 1000n)).toBe(250);
+    });
+
+    it('is 0 for a zero whole', () => {
+      expect(toBps(5n, 0n)).toBe(0);
+    });
+  });
+
+  describe('applyBps', () => {
+    it('takes basis points of an amount, rounded down', () => {
+      expect(applyBps(10000n, 25)).toBe(25n);
+      expect(applyBps(999n, 10)).toBe(0n);
+    });
+
+    it('accepts fractional basis points', () => {
+      expect(applyBps(1000000n, 2.5)).toBe(250n);
+    });
+  });
+});
@@ -0,0 +1,169 @@
+const WindowedAggregates = require('../../alerts/WindowedAggregates');
+const { parse, validate, validateCondition, compileCondition, render } = require('../../utils/ruleDsl');
+const { NOW, transfer } = require('../helpers/transactions');
+
+function rule(overrides = {}) {
+  return {
+    id: 'large-transfer',
+    name: 'Large transfer',
+    severity: 'high',
+    when: { field: 'amountUsd', gte: 100000 },
+    message: { title: 'Large transfer from {{from}}', description: '{{amountFormatted}} {{tokenSymbol}}' },
+    ...overrides
+  };
+}
+
+function context(transaction, aggregates = new WindowedAggregates()) {
+  return { transaction, aggregates, keys: WindowedAggregates.keysFor(transaction), now: NOW };
+}
+
+describe('ruleDsl', () => {
+  describe('parse', () => {
+    it('parses YAML and JSON rules', () => {
+      const yaml = 'id: large-transfer\nwhen:\n  field: amountUsd\n  gte: 100000\n';
+
+      expect(parse(yaml, 'yaml')).toEqual({ id: 'large-transfer', when: { field: 'amountUsd', gte: 100000 } });
+      expect(parse('{"id": "large-transfer"}')).toEqual({ id: 'large-transfer' });
+    });
+
+    it('rejects a rule that is not an object', () => {
+      expect(() => parse('- a\n- b\n', 'yaml')).toThrow('A rule must be an object');
+      expect(() => parse('42')).toThrow('A rule must be an object');
+    });
+  });
+
+  describe('validate', () => {
+    it('accepts a valid rule', () => {
+      expect(validate(rule({
+        when: {
+          all: [
+            { field: 'eventType', in: ['Lock', 'Burn'] },
+            { not: { field: 'from', matches: '^0xdead' } },
+            { aggregate: { dimension: 'address', window: '1h', stat: 'count' }, gt: 5 }
+          ]
+        },
+        dedupe: { key: '{{from}}', windowMs: 3600000 }
+      }))).toEqual([]);
+    });
+
+    it('reports each problem with a rule', () => {
+      expect(validate(rule({ id: 'Bad ID', name: ' ', severity: 'urgent', confidence: 2, colour: 'red' }))).toEqual([
+        'Unknown rule property: colour',
+        'id must be 1-64 lowercase letters, digits, - or _',
+        'name is required',
+        'severity must be one of: low, medium, high, critical',
+        'confidence must be between 0 and 1'
+      ]);
+    });
+
+    it('checks message and dedupe templates', () => {
+      expect(validate(rule({
+        message: { title: '{{nope}}', description: '{{aggregate.address.2h.count}}' },
+        dedupe: { key: '{{from}}', windowMs: -1 }
+      }))).toEqual([
+        'message.title: unknown transaction field {{nope}}',
+        'message.description: {{aggregate.address.2h.count}}: window must be one of: 1m, 1h, 24h',
+        'dedupe.windowMs must be a positive integer'
+      ]);
+    });
+  });
+
+  describe('validateCondition', () => {
+    it('reports where in the tree a condition is invalid', () => {
+      expect(validateCondition({
+        any: [
+          { field: 'amountUsd', gt: 'lots' },
+          { field: 'notAField', eq: 1 },
+          { aggregate: { dimension: 'transfer', window: '1h', stat: 'count' }, gt: 1 }
+        ]
+      })).toEqual([
+        'when.any[0].gt: must be a number or date',
+        'when.any[1]: unknown transaction field notAField',
+        'when.any[2].aggregate: dimension must be one of: chain, token, address, route'
+      ]);
+    });
+
+    it('requires exactly one operand and an operator', () => {
+      expect(validateCondition({ field: 'amountUsd' })).toEqual(['when: needs an operator (eq, ne, gt, gte, lt, lte, in, nin, exists, matches)']);
+      expect(validateCondition({ gt: 1 })).toEqual(['when: needs exactly one of all, any, not, field or aggregate']);
+      expect(validateCondition({ all: [], any: [] })).toEqual(["when: all can't be combined with other properties"]);
+      expect(validateCondition({ all: [] })).toEqual(['when.all: must be a non-empty list of conditions']);
+    });
+
+    it('rejects unknown operators and bad patterns', () => {
+      expect(validateCondition({ field: 'from', like: '0x%', matches: '(' })).toEqual([
+        'when: unknown operator like',
+        expect.stringMatching(/^when\.matches: Invalid regular expression/)
+      ]);
+    });
+  });
+
+  describe('compileCondition', () => {
+    it('compares fields with every operator in a leaf', () => {
+      const condition = compileCondition({ field: 'amountUsd', gt: 50, lte: 100 });
+
+      expect(condition(context(transfer()))).toBe(true);
+      expect(condition(context(transfer({ amountUsd: 300 })))).toBe(false);
+    });
+
+    it('compares strings case-insensitively', () => {
+      const condition = compileCondition({ field: 'from', eq: '0xabc0000000000000000000000000000000000001' });
+
+      expect(condition(context(transfer()))).toBe(true);
+    });
+
+    it('fails range checks on missing values', () => {
+      const below = compileCondition({ field: 'amountUsd', lt: 1000 });
+
+      expect(below(context(transfer({ amountUsd: null })))).toBe(false);
+    });
+
+    it('combines conditions with all, any and not', () => {
+      const condition = compileCondition({
+        all: [
+          { any: [{ field: 'eventType', eq: 'Burn' }, { field: 'eventType', eq: 'Lock' }] },
+          { not: { field: 'tokenSymbol', in: ['DAI'] } },
+          { field: 'bridgeId', exists: true }
+        ]
+      });
+
+      expect(condition(context(transfer()))).toBe(true);
+      expect(condition(context(transfer({ tokenSymbol: 'dai' })))).toBe(false);
+      expect(condition(context(transfer({ bridgeId: null })))).toBe(false);
+    });
+
+    it('reads windowed aggregates that include the transfer', () => {
+      const aggregates = new WindowedAggregates();
+      for (let i = 0; i < 3; i++) {
+        aggregates.recordTransaction(transfer(), NOW);
+      }
+      const condition = compileCondition({ aggregate: { dimension: 'address', window: '1h', stat: 'count' }, gte: 3 });
+
+      expect(condition(context(transfer(), aggregates))).toBe(true);
+      expect(condition(context(transfer({ from: '0x0000000000000000000000000000000000000002' }), aggregates))).toBe(false);
+    });
+
+    it('treats aggregates of a transfer older than the window as missing', () => {
+      const condition = compileCondition({ aggregate: { dimension: 'chain', window: '1m', stat: 'count' }, exists: false });
+
+      expect(condition(context(transfer({ timestamp: new Date(NOW - 5 * 60 * 1000) })))).toBe(true);
+    });
+  });
+
+  describe('render', () => {
+    it('fills fields and aggregates into a template', () => {
+      const aggregates = new WindowedAggregates();
+      aggregates.recordTransaction(transfer(), NOW);
+
+      expect(render('{{ amountFormatted }} {{tokenSymbol}}, {{aggregate.address.1h.count}} this hour', context(transfer(), aggregates)))
+        .toBe('100 USDC, 1 this hour');
+    });
+
+    it('renders missing values empty, dates as ISO and fractions to six digits', () => {
+      const transaction = transfer({ amountUsd: 1234.56789012, bridgeId: null });
+
+      expect(render('[{{bridgeId}}] {{timestamp}} ${{amountUsd}}', context(transaction)))
+        .toBe('[] 2026-01-01T12:00:00.000Z $1234.57');
+    });
+  });
+});
@@ -0,0 +1,79 @@
+// Exact token amount arithmetic. Raw amounts are integer strings in the token's
+// base units; comparisons across tokens with different decimals are done on
+// amounts normalized to NORMALIZED_DECIMALS so no float rounding is involved.
+const NORMALIZED_DECIMALS = 18;
+
+// 10^n as a BigInt
+function pow10(n) {
+  return BigInt(10) ** BigInt(n);
+}
+
+// Convert a raw base-unit amount to NORMALIZED_DECIMALS precision
+function normalize(amount, decimals) {
+  const value = BigInt(amount);
+  if (decimals <= NORMALIZED_DECIMALS) {
+    return value * pow10(NORMALIZED_DECIMALS - decimals);
+  }
+  // Digits past 18 decimals are below anything a comparison cares about
+  return value / pow10(decimals - NORMALIZED_DECIMALS);
+}
+
+// Parse a decimal string in token units (e.g. '0.25') into base units. Exponent
+// notation is accepted too, as Decimal128 sums from aggregations print it (e.g. '1.5E-7').
+function parseUnits(value, decimals = NORMALIZED_DECIMALS) {
+  const text = String(value).trim();
+  const match = /^(-?)(\d+)(?:\.(\d+))?(?:E([+-]?\d+))?$/i.exec(text);
+  if (!match) {
+    throw new Error(`Invalid decimal amount: ${value}`);
+  }
+
+  const [, sign, whole, fraction = '', exponent = '0'] = match;
+  const scale = decimals + Number(exponent) - fraction.length;
+  const digits = BigInt(whole + fraction);
+  // Digits past the token's decimals are dropped
+  const units = scale >= 0 ? digits * pow10(scale) : digits / pow10(-scale);
+  return sign ? -units : units;
+}
+
+// Format a base-unit amount as an exact decimal string in token units
+function formatUnits(amount, decimals = NORMALIZED_DECIMALS) {
+  const value = BigInt(amount);
+  const negative = value < 0n;
+  const absolute = negative ? -value : value;
+  const divisor = pow10(decimals);
+
+  const whole = absolute / divisor;
+  const fraction = (absolute % divisor).toString().padStart(decimals, '0').replace(/0+$/, '');
+  return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+}
+
+// Normalized amount of a stored transaction
+function transactionAmount(transaction) {
+  return normalize(transaction.amount, transaction.tokenDecimals);
+}
+
+// Absolute value of a BigInt
+function abs(value) {
+  return value < 0n ? -value : value;
+}
+
+// `part` as basis points of `whole`, rounded down (0 when whole is 0)
+function toBps(part, whole) {
+  return whole === 0n ? 0 : Number((abs(part) * 10000n) / abs(whole));
+}
+
+// `bps` basis points of an amount, rounded down
+function applyBps(amount, bps) {
+  return (amount * BigInt(Math.round(bps * 100))) / 1000000n;
+}
+
+module.exports = {
+  NORMALIZED_DECIMALS,
+  normalize,
+  parseUnits,
+  formatUnits,
+  transactionAmount,
+  abs,
+  toBps,
+  applyBps
+};
@@ -0,0 +1,16 @@
+const { EventEmitter } = require('events');
+
+// In-process bus between the listeners and the components reacting to stored events,
+// so the matcher doesn't have to poll the database for new work. Events:
+//   transaction:stored     (transaction)                   a bridge event was stored
+//   transaction:confirmed  (transaction)                   a stored event reached confirmation or finality depth
+//   transaction:reorged    (transaction, counterpart)      an event was rolled back; counterpart is the leg it was matched to
+//   transaction:matched    (source, destination, transfer) a source leg was matched, possibly after it timed out;
+//                                                          transfer is its Transfer, null if it couldn't be recorded
+const eventBus = new EventEmitter();
+
+// Each component subscribes once per event. Up to six react to one event today; the
+// warning limit is raised from Node's default of 10 to leave room for more
+eventBus.setMaxListeners(20);
+
+module.exports = eventBus;
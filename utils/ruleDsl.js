@@ -0,0 +1,354 @@
+const yaml = require('js-yaml');
+const Transaction = require('../db/models/Transaction');
+const config = require('../config/default');
+
+// Declarative anomaly rules operators write in JSON or YAML, stored in Mongo and
+// evaluated against every ingested transaction (see alerts/CustomRules.js):
+//
+//   id: large-transfer-busy-address
+//   name: Large transfer from a busy address
+//   severity: high
+//   when:
+//     all:
+//       - { field: amountUsd, gte: 100000 }
+//       - { field: eventType, in: [Lock, Burn] }
+//       - { aggregate: { dimension: address, window: 1h, stat: count }, gt: 5 }
+//   dedupe: { key: "{{from}}", windowMs: 3600000 }
+//   message:
+//     title: Large transfer from {{from}}
+//     description: "{{amountFormatted}} {{tokenSymbol}}, {{aggregate.address.1h.count}} transfers this hour"
+//
+// A condition is `all`, `any` or `not` of conditions, or a leaf comparing an operand
+// (a Transaction field, or a windowed aggregate of the transfer's chain, token, address
+// or route) with one or more operators, all of which must hold. Aggregates include the
+// transfer being evaluated. String comparisons are case-insensitive, so addresses match
+// however they are checksummed. Templates interpolate {{field}} and
+// {{aggregate.<dimension>.<window>.<stat>}}.
+const RULE_ID = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'nin', 'exists', 'matches'];
+const DIMENSIONS = ['chain', 'token', 'address', 'route']; // As keyed by WindowedAggregates.keysFor, less transfer keys
+const STATS = ['count', 'valued', 'sum', 'mean', 'p50', 'p95', 'p99'];
+const RULE_KEYS = ['id', 'name', 'description', 'enabled', 'severity', 'confidence', 'priority', 'when', 'dedupe', 'message'];
+const PLACEHOLDER = /\{\{\s*([^}\s]+)\s*\}\}/g;
+
+// Parse a rule written in YAML or JSON
+function parse(source, format = 'json') {
+  const rule = format === 'yaml' ? yaml.safeLoad(source) : JSON.parse(source);
+  if (!isObject(rule)) {
+    throw new Error('A rule must be an object');
+  }
+  return rule;
+}
+
+// Problems with a whole rule, empty if it's valid
+function validate(rule) {
+  if (!isObject(rule)) {
+    return ['A rule must be an object'];
+  }
+
+  const errors = Object.keys(rule)
+    .filter(key => !RULE_KEYS.includes(key))
+    .map(key => `Unknown rule property: ${key}`);
+
+  if (typeof rule.id !== 'string' || !RULE_ID.test(rule.id)) {
+    errors.push('id must be 1-64 lowercase letters, digits, - or _');
+  }
+  if (typeof rule.name !== 'string' || !rule.name.trim()) {
+    errors.push('name is required');
+  }
+  if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+    errors.push('enabled must be true or false');
+  }
+  if (!SEVERITIES.includes(rule.severity)) {
+    errors.push(`severity must be one of: ${SEVERITIES.join(', ')}`);
+  }
+  if (rule.confidence !== undefined && !(typeof rule.confidence === 'number' && rule.confidence >= 0 && rule.confidence <= 1)) {
+    errors.push('confidence must be between 0 and 1');
+  }
+  if (rule.priority !== undefined && !(Number.isInteger(rule.priority) && rule.priority >= 1 && rule.priority <= 10)) {
+    errors.push('priority must be an integer from 1 to 10');
+  }
+
+  errors.push(...validateCondition(rule.when, 'when'));
+
+  if (!isObject(rule.message)) {
+    errors.push('message with a title and description is required');
+  } else {
+    for (const part of ['title', 'description']) {
+      if (typeof rule.message[part] !== 'string' || !rule.message[part].trim()) {
+        errors.push(`message.${part} is required`);
+      } else {
+        errors.push(...validateTemplate(rule.message[part], `message.${part}`));
+      }
+    }
+  }
+
+  if (rule.dedupe !== undefined) {
+    if (!isObject(rule.dedupe) || typeof rule.dedupe.key !== 'string') {
+      errors.push('dedupe needs a key template');
+    } else {
+      errors.push(...validateTemplate(rule.dedupe.key, 'dedupe.key'));
+      if (rule.dedupe.windowMs !== undefined && !(Number.isInteger(rule.dedupe.windowMs) && rule.dedupe.windowMs > 0)) {
+        errors.push('dedupe.windowMs must be a positive integer');
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Problems with a condition tree, each prefixed with where it is
+function validateCondition(condition, path = 'when') {
+  if (!isObject(condition)) {
+    return [`${path}: a condition must be an object`];
+  }
+
+  for (const group of ['all', 'any']) {
+    if (condition[group] !== undefined) {
+      if (Object.keys(condition).length !== 1) {
+        return [`${path}: ${group} can't be combined with other properties`];
+      }
+      if (!Array.isArray(condition[group]) || condition[group].length === 0) {
+        return [`${path}.${group}: must be a non-empty list of conditions`];
+      }
+      return condition[group].flatMap((child, index) => validateCondition(child, `${path}.${group}[${index}]`));
+    }
+  }
+
+  if (condition.not !== undefined) {
+    if (Object.keys(condition).length !== 1) {
+      return [`${path}: not can't be combined with other properties`];
+    }
+    return validateCondition(condition.not, `${path}.not`);
+  }
+
+  const errors = [];
+  if ((condition.field === undefined) === (condition.aggregate === undefined)) {
+    errors.push(`${path}: needs exactly one of all, any, not, field or aggregate`);
+  } else if (condition.field !== undefined) {
+    if (!isTransactionField(condition.field)) {
+      errors.push(`${path}: unknown transaction field ${condition.field}`);
+    }
+  } else {
+    errors.push(...validateAggregate(condition.aggregate).map(error => `${path}.aggregate: ${error}`));
+  }
+
+  const operators = Object.keys(condition).filter(key => key !== 'field' && key !== 'aggregate');
+  if (operators.length === 0) {
+    errors.push(`${path}: needs an operator (${OPERATORS.join(', ')})`);
+  }
+
+  for (const operator of operators) {
+    const value = condition[operator];
+    if (!OPERATORS.includes(operator)) {
+      errors.push(`${path}: unknown operator ${operator}`);
+    } else if (['gt', 'gte', 'lt', 'lte'].includes(operator) && Number.isNaN(toNumber(value))) {
+      errors.push(`${path}.${operator}: must be a number or date`);
+    } else if (['in', 'nin'].includes(operator) && !(Array.isArray(value) && value.every(isScalar))) {
+      errors.push(`${path}.${operator}: must be a list of values`);
+    } else if (['eq', 'ne'].includes(operator) && !isScalar(value)) {
+      errors.push(`${path}.${operator}: must be a single value`);
+    } else if (operator === 'exists' && typeof value !== 'boolean') {
+      errors.push(`${path}.exists: must be true or false`);
+    } else if (operator === 'matches') {
+      try {
+        new RegExp(value, 'i');
+      } catch (error) {
+        errors.push(`${path}.matches: ${error.message}`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Problems with a message or dedupe key template
+function validateTemplate(template, path) {
+  const errors = [];
+  for (const [, reference] of template.matchAll(PLACEHOLDER)) {
+    if (reference.startsWith('aggregate.')) {
+      const [dimension, window, stat] = reference.slice('aggregate.'.length).split('.');
+      errors.push(...validateAggregate({ dimension, window, stat }).map(error => `${path}: {{${reference}}}: ${error}`));
+    } else if (!isTransactionField(reference)) {
+      errors.push(`${path}: unknown transaction field {{${reference}}}`);
+    }
+  }
+  return errors;
+}
+
+function validateAggregate(aggregate) {
+  if (!isObject(aggregate)) {
+    return ['must be { dimension, window, stat }'];
+  }
+
+  const errors = [];
+  if (!DIMENSIONS.includes(aggregate.dimension)) {
+    errors.push(`dimension must be one of: ${DIMENSIONS.join(', ')}`);
+  }
+  if (!Object.keys(config.aggregates.windows).includes(aggregate.window)) {
+    errors.push(`window must be one of: ${Object.keys(config.aggregates.windows).join(', ')}`);
+  }
+  if (!STATS.includes(aggregate.stat)) {
+    errors.push(`stat must be one of: ${STATS.join(', ')}`);
+  }
+  return errors;
+}
+
+// Compile a validated condition into a predicate over a context of
+// { transaction, aggregates, keys, now }: the transfer, the WindowedAggregates to
+// read, the transfer's aggregate keys, and the time the aggregates are read at
+function compileCondition(condition) {
+  if (condition.all) {
+    const children = condition.all.map(compileCondition);
+    return context => children.every(child => child(context));
+  }
+  if (condition.any) {
+    const children = condition.any.map(compileCondition);
+    return context => children.some(child => child(context));
+  }
+  if (condition.not) {
+    const child = compileCondition(condition.not);
+    return context => !child(context);
+  }
+
+  const operand = condition.field !== undefined
+    ? context => getField(context.transaction, condition.field)
+    : context => getAggregate(context, condition.aggregate);
+  const checks = Object.keys(condition)
+    .filter(key => OPERATORS.includes(key))
+    .map(operator => compileOperator(operator, condition[operator]));
+
+  return context => {
+    const value = operand(context);
+    return checks.every(check => check(value));
+  };
+}
+
+function compileOperator(operator, expected) {
+  switch (operator) {
+    case 'eq':
+      return value => same(value, expected);
+    case 'ne':
+      return value => !same(value, expected);
+    case 'in':
+      return value => expected.some(item => same(value, item));
+    case 'nin':
+      return value => !expected.some(item => same(value, item));
+    case 'exists':
+      return value => isPresent(value) === expected;
+    case 'matches': {
+      const pattern = new RegExp(expected, 'i');
+      return value => isPresent(value) && pattern.test(String(value));
+    }
+    default: {
+      // Missing values compare as NaN, so range checks fail on them
+      const bound = toNumber(expected);
+      const compare = {
+        gt: value => value > bound,
+        gte: value => value >= bound,
+        lt: value => value < bound,
+        lte: value => value <= bound
+      }[operator];
+      return value => compare(toNumber(value));
+    }
+  }
+}
+
+// Fill a template's placeholders from a context; missing values render empty
+function render(template, context) {
+  return template.replace(PLACEHOLDER, (match, reference) => {
+    let value;
+    if (reference.startsWith('aggregate.')) {
+      const [dimension, window, stat] = reference.slice('aggregate.'.length).split('.');
+      value = getAggregate(context, { dimension, window, stat });
+    } else {
+      value = getField(context.transaction, reference);
+    }
+
+    if (!isPresent(value)) {
+      return '';
+    }
+    if (value instanceof Date) {
+      return value.toISOString();
+    }
+    return typeof value === 'number' && !Number.isInteger(value) ? String(Number(value.toPrecision(6))) : String(value);
+  });
+}
+
+// A transfer's aggregate for the window, null if it has no key for the dimension or
+// happened before the window (e.g. a backfilled event, which wasn't counted in it)
+function getAggregate(context, { dimension, window, stat }) {
+  const key = context.keys[dimension];
+  if (!key || !context.aggregates.covers(window, context.transaction.timestamp, context.now)) {
+    return null;
+  }
+  return context.aggregates.get(dimension, key, window, context.now)[stat];
+}
+
+function getField(transaction, field) {
+  return field.split('.').reduce((value, part) => (value === null || value === undefined ? value : value[part]), transaction);
+}
+
+function isTransactionField(field) {
+  return typeof field === 'string' && Boolean(Transaction.schema.path(field));
+}
+
+// Numbers, numeric strings and dates as numbers; anything else is NaN
+function toNumber(value) {
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (typeof value === 'string' && value.trim()) {
+    const number = Number(value);
+    return Number.isNaN(number) ? Date.parse(value) : number;
+  }
+  if (isPresent(value) && typeof value.toString === 'function') {
+    return Number(value.toString()); // Decimal128
+  }
+  return NaN;
+}
+
+function same(value, expected) {
+  return isPresent(value) && String(value).toLowerCase() === String(expected).toLowerCase();
+}
+
+function isPresent(value) {
+  return value !== null && value !== undefined && value !== '';
+}
+
+function isScalar(value) {
+  return ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Mongoose validators for stored rules
+const conditionValidator = {
+  validator: (value) => validateCondition(value).length === 0,
+  message: (props) => validateCondition(props.value).join('; ')
+};
+const templateValidator = {
+  validator: (value) => value === null || value === undefined || validateTemplate(value, 'template').length === 0,
+  message: (props) => validateTemplate(props.value, props.path).join('; ')
+};
+
+module.exports = {
+  RULE_ID,
+  SEVERITIES,
+  OPERATORS,
+  STATS,
+  parse,
+  validate,
+  validateCondition,
+  validateTemplate,
+  compileCondition,
+  render,
+  conditionValidator,
+  templateValidator
+};